@@ -186,6 +186,7 @@ FILES:
     ${DEFAULT_LOG_FILE}        Log file
     ${DEFAULT_DASHBOARD_DIR}/current.png    Current dashboard image
     ${DEFAULT_DASHBOARD_DIR}/previous.png   Backup image
+    ${DEFAULT_DASHBOARD_DIR}/current.etag   ETag of the current image (curl only)
 
 KINDLE COMMANDS:
     /usr/sbin/eips -f -g FILE              Display image (full refresh)
@@ -278,6 +279,68 @@ check_network_connectivity() {
 # Image Functions
 ##############################################################################
 
+# Download a dashboard image. With curl, the ETag of the image on screen is
+# sent as If-None-Match so an unchanged dashboard comes back as 304. A 500
+# that carries the server's error screen counts as a new image.
+# Returns 0 when a new image was saved, 2 when not modified, 1 on failure.
+fetch_image() {
+    local url="$1"
+    local output="$2"
+    local etag_file="${DASHBOARD_DIR}/current.etag"
+
+    if type curl >/dev/null 2>&1; then
+        local headers_file="${output}.headers"
+        local status
+
+        if [ -f "${etag_file}" ] && [ -f "${DASHBOARD_DIR}/current.png" ] && [ "${FORCE_REFRESH}" != "true" ]; then
+            local etag
+            etag=$(cat "${etag_file}")
+            status=$(curl --silent --max-time "${TIMEOUT}" -o "${output}" -D "${headers_file}" \
+                -H "If-None-Match: ${etag}" -w '%{http_code}' "${url}" 2>/dev/null) || status="000"
+        else
+            status=$(curl --silent --max-time "${TIMEOUT}" -o "${output}" -D "${headers_file}" \
+                -w '%{http_code}' "${url}" 2>/dev/null) || status="000"
+        fi
+
+        case "${status}" in
+            200)
+                # Keep the ETag next to the image until the image is verified
+                sed -n 's/^[Ee][Tt][Aa][Gg]: *//p' "${headers_file}" | tr -d '\r' > "${output}.etag"
+                rm -f "${headers_file}"
+                return 0
+                ;;
+            304)
+                rm -f "${output}" "${headers_file}"
+                return 2
+                ;;
+            500)
+                # The server's error screen: show it, but without an ETag so
+                # the next poll fetches in full
+                if grep -qi '^X-Dashboard-Error:' "${headers_file}" && \
+                   grep -qi '^Content-Type: *image/png' "${headers_file}"; then
+                    log_warn "Server returned its error screen: $(sed -n 's/^[Xx]-[Dd]ashboard-[Ee]rror: *//p' "${headers_file}" | tr -d '\r')"
+                    : > "${output}.etag"
+                    rm -f "${headers_file}"
+                    return 0
+                fi
+                log_warn "Server returned HTTP ${status}"
+                rm -f "${output}" "${headers_file}"
+                return 1
+                ;;
+            *)
+                log_warn "Server returned HTTP ${status}"
+                rm -f "${output}" "${headers_file}"
+                return 1
+                ;;
+        esac
+    fi
+
+    # Use wget for download (busybox-compatible short options)
+    # Note: busybox wget doesn't support --timeout or --tries
+    rm -f "${output}.etag"
+    wget -q -O "${output}" "${url}" 2>/dev/null
+}
+
 download_dashboard() {
     local dashboard_url="${SERVER_URL}/dashboard"
     local temp_file="${DASHBOARD_DIR}/dashboard_temp.png"
@@ -300,6 +363,15 @@ download_dashboard() {
         log_debug "Force refresh enabled"
     fi
 
+    # Identify this Kindle so the server can apply its device settings
+    if [ -n "${DEVICE_ID:-}" ]; then
+        case "${dashboard_url}" in
+            *"?"*) dashboard_url="${dashboard_url}&device=${DEVICE_ID}" ;;
+            *)     dashboard_url="${dashboard_url}?device=${DEVICE_ID}" ;;
+        esac
+        log_debug "Device ID: ${DEVICE_ID}"
+    fi
+
     # Append battery level if gasgauge-info is available
     if type gasgauge-info >/dev/null 2>&1; then
         local battery_level
@@ -325,9 +397,15 @@ download_dashboard() {
             return 0
         fi
 
-        # Use wget for download (busybox-compatible short options)
-        # Note: busybox wget doesn't support --timeout or --tries
-        if wget -q -O "${temp_file}" "${dashboard_url}" 2>/dev/null; then
+        local fetch_status=0
+        fetch_image "${dashboard_url}" "${temp_file}" || fetch_status=$?
+
+        if [ ${fetch_status} -eq 2 ]; then
+            log_info "Dashboard not modified, keeping current image"
+            return 2
+        fi
+
+        if [ ${fetch_status} -eq 0 ]; then
 
             log_info "Dashboard downloaded successfully (${attempt}/${RETRIES})"
 
@@ -335,11 +413,16 @@ download_dashboard() {
             if verify_image "${temp_file}"; then
                 # Move temp file to current
                 mv "${temp_file}" "${current_file}"
+                if [ -s "${temp_file}.etag" ]; then
+                    mv "${temp_file}.etag" "${DASHBOARD_DIR}/current.etag"
+                else
+                    rm -f "${temp_file}.etag" "${DASHBOARD_DIR}/current.etag"
+                fi
                 log_info "Dashboard saved to: ${current_file}"
                 return 0
             else
                 log_error "Downloaded file verification failed"
-                rm -f "${temp_file}"
+                rm -f "${temp_file}" "${temp_file}.etag"
             fi
         else
             log_warn "Download attempt ${attempt} failed"
@@ -541,7 +624,16 @@ main() {
     fi
 
     # Download new dashboard
-    if download_dashboard; then
+    local download_status=0
+    download_dashboard || download_status=$?
+
+    if [ ${download_status} -eq 2 ]; then
+        # Unchanged: skip the e-ink refresh (and its full-screen flash)
+        log_info "Dashboard unchanged, display left as is"
+        return 0
+    fi
+
+    if [ ${download_status} -eq 0 ]; then
         local current_file="${DASHBOARD_DIR}/current.png"
 
         # Display the new image
@@ -550,6 +642,8 @@ main() {
             return 0
         else
             log_error "Failed to display new dashboard"
+            # Forget the ETag so the next cycle downloads and displays it again
+            rm -f "${DASHBOARD_DIR}/current.etag"
             handle_fallback
             return 1
         fi
@@ -0,0 +1,142 @@
+const { getJson } = require('./weather-providers');
+
+/**
+ * Air Quality
+ * Air quality index, pollutants, pollen and UV index from the Open-Meteo
+ * air-quality API (worldwide, no key; pollen is only forecast for Europe).
+ * Normalized to:
+ *
+ *   { scale, aqi, category, level, pm2_5, pm10, ozone,
+ *     uvIndex, uvMax, uvCategory, pollen: [{ type, value, level }] | null }
+ *
+ * `level` counts categories from 0 (Good) so rules work on either scale.
+ * Pollutants are in µg/m³, pollen in grains/m³.
+ */
+
+// Upper bound (inclusive) and name of each category, best first
+const AQI_SCALES = {
+    us: [
+        [50, 'Good'],
+        [100, 'Moderate'],
+        [150, 'Unhealthy for Sensitive Groups'],
+        [200, 'Unhealthy'],
+        [300, 'Very Unhealthy'],
+        [Infinity, 'Hazardous']
+    ],
+    european: [
+        [20, 'Good'],
+        [40, 'Fair'],
+        [60, 'Moderate'],
+        [80, 'Poor'],
+        [100, 'Very Poor'],
+        [Infinity, 'Extremely Poor']
+    ]
+};
+
+// WHO UV index categories, for the index rounded to a whole number
+const UV_CATEGORIES = [
+    [2, 'Low'],
+    [5, 'Moderate'],
+    [7, 'High'],
+    [10, 'Very High'],
+    [Infinity, 'Extreme']
+];
+
+// grains/m³
+const POLLEN_LEVELS = [
+    [0, 'None'],
+    [20, 'Low'],
+    [50, 'Moderate'],
+    [200, 'High'],
+    [Infinity, 'Very High']
+];
+
+const POLLEN_TYPES = ['alder', 'birch', 'grass', 'mugwort', 'olive', 'ragweed'];
+
+const AQI_SCALE_NAMES = Object.keys(AQI_SCALES);
+
+/**
+ * Index and name of the category a value falls in, or null for no value
+ */
+function categorize(value, categories) {
+    if (typeof value !== 'number') return null;
+    const index = categories.findIndex(([limit]) => value <= limit);
+    return { index, name: categories[index][1] };
+}
+
+function aqiCategory(aqi, scale = 'us') {
+    return categorize(aqi, AQI_SCALES[scale]);
+}
+
+function uvCategory(uvIndex) {
+    return categorize(typeof uvIndex === 'number' ? Math.round(uvIndex) : null, UV_CATEGORIES);
+}
+
+function pollenLevel(value) {
+    const category = categorize(value, POLLEN_LEVELS);
+    return category ? category.name : null;
+}
+
+/**
+ * Normalize an Open-Meteo air-quality response. Pollen types without a value
+ * are left out; `pollen` is null when the location has no pollen forecast.
+ */
+function normalizeAirQuality(data, scale = 'us') {
+    const current = data.current;
+    if (!current) {
+        throw new Error('Unexpected air quality response: no current values');
+    }
+
+    const aqi = scale === 'european' ? current.european_aqi : current.us_aqi;
+    const category = aqiCategory(aqi, scale);
+    const uv = uvCategory(current.uv_index);
+    const hourlyUv = ((data.hourly && data.hourly.uv_index) || []).filter(value => typeof value === 'number');
+
+    const pollen = POLLEN_TYPES
+        .filter(type => typeof current[`${type}_pollen`] === 'number')
+        .map(type => ({ type, value: current[`${type}_pollen`], level: pollenLevel(current[`${type}_pollen`]) }))
+        .sort((a, b) => b.value - a.value);
+
+    return {
+        scale,
+        aqi: typeof aqi === 'number' ? Math.round(aqi) : null,
+        category: category ? category.name : null,
+        level: category ? category.index : null,
+        pm2_5: typeof current.pm2_5 === 'number' ? current.pm2_5 : null,
+        pm10: typeof current.pm10 === 'number' ? current.pm10 : null,
+        ozone: typeof current.ozone === 'number' ? current.ozone : null,
+        uvIndex: typeof current.uv_index === 'number' ? current.uv_index : null,
+        uvMax: hourlyUv.length > 0 ? Math.max(...hourlyUv) : null,
+        uvCategory: uv ? uv.name : null,
+        pollen: pollen.length > 0 ? pollen : null
+    };
+}
+
+/**
+ * Fetch current air quality and today's UV for a location.
+ *
+ * options: { scale: 'us' | 'european', userAgent, getJson (for tests) }
+ */
+async function fetchAirQuality(location, options = {}) {
+    const get = options.getJson || (url => getJson(url, options));
+    const latitude = Math.round(location.latitude * 10000) / 10000;
+    const longitude = Math.round(location.longitude * 10000) / 10000;
+    const current = ['us_aqi', 'european_aqi', 'pm10', 'pm2_5', 'ozone', 'uv_index',
+        ...POLLEN_TYPES.map(type => `${type}_pollen`)].join(',');
+    const url = 'https://air-quality-api.open-meteo.com/v1/air-quality' +
+        `?latitude=${latitude}&longitude=${longitude}` +
+        `&current=${current}&hourly=uv_index&forecast_days=1` +
+        `&timezone=${encodeURIComponent(location.timezone || 'auto')}`;
+
+    return normalizeAirQuality(await get(url), options.scale);
+}
+
+module.exports = {
+    AQI_SCALES,
+    AQI_SCALE_NAMES,
+    aqiCategory,
+    fetchAirQuality,
+    normalizeAirQuality,
+    pollenLevel,
+    uvCategory
+};
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for air quality, pollen and UV data, run offline against a recorded
+ * Open-Meteo response in fixtures/weather/
+ * Run with: node server/air-quality.test.js
+ */
+
+const { aqiCategory, fetchAirQuality, normalizeAirQuality, pollenLevel, uvCategory } = require('./air-quality');
+const WeatherService = require('./weather-service');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+function fixture() {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'weather', 'open-meteo-air-quality.json'), 'utf8'));
+}
+
+const chicago = { latitude: 41.87812345, longitude: -87.62979876, timezone: 'America/Chicago' };
+
+async function runTests() {
+    console.log('\n🧪 Running Air Quality Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Fetching
+    console.log('Test 1: Open-Meteo Air Quality');
+    const requests = [];
+    const air = await fetchAirQuality(chicago, {
+        getJson: async (url) => {
+            requests.push(url);
+            return fixture();
+        }
+    });
+    const url = new URL(requests[0]);
+    assertEquals(url.host, 'air-quality-api.open-meteo.com', 'Air quality endpoint');
+    assertEquals(url.searchParams.get('latitude'), '41.8781', 'Latitude rounded');
+    assert(url.searchParams.get('current').includes('grass_pollen'), 'Pollen requested');
+    assertEquals(url.searchParams.get('timezone'), 'America/Chicago', 'Local timezone for the UV day');
+    assertEquals(air.scale, 'us', 'US AQI by default');
+    assertEquals(air.aqi, 58, 'AQI');
+    assertEquals(air.category, 'Moderate', 'Category text');
+    assertEquals(air.level, 1, 'Category level');
+    assertEquals(air.pm2_5, 12.9, 'PM2.5');
+    assertEquals(air.ozone, 71, 'Ozone');
+    assertEquals(air.uvIndex, 2.6, 'Current UV');
+    assertEquals(air.uvCategory, 'Moderate', 'UV 2.6 rounds to a moderate 3');
+    assertEquals(air.uvMax, 4, "Today's highest UV");
+    assertEquals(air.pollen, null, 'No pollen forecast outside Europe');
+    console.log();
+
+    // Test 2: European scale and pollen
+    console.log('Test 2: European Scale and Pollen');
+    const data = fixture();
+    Object.assign(data.current, { grass_pollen: 64.2, birch_pollen: 3.1, ragweed_pollen: 0 });
+    const european = normalizeAirQuality(data, 'european');
+    assertEquals(european.aqi, 34, 'European AQI');
+    assertEquals(european.category, 'Fair', 'European category');
+    assertEquals(european.pollen.length, 3, 'Pollen types with values only');
+    assertEquals(european.pollen[0].type, 'grass', 'Highest pollen first');
+    assertEquals(european.pollen[0].level, 'High', 'Pollen level');
+    assertEquals(european.pollen[2].level, 'None', 'Zero pollen');
+    let error = null;
+    try {
+        normalizeAirQuality({ error: true, reason: 'Latitude must be in range' });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('no current values'), 'Error responses rejected');
+    console.log();
+
+    // Test 3: Categories
+    console.log('Test 3: Categories');
+    assertEquals(aqiCategory(50).name, 'Good', 'US 50 is good');
+    assertEquals(aqiCategory(101).name, 'Unhealthy for Sensitive Groups', 'US 101');
+    assertEquals(aqiCategory(301).name, 'Hazardous', 'US 301');
+    assertEquals(aqiCategory(85, 'european').name, 'Very Poor', 'European 85');
+    assertEquals(aqiCategory(null), null, 'No value, no category');
+    assertEquals(uvCategory(7.4).name, 'High', 'UV 7');
+    assertEquals(uvCategory(10.6).name, 'Extreme', 'UV 11');
+    assertEquals(pollenLevel(20), 'Low', 'Pollen 20');
+    assertEquals(pollenLevel(500), 'Very High', 'Pollen 500');
+    console.log();
+
+    // Test 4: Weather service
+    console.log('Test 4: Weather Service');
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'air-quality-test-'));
+    const mock = await new WeatherService({ cacheDir, mockData: true }).getFormattedWeather();
+    assertEquals(mock.airQuality.category, 'Good', 'Mock air quality');
+    const disabled = await new WeatherService({ cacheDir, mockData: true, airQuality: { enabled: false } }).getFormattedWeather();
+    assertEquals(disabled.airQuality, null, 'Disabled air quality is null');
+
+    const service = new WeatherService({ cacheDir, cacheKey: 'kitchen', airQuality: { enabled: true, scale: 'us', maxAge: 3600 } });
+    fs.writeFileSync(service.getFeedCacheFilePath('air_quality'), JSON.stringify({ timestamp: Date.now(), data: air }));
+    assertEquals((await service.getAirQuality()).aqi, 58, 'Served from the air quality cache');
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
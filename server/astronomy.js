@@ -0,0 +1,164 @@
+/**
+ * Astronomy
+ * Sunrise, sunset, day length and moon phase computed locally (no network).
+ * Sun times use the NOAA sunrise equation (within a minute or two away from
+ * the poles); the moon phase uses the mean synodic month (within about half a
+ * day).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440587.5; // Julian date of the Unix epoch
+const J2000 = 2451545.0;
+const SYNODIC_MONTH = 29.530588853; // days
+const KNOWN_NEW_MOON = 2451550.1; // Julian date, 2000-01-06
+const SUN_ALTITUDE = -0.833; // degrees: refraction plus the sun's radius
+const OBLIQUITY = 23.4397; // degrees
+
+const MOON_PHASES = [
+    'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+    'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+];
+
+const rad = degrees => degrees * Math.PI / 180;
+const deg = radians => radians * 180 / Math.PI;
+const toJulian = date => date.getTime() / DAY_MS + J1970;
+const fromJulian = julian => new Date(Math.round((julian - J1970) * DAY_MS));
+
+/**
+ * Local calendar date in a timezone as { year, month, day }
+ */
+function localDate(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        timeZone: timezone
+    }).formatToParts(date);
+    const get = type => Number(parts.find(part => part.type === type).value);
+    return { year: get('year'), month: get('month'), day: get('day') };
+}
+
+/**
+ * Sunrise, solar noon and sunset for a local calendar date.
+ * sunrise/sunset are null during polar day or night (`polar` says which);
+ * dayLength is in minutes.
+ */
+function sunTimes({ year, month, day }, latitude, longitude) {
+    const n = Math.round(Date.UTC(year, month - 1, day, 12) / DAY_MS + J1970 - J2000);
+    const meanSolarNoon = n + 0.0009 - longitude / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+    const center = 1.9148 * Math.sin(rad(anomaly)) + 0.02 * Math.sin(rad(2 * anomaly)) + 0.0003 * Math.sin(rad(3 * anomaly));
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = J2000 + meanSolarNoon + 0.0053 * Math.sin(rad(anomaly)) - 0.0069 * Math.sin(rad(2 * eclipticLongitude));
+    const declination = Math.asin(Math.sin(rad(eclipticLongitude)) * Math.sin(rad(OBLIQUITY)));
+
+    const cosHourAngle = (Math.sin(rad(SUN_ALTITUDE)) - Math.sin(rad(latitude)) * Math.sin(declination)) /
+        (Math.cos(rad(latitude)) * Math.cos(declination));
+
+    const solarNoon = fromJulian(transit);
+    if (cosHourAngle > 1) return { sunrise: null, sunset: null, solarNoon, dayLength: 0, polar: 'night' };
+    if (cosHourAngle < -1) return { sunrise: null, sunset: null, solarNoon, dayLength: 24 * 60, polar: 'day' };
+
+    const hourAngle = deg(Math.acos(cosHourAngle));
+    return {
+        sunrise: fromJulian(transit - hourAngle / 360),
+        sunset: fromJulian(transit + hourAngle / 360),
+        solarNoon,
+        dayLength: hourAngle / 360 * 2 * 24 * 60,
+        polar: null
+    };
+}
+
+/**
+ * Index into MOON_PHASES. The four principal phases are named for a day
+ * either side of the exact moment, the in-between phases the rest of the time.
+ */
+function phaseIndex(phase) {
+    const oneDay = 1 / SYNODIC_MONTH;
+    const nearest = Math.round(phase * 4);
+    if (Math.abs(phase - nearest / 4) < oneDay) return (nearest % 4) * 2;
+    return Math.floor(phase * 4) * 2 + 1;
+}
+
+/**
+ * Moon phase at a moment: phase 0-1 (0 new, 0.5 full), age in days,
+ * illuminated fraction 0-1 and the phase name
+ */
+function moonPhase(date) {
+    const age = ((toJulian(date) - KNOWN_NEW_MOON) % SYNODIC_MONTH + SYNODIC_MONTH) % SYNODIC_MONTH;
+    const phase = age / SYNODIC_MONTH;
+    return {
+        phase,
+        age,
+        illumination: (1 - Math.cos(2 * Math.PI * phase)) / 2,
+        name: MOON_PHASES[phaseIndex(phase)]
+    };
+}
+
+/**
+ * "11h 07m"
+ */
+function formatDuration(minutes) {
+    const total = Math.round(minutes);
+    return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * "+2m 14s" / "-1m 05s" / "+45s"
+ */
+function formatChange(minutes) {
+    const seconds = Math.round(Math.abs(minutes) * 60);
+    const sign = minutes < 0 ? '-' : '+';
+    if (seconds < 60) return `${sign}${seconds}s`;
+    return `${sign}${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Everything the dashboard shows for a location on the local date of `now`.
+ * Times are formatted in the location's timezone; ISO versions end in "At".
+ */
+function getAstronomy({ latitude, longitude, timezone }, now = new Date()) {
+    const today = localDate(now, timezone);
+    const yesterday = localDate(new Date(Date.UTC(today.year, today.month - 1, today.day - 1, 12)), 'UTC');
+    const sun = sunTimes(today, latitude, longitude);
+    const previous = sunTimes(yesterday, latitude, longitude);
+    const moon = moonPhase(now);
+
+    const formatTime = date => (date ? date.toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+        timeZone: timezone
+    }) : null);
+    const change = sun.dayLength - previous.dayLength;
+
+    return {
+        sunrise: formatTime(sun.sunrise),
+        sunset: formatTime(sun.sunset),
+        solarNoon: formatTime(sun.solarNoon),
+        sunriseAt: sun.sunrise ? sun.sunrise.toISOString() : null,
+        sunsetAt: sun.sunset ? sun.sunset.toISOString() : null,
+        polar: sun.polar, // 'day' (midnight sun), 'night' (polar night) or null
+        isDaylight: sun.polar ? sun.polar === 'day' : now >= sun.sunrise && now < sun.sunset,
+        dayLength: formatDuration(sun.dayLength),
+        dayLengthMinutes: Math.round(sun.dayLength),
+        dayLengthChange: formatChange(change),
+        dayLengthChangeMinutes: Math.round(change * 100) / 100,
+        moon: {
+            name: moon.name,
+            phase: Math.round(moon.phase * 1000) / 1000,
+            age: Math.round(moon.age * 10) / 10,
+            illumination: Math.round(moon.illumination * 100) // percent
+        }
+    };
+}
+
+module.exports = {
+    MOON_PHASES,
+    formatChange,
+    formatDuration,
+    getAstronomy,
+    localDate,
+    moonPhase,
+    sunTimes
+};
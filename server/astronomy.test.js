@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for locally computed sun and moon data
+ * Run with: node server/astronomy.test.js
+ */
+
+const { formatChange, formatDuration, getAstronomy, moonPhase, sunTimes } = require('./astronomy');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+// Minutes between a computed time and a published one
+function minutesOff(actual, expected) {
+    return Math.abs(actual.getTime() - new Date(expected).getTime()) / 60000;
+}
+
+const chicago = { latitude: 41.8781, longitude: -87.6298, timezone: 'America/Chicago' };
+const sydney = { latitude: -33.8688, longitude: 151.2093, timezone: 'Australia/Sydney' };
+const longyearbyen = { latitude: 78.2232, longitude: 15.6267, timezone: 'Arctic/Longyearbyen' };
+
+async function runTests() {
+    console.log('\n🧪 Running Astronomy Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Sun times against published almanac values (NOAA solar calculator)
+    console.log('Test 1: Sunrise and Sunset');
+    const solstice = sunTimes({ year: 2026, month: 6, day: 21 }, chicago.latitude, chicago.longitude);
+    assert(minutesOff(solstice.sunrise, '2026-06-21T10:15:00Z') < 3, 'Chicago solstice sunrise (5:15 AM CDT)');
+    assert(minutesOff(solstice.sunset, '2026-06-22T01:29:00Z') < 3, 'Chicago solstice sunset (8:29 PM CDT)');
+    assert(Math.abs(solstice.dayLength - (15 * 60 + 14)) < 3, 'Chicago solstice day length (15h 14m)');
+    const winter = sunTimes({ year: 2026, month: 12, day: 21 }, chicago.latitude, chicago.longitude);
+    assert(minutesOff(winter.sunrise, '2026-12-21T13:15:00Z') < 3, 'Chicago winter sunrise (7:15 AM CST)');
+    assert(minutesOff(winter.sunset, '2026-12-21T22:22:00Z') < 3, 'Chicago winter sunset (4:22 PM CST)');
+    const southern = sunTimes({ year: 2026, month: 12, day: 21 }, sydney.latitude, sydney.longitude);
+    assert(southern.dayLength > 14 * 60, 'Sydney has long days in December');
+    assert(southern.sunrise.toISOString().startsWith('2026-12-20T18'), 'Sydney sunrise falls on the previous UTC date');
+    console.log();
+
+    // Test 2: Polar day and night
+    console.log('Test 2: Polar Day and Night');
+    const polarNight = sunTimes({ year: 2026, month: 12, day: 21 }, longyearbyen.latitude, longyearbyen.longitude);
+    assertEquals(polarNight.polar, 'night', 'Polar night in December');
+    assertEquals(polarNight.sunrise, null, 'No sunrise');
+    assertEquals(polarNight.dayLength, 0, 'No daylight');
+    const midnightSun = sunTimes({ year: 2026, month: 6, day: 21 }, longyearbyen.latitude, longyearbyen.longitude);
+    assertEquals(midnightSun.polar, 'day', 'Midnight sun in June');
+    assertEquals(midnightSun.dayLength, 24 * 60, 'Daylight all day');
+    console.log();
+
+    // Test 3: Moon phase against published new and full moons
+    console.log('Test 3: Moon Phase');
+    const full = moonPhase(new Date('2026-10-26T04:12:00Z'));
+    assertEquals(full.name, 'Full Moon', 'Full moon of 26 Oct 2026');
+    assert(full.illumination > 0.99, 'Fully lit');
+    const fresh = moonPhase(new Date('2026-10-10T15:50:00Z'));
+    assertEquals(fresh.name, 'New Moon', 'New moon of 10 Oct 2026');
+    assert(fresh.illumination < 0.01, 'Dark');
+    assertEquals(moonPhase(new Date('2026-10-18T12:00:00Z')).name, 'First Quarter', 'A week after new moon');
+    assertEquals(moonPhase(new Date('2026-10-22T12:00:00Z')).name, 'Waxing Gibbous', 'Between first quarter and full');
+    assertEquals(moonPhase(new Date('2026-11-02T00:00:00Z')).name, 'Last Quarter', 'A week after full moon');
+    assertEquals(moonPhase(new Date('2026-11-05T12:00:00Z')).name, 'Waning Crescent', 'Between last quarter and new');
+    console.log();
+
+    // Test 4: Dashboard data
+    console.log('Test 4: Dashboard Data');
+    const noon = getAstronomy(chicago, new Date('2026-10-19T17:00:00Z'));
+    assertEquals(noon.sunrise, '7:08 AM', 'Sunrise in local time');
+    assertEquals(noon.sunset, '6:04 PM', 'Sunset in local time');
+    assertEquals(noon.dayLength, '10h 56m', 'Day length');
+    assert(noon.dayLengthChangeMinutes < -2.5 && noon.dayLengthChangeMinutes > -3, 'Days shorten in October');
+    assertEquals(noon.dayLengthChange.charAt(0), '-', 'Change formatted with sign');
+    assertEquals(noon.isDaylight, true, 'Daylight at noon');
+    assertEquals(getAstronomy(chicago, new Date('2026-10-20T04:00:00Z')).isDaylight, false, 'Dark at 11 PM');
+    assertEquals(getAstronomy(chicago, new Date('2026-10-20T04:00:00Z')).sunrise, '7:08 AM', 'Late evening still uses the local date');
+    assertEquals(typeof noon.moon.illumination, 'number', 'Illumination is a number for when rules');
+    const arctic = getAstronomy(longyearbyen, new Date('2026-12-21T12:00:00Z'));
+    assertEquals(arctic.sunrise, null, 'No sunrise string in polar night');
+    assertEquals(arctic.isDaylight, false, 'Dark all day');
+    console.log();
+
+    // Test 5: Formatting
+    console.log('Test 5: Formatting');
+    assertEquals(formatDuration(667), '11h 07m', 'Day length');
+    assertEquals(formatChange(2.25), '+2m 15s', 'Longer days');
+    assertEquals(formatChange(-0.5), '-30s', 'Under a minute');
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
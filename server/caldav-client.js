@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const ical = require('node-ical');
+
+/**
+ * CalDAV Client
+ * Reads events from a CalDAV calendar collection (Nextcloud, Fastmail,
+ * Radicale, ...) for one calendar source:
+ *
+ *   - the first fetch is a calendar-query REPORT limited to a time range, so
+ *     only events near the display window are transferred
+ *   - later fetches ask for changes since the collection's sync token
+ *     (RFC 6578) and download only new or modified events
+ *   - Basic and Digest authentication (Digest when the server asks for it,
+ *     or always with `"auth": "digest"`)
+ *
+ * The downloaded events and sync token are kept in `stateFile`, so a restart
+ * stays incremental. fetchEvents() returns the same object node-ical's
+ * parsers do, so CalendarService can expand it like any other source.
+ */
+
+const DEFAULT_TIMEOUT = 15000; // ms per request
+
+// A full fetch covers this much past the requested window, so the window can
+// move forward for a while on incremental syncs alone
+const SYNC_MARGIN_MS = 7 * 24 * 60 * 60 * 1000;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const RESPONSE_PATTERN = /<(?:[\w-]+:)?response[\s>][\s\S]*?<\/(?:[\w-]+:)?response>/g;
+
+const DIGEST_HASHES = { 'MD5': 'md5', 'MD5-SESS': 'md5', 'SHA-256': 'sha256', 'SHA-256-SESS': 'sha256' };
+
+/**
+ * UTC time in iCalendar form (20261030T120000Z)
+ */
+function icalTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function decodeXml(text) {
+    const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+    if (cdata) return cdata[1];
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+    });
+}
+
+/**
+ * Text of the first element with a local name, whatever its namespace prefix
+ */
+function elementText(xml, name) {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+function calendarQuery(from, to) {
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">\n' +
+        '  <d:prop><d:getetag/><c:calendar-data/></d:prop>\n' +
+        '  <c:filter>\n' +
+        '    <c:comp-filter name="VCALENDAR">\n' +
+        '      <c:comp-filter name="VEVENT">\n' +
+        `        <c:time-range start="${icalTime(from)}" end="${icalTime(to)}"/>\n` +
+        '      </c:comp-filter>\n' +
+        '    </c:comp-filter>\n' +
+        '  </c:filter>\n' +
+        '</c:calendar-query>\n';
+}
+
+function syncCollection(syncToken) {
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<d:sync-collection xmlns:d="DAV:">\n' +
+        `  <d:sync-token>${escapeXml(syncToken)}</d:sync-token>\n` +
+        '  <d:sync-level>1</d:sync-level>\n' +
+        '  <d:prop><d:getetag/></d:prop>\n' +
+        '</d:sync-collection>\n';
+}
+
+function calendarMultiget(hrefs) {
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">\n' +
+        '  <d:prop><d:getetag/><c:calendar-data/></d:prop>\n' +
+        hrefs.map(href => `  <d:href>${escapeXml(href)}</d:href>\n`).join('') +
+        '</c:calendar-multiget>\n';
+}
+
+const SYNC_TOKEN_PROPFIND = '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<d:propfind xmlns:d="DAV:"><d:prop><d:sync-token/></d:prop></d:propfind>\n';
+
+/**
+ * Split a multistatus response into { href, etag, calendarData, deleted }
+ * entries. `deleted` marks the 404 entries of a sync-collection report.
+ */
+function parseMultistatus(xml) {
+    const responses = xml.match(RESPONSE_PATTERN) || [];
+    return responses.map(response => {
+        const hasProps = /<(?:[\w-]+:)?propstat[\s>]/.test(response);
+        return {
+            href: elementText(response, 'href'),
+            etag: elementText(response, 'getetag'),
+            calendarData: elementText(response, 'calendar-data'),
+            deleted: !hasProps && / 404 /.test(elementText(response, 'status') || '')
+        };
+    });
+}
+
+/**
+ * The Digest challenge in a WWW-Authenticate header, or null
+ */
+function parseDigestChallenge(header) {
+    const value = Array.isArray(header) ? header.join(', ') : header || '';
+    const start = value.search(/digest\s/i);
+    if (start === -1) return null;
+
+    const params = {};
+    const pattern = /([\w-]+)=("([^"]*)"|[^,\s]*)/g;
+    let match;
+    const rest = value.slice(start + 7);
+    while ((match = pattern.exec(rest)) !== null) {
+        const key = match[1].toLowerCase();
+        if (params[key] === undefined) params[key] = match[3] !== undefined ? match[3] : match[2];
+    }
+    return params.nonce ? params : null;
+}
+
+/**
+ * Authorization header answering a Digest challenge (RFC 7616)
+ */
+function digestAuthorization(challenge, { username, password, method, uri, nc, cnonce }) {
+    const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+    const hashName = DIGEST_HASHES[algorithm];
+    if (!hashName) throw new Error(`Unsupported digest algorithm ${challenge.algorithm}`);
+    const hash = text => crypto.createHash(hashName).update(text).digest('hex');
+
+    let ha1 = hash(`${username}:${challenge.realm}:${password}`);
+    if (algorithm.endsWith('-SESS')) ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+    const ha2 = hash(`${method}:${uri}`);
+
+    const qop = challenge.qop && challenge.qop.split(',').map(q => q.trim()).includes('auth') ? 'auth' : null;
+    const count = nc.toString(16).padStart(8, '0');
+    const response = qop
+        ? hash(`${ha1}:${challenge.nonce}:${count}:${cnonce}:${qop}:${ha2}`)
+        : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+    const parts = [
+        `username="${username}"`,
+        `realm="${challenge.realm}"`,
+        `nonce="${challenge.nonce}"`,
+        `uri="${uri}"`,
+        `algorithm=${challenge.algorithm || 'MD5'}`,
+        `response="${response}"`
+    ];
+    if (qop) parts.push(`qop=${qop}`, `nc=${count}`, `cnonce="${cnonce}"`);
+    if (challenge.opaque) parts.push(`opaque="${challenge.opaque}"`);
+    return `Digest ${parts.join(', ')}`;
+}
+
+/**
+ * One HTTP request. Resolves { status, headers, body } for any status.
+ */
+function request(url, options = {}) {
+    const client = new URL(url).protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method: options.method || 'GET',
+            headers: options.headers || {},
+            timeout: options.timeout || DEFAULT_TIMEOUT
+        }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`Request timed out after ${options.timeout || DEFAULT_TIMEOUT}ms`)));
+        req.on('error', reject);
+        if (options.body) req.write(options.body);
+        req.end();
+    });
+}
+
+class CalDavClient {
+    /**
+     * source: { id, url, username, password, auth: 'basic' | 'digest' }
+     * options: { stateFile, timeout }
+     */
+    constructor(source, options = {}) {
+        this.source = source;
+        this.stateFile = options.stateFile || null;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.digest = null; // { challenge, nc } once the server has asked for Digest
+        this.state = this.loadState();
+    }
+
+    /**
+     * Saved { url, syncToken, fetchedTo, resources: { href: { etag, data } } }
+     */
+    loadState() {
+        if (!this.stateFile) return null;
+        try {
+            const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            return state.url === this.source.url ? state : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveState() {
+        if (!this.stateFile) return;
+        try {
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn(`Failed to save CalDAV state for ${this.source.id}: ${error.message}`);
+        }
+    }
+
+    authorization(method, url) {
+        const { username, password = '' } = this.source;
+        if (!username) return {};
+        if (this.digest) {
+            this.digest.nc++;
+            const target = new URL(url);
+            return {
+                Authorization: digestAuthorization(this.digest.challenge, {
+                    username,
+                    password,
+                    method,
+                    uri: target.pathname + target.search,
+                    nc: this.digest.nc,
+                    cnonce: crypto.randomBytes(8).toString('hex')
+                })
+            };
+        }
+        if (this.source.auth === 'digest') return {};
+        return { Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` };
+    }
+
+    /**
+     * Send a WebDAV request, answering a Digest challenge once if needed
+     */
+    async send(method, url, body, depth) {
+        const attempt = () => request(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/xml; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+                Depth: depth,
+                ...this.authorization(method, url)
+            },
+            body,
+            timeout: this.timeout
+        });
+
+        let response = await attempt();
+        if (response.status === 401 && this.source.username) {
+            const challenge = parseDigestChallenge(response.headers['www-authenticate']);
+            if (challenge) {
+                this.digest = { challenge, nc: 0 };
+                response = await attempt();
+            }
+        }
+        if (response.status === 401) {
+            throw new Error(`CalDAV ${method} failed: authentication rejected`);
+        }
+        return response;
+    }
+
+    /**
+     * The collection's current sync token, or null when it has none
+     */
+    async getSyncToken() {
+        const response = await this.send('PROPFIND', this.source.url, SYNC_TOKEN_PROPFIND, '0');
+        return response.status === 207 ? elementText(response.body, 'sync-token') : null;
+    }
+
+    async fullSync(from, to) {
+        const syncToken = await this.getSyncToken(); // before the query, so later changes are picked up next time
+        const fetchedTo = new Date(to.getTime() + SYNC_MARGIN_MS);
+        const response = await this.send('REPORT', this.source.url, calendarQuery(from, fetchedTo), '1');
+        if (response.status !== 207) {
+            throw new Error(`CalDAV REPORT failed: HTTP ${response.status}`);
+        }
+
+        const resources = {};
+        for (const entry of parseMultistatus(response.body)) {
+            if (entry.calendarData) resources[entry.href] = { etag: entry.etag, data: entry.calendarData };
+        }
+        this.state = { url: this.source.url, syncToken, fetchedTo: fetchedTo.toISOString(), resources };
+    }
+
+    /**
+     * Apply changes since the saved sync token. Returns false when the server
+     * refuses the token and a full sync is needed.
+     */
+    async incrementalSync() {
+        const response = await this.send('REPORT', this.source.url, syncCollection(this.state.syncToken), '0');
+        if (response.status !== 207) return false;
+
+        const resources = { ...this.state.resources };
+        const collectionPath = new URL(this.source.url).pathname;
+        const changed = [];
+        for (const entry of parseMultistatus(response.body)) {
+            if (!entry.href || entry.href === collectionPath) continue;
+            if (entry.deleted) {
+                delete resources[entry.href];
+            } else if (!resources[entry.href] || resources[entry.href].etag !== entry.etag) {
+                changed.push(entry.href);
+            }
+        }
+
+        if (changed.length > 0) {
+            const multiget = await this.send('REPORT', this.source.url, calendarMultiget(changed), '1');
+            if (multiget.status !== 207) {
+                throw new Error(`CalDAV multiget failed: HTTP ${multiget.status}`);
+            }
+            for (const entry of parseMultistatus(multiget.body)) {
+                if (entry.calendarData) resources[entry.href] = { etag: entry.etag, data: entry.calendarData };
+            }
+        }
+
+        // The new token sits beside the responses in the multistatus
+        const syncToken = elementText(response.body.replace(RESPONSE_PATTERN, ''), 'sync-token');
+        this.state = { ...this.state, syncToken: syncToken || this.state.syncToken, resources };
+        return true;
+    }
+
+    /**
+     * Events of the collection overlapping [from, to], as parsed iCal data
+     */
+    async fetchEvents(from, to) {
+        const state = this.state;
+        const canSync = state && state.syncToken && new Date(state.fetchedTo) >= to;
+        if (!canSync || !(await this.incrementalSync())) {
+            await this.fullSync(from, to);
+        }
+        this.saveState();
+
+        const calendar = {};
+        for (const resource of Object.values(this.state.resources)) {
+            Object.assign(calendar, ical.sync.parseICS(resource.data));
+        }
+        return calendar;
+    }
+}
+
+CalDavClient.calendarQuery = calendarQuery;
+CalDavClient.parseMultistatus = parseMultistatus;
+CalDavClient.parseDigestChallenge = parseDigestChallenge;
+CalDavClient.digestAuthorization = digestAuthorization;
+
+module.exports = CalDavClient;
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the CalDAV client: time-range queries, sync-token refreshes and
+ * Basic/Digest authentication, run against a small CalDAV stand-in on
+ * localhost
+ * Run with: node server/caldav-client.test.js
+ */
+
+const CalDavClient = require('./caldav-client');
+const CalendarService = require('./calendar-service');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const COLLECTION = '/calendars/alice/family/';
+const USERS = { alice: 'wonderland' };
+const REALM = 'CalDAV test';
+
+function vevent(uid, summary, start, end) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Test//CalDAV stand-in//EN',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        'DTSTAMP:20261001T000000Z',
+        `DTSTART:${start}`,
+        `DTEND:${end}`,
+        `SUMMARY:${summary}`,
+        'END:VEVENT',
+        'END:VCALENDAR',
+        ''
+    ].join('\r\n');
+}
+
+function md5(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+}
+
+function escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * A CalDAV collection in memory. Every change bumps the sync token; a
+ * sync-collection report lists what changed since the token it was given.
+ */
+class CalDavStandIn {
+    constructor(auth) {
+        this.auth = auth; // 'basic' | 'digest'
+        this.resources = new Map(); // href → { etag, data }
+        this.changes = []; // [{ token, href }]
+        this.token = 0;
+        this.requests = [];
+        this.nonce = crypto.randomBytes(8).toString('hex');
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => this.handle(req, res, body));
+        });
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}${COLLECTION}`;
+            resolve();
+        }));
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    put(name, data) {
+        const href = `${COLLECTION}${name}`;
+        this.token++;
+        this.resources.set(href, { etag: `"${this.token}"`, data });
+        this.changes.push({ token: this.token, href });
+    }
+
+    remove(name) {
+        const href = `${COLLECTION}${name}`;
+        this.token++;
+        this.resources.delete(href);
+        this.changes.push({ token: this.token, href });
+    }
+
+    syncToken() {
+        return `http://example.com/sync/${this.token}`;
+    }
+
+    authorized(req) {
+        const header = req.headers.authorization || '';
+        if (this.auth === 'basic') {
+            const [user, password] = Buffer.from(header.replace(/^Basic /, ''), 'base64').toString().split(':');
+            return header.startsWith('Basic ') && USERS[user] === password;
+        }
+        const params = CalDavClient.parseDigestChallenge(header);
+        if (!params || params.nonce !== this.nonce || !USERS[params.username]) return false;
+        const ha1 = md5(`${params.username}:${REALM}:${USERS[params.username]}`);
+        const ha2 = md5(`${req.method}:${params.uri}`);
+        return params.uri === req.url &&
+            params.response === md5(`${ha1}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`);
+    }
+
+    handle(req, res, body) {
+        const type = (body.match(/<[\w-]+:([\w-]+)/) || [])[1];
+        this.requests.push({ method: req.method, type, body, depth: req.headers.depth, authorization: req.headers.authorization });
+
+        if (!this.authorized(req)) {
+            res.writeHead(401, {
+                'WWW-Authenticate': this.auth === 'basic'
+                    ? `Basic realm="${REALM}"`
+                    : `Digest realm="${REALM}", nonce="${this.nonce}", qop="auth", algorithm=MD5`
+            });
+            return res.end();
+        }
+
+        if (req.method === 'PROPFIND') {
+            return this.multistatus(res, `<d:response><d:href>${COLLECTION}</d:href><d:propstat><d:prop>` +
+                `<d:sync-token>${this.syncToken()}</d:sync-token></d:prop>` +
+                '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>');
+        }
+
+        if (type === 'calendar-query') {
+            return this.multistatus(res, [...this.resources.keys()].map(href => this.resource(href, true)).join(''));
+        }
+
+        if (type === 'calendar-multiget') {
+            const hrefs = [...body.matchAll(/<d:href>([^<]*)<\/d:href>/g)].map(match => match[1]);
+            return this.multistatus(res, hrefs.filter(href => this.resources.has(href)).map(href => this.resource(href, true)).join(''));
+        }
+
+        if (type === 'sync-collection') {
+            const since = Number((body.match(/sync\/(\d+)<\/d:sync-token>/) || [])[1]);
+            if (!Number.isInteger(since) || since > this.token) {
+                res.writeHead(403, { 'Content-Type': 'application/xml' });
+                return res.end('<?xml version="1.0"?><d:error xmlns:d="DAV:"><d:valid-sync-token/></d:error>');
+            }
+            const hrefs = new Set(this.changes.filter(change => change.token > since).map(change => change.href));
+            const responses = [...hrefs].map(href => this.resources.has(href)
+                ? this.resource(href, false)
+                : `<d:response><d:href>${href}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`);
+            return this.multistatus(res, responses.join('') + `<d:sync-token>${this.syncToken()}</d:sync-token>`);
+        }
+
+        res.writeHead(400);
+        res.end();
+    }
+
+    resource(href, withData) {
+        const { etag, data } = this.resources.get(href);
+        const calendarData = withData ? `<cal:calendar-data>${escape(data)}</cal:calendar-data>` : '';
+        return `<d:response><d:href>${href}</d:href><d:propstat><d:prop>` +
+            `<d:getetag>${escape(etag)}</d:getetag>${calendarData}</d:prop>` +
+            '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>';
+    }
+
+    multistatus(res, responses) {
+        res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+        res.end('<?xml version="1.0" encoding="utf-8"?>\n' +
+            '<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">' + responses + '</d:multistatus>');
+    }
+
+    reports(type) {
+        return this.requests.filter(request => request.type === type && request.method === 'REPORT');
+    }
+}
+
+function summaries(data) {
+    return Object.values(data).filter(item => item.type === 'VEVENT').map(event => event.summary).sort().join(',');
+}
+
+const from = new Date('2026-10-27T12:00:00Z');
+const to = new Date('2026-11-05T12:00:00Z');
+
+async function runTests() {
+    console.log('\n🧪 Running CalDAV Client Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caldav-client-test-'));
+    const digest = new CalDavStandIn('digest');
+    await digest.listen();
+    digest.put('dentist.ics', vevent('dentist-1', 'Dentist', '20261029T150000Z', '20261029T160000Z'));
+    digest.put('soccer.ics', vevent('soccer-1', 'Soccer practice', '20261031T140000Z', '20261031T153000Z'));
+
+    try {
+        // Test 1: Parsing server responses
+        console.log('Test 1: Multistatus and Challenges');
+        const entries = CalDavClient.parseMultistatus(
+            '<D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">' +
+            '<D:response><D:href>/cal/a.ics</D:href><D:propstat><D:prop><D:getetag>&quot;7&quot;</D:getetag>' +
+            '<C:calendar-data><![CDATA[BEGIN:VCALENDAR\r\nEND:VCALENDAR]]></C:calendar-data></D:prop>' +
+            '<D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>' +
+            '<D:response><D:href>/cal/b.ics</D:href><D:status>HTTP/1.1 404 Not Found</D:status></D:response>' +
+            '</D:multistatus>');
+        assertEquals(entries.length, 2, 'Two responses');
+        assertEquals(entries[0].etag, '"7"', 'Entities decoded in the etag');
+        assert(entries[0].calendarData.startsWith('BEGIN:VCALENDAR'), 'CDATA calendar data');
+        assert(!entries[0].deleted && entries[1].deleted, '404 marks a deleted entry');
+        const challenge = CalDavClient.parseDigestChallenge(['Basic realm="x"', 'Digest realm="Cal, Inc", nonce="abc", qop="auth,auth-int", algorithm=SHA-256']);
+        assertEquals(challenge.realm, 'Cal, Inc', 'Quoted values may hold commas');
+        assertEquals(challenge.algorithm, 'SHA-256', 'Unquoted values');
+        assertEquals(CalDavClient.parseDigestChallenge('Basic realm="x"'), null, 'No Digest challenge');
+        const query = CalDavClient.calendarQuery(from, to);
+        assert(query.includes('<c:time-range start="20261027T120000Z" end="20261105T120000Z"/>'), 'Time range in iCalendar form');
+        console.log();
+
+        // Test 2: First fetch with Digest authentication
+        console.log('Test 2: Full Fetch');
+        const stateFile = path.join(stateDir, 'caldav_family.json');
+        const source = { id: 'family', url: digest.url, username: 'alice', password: 'wonderland' };
+        const client = new CalDavClient(source, { stateFile });
+        const first = await client.fetchEvents(from, to);
+        assertEquals(summaries(first), 'Dentist,Soccer practice', 'Events downloaded');
+        const propfinds = digest.requests.filter(request => request.method === 'PROPFIND');
+        assertEquals(propfinds.length, 2, 'First request retried once after the Digest challenge');
+        assert(propfinds[0].authorization.startsWith('Basic ') && propfinds[1].authorization.startsWith('Digest '), 'Basic first, then Digest');
+        const queries = digest.reports('calendar-query');
+        assertEquals(queries.length, 1, 'One calendar query');
+        assert(queries[0].body.includes('start="20261027T120000Z" end="20261112T120000Z"'), 'Query limited to the window plus a week');
+        assertEquals(queries[0].depth, '1', 'Query has Depth 1');
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        assertEquals(saved.syncToken, 'http://example.com/sync/2', 'Sync token saved');
+        assertEquals(Object.keys(saved.resources).length, 2, 'Events saved');
+        console.log();
+
+        // Test 3: Incremental refreshes
+        console.log('Test 3: Sync Token Refresh');
+        digest.requests = [];
+        const unchanged = await client.fetchEvents(from, to);
+        assertEquals(summaries(unchanged), 'Dentist,Soccer practice', 'Nothing changed');
+        assertEquals(digest.reports('calendar-query').length, 0, 'No full query');
+        assertEquals(digest.reports('calendar-multiget').length, 0, 'Nothing downloaded');
+        assertEquals(digest.requests.length, 1, 'Digest reused without a new challenge');
+
+        digest.put('soccer.ics', vevent('soccer-1', 'Soccer practice (moved)', '20261031T160000Z', '20261031T173000Z'));
+        digest.put('party.ics', vevent('party-1', 'Birthday party', '20261101T200000Z', '20261101T230000Z'));
+        digest.remove('dentist.ics');
+        digest.requests = [];
+        const changed = await client.fetchEvents(from, to);
+        assertEquals(summaries(changed), 'Birthday party,Soccer practice (moved)', 'Changes applied');
+        const multiget = digest.reports('calendar-multiget');
+        assertEquals(multiget.length, 1, 'Changed events fetched in one multiget');
+        assert(multiget[0].body.includes('party.ics') && multiget[0].body.includes('soccer.ics') && !multiget[0].body.includes('dentist.ics'),
+            'Only new and modified events downloaded');
+        assertEquals(client.state.syncToken, 'http://example.com/sync/5', 'Sync token advanced');
+        console.log();
+
+        // Test 4: Falling back to a full fetch
+        console.log('Test 4: Full Fetch Fallbacks');
+        const restarted = new CalDavClient(source, { stateFile });
+        digest.requests = [];
+        await restarted.fetchEvents(from, to);
+        assertEquals(digest.reports('calendar-query').length, 0, 'State reloaded after a restart');
+        fs.writeFileSync(stateFile, JSON.stringify({ ...JSON.parse(fs.readFileSync(stateFile, 'utf8')), syncToken: 'http://example.com/sync/99' }));
+        digest.requests = [];
+        const invalid = await new CalDavClient(source, { stateFile }).fetchEvents(from, to);
+        assertEquals(digest.reports('calendar-query').length, 1, 'Rejected token falls back to a full query');
+        assertEquals(summaries(invalid), 'Birthday party,Soccer practice (moved)', 'Events after the fallback');
+        digest.requests = [];
+        await restarted.fetchEvents(from, new Date('2026-11-20T00:00:00Z'));
+        assertEquals(digest.reports('calendar-query').length, 1, 'Window past the fetched range needs a full query');
+        digest.requests = [];
+        await new CalDavClient({ ...source, url: `${digest.url}?other` }, { stateFile }).fetchEvents(from, to);
+        assertEquals(digest.reports('calendar-query').length, 1, 'State of another URL ignored');
+        console.log();
+
+        // Test 5: Basic authentication and rejected credentials
+        console.log('Test 5: Authentication');
+        const basic = new CalDavStandIn('basic');
+        await basic.listen();
+        basic.put('dentist.ics', vevent('dentist-1', 'Dentist', '20261029T150000Z', '20261029T160000Z'));
+        try {
+            const viaBasic = await new CalDavClient({ id: 'work', url: basic.url, username: 'alice', password: 'wonderland' }).fetchEvents(from, to);
+            assertEquals(summaries(viaBasic), 'Dentist', 'Basic authentication');
+            assert(basic.requests.every(request => (request.authorization || '').startsWith('Basic ')), 'Credentials sent up front');
+            assertEquals(basic.requests.length, 2, 'No challenge round trip');
+
+            let error = null;
+            try {
+                await new CalDavClient({ id: 'work', url: basic.url, username: 'alice', password: 'wrong' }).fetchEvents(from, to);
+            } catch (e) {
+                error = e;
+            }
+            assert(error && error.message.includes('authentication rejected'), 'Wrong Basic password rejected');
+        } finally {
+            await basic.close();
+        }
+
+        let error = null;
+        try {
+            await new CalDavClient({ ...source, password: 'wrong' }).fetchEvents(from, to);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.includes('authentication rejected'), 'Wrong Digest password rejected');
+        digest.requests = [];
+        await new CalDavClient({ ...source, auth: 'digest' }).fetchEvents(from, to);
+        assert(!digest.requests[0].authorization, 'auth: digest never sends the password in Basic form');
+        console.log();
+
+        // Test 6: CalDAV sources in CalendarService
+        console.log('Test 6: Calendar Service');
+        const calendar = new CalendarService({
+            cacheDir: stateDir,
+            cacheKey: 'kitchen',
+            timezone: 'America/Chicago',
+            sources: [{ id: 'family', type: 'caldav', url: digest.url, username: 'alice', password: 'wonderland', label: '♥' }]
+        });
+        const now = new Date('2026-10-30T12:00:00Z');
+        const data = await calendar.fetchCalendarData(now);
+        assertEquals(data.events.map(event => event.summary).join(','), 'Soccer practice (moved),Birthday party', 'Events expanded and sorted');
+        assert(data.events.every(event => event.sourceId === 'family'), 'Tagged with the source');
+        assert(fs.existsSync(path.join(stateDir, 'caldav_kitchen_family.json')), 'Sync state stored per device and source');
+        digest.requests = [];
+        await calendar.fetchCalendarData(now);
+        assertEquals(digest.reports('sync-collection').length, 1, 'Second fetch is incremental');
+        assertEquals(digest.reports('calendar-query').length, 0, 'No full query on the second fetch');
+        const formatted = calendar.formatForDashboard(data, now);
+        assertEquals(formatted.tomorrow.map(event => `${event.source} ${event.name}`).join(','), '♥ Soccer practice (moved)', 'Formatted with the source label');
+        console.log();
+    } finally {
+        await digest.close();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
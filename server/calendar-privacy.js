@@ -0,0 +1,104 @@
+/**
+ * Calendar Privacy
+ * Rules for dashboards in shared spaces, applied when events are formatted:
+ *
+ *   {
+ *     "rules": [
+ *       { "calendars": ["work"], "action": "busy" },
+ *       { "keywords": ["therapy"], "action": "hide" },
+ *       { "categories": ["Private"], "action": "busy" }
+ *     ],
+ *     "strip": ["links", "phone"],
+ *     "stripPatterns": ["\\bPIN:? *\\d+"],
+ *     "quiet": false
+ *   }
+ *
+ * A rule matches an event when all of the lists it sets match: `keywords`
+ * against the title, `categories` against the event's categories and
+ * `calendars` against its source id (all case-insensitive). A rule with no
+ * lists matches every event. The first matching rule wins: `hide` drops the
+ * event, `busy` shows it as "Busy".
+ *
+ * `strip` removes built-in patterns from the titles that are shown, and
+ * `stripPatterns` adds regular expressions of your own. A title left empty
+ * becomes "Busy". `quiet` shows only how many events there are.
+ */
+
+const BUSY_TITLE = 'Busy';
+
+const RULE_ACTIONS = ['hide', 'busy'];
+
+const STRIP_PATTERNS = {
+    // Any URL, plus meeting links written without a scheme
+    links: /(?:https?:\/\/|www\.)[^\s)\]>]+|\b(?:[\w-]+\.)*(?:zoom\.us|meet\.google\.com|teams\.microsoft\.com)\/[^\s)\]>]*/gi,
+    phone: /\+?\d[\d\s().-]{6,}\d/g,
+    email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    // "Meeting ID: 812 3456 7890", "Passcode: 123456"
+    'meeting-ids': /\b(?:meeting id|passcode|password|pin)\b:?\s*[\w-]+(?:\s\d+)*/gi
+};
+
+const PRIVACY_DEFAULTS = {
+    rules: [],
+    strip: [],
+    stripPatterns: [],
+    quiet: false
+};
+
+function normalizePrivacy(privacy) {
+    const settings = { ...PRIVACY_DEFAULTS, ...privacy };
+    return {
+        ...settings,
+        patterns: [
+            ...settings.strip.map(name => STRIP_PATTERNS[name]),
+            ...settings.stripPatterns.map(pattern => new RegExp(pattern, 'gi'))
+        ]
+    };
+}
+
+function listMatches(list, values) {
+    if (!list) return true;
+    const lowered = values.map(value => String(value).toLowerCase());
+    return list.some(item => lowered.some(value => value === item.toLowerCase()));
+}
+
+/**
+ * Whether a rule applies to an event
+ */
+function ruleMatches(rule, event) {
+    const title = (event.summary || '').toLowerCase();
+    return (!rule.keywords || rule.keywords.some(word => title.includes(word.toLowerCase()))) &&
+        listMatches(rule.categories, event.categories || []) &&
+        listMatches(rule.calendars, event.sourceId ? [event.sourceId] : []);
+}
+
+/**
+ * Remove the privacy patterns from a title, tidying what is left
+ */
+function stripTitle(title, patterns) {
+    let stripped = patterns.reduce((text, pattern) => text.replace(pattern, ' '), title);
+    stripped = stripped
+        .replace(/\(\s*\)|\[\s*\]/g, ' ')
+        .replace(/\s{2,}/g, ' ')
+        .replace(/^[\s\-–—:|,;@]+|[\s\-–—:|,;@]+$/g, '');
+    return stripped || BUSY_TITLE;
+}
+
+/**
+ * The title to show for an event, or null when it is hidden
+ */
+function displayTitle(event, privacy) {
+    const rule = privacy.rules.find(candidate => ruleMatches(candidate, event));
+    if (rule && rule.action === 'hide') return null;
+    if (rule && rule.action === 'busy') return BUSY_TITLE;
+    return privacy.patterns.length > 0 ? stripTitle(event.summary || '', privacy.patterns) : event.summary;
+}
+
+module.exports = {
+    BUSY_TITLE,
+    RULE_ACTIONS,
+    STRIP_PATTERNS,
+    displayTitle,
+    normalizePrivacy,
+    ruleMatches,
+    stripTitle
+};
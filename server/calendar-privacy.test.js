@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for calendar privacy rules: hidden events, "Busy" titles, stripped
+ * links and phone numbers, and quiet mode, run offline against the .ics
+ * files in fixtures/calendar/
+ * Run with: node server/calendar-privacy.test.js
+ */
+
+const { displayTitle, normalizePrivacy, stripTitle, STRIP_PATTERNS } = require('./calendar-privacy');
+const CalendarService = require('./calendar-service');
+const { getConfig, validateConfig } = require('./config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const now = new Date('2026-10-28T12:00:00Z'); // Wednesday 7 AM in Chicago
+
+const sources = [
+    { id: 'work', type: 'file', path: 'fixtures/calendar/recurring.ics', priority: 10 },
+    { id: 'family', type: 'file', path: 'fixtures/calendar/family.ics', dedupe: 'title' }
+];
+
+function names(events) {
+    return events.map(event => event.name).join(', ');
+}
+
+function privacyErrors(privacy) {
+    const config = getConfig();
+    return validateConfig({ ...config, calendar: { ...config.calendar, privacy } })
+        .filter(error => error.startsWith('calendar.privacy'));
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Calendar Privacy Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-privacy-test-'));
+    const format = async (privacy) => {
+        const service = new CalendarService({ cacheDir, timezone: 'America/Chicago', sources, privacy });
+        return service.formatForDashboard(await service.fetchCalendarData(now), now);
+    };
+
+    // Test 1: Rules
+    console.log('Test 1: Matching Rules');
+    const privacy = normalizePrivacy({
+        rules: [
+            { keywords: ['dentist'], action: 'hide' },
+            { categories: ['private'], action: 'busy' },
+            { calendars: ['work'], keywords: ['standup'], action: 'busy' }
+        ]
+    });
+    assertEquals(displayTitle({ summary: 'Dentist checkup' }, privacy), null, 'Hidden by keyword');
+    assertEquals(displayTitle({ summary: 'Appointment', categories: ['Private'] }, privacy), 'Busy', 'Busy by category, case-insensitive');
+    assertEquals(displayTitle({ summary: 'Team standup', sourceId: 'work' }, privacy), 'Busy', 'Calendar and keyword both match');
+    assertEquals(displayTitle({ summary: 'Team standup', sourceId: 'family' }, privacy), 'Team standup', 'Every list of a rule must match');
+    assertEquals(displayTitle({ summary: 'Private dinner' }, privacy), 'Private dinner', 'Categories are not matched against the title');
+    assertEquals(displayTitle({ summary: 'Lunch' }, normalizePrivacy({ rules: [{ action: 'busy' }] })), 'Busy', 'A rule without lists matches everything');
+    console.log();
+
+    // Test 2: Stripping patterns
+    console.log('Test 2: Stripped Titles');
+    const links = [STRIP_PATTERNS.links];
+    assertEquals(stripTitle('Sync https://us02web.zoom.us/j/81234567890?pwd=abc', links), 'Sync', 'Zoom link');
+    assertEquals(stripTitle('Planning (meet.google.com/abc-defg-hij)', links), 'Planning', 'Meeting link without a scheme');
+    assertEquals(stripTitle('Call Bob: +1 (312) 555-0100', [STRIP_PATTERNS.phone]), 'Call Bob', 'Phone number and its separator');
+    assertEquals(stripTitle('Lunch with ann@example.com', [STRIP_PATTERNS.email]), 'Lunch with', 'Email address');
+    assertEquals(stripTitle('Board call Meeting ID: 812 3456 7890', [STRIP_PATTERNS['meeting-ids']]), 'Board call', 'Meeting ID');
+    assertEquals(stripTitle('Review 2026 Q4 plan', [STRIP_PATTERNS.phone]), 'Review 2026 Q4 plan', 'Short numbers kept');
+    assertEquals(stripTitle('https://zoom.us/j/1', links), 'Busy', 'Empty title becomes Busy');
+    const custom = normalizePrivacy({ stripPatterns: ['\\bcode \\d+'] });
+    assertEquals(displayTitle({ summary: 'Gate Code 4411 for guests' }, custom), 'Gate for guests', 'Custom pattern, case-insensitive');
+    console.log();
+
+    // Test 3: Formatted dashboard data
+    console.log('Test 3: Dashboard Data');
+    const plain = await format(undefined);
+    assertEquals(names(plain.tomorrow), 'Dentist, Soccer practice', 'No rules by default');
+    const redacted = await format({
+        rules: [
+            { keywords: ['dentist'], action: 'hide' },
+            { calendars: ['family'], categories: ['kids'], action: 'busy' }
+        ]
+    });
+    assertEquals(names(redacted.tomorrow), 'Busy', 'Hidden and busy events tomorrow');
+    assertEquals(redacted.tomorrow[0].time, '5:00 PM', 'Busy events keep their time');
+    assertEquals(redacted.nextChange, '2026-10-29T22:00:00.000Z', 'Hidden events do not trigger refreshes');
+    assert(!JSON.stringify(redacted).includes('Dentist'), 'Hidden title appears nowhere');
+    console.log();
+
+    // Test 4: Quiet mode
+    console.log('Test 4: Quiet Mode');
+    const quiet = await format({ quiet: true, rules: [{ categories: ['private'], action: 'hide' }] });
+    assert(quiet.quiet, 'Marked quiet');
+    assertEquals(quiet.today.length + quiet.tomorrow.length + quiet.upcoming.length, 0, 'No event details');
+    assertEquals(quiet.counts.tomorrow, 2, 'Tomorrow count');
+    assertEquals(quiet.counts.upcoming, plain.upcoming.length - 1, 'Hidden events are not counted');
+    assertEquals(quiet.nextChange, plain.nextChange, 'Refresh timing unchanged');
+    assert(!JSON.stringify(quiet).includes('Soccer'), 'No titles in quiet mode');
+    console.log();
+
+    // Test 5: Config validation
+    console.log('Test 5: Config Validation');
+    assertEquals(privacyErrors({ rules: [{ calendars: ['work'], action: 'busy' }], strip: ['links', 'phone'], quiet: true }).length, 0, 'Valid privacy settings');
+    assert(privacyErrors({ rules: [{ keywords: ['x'] }] })[0].includes('action: is required'), 'Rule action required');
+    assert(privacyErrors({ rules: [{ action: 'blur' }] })[0].includes('must be one of'), 'Unknown action rejected');
+    assert(privacyErrors({ rules: [{ action: 'hide', title: 'x' }] })[0].includes('unknown privacy rule setting'), 'Unknown rule setting rejected');
+    assert(privacyErrors({ strip: ['faxes'] })[0].includes('"faxes"'), 'Unknown built-in pattern rejected');
+    assert(privacyErrors({ stripPatterns: ['(unclosed'] })[0].includes('not a valid regular expression'), 'Invalid pattern rejected');
+    assertEquals(privacyErrors('quiet').length, 1, 'Must be an object');
+    console.log();
+
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
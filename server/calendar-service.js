@@ -3,20 +3,99 @@
 const ical = require('node-ical');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
+const { loadSource, matchesFilters, mergeSources, normalizeSources } = require('./calendar-sources');
+const { displayTitle, normalizePrivacy } = require('./calendar-privacy');
+const CalDavClient = require('./caldav-client');
 
 /**
  * Calendar Service Module using iCal
  * Fetches calendar events with caching and error handling
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences are expanded from a day back (events still running) to a day
+// past the 7-day display window, so any timezone's "today" is covered
+const DEFAULT_WINDOW = { before: 1, after: 8 }; // days
+
+// How far ahead countdown events are looked for, unless the component says
+const COUNTDOWN_LOOKAHEAD_DAYS = 90;
+
+// Windows for components that show more than the 7 days, from their config.
+// A month grid can start up to 6 days before the 1st and end up to 6 days
+// after the last day.
+const COMPONENT_WINDOWS = {
+    'calendar-month': () => ({ before: 38, after: 44 }),
+    'calendar-week': () => ({ before: 7, after: 8 }),
+    'countdown': config => ({ before: 1, after: (config.lookaheadDays || COUNTDOWN_LOOKAHEAD_DAYS) + 1 })
+};
+
+const COUNTDOWN_DEFAULTS = {
+    categories: [],
+    keywords: [],
+    events: []
+};
+
+/**
+ * Milliseconds a timezone's wall clock is ahead of UTC at an instant
+ */
+function timezoneOffset(time, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(time));
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * YYYY-MM-DD of a wall-clock date (local fields)
+ */
+function dateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+function daysBetween(fromKey, toKey) {
+    return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Midnight at the start of a calendar date in a timezone
+ */
+function startOfDayIn(year, month, day, timezone) {
+    const guess = Date.UTC(year, month, day);
+    const first = guess - timezoneOffset(guess, timezone);
+    // Second pass picks up a DST change between the guess and local midnight
+    return new Date(guess - timezoneOffset(first, timezone));
+}
+
 class CalendarService {
     constructor(options = {}) {
-        this.calendarUrl = options.calendarUrl ||
-            'https://p131-caldav.icloud.com/published/2/MjI5OTUzMTIyMjI5OTUzMZLhbQwURkdD4X6iOELPaSGd-SFwu4bBeQeKF-HiOzWVvNRHxpB7SgCR2AETucFgtWqk_4S6kyx6HqeH7RvKT3Q';
-        this.timezone = options.timezone || 'America/Chicago';
+        const config = getConfig();
+        this.calendarUrl = options.calendarUrl || config.calendar.url;
+        // Explicit sources win; a calendarUrl on its own is a single iCal source
+        const sources = options.sources || (options.calendarUrl ? null : config.calendar.sources);
+        this.sources = normalizeSources(sources || [{ id: 'calendar', url: this.calendarUrl }]);
+        this.timezone = options.timezone || config.location.timezone;
+        this.privacy = normalizePrivacy(options.privacy || config.calendar.privacy || {});
+        this.countdowns = { ...COUNTDOWN_DEFAULTS, ...(options.countdowns || config.calendar.countdowns) };
         this.cacheDir = options.cacheDir || path.join(__dirname, '..', 'cache');
         this.cacheTimeout = options.cacheTimeout || 15 * 60 * 1000; // 15 minutes
+        this.cacheKey = options.cacheKey || null; // Separates cache files per device
         this.mockData = options.mockData || false;
+        this.caldavClients = new Map(); // source id → CalDavClient (keeps sync state)
 
         // Ensure cache directory exists
         if (!fs.existsSync(this.cacheDir)) {
@@ -25,7 +104,21 @@ class CalendarService {
     }
 
     getCacheFilePath() {
-        return path.join(this.cacheDir, 'calendar_cache.json');
+        const fileName = this.cacheKey ? `calendar_cache_${this.cacheKey}.json` : 'calendar_cache.json';
+        return path.join(this.cacheDir, fileName);
+    }
+
+    /**
+     * CalDAV client for a source, with its sync state saved next to the cache
+     */
+    getCalDavClient(source) {
+        if (!this.caldavClients.has(source.id)) {
+            const prefix = this.cacheKey ? `caldav_${this.cacheKey}` : 'caldav';
+            this.caldavClients.set(source.id, new CalDavClient(source, {
+                stateFile: path.join(this.cacheDir, `${prefix}_${source.id}.json`)
+            }));
+        }
+        return this.caldavClients.get(source.id);
     }
 
     isCacheValid() {
@@ -80,27 +173,94 @@ class CalendarService {
     }
 
     /**
-     * Fetch raw calendar data from iCal URL
+     * Fetch every calendar source, with recurring events expanded around the
+     * display window, and merge them. A source that fails keeps the events it
+     * had in the cache; the fetch only fails when every source does.
      */
-    async fetchCalendarData() {
-        const data = await ical.async.fromURL(this.calendarUrl);
-        const events = Object.values(data).filter(e => e.type === 'VEVENT');
+    async fetchCalendarData(now = new Date(), window = DEFAULT_WINDOW) {
+        const from = new Date(now.getTime() - window.before * DAY_MS);
+        const to = new Date(now.getTime() + window.after * DAY_MS);
+        const previous = this.loadCachedData();
+        const errors = [];
+
+        const results = await Promise.all(this.sources.map(async (source) => {
+            try {
+                const data = await loadSource(source, from, to, {
+                    caldavClient: source.type === 'caldav' ? this.getCalDavClient(source) : null
+                });
+                const events = this.expandEvents(data, from, to)
+                    .filter(event => matchesFilters(event, source))
+                    .map(event => ({ ...event, sourceId: source.id }));
+                return { source, events };
+            } catch (error) {
+                console.warn(`Calendar source ${source.id} failed: ${error.message}`);
+                errors.push(error);
+                const cached = previous && Array.isArray(previous.events)
+                    ? previous.events.filter(event => event.sourceId === source.id)
+                    : [];
+                return { source, events: cached };
+            }
+        }));
+
+        if (errors.length === this.sources.length) {
+            throw errors[0];
+        }
+
         return {
-            events: events.map(e => ({
-                summary: e.summary || 'Untitled',
-                start: new Date(e.start).toISOString(),
-                end: new Date(e.end).toISOString(),
-                allDay: e.datetype === 'date'
-            })),
+            events: mergeSources(results),
             _source: 'api',
+            _window: window,
             _timestamp: Date.now()
         };
     }
 
     /**
-     * Get calendar data with caching
+     * Turn parsed iCal data into the event occurrences between two dates,
+     * sorted by start. RRULEs are expanded in the event's own timezone, so a
+     * 9:30 standup stays at 9:30 across daylight-saving changes. EXDATEs are
+     * skipped, RECURRENCE-ID overrides replace the occurrence they modify and
+     * cancelled events or occurrences are left out.
      */
-    async getCalendarData() {
+    expandEvents(data, from, to) {
+        const occurrences = [];
+
+        for (const event of Object.values(data)) {
+            if (!event || event.type !== 'VEVENT' || event.status === 'CANCELLED') continue;
+
+            const instances = ical.expandRecurringEvent(event, { from, to, expandOngoing: true });
+            for (const instance of instances) {
+                if (instance.event && instance.event.status === 'CANCELLED') continue;
+
+                let start = new Date(instance.start);
+                let end = new Date(instance.end || instance.start);
+                if (instance.isFullDay) {
+                    // Dates are parsed as server-local midnight; pin them to the dashboard's timezone
+                    start = startOfDayIn(start.getFullYear(), start.getMonth(), start.getDate(), this.timezone);
+                    end = startOfDayIn(end.getFullYear(), end.getMonth(), end.getDate(), this.timezone);
+                    if (end <= start) end = new Date(start.getTime() + DAY_MS);
+                }
+
+                const categories = (instance.event && instance.event.categories) || event.categories || [];
+                occurrences.push({
+                    summary: instance.summary || event.summary || 'Untitled',
+                    start: start.toISOString(),
+                    end: end.toISOString(),
+                    allDay: instance.isFullDay,
+                    uid: event.uid || null,
+                    categories: Array.isArray(categories) ? categories : [categories]
+                });
+            }
+        }
+
+        return occurrences.sort((a, b) => new Date(a.start) - new Date(b.start));
+    }
+
+    /**
+     * Get calendar data with caching. `window` ({ before, after } in days
+     * around now) is how far events are needed; a cache fetched for a
+     * smaller window is refetched.
+     */
+    async getCalendarData(window = DEFAULT_WINDOW) {
         if (this.mockData) {
             return { _source: 'mock', ...this.getMockCalendarData() };
         }
@@ -108,14 +268,15 @@ class CalendarService {
         // Check cache first
         if (this.isCacheValid()) {
             const cachedData = this.loadCachedData();
-            if (cachedData) {
+            const cachedWindow = (cachedData && cachedData._window) || DEFAULT_WINDOW;
+            if (cachedData && cachedWindow.before >= window.before && cachedWindow.after >= window.after) {
                 cachedData._source = 'cache';
                 return cachedData;
             }
         }
 
         try {
-            const data = await this.fetchCalendarData();
+            const data = await this.fetchCalendarData(new Date(), window);
             this.saveCachedData(data);
             return data;
         } catch (error) {
@@ -134,17 +295,20 @@ class CalendarService {
     }
 
     /**
-     * Format calendar data for dashboard display
+     * Format calendar data for dashboard display. Privacy rules hide or
+     * redact titles here; in quiet mode only the number of events per day
+     * is returned (counts) and the event lists are empty.
+     *
+     * `days` maps each local date of the fetched window (YYYY-MM-DD) to the
+     * events on it, for the month and week grids; `date` is today's key.
+     * `countdowns` lists the pinned events ahead, nearest first.
      */
-    formatForDashboard(calendarData) {
+    formatForDashboard(calendarData, now = new Date()) {
         // If already formatted (mock data), return as-is
         if (calendarData.today) {
             return calendarData;
         }
 
-        const now = new Date();
-        const DAY_MS = 24 * 60 * 60 * 1000;
-
         // Get day boundaries in local timezone
         const localNow = new Date(now.toLocaleString('en-US', { timeZone: this.timezone }));
         const todayStart = new Date(localNow.getFullYear(), localNow.getMonth(), localNow.getDate());
@@ -155,21 +319,50 @@ class CalendarService {
         const todayEvents = [];
         const tomorrowEvents = [];
         const upcomingEvents = [];
+        let nextChange = null; // earliest event start or end still ahead
+
+        const window = calendarData._window || DEFAULT_WINDOW;
+        const firstDay = new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate() - window.before);
+        const lastDay = new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate() + window.after);
+        const days = {};
+        const countdowns = new Map(); // uid or title → next occurrence
+
+        for (const calendarEvent of calendarData.events) {
+            const title = displayTitle(calendarEvent, this.privacy);
+            if (title === null) continue; // hidden by a privacy rule
+            const event = title === calendarEvent.summary ? calendarEvent : { ...calendarEvent, summary: title };
 
-        for (const event of calendarData.events) {
             const start = new Date(event.start);
             const end = new Date(event.end);
 
+            for (const edge of [start, end]) {
+                if (edge > now && edge < upcomingEnd && (!nextChange || edge < nextChange)) {
+                    nextChange = edge;
+                }
+            }
+
             // Convert to local time for comparison
             const localStart = new Date(start.toLocaleString('en-US', { timeZone: this.timezone }));
             const localEnd = new Date(end.toLocaleString('en-US', { timeZone: this.timezone }));
 
+            this.addToDays(days, event, localStart, localEnd, firstDay, lastDay);
+
+            // Countdowns keep the next occurrence of each pinned event
+            const countdownKey = calendarEvent.uid || calendarEvent.summary;
+            if (localStart >= todayStart && this.isCountdown(calendarEvent) && !countdowns.has(countdownKey)) {
+                countdowns.set(countdownKey, {
+                    name: event.summary,
+                    date: dateKey(localStart),
+                    source: this.sourceLabel(event.sourceId)
+                });
+            }
+
             // Today's events (not yet ended)
             if (localStart < tomorrowStart && localEnd > localNow && localStart >= todayStart) {
                 todayEvents.push(this.formatEvent(event, start));
             }
             // All-day events that span today
-            else if (event.allDay && start <= todayStart && end > todayStart && localEnd > localNow) {
+            else if (event.allDay && localStart <= todayStart && localEnd > todayStart && localEnd > localNow) {
                 todayEvents.push(this.formatEvent(event, start));
             }
 
@@ -178,7 +371,7 @@ class CalendarService {
                 tomorrowEvents.push(this.formatEvent(event, start));
             }
             // All-day events that span tomorrow
-            else if (event.allDay && start <= tomorrowStart && end > tomorrowStart) {
+            else if (event.allDay && localStart <= tomorrowStart && localEnd > tomorrowStart) {
                 tomorrowEvents.push(this.formatEvent(event, start));
             }
 
@@ -186,7 +379,7 @@ class CalendarService {
             if (localStart >= dayAfterTomorrow && localStart < upcomingEnd) {
                 upcomingEvents.push(this.formatEvent(event, start, true));
             }
-            else if (event.allDay && start <= dayAfterTomorrow && end > dayAfterTomorrow && localStart < upcomingEnd) {
+            else if (event.allDay && localStart <= dayAfterTomorrow && localEnd > dayAfterTomorrow && localStart < upcomingEnd) {
                 upcomingEvents.push(this.formatEvent(event, start, true));
             }
         }
@@ -202,15 +395,104 @@ class CalendarService {
         tomorrowEvents.sort(sortFn);
         upcomingEvents.sort((a, b) => a._sortTime - b._sortTime);
 
+        // In quiet mode only the countdowns written in the config are shown
+        const today = dateKey(todayStart);
+        const pinned = [...(this.privacy.quiet ? [] : countdowns.values()), ...this.localCountdowns(today)]
+            .map(countdown => ({ ...countdown, days: daysBetween(today, countdown.date) }))
+            .sort((a, b) => a.days - b.days || a.name.localeCompare(b.name));
+
+        const shared = {
+            date: today,
+            days,
+            countdowns: pinned,
+            nextChange: nextChange ? nextChange.toISOString() : null,
+            source: calendarData._source || 'unknown',
+            _timestamp: calendarData._timestamp
+        };
+
+        if (this.privacy.quiet) {
+            for (const dayEvents of Object.values(days)) {
+                dayEvents.forEach(dayEvent => { dayEvent.name = null; });
+            }
+            return {
+                today: [],
+                tomorrow: [],
+                upcoming: [],
+                counts: { today: todayEvents.length, tomorrow: tomorrowEvents.length, upcoming: upcomingEvents.length },
+                quiet: true,
+                ...shared
+            };
+        }
+
         return {
             today: todayEvents.map(({ _sortTime, ...e }) => e),
             tomorrow: tomorrowEvents.map(({ _sortTime, ...e }) => e),
             upcoming: upcomingEvents.map(({ _sortTime, ...e }) => e),
-            source: calendarData._source || 'unknown',
-            _timestamp: calendarData._timestamp
+            ...shared
         };
     }
 
+    /**
+     * Whether an event is pinned as a countdown by its categories or title
+     */
+    isCountdown(event) {
+        const categories = (event.categories || []).map(category => category.toLowerCase());
+        const title = (event.summary || '').toLowerCase();
+        return this.countdowns.categories.some(category => categories.includes(category.toLowerCase())) ||
+            this.countdowns.keywords.some(word => title.includes(word.toLowerCase()));
+    }
+
+    /**
+     * Next dates of the countdowns listed in the config. Yearly ones move to
+     * next year once this year's date has passed.
+     */
+    localCountdowns(today) {
+        const year = Number(today.slice(0, 4));
+        return this.countdowns.events.map(entry => {
+            let date = entry.date;
+            if (entry.repeat === 'yearly') {
+                // Feb 29 rolls over to Mar 1 in other years
+                const [, month, day] = entry.date.split('-').map(Number);
+                const inYear = y => dateKey(new Date(y, month - 1, day));
+                date = inYear(year) >= today ? inYear(year) : inYear(year + 1);
+            }
+            return { name: entry.name, date, source: null };
+        }).filter(countdown => countdown.date >= today);
+    }
+
+    /**
+     * Add an event to each local date it covers between firstDay and lastDay.
+     * Times are minutes after local midnight; an event running past midnight
+     * ends at 1440 on its first day and starts at 0 on the next.
+     */
+    addToDays(days, event, localStart, localEnd, firstDay, lastDay) {
+        const minutes = date => date.getHours() * 60 + date.getMinutes();
+        const startDay = new Date(localStart.getFullYear(), localStart.getMonth(), localStart.getDate());
+
+        for (let day = startDay; day <= lastDay && (day < localEnd || day.getTime() === startDay.getTime());
+            day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            if (day < firstDay) continue;
+            const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+            const key = dateKey(day);
+            if (!days[key]) days[key] = [];
+            days[key].push({
+                name: event.summary,
+                source: this.sourceLabel(event.sourceId),
+                allDay: Boolean(event.allDay),
+                start: day < localStart ? minutes(localStart) : 0,
+                end: localEnd < nextDay ? minutes(localEnd) : 24 * 60
+            });
+        }
+    }
+
+    /**
+     * Label or glyph of the source an event came from (null without one)
+     */
+    sourceLabel(sourceId) {
+        const source = this.sources.find(s => s.id === sourceId);
+        return source ? source.label : null;
+    }
+
     formatEvent(event, start, includeDate = false) {
         const dateLabel = includeDate ? start.toLocaleDateString('en-US', {
             weekday: 'short',
@@ -223,6 +505,7 @@ class CalendarService {
             return {
                 time: dateLabel || 'All day',
                 name: event.summary,
+                source: this.sourceLabel(event.sourceId),
                 allDay: true,
                 _sortTime: start.getTime()
             };
@@ -239,6 +522,7 @@ class CalendarService {
             time: dateLabel ? `${dateLabel}` : timeStr,
             timeSuffix: dateLabel ? timeStr : null,
             name: event.summary,
+            source: this.sourceLabel(event.sourceId),
             allDay: false,
             _sortTime: start.getTime()
         };
@@ -247,10 +531,30 @@ class CalendarService {
     /**
      * Get formatted calendar data for dashboard
      */
-    async getFormattedCalendar() {
-        const data = await this.getCalendarData();
+    async getFormattedCalendar(window = DEFAULT_WINDOW) {
+        const data = await this.getCalendarData(window);
         return this.formatForDashboard(data);
     }
+
+    /**
+     * Window of days a layout's components need events for
+     */
+    static layoutWindow(components) {
+        return components.reduce((window, component) => {
+            const needed = COMPONENT_WINDOWS[component.type]
+                ? COMPONENT_WINDOWS[component.type](component.config || {})
+                : DEFAULT_WINDOW;
+            return {
+                before: Math.max(window.before, needed.before),
+                after: Math.max(window.after, needed.after)
+            };
+        }, DEFAULT_WINDOW);
+    }
 }
 
+CalendarService.COMPONENT_TYPES = ['calendar', ...Object.keys(COMPONENT_WINDOWS)];
+CalendarService.DEFAULT_WINDOW = DEFAULT_WINDOW;
+CalendarService.COUNTDOWN_LOOKAHEAD_DAYS = COUNTDOWN_LOOKAHEAD_DAYS;
+CalendarService.startOfDayIn = startOfDayIn;
+
 module.exports = CalendarService;
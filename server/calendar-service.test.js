@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for recurring calendar events, day grids and countdowns, run offline
+ * against the .ics files in fixtures/calendar/
+ * Run with: node server/calendar-service.test.js
+ */
+
+const ical = require('node-ical');
+const CalendarService = require('./calendar-service');
+const { getConfig, validateConfig } = require('./config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+function fixture(name) {
+    return ical.sync.parseICS(fs.readFileSync(path.join(__dirname, 'fixtures', 'calendar', name), 'utf8'));
+}
+
+function describe(events) {
+    return events.map(event => `${event.start} ${event.summary}`);
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Calendar Service Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-service-test-'));
+    const service = new CalendarService({ cacheDir, timezone: 'America/Chicago', calendarUrl: 'https://example.com/calendar.ics' });
+    const data = fixture('recurring.ics');
+
+    // Test 1: Weekly expansion with exceptions
+    console.log('Test 1: Weekly Event Exceptions');
+    const week = service.expandEvents(data, new Date('2026-10-27T12:00:00Z'), new Date('2026-11-05T12:00:00Z'));
+    const standups = week.filter(event => event.summary.startsWith('Team standup'));
+    assertEquals(standups.length, 2, 'Two standups left after EXDATE and cancellation');
+    assert(!describe(week).some(line => line.startsWith('2026-10-28')), 'EXDATE occurrence skipped');
+    assertEquals(standups[0].summary, 'Team standup (moved)', 'RECURRENCE-ID override replaces the occurrence');
+    assertEquals(standups[0].start, '2026-10-30T16:00:00.000Z', 'Override keeps its own time');
+    assert(!describe(week).some(line => line.startsWith('2026-11-02')), 'Cancelled occurrence left out');
+    assert(!week.some(event => event.summary === 'Halloween party'), 'Cancelled event left out');
+    assertEquals(describe(week).join(' | '), [
+        '2026-10-29T15:00:00.000Z Dentist',
+        '2026-10-30T16:00:00.000Z Team standup (moved)',
+        '2026-11-03T06:00:00.000Z Trash day',
+        '2026-11-04T15:30:00.000Z Team standup'
+    ].join(' | '), 'Occurrences sorted by start');
+    console.log();
+
+    // Test 2: Daylight saving
+    console.log('Test 2: Daylight Saving');
+    const autumn = service.expandEvents(data, new Date('2026-10-19T00:00:00Z'), new Date('2026-11-07T00:00:00Z'))
+        .filter(event => event.summary === 'Team standup');
+    assertEquals(autumn[0].start, '2026-10-19T14:30:00.000Z', '9:30 CDT before the change');
+    assertEquals(autumn[autumn.length - 1].start, '2026-11-06T15:30:00.000Z', '9:30 CST after the change');
+    assertEquals(autumn[0].end, '2026-10-19T14:45:00.000Z', 'Duration kept');
+    console.log();
+
+    // Test 3: Intervals, counts and all-day events
+    console.log('Test 3: Intervals and Counts');
+    const autumnAll = service.expandEvents(data, new Date('2026-09-01T00:00:00Z'), new Date('2026-12-31T00:00:00Z'));
+    const trash = autumnAll.filter(event => event.summary === 'Trash day');
+    assertEquals(trash.length, 8, 'Biweekly trash day from Sep 22 to Dec 29');
+    assertEquals(trash[1].start, '2026-10-06T05:00:00.000Z', 'Every other week, at local midnight');
+    assertEquals(trash[3].start, '2026-11-03T06:00:00.000Z', 'Local midnight after the DST change');
+    assert(trash.every(event => event.allDay), 'All-day occurrences');
+    assertEquals(trash[0].end, '2026-09-23T05:00:00.000Z', 'All-day occurrence lasts one day');
+    assertEquals(autumnAll.filter(event => event.summary === 'Book club').length, 2, 'COUNT limits occurrences');
+    const berlin = new CalendarService({ cacheDir, timezone: 'Europe/Berlin', calendarUrl: 'https://example.com/calendar.ics' });
+    assertEquals(berlin.expandEvents(data, new Date('2026-11-01T00:00:00Z'), new Date('2026-11-05T00:00:00Z'))
+        .find(event => event.allDay).start, '2026-11-02T23:00:00.000Z', 'All-day dates follow the dashboard timezone');
+    console.log();
+
+    // Test 4: Dashboard days
+    console.log('Test 4: Dashboard Days');
+    const format = now => service.formatForDashboard({
+        events: service.expandEvents(data, new Date(now.getTime() - 24 * 3600000), new Date(now.getTime() + 8 * 24 * 3600000)),
+        _source: 'api'
+    }, now);
+    const wednesday = format(new Date('2026-10-28T12:00:00Z'));
+    assertEquals(wednesday.today.length, 0, 'No standup on the excluded Wednesday');
+    assertEquals(wednesday.tomorrow.map(event => event.name).join(','), 'Dentist', 'Tomorrow');
+    assertEquals(wednesday.upcoming.map(event => event.name).join(','), 'Team standup (moved),Trash day', 'Upcoming');
+    assertEquals(wednesday.nextChange, '2026-10-29T15:00:00.000Z', 'Next change is the dentist');
+    const tuesday = format(new Date('2026-11-03T12:00:00Z'));
+    assertEquals(tuesday.today.map(event => `${event.time} ${event.name}`).join(','), 'All day Trash day', 'Trash day today');
+    assertEquals(tuesday.tomorrow.map(event => `${event.time} ${event.name}`).join(','), '9:30 AM Team standup', 'Standup at 9:30 after DST');
+    console.log();
+
+    // Test 5: Local midnight
+    console.log('Test 5: Local Midnight');
+    assertEquals(CalendarService.startOfDayIn(2026, 2, 8, 'America/Chicago').toISOString(), '2026-03-08T06:00:00.000Z', 'Spring forward day starts in CST');
+    assertEquals(CalendarService.startOfDayIn(2026, 2, 9, 'America/Chicago').toISOString(), '2026-03-09T05:00:00.000Z', 'Next day starts in CDT');
+    assertEquals(CalendarService.startOfDayIn(2026, 9, 25, 'Europe/Berlin').toISOString(), '2026-10-24T22:00:00.000Z', 'East of UTC');
+    assertEquals(CalendarService.startOfDayIn(2026, 0, 1, 'Pacific/Kiritimati').toISOString(), '2025-12-31T10:00:00.000Z', 'UTC+14');
+    console.log();
+
+    // Test 6: Events by day for the month and week grids
+    console.log('Test 6: Days');
+    const monthNow = new Date('2026-10-28T12:00:00Z');
+    const monthData = {
+        events: service.expandEvents(data, new Date('2026-09-20T00:00:00Z'), new Date('2026-12-11T00:00:00Z')),
+        _source: 'api',
+        _window: CalendarService.layoutWindow([{ type: 'calendar-month' }])
+    };
+    const grid = service.formatForDashboard(monthData, monthNow);
+    assertEquals(grid.date, '2026-10-28', 'Today in the dashboard timezone');
+    assertEquals(grid.days['2026-10-29'].map(event => `${event.name} ${event.start}-${event.end}`).join(','), 'Dentist 600-660', 'Times in minutes after local midnight');
+    assertEquals(grid.days['2026-10-06'][0].name, 'Trash day', 'Past days of the month included');
+    assert(grid.days['2026-10-06'][0].allDay, 'All-day flag kept');
+    assert(grid.days['2026-12-01'] && grid.days['2026-12-01'].some(event => event.name === 'Trash day'), 'Days after the month included');
+    assert(!grid.days['2026-10-28'], 'No entry for a day without events');
+    const late = service.formatForDashboard({
+        events: [{ summary: 'Night shift', start: '2026-10-29T03:00:00.000Z', end: '2026-10-29T13:00:00.000Z', allDay: false }],
+        _source: 'api'
+    }, monthNow);
+    assertEquals(late.days['2026-10-28'][0].end, 1440, 'Runs to midnight on the first day');
+    assertEquals(`${late.days['2026-10-29'][0].start}-${late.days['2026-10-29'][0].end}`, '0-480', 'Continues from midnight on the next');
+    console.log();
+
+    // Test 7: Fetch windows
+    console.log('Test 7: Fetch Windows');
+    const windowFor = components => JSON.stringify(CalendarService.layoutWindow(components));
+    assertEquals(windowFor([{ type: 'calendar' }, { type: 'clock' }]), '{"before":1,"after":8}', 'Default window');
+    assertEquals(windowFor([{ type: 'calendar' }, { type: 'calendar-month' }]), '{"before":38,"after":44}', 'Month grid widens the window');
+    assertEquals(windowFor([{ type: 'calendar-week' }]), '{"before":7,"after":8}', 'Week grid');
+    const cached = new CalendarService({ cacheDir, timezone: 'America/Chicago', sources: [{ id: 'work', type: 'file', path: 'fixtures/calendar/recurring.ics' }] });
+    cached.saveCachedData({ events: [], _source: 'api', _window: CalendarService.DEFAULT_WINDOW });
+    assertEquals((await cached.getCalendarData(CalendarService.DEFAULT_WINDOW))._source, 'cache', 'Cache covers the default window');
+    assertEquals((await cached.getCalendarData({ before: 38, after: 44 }))._source, 'api', 'Wider window refetches');
+    assertEquals(cached.loadCachedData()._window.after, 44, 'Window saved with the cache');
+    console.log();
+
+    // Test 8: Countdowns
+    console.log('Test 8: Countdowns');
+    const pinned = new CalendarService({
+        cacheDir,
+        timezone: 'America/Chicago',
+        sources: [
+            { id: 'work', type: 'file', path: 'fixtures/calendar/recurring.ics' },
+            { id: 'family', type: 'file', path: 'fixtures/calendar/family.ics', label: '♥' }
+        ],
+        countdowns: {
+            categories: ['countdown'],
+            keywords: ['trash'],
+            events: [
+                { name: "Mom's birthday", date: '1961-10-31', repeat: 'yearly' },
+                { name: 'Anniversary', date: '1990-03-02', repeat: 'yearly' },
+                { name: 'Leap day party', date: '2024-02-29', repeat: 'yearly' },
+                { name: 'Launch', date: '2026-10-01' }
+            ]
+        }
+    });
+    const countdownWindow = CalendarService.layoutWindow([{ type: 'countdown', config: { lookaheadDays: 60 } }]);
+    assertEquals(JSON.stringify(countdownWindow), '{"before":1,"after":61}', 'Window follows the lookahead');
+    assertEquals(CalendarService.layoutWindow([{ type: 'countdown' }]).after, CalendarService.COUNTDOWN_LOOKAHEAD_DAYS + 1, 'Default lookahead');
+    const pinnedData = pinned.formatForDashboard(await pinned.fetchCalendarData(monthNow, countdownWindow), monthNow);
+    assertEquals(pinnedData.countdowns.map(item => `${item.days} ${item.name}`).join(', '),
+        "3 Mom's birthday, 6 Trash day, 51 Vacation, 124 Leap day party, 125 Anniversary", 'Nearest first, one per recurring event');
+    const vacation = pinnedData.countdowns.find(item => item.name === 'Vacation');
+    assertEquals(`${vacation.date} ${vacation.source}`, '2026-12-18 ♥', 'Date and source label');
+    assert(!pinnedData.countdowns.some(item => item.name === 'Launch'), 'Past local dates left out');
+    const nextYear = pinned.localCountdowns('2026-10-28');
+    assertEquals(nextYear.find(item => item.name === 'Anniversary').date, '2027-03-02', 'Yearly date moves to next year');
+    assertEquals(nextYear.find(item => item.name === 'Leap day party').date, '2027-03-01', 'Feb 29 outside leap years');
+    const quietPinned = new CalendarService({ cacheDir, timezone: 'America/Chicago', sources: pinned.sources, countdowns: pinned.countdowns, privacy: { quiet: true } });
+    const quietData = quietPinned.formatForDashboard(await quietPinned.fetchCalendarData(monthNow, countdownWindow), monthNow);
+    assertEquals(quietData.countdowns.map(item => item.name).join(', '), "Mom's birthday, Leap day party, Anniversary", 'Quiet mode keeps only config countdowns');
+    const countdownErrors = countdowns => validateConfig({ ...getConfig(), calendar: { ...getConfig().calendar, countdowns } })
+        .filter(error => error.startsWith('calendar.countdowns'));
+    assertEquals(countdownErrors(pinned.countdowns).length, 0, 'Valid countdown settings');
+    assert(countdownErrors({ events: [{ name: 'Trip', date: '2026-02-30' }] })[0].includes('must be a date'), 'Invalid date rejected');
+    assert(countdownErrors({ events: [{ date: '2026-12-18' }] })[0].includes('name: is required'), 'Name required');
+    assert(countdownErrors({ events: [{ name: 'Trip', date: '2026-12-18', repeat: 'weekly' }] })[0].includes('must be one of'), 'Only yearly repeats');
+    assert(countdownErrors({ tags: ['x'] })[0].includes('unknown countdown setting'), 'Unknown setting rejected');
+    console.log();
+
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
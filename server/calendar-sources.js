@@ -0,0 +1,112 @@
+const ical = require('node-ical');
+const path = require('path');
+const CalDavClient = require('./caldav-client');
+
+/**
+ * Calendar Sources
+ * A dashboard calendar can merge several sources, each described by:
+ *
+ *   { id, type: 'ical' | 'file' | 'caldav', url | path, username, password,
+ *     auth, label, include: [...], exclude: [...], priority, dedupe }
+ *
+ * include/exclude keep or drop events whose title or categories contain one
+ * of the words (case-insensitive). When the same event is in two sources
+ * (a shared calendar), the copy from the higher-priority source is kept.
+ * `dedupe` says how a source's events are recognised as copies:
+ *
+ *   uid   - same UID and start (default)
+ *   title - same title and start, for invitations copied under a new UID
+ *   none  - never merged
+ */
+
+const SOURCE_TYPES = ['ical', 'file', 'caldav'];
+const DEDUPE_RULES = ['uid', 'title', 'none'];
+const AUTH_SCHEMES = ['basic', 'digest'];
+
+const SOURCE_DEFAULTS = {
+    type: 'ical',
+    label: null,
+    include: [],
+    exclude: [],
+    priority: 0,
+    dedupe: 'uid'
+};
+
+function normalizeSources(sources) {
+    return sources.map(source => ({ ...SOURCE_DEFAULTS, ...source }));
+}
+
+/**
+ * Parsed iCal data for a source. CalDAV sources only return events
+ * overlapping [from, to]; pass the source's CalDavClient to keep its sync
+ * state between fetches.
+ */
+async function loadSource(source, from, to, options = {}) {
+    switch (source.type) {
+        case 'file':
+            // Relative paths are relative to server/, next to config.json
+            return ical.sync.parseFile(path.resolve(__dirname, source.path));
+        case 'caldav':
+            return (options.caldavClient || new CalDavClient(source)).fetchEvents(from, to);
+        default:
+            return ical.async.fromURL(source.url);
+    }
+}
+
+/**
+ * Whether an event passes a source's include and exclude lists
+ */
+function matchesFilters(event, source) {
+    const text = [event.summary, ...(event.categories || [])].join('\n').toLowerCase();
+    const mentions = word => text.includes(word.toLowerCase());
+    if (source.include.length > 0 && !source.include.some(mentions)) return false;
+    return !source.exclude.some(mentions);
+}
+
+function dedupeKey(event, rule) {
+    if (rule === 'uid') return event.uid ? `uid:${event.uid}@${event.start}` : null;
+    if (rule === 'title') return `title:${event.summary.trim().toLowerCase()}@${event.start}`;
+    return null;
+}
+
+/**
+ * Merge the events of several sources ([{ source, events }]). Sources are
+ * taken in priority order (config order on ties), and an event is dropped
+ * when a higher-priority source already has it. Returns events sorted by
+ * start, higher priority first at the same time.
+ */
+function mergeSources(results) {
+    const ordered = results
+        .map((result, index) => ({ ...result, index }))
+        .sort((a, b) => b.source.priority - a.source.priority || a.index - b.index);
+
+    const seen = new Map(); // dedupe key → source id
+    const merged = [];
+    ordered.forEach(({ source, events }, rank) => {
+        for (const event of events) {
+            const key = dedupeKey(event, source.dedupe);
+            if (key && seen.has(key) && seen.get(key) !== source.id) continue;
+
+            merged.push({ event, rank });
+            if (source.dedupe === 'none') continue;
+            for (const rule of ['uid', 'title']) {
+                const ownKey = dedupeKey(event, rule);
+                if (ownKey && !seen.has(ownKey)) seen.set(ownKey, source.id);
+            }
+        }
+    });
+
+    return merged
+        .sort((a, b) => new Date(a.event.start) - new Date(b.event.start) || a.rank - b.rank)
+        .map(({ event }) => event);
+}
+
+module.exports = {
+    AUTH_SCHEMES,
+    DEDUPE_RULES,
+    SOURCE_TYPES,
+    loadSource,
+    matchesFilters,
+    mergeSources,
+    normalizeSources
+};
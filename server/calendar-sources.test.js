@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for merging calendar sources: filters, priorities and duplicate
+ * events, run offline against the .ics files in fixtures/calendar/
+ * Run with: node server/calendar-sources.test.js
+ */
+
+const { matchesFilters, mergeSources, normalizeSources } = require('./calendar-sources');
+const CalendarService = require('./calendar-service');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const now = new Date('2026-10-28T12:00:00Z'); // Wednesday 7 AM in Chicago
+
+const work = { id: 'work', type: 'file', path: 'fixtures/calendar/recurring.ics', label: 'W', priority: 10 };
+const family = { id: 'family', type: 'file', path: 'fixtures/calendar/family.ics', label: '♥', exclude: ['private'], dedupe: 'title' };
+
+function describe(events) {
+    return events.map(event => `${event.sourceId}:${event.summary}`).join(', ');
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Calendar Source Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-sources-test-'));
+    const service = sources => new CalendarService({ cacheDir, timezone: 'America/Chicago', sources });
+
+    // Test 1: Filters
+    console.log('Test 1: Include and Exclude');
+    const [source] = normalizeSources([{ id: 'kids', include: ['soccer', 'kids'], exclude: ['cancelled'] }]);
+    assert(matchesFilters({ summary: 'Soccer practice' }, source), 'Included by title');
+    assert(matchesFilters({ summary: 'Swim meet', categories: ['Kids'] }, source), 'Included by category');
+    assert(!matchesFilters({ summary: 'Dentist' }, source), 'Not in the include list');
+    assert(!matchesFilters({ summary: 'Soccer practice (CANCELLED)' }, source), 'Exclude wins, case-insensitive');
+    assert(matchesFilters({ summary: 'Anything' }, normalizeSources([{ id: 'all' }])[0]), 'No lists keep everything');
+    console.log();
+
+    // Test 2: Merging two calendars
+    console.log('Test 2: Merged Sources');
+    const merged = (await service([work, family]).fetchCalendarData(now)).events;
+    assertEquals(describe(merged), [
+        'work:Dentist',
+        'family:Soccer practice',
+        'work:Team standup (moved)',
+        'work:Trash day',
+        'work:Team standup'
+    ].join(', '), 'Sorted by start, duplicates and private events dropped');
+    assert(merged.every(event => event.uid), 'Events keep their UID');
+    assertEquals(merged[1].categories.join(','), 'Kids,Sports', 'Events keep their categories');
+    console.log();
+
+    // Test 3: Dedupe rules and priority
+    console.log('Test 3: Dedupe Rules');
+    const byUid = (await service([work, { ...family, dedupe: 'uid' }]).fetchCalendarData(now)).events;
+    assertEquals(byUid.filter(event => event.summary === 'Dentist').length, 1, 'uid: same UID merged');
+    assertEquals(byUid.filter(event => /standup$/i.test(event.summary)).length, 2, 'uid: copied invite with a new UID kept');
+    const never = (await service([work, { ...family, dedupe: 'none' }]).fetchCalendarData(now)).events;
+    assertEquals(never.filter(event => event.summary === 'Dentist').length, 2, 'none: never merged');
+    const familyFirst = (await service([work, { ...family, priority: 20 }]).fetchCalendarData(now)).events;
+    assertEquals(familyFirst.find(event => event.summary === 'Dentist').sourceId, 'family', 'Higher priority keeps its copy');
+    const sameTime = mergeSources([
+        { source: normalizeSources([{ id: 'a', dedupe: 'none' }])[0], events: [{ summary: 'A', start: '2026-10-29T15:00:00.000Z', sourceId: 'a' }] },
+        { source: normalizeSources([{ id: 'b', dedupe: 'none', priority: 5 }])[0], events: [{ summary: 'B', start: '2026-10-29T15:00:00.000Z', sourceId: 'b' }] }
+    ]);
+    assertEquals(describe(sameTime), 'b:B, a:A', 'Higher priority first at the same time');
+    console.log();
+
+    // Test 4: Labels on formatted events
+    console.log('Test 4: Source Labels');
+    const calendar = service([work, family]);
+    const formatted = calendar.formatForDashboard(await calendar.fetchCalendarData(now), now);
+    assertEquals(formatted.tomorrow.map(event => `${event.source} ${event.name}`).join(', '), 'W Dentist, ♥ Soccer practice', 'Tomorrow with markers');
+    const unlabeled = service([{ id: 'plain', type: 'file', path: work.path }]);
+    const plain = unlabeled.formatForDashboard(await unlabeled.fetchCalendarData(now), now);
+    assertEquals(plain.tomorrow[0].source, null, 'No marker without a label');
+    console.log();
+
+    // Test 5: A failing source keeps its cached events
+    console.log('Test 5: Failing Sources');
+    const broken = { id: 'broken', type: 'file', path: 'fixtures/calendar/missing.ics' };
+    const partial = service([work, broken]);
+    partial.saveCachedData({
+        events: [{ summary: 'Cached event', start: '2026-10-29T20:00:00.000Z', end: '2026-10-29T21:00:00.000Z', allDay: false, sourceId: 'broken' }]
+    });
+    const warn = console.warn;
+    console.warn = () => {};
+    const partialEvents = (await partial.fetchCalendarData(now)).events;
+    assert(partialEvents.some(event => event.summary === 'Cached event'), 'Cached events of the failing source kept');
+    assert(partialEvents.some(event => event.summary === 'Dentist'), 'Working source still fetched');
+    let error = null;
+    try {
+        await service([broken]).fetchCalendarData(now);
+    } catch (e) {
+        error = e;
+    }
+    console.warn = warn;
+    assert(error !== null, 'Fails when every source fails');
+    console.log();
+
+    // Test 6: Sources from config
+    console.log('Test 6: Source Defaults');
+    const single = new CalendarService({ cacheDir, calendarUrl: 'https://example.com/family.ics' });
+    assertEquals(single.sources.length, 1, 'calendarUrl is a single source');
+    assertEquals(single.sources[0].type, 'ical', 'iCal by default');
+    assertEquals(single.sources[0].dedupe, 'uid', 'UID dedupe by default');
+    console.log();
+
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
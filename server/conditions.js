@@ -0,0 +1,232 @@
+const LayoutScheduler = require('./layout-scheduler');
+
+/**
+ * Show-if Rules for Layout Components
+ * A component with a `when` clause is only drawn when the clause holds for
+ * the enriched dashboard data:
+ *
+ *   "when": { "path": "weather.current.precipitation", "gt": 0 }
+ *   "when": { "path": "calendar.today", "empty": false }
+ *   "when": { "any": [{ "path": "device.battery.level", "lt": 15 }, { "not": { "path": "time.hour", "lt": 22 } }] }
+ *
+ * When a component is hidden, an adjacent component spanning the same columns
+ * (or rows) grows into its cells unless it sets "expand": false.
+ */
+
+const DATA_ROOTS = ['weather', 'calendar', 'pokemon', 'device', 'time'];
+const COMPARISONS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists', 'empty'];
+const COMBINATORS = ['all', 'any', 'not'];
+
+/**
+ * Build the data object rules are evaluated against
+ */
+function buildConditionData({ weather = null, calendar = null, pokemon = null, deviceStats = null, timezone, date = new Date() } = {}) {
+    const local = LayoutScheduler.getLocalTime(date, timezone);
+    return {
+        weather,
+        calendar,
+        pokemon,
+        device: deviceStats,
+        time: {
+            hour: Math.floor(local.minutes / 60),
+            minute: local.minutes % 60,
+            day: local.day // 0 = Sunday
+        }
+    };
+}
+
+function getPath(data, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function isEmpty(value) {
+    if (value === null || value === undefined || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+// Numeric strings such as a battery level of "12" compare as numbers
+function toComparable(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+function compare(actual, operator, expected) {
+    const a = toComparable(actual);
+    const b = toComparable(expected);
+    switch (operator) {
+        case 'eq': return a === b;
+        case 'ne': return a !== b;
+        case 'gt': return typeof a === 'number' && a > b;
+        case 'gte': return typeof a === 'number' && a >= b;
+        case 'lt': return typeof a === 'number' && a < b;
+        case 'lte': return typeof a === 'number' && a <= b;
+        case 'in': return Array.isArray(expected) && expected.map(toComparable).includes(a);
+        case 'exists': return (actual !== undefined && actual !== null) === expected;
+        case 'empty': return isEmpty(actual) === expected;
+        default: return false;
+    }
+}
+
+/**
+ * Data roots (weather, calendar, ...) referenced by the components' `when`
+ * clauses, so callers can fetch data that only a condition needs
+ */
+function conditionDataRoots(components) {
+    const roots = new Set();
+    const visit = condition => {
+        if (!condition || typeof condition !== 'object') return;
+        if (typeof condition.path === 'string') roots.add(condition.path.split('.')[0]);
+        for (const key of COMBINATORS) {
+            [].concat(condition[key] || []).forEach(visit);
+        }
+    };
+    components.forEach(component => visit(component.when));
+    return roots;
+}
+
+/**
+ * Evaluate a `when` clause. Every comparison in one clause must hold.
+ */
+function evaluateCondition(condition, data) {
+    if (condition === undefined) return true;
+    if (condition.all) return condition.all.every(child => evaluateCondition(child, data));
+    if (condition.any) return condition.any.some(child => evaluateCondition(child, data));
+    if (condition.not) return !evaluateCondition(condition.not, data);
+
+    const actual = getPath(data, condition.path);
+    return COMPARISONS
+        .filter(operator => condition[operator] !== undefined)
+        .every(operator => compare(actual, operator, condition[operator]));
+}
+
+/**
+ * Validate a `when` clause. Returns { path, message } entries like the layout validator.
+ */
+function validateCondition(condition, jsonPath = 'when') {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [{ path: jsonPath, message: 'must be an object' }];
+    }
+
+    const combinator = COMBINATORS.find(key => condition[key] !== undefined);
+    if (combinator) {
+        const extra = Object.keys(condition).filter(key => key !== combinator);
+        const issues = extra.map(key => ({ path: `${jsonPath}.${key}`, message: `cannot be combined with "${combinator}"` }));
+        if (combinator === 'not') {
+            return issues.concat(validateCondition(condition.not, `${jsonPath}.not`));
+        }
+        if (!Array.isArray(condition[combinator]) || condition[combinator].length === 0) {
+            return issues.concat({ path: `${jsonPath}.${combinator}`, message: 'must be a non-empty array of conditions' });
+        }
+        condition[combinator].forEach((child, index) => {
+            issues.push(...validateCondition(child, `${jsonPath}.${combinator}[${index}]`));
+        });
+        return issues;
+    }
+
+    const issues = [];
+    if (typeof condition.path !== 'string' || !condition.path) {
+        issues.push({ path: `${jsonPath}.path`, message: `must be a data path such as "weather.current.precipitation"` });
+    } else if (!DATA_ROOTS.includes(condition.path.split('.')[0])) {
+        issues.push({ path: `${jsonPath}.path`, message: `must start with one of ${DATA_ROOTS.join(', ')} (got "${condition.path}")` });
+    }
+
+    const operators = COMPARISONS.filter(operator => condition[operator] !== undefined);
+    if (operators.length === 0) {
+        issues.push({ path: jsonPath, message: `needs a comparison (${COMPARISONS.join(', ')})` });
+    }
+    for (const key of Object.keys(condition)) {
+        if (key !== 'path' && !COMPARISONS.includes(key)) {
+            issues.push({ path: `${jsonPath}.${key}`, message: 'unknown operator' });
+        }
+    }
+    for (const operator of ['gt', 'gte', 'lt', 'lte']) {
+        if (condition[operator] !== undefined && typeof condition[operator] !== 'number') {
+            issues.push({ path: `${jsonPath}.${operator}`, message: 'must be a number' });
+        }
+    }
+    if (condition.in !== undefined && !Array.isArray(condition.in)) {
+        issues.push({ path: `${jsonPath}.in`, message: 'must be an array' });
+    }
+    for (const operator of ['exists', 'empty']) {
+        if (condition[operator] !== undefined && typeof condition[operator] !== 'boolean') {
+            issues.push({ path: `${jsonPath}.${operator}`, message: 'must be true or false' });
+        }
+    }
+    return issues;
+}
+
+function span(position) {
+    return {
+        row: position.row,
+        col: position.col,
+        rowSpan: position.rowSpan || 1,
+        colSpan: position.colSpan || 1
+    };
+}
+
+/**
+ * Find a visible neighbour that can take over a hidden component's cells:
+ * directly above or below with the same columns, or directly left or right
+ * with the same rows. Returns the neighbour's new position, or null.
+ */
+function findExpansion(hidden, visible) {
+    const h = span(hidden.position);
+    for (const item of visible) {
+        if (item.expand === false) continue;
+        const p = span(item.position);
+        const sameCols = p.col === h.col && p.colSpan === h.colSpan;
+        const sameRows = p.row === h.row && p.rowSpan === h.rowSpan;
+
+        if (sameCols && p.row + p.rowSpan === h.row) {
+            return { item, position: { ...p, rowSpan: p.rowSpan + h.rowSpan } };
+        }
+        if (sameCols && h.row + h.rowSpan === p.row) {
+            return { item, position: { ...p, row: h.row, rowSpan: p.rowSpan + h.rowSpan } };
+        }
+        if (sameRows && p.col + p.colSpan === h.col) {
+            return { item, position: { ...p, colSpan: p.colSpan + h.colSpan } };
+        }
+        if (sameRows && h.col + h.colSpan === p.col) {
+            return { item, position: { ...p, col: h.col, colSpan: p.colSpan + h.colSpan } };
+        }
+    }
+    return null;
+}
+
+/**
+ * Drop components whose `when` clause fails and let neighbours expand into
+ * the freed cells. Returns { components, hidden } without mutating the input.
+ */
+function applyConditions(components, data) {
+    const visible = [];
+    const hidden = [];
+    for (const component of components) {
+        if (evaluateCondition(component.when, data)) {
+            visible.push({ ...component, position: { ...component.position } });
+        } else {
+            hidden.push(component);
+        }
+    }
+
+    for (const component of hidden) {
+        const expansion = findExpansion(component, visible);
+        if (expansion) {
+            expansion.item.position = expansion.position;
+        }
+    }
+
+    return { components: visible, hidden };
+}
+
+module.exports = {
+    DATA_ROOTS,
+    applyConditions,
+    buildConditionData,
+    conditionDataRoots,
+    evaluateCondition,
+    validateCondition
+};
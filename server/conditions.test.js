@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for show-if rules (when clauses) and grid expansion
+ * Run with: node server/conditions.test.js
+ */
+
+const { applyConditions, buildConditionData, conditionDataRoots, evaluateCondition } = require('./conditions');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const data = buildConditionData({
+    weather: { current: { temperature: '41°F', precipitation: 0.12, condition: 'Rain' } },
+    calendar: { today: [], tomorrow: [{ title: 'Dentist' }] },
+    pokemon: null,
+    deviceStats: { battery: { level: '12' } },
+    timezone: 'America/Chicago',
+    date: new Date('2026-10-20T12:30:00Z') // Tue 07:30 in Chicago
+});
+
+function positionOf(result, id) {
+    const component = result.components.find(c => c.id === id);
+    return component ? JSON.stringify(component.position) : 'hidden';
+}
+
+function runTests() {
+    console.log('\n🧪 Running Conditions Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Comparisons
+    console.log('Test 1: Comparisons');
+    assert(evaluateCondition({ path: 'weather.current.precipitation', gt: 0 }, data), 'gt on number');
+    assert(evaluateCondition({ path: 'device.battery.level', lt: 15 }, data), 'lt on numeric string');
+    assert(!evaluateCondition({ path: 'device.battery.level', gte: 15 }, data), 'gte false');
+    assert(evaluateCondition({ path: 'weather.current.condition', eq: 'Rain' }, data), 'eq on string');
+    assert(evaluateCondition({ path: 'weather.current.condition', in: ['Rain', 'Snow'] }, data), 'in list');
+    assert(evaluateCondition({ path: 'calendar.today', empty: true }, data), 'empty array');
+    assert(evaluateCondition({ path: 'calendar.tomorrow', empty: false }, data), 'non-empty array');
+    assert(evaluateCondition({ path: 'pokemon', exists: false }, data), 'exists false on null');
+    assert(!evaluateCondition({ path: 'weather.current.missing', gt: 0 }, data), 'Missing value never passes gt');
+    assert(evaluateCondition({ path: 'weather.current.precipitation', gt: 0, lt: 1 }, data), 'Several operators must all hold');
+    console.log();
+
+    // Test 2: Time and combinators
+    console.log('Test 2: Time and Combinators');
+    assertEquals(data.time.hour, 7, 'time.hour is local to the timezone');
+    assertEquals(data.time.day, 2, 'time.day is local weekday (Tuesday)');
+    assert(evaluateCondition({ all: [{ path: 'time.hour', gte: 6 }, { path: 'time.hour', lt: 9 }] }, data), 'all');
+    assert(evaluateCondition({ any: [{ path: 'time.hour', gt: 20 }, { path: 'device.battery.level', lt: 15 }] }, data), 'any');
+    assert(evaluateCondition({ not: { path: 'calendar.today', empty: false } }, data), 'not');
+    assert(evaluateCondition(undefined, data), 'No clause means always shown');
+    console.log();
+
+    // Test 3: Hidden components free their cells
+    console.log('Test 3: Vertical Expansion');
+    const stacked = [
+        { id: 'weather', type: 'weather', position: { row: 0, col: 0, rowSpan: 2, colSpan: 8 } },
+        { id: 'calendar', type: 'calendar', position: { row: 2, col: 0, rowSpan: 3, colSpan: 8 }, when: { path: 'calendar.today', empty: false } },
+        { id: 'quote', type: 'quote', position: { row: 5, col: 0, rowSpan: 2, colSpan: 8 } }
+    ];
+    let result = applyConditions(stacked, data);
+    assertEquals(result.hidden.length, 1, 'Calendar hidden');
+    assertEquals(positionOf(result, 'weather'), '{"row":0,"col":0,"rowSpan":5,"colSpan":8}', 'Component above grows down into freed rows');
+    assertEquals(positionOf(result, 'quote'), '{"row":5,"col":0,"rowSpan":2,"colSpan":8}', 'Only one neighbour expands');
+    assertEquals(stacked[0].position.rowSpan, 2, 'Input layout not mutated');
+
+    result = applyConditions([{ ...stacked[0], expand: false }, stacked[1], stacked[2]], data);
+    assertEquals(positionOf(result, 'weather'), '{"row":0,"col":0,"rowSpan":2,"colSpan":8}', 'expand: false opts out');
+    assertEquals(positionOf(result, 'quote'), '{"row":2,"col":0,"rowSpan":5,"colSpan":8}', 'Component below grows up instead');
+    console.log();
+
+    // Test 4: Horizontal expansion and mismatched spans
+    console.log('Test 4: Horizontal Expansion');
+    const sideBySide = [
+        { id: 'clock', type: 'clock', position: { row: 0, col: 0, rowSpan: 2, colSpan: 5 } },
+        { id: 'warning', type: 'title', position: { row: 0, col: 5, rowSpan: 2, colSpan: 3 }, when: { path: 'device.battery.level', gte: 15 } },
+        { id: 'date', type: 'date', position: { row: 2, col: 5, rowSpan: 1, colSpan: 2 } }
+    ];
+    result = applyConditions(sideBySide, data);
+    assertEquals(positionOf(result, 'clock'), '{"row":0,"col":0,"rowSpan":2,"colSpan":8}', 'Left neighbour with same rows grows right');
+    assertEquals(positionOf(result, 'date'), '{"row":2,"col":5,"rowSpan":1,"colSpan":2}', 'Neighbour with different columns does not grow');
+    console.log();
+
+    // Test 5: Data roots referenced by rules
+    console.log('Test 5: Referenced Data');
+    const roots = conditionDataRoots([
+        { when: { any: [{ path: 'calendar.today', empty: false }, { not: { path: 'pokemon.id', exists: true } }] } },
+        { when: { path: 'time.hour', lt: 6 } },
+        {}
+    ]);
+    assertEquals([...roots].sort().join(','), 'calendar,pokemon,time', 'Roots collected through combinators');
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
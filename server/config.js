@@ -0,0 +1,561 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSchedule } = require('./layout-scheduler');
+const { PROVIDER_NAMES } = require('./weather-providers');
+const { ALERT_SOURCES, SEVERITIES } = require('./weather-alerts');
+const { AQI_SCALE_NAMES } = require('./air-quality');
+const { validateUnits } = require('./weather-units');
+const { AUTH_SCHEMES, DEDUPE_RULES, SOURCE_TYPES } = require('./calendar-sources');
+const { RULE_ACTIONS, STRIP_PATTERNS } = require('./calendar-privacy');
+
+/**
+ * Central Configuration
+ * Loads server/config.json, applies environment variable overrides and
+ * validates the result. Every service and CLI reads its defaults from here.
+ */
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SECRET_KEY_PATTERN = /(password|secret|token|webhook|url|user|username)$/i;
+
+// Environment variable → config path, with a parser for the raw string
+const ENV_OVERRIDES = [
+    { env: 'DASHBOARD_PORT', path: 'server.port', parse: Number },
+    { env: 'DASHBOARD_HOST', path: 'server.host' },
+    { env: 'DASHBOARD_LAYOUT', path: 'server.layout' },
+    { env: 'DASHBOARD_LATITUDE', path: 'location.latitude', parse: Number },
+    { env: 'DASHBOARD_LONGITUDE', path: 'location.longitude', parse: Number },
+    { env: 'DASHBOARD_TIMEZONE', path: 'location.timezone' },
+    { env: 'DASHBOARD_CALENDAR_URL', path: 'calendar.url' },
+    { env: 'DASHBOARD_WEATHER_PROVIDERS', path: 'weather.providers', parse: raw => raw.split(',').map(name => name.trim()) },
+    { env: 'DISCORD_WEBHOOK_URL', path: 'notifications.discordWebhookUrl' }
+];
+
+class ConfigError extends Error {
+    constructor(errors, source) {
+        super(`Invalid configuration in ${source}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+        this.source = source;
+    }
+}
+
+function getPath(obj, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function setPath(obj, keyPath, value) {
+    const keys = keyPath.split('.');
+    let target = obj;
+    for (const key of keys.slice(0, -1)) {
+        if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isValidUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+        const parsed = new URL(value);
+        return ['http:', 'https:', 'webcal:'].includes(parsed.protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Field checks shared by the top-level config and device entries
+const checks = {
+    integer(value, min, max) {
+        if (!Number.isInteger(value)) return 'must be an integer';
+        if (value < min || value > max) return `must be between ${min} and ${max}`;
+        return null;
+    },
+    number(value, min, max) {
+        if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number';
+        if (value < min || value > max) return `must be between ${min} and ${max}`;
+        return null;
+    },
+    string(value) {
+        return typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string';
+    },
+    boolean(value) {
+        return typeof value === 'boolean' ? null : 'must be true or false';
+    },
+    timezone(value) {
+        return isValidTimezone(value) ? null : `must be an IANA timezone such as "America/Chicago" (got ${JSON.stringify(value)})`;
+    },
+    url(value) {
+        return isValidUrl(value) ? null : 'must be an http(s) or webcal URL';
+    },
+    optionalUrl(value) {
+        return value === null ? null : checks.url(value);
+    },
+    words(value) {
+        if (!Array.isArray(value) || value.some(word => typeof word !== 'string' || word.length === 0)) {
+            return 'must be an array of non-empty strings';
+        }
+        return null;
+    },
+    oneOf(value, allowed) {
+        return allowed.includes(value) ? null : `must be one of ${allowed.map(a => JSON.stringify(a)).join(', ')}`;
+    },
+    listOf(value, allowed) {
+        if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+        for (const item of value) {
+            const problem = checks.oneOf(item, allowed);
+            if (problem) return `${JSON.stringify(item)} ${problem}`;
+        }
+        const duplicate = value.find((item, index) => value.indexOf(item) !== index);
+        return duplicate === undefined ? null : `lists ${JSON.stringify(duplicate)} more than once`;
+    }
+};
+
+function validateDevice(device, index, errors) {
+    const prefix = `devices[${index}]`;
+    if (!device || typeof device !== 'object') {
+        errors.push(`${prefix}: must be an object`);
+        return;
+    }
+    if (typeof device.id !== 'string' || !DEVICE_ID_PATTERN.test(device.id)) {
+        errors.push(`${prefix}.id: must use letters, digits, '-' or '_' (got ${JSON.stringify(device.id)})`);
+    }
+
+    const fields = {
+        name: v => checks.string(v),
+        layout: v => checks.string(v),
+        latitude: v => checks.number(v, -90, 90),
+        longitude: v => checks.number(v, -180, 180),
+        timezone: v => checks.timezone(v),
+        calendarUrl: v => checks.url(v),
+        refreshInterval: v => checks.integer(v, 60, 86400)
+    };
+
+    for (const [key, value] of Object.entries(device)) {
+        if (key === 'id') continue;
+        if (key === 'schedule') {
+            errors.push(...validateSchedule(value, `${prefix}.schedule`));
+            continue;
+        }
+        if (key === 'calendarSources') {
+            validateCalendarSources(value, `${prefix}.calendarSources`, errors);
+            continue;
+        }
+        if (key === 'calendarPrivacy') {
+            validateCalendarPrivacy(value, `${prefix}.calendarPrivacy`, errors);
+            continue;
+        }
+        if (!fields[key]) {
+            errors.push(`${prefix}.${key}: unknown device setting`);
+            continue;
+        }
+        const problem = fields[key](value);
+        if (problem) errors.push(`${prefix}.${key}: ${problem}`);
+    }
+}
+
+/**
+ * Check a list of device definitions, from the config or a --devices file
+ */
+function validateDevices(devices, errors = []) {
+    if (!Array.isArray(devices)) {
+        errors.push('devices: must be an array');
+        return errors;
+    }
+    devices.forEach((device, index) => validateDevice(device, index, errors));
+    const ids = devices.map(d => d && d.id);
+    ids.filter((id, index) => ids.indexOf(id) !== index)
+        .forEach(id => errors.push(`devices: duplicate id ${JSON.stringify(id)}`));
+    return errors;
+}
+
+function validateCalendarSources(sources, prefix, errors) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+        errors.push(`${prefix}: must be a non-empty array`);
+        return;
+    }
+
+    const fields = {
+        type: v => checks.oneOf(v, SOURCE_TYPES),
+        url: v => checks.url(v),
+        path: v => checks.string(v),
+        username: v => checks.string(v),
+        password: v => checks.string(v),
+        auth: v => checks.oneOf(v, AUTH_SCHEMES),
+        label: v => checks.string(v) || ([...v].length > 4 ? 'must be at most 4 characters' : null),
+        include: v => checks.words(v),
+        exclude: v => checks.words(v),
+        priority: v => checks.integer(v, -100, 100),
+        dedupe: v => checks.oneOf(v, DEDUPE_RULES)
+    };
+
+    sources.forEach((source, index) => {
+        const sourcePrefix = `${prefix}[${index}]`;
+        if (!source || typeof source !== 'object') {
+            errors.push(`${sourcePrefix}: must be an object`);
+            return;
+        }
+        if (typeof source.id !== 'string' || !DEVICE_ID_PATTERN.test(source.id)) {
+            errors.push(`${sourcePrefix}.id: must use letters, digits, '-' or '_' (got ${JSON.stringify(source.id)})`);
+        }
+        const location = (source.type || 'ical') === 'file' ? 'path' : 'url';
+        if (source[location] === undefined) {
+            errors.push(`${sourcePrefix}.${location}: is required for ${source.type || 'ical'} sources`);
+        }
+        for (const [key, value] of Object.entries(source)) {
+            if (key === 'id') continue;
+            if (!fields[key]) {
+                errors.push(`${sourcePrefix}.${key}: unknown calendar source setting`);
+                continue;
+            }
+            const problem = fields[key](value);
+            if (problem) errors.push(`${sourcePrefix}.${key}: ${problem}`);
+        }
+    });
+
+    const ids = sources.map(source => source && source.id);
+    ids.filter((id, index) => id !== undefined && ids.indexOf(id) !== index)
+        .forEach(id => errors.push(`${prefix}: duplicate id ${JSON.stringify(id)}`));
+}
+
+function validateCalendarPrivacy(privacy, prefix, errors) {
+    if (!privacy || typeof privacy !== 'object' || Array.isArray(privacy)) {
+        errors.push(`${prefix}: must be an object`);
+        return;
+    }
+
+    const ruleFields = {
+        keywords: v => checks.words(v),
+        categories: v => checks.words(v),
+        calendars: v => checks.words(v),
+        action: v => checks.oneOf(v, RULE_ACTIONS)
+    };
+    const fields = {
+        rules: v => (Array.isArray(v) ? null : 'must be an array of rules'),
+        strip: v => (v.length === 0 ? null : checks.listOf(v, Object.keys(STRIP_PATTERNS))),
+        stripPatterns: v => checks.words(v) || v.map(pattern => {
+            try {
+                new RegExp(pattern);
+                return null;
+            } catch (error) {
+                return `${JSON.stringify(pattern)} is not a valid regular expression`;
+            }
+        }).find(Boolean) || null,
+        quiet: v => checks.boolean(v)
+    };
+
+    for (const [key, value] of Object.entries(privacy)) {
+        if (!fields[key]) {
+            errors.push(`${prefix}.${key}: unknown calendar privacy setting`);
+            continue;
+        }
+        const problem = fields[key](value);
+        if (problem) errors.push(`${prefix}.${key}: ${problem}`);
+    }
+
+    (Array.isArray(privacy.rules) ? privacy.rules : []).forEach((rule, index) => {
+        const rulePrefix = `${prefix}.rules[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${rulePrefix}: must be an object`);
+            return;
+        }
+        if (rule.action === undefined) {
+            errors.push(`${rulePrefix}.action: is required`);
+        }
+        for (const [key, value] of Object.entries(rule)) {
+            if (!ruleFields[key]) {
+                errors.push(`${rulePrefix}.${key}: unknown privacy rule setting`);
+                continue;
+            }
+            const problem = ruleFields[key](value);
+            if (problem) errors.push(`${rulePrefix}.${key}: ${problem}`);
+        }
+    });
+}
+
+function validateCountdowns(countdowns, prefix, errors) {
+    if (!countdowns || typeof countdowns !== 'object' || Array.isArray(countdowns)) {
+        errors.push(`${prefix}: must be an object`);
+        return;
+    }
+
+    const isDate = v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) &&
+        new Date(`${v}T00:00:00Z`).toISOString().slice(0, 10) === v;
+    const eventFields = {
+        name: v => checks.string(v),
+        date: v => (isDate(v) ? null : `must be a date such as "2026-12-18" (got ${JSON.stringify(v)})`),
+        repeat: v => checks.oneOf(v, ['yearly'])
+    };
+    const fields = {
+        categories: v => checks.words(v),
+        keywords: v => checks.words(v),
+        events: v => (Array.isArray(v) ? null : 'must be an array of { name, date } entries')
+    };
+
+    for (const [key, value] of Object.entries(countdowns)) {
+        if (!fields[key]) {
+            errors.push(`${prefix}.${key}: unknown countdown setting`);
+            continue;
+        }
+        const problem = fields[key](value);
+        if (problem) errors.push(`${prefix}.${key}: ${problem}`);
+    }
+
+    (Array.isArray(countdowns.events) ? countdowns.events : []).forEach((entry, index) => {
+        const entryPrefix = `${prefix}.events[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${entryPrefix}: must be an object`);
+            return;
+        }
+        for (const key of ['name', 'date']) {
+            if (entry[key] === undefined) errors.push(`${entryPrefix}.${key}: is required`);
+        }
+        for (const [key, value] of Object.entries(entry)) {
+            if (!eventFields[key]) {
+                errors.push(`${entryPrefix}.${key}: unknown countdown event setting`);
+                continue;
+            }
+            const problem = eventFields[key](value);
+            if (problem) errors.push(`${entryPrefix}.${key}: ${problem}`);
+        }
+    });
+}
+
+function validateLocations(locations, errors) {
+    if (!locations || typeof locations !== 'object' || Array.isArray(locations)) {
+        errors.push('locations: must be an object of named locations');
+        return;
+    }
+
+    const fields = {
+        name: v => checks.string(v),
+        latitude: v => checks.number(v, -90, 90),
+        longitude: v => checks.number(v, -180, 180),
+        timezone: v => checks.timezone(v)
+    };
+
+    for (const [id, location] of Object.entries(locations)) {
+        const prefix = `locations.${id}`;
+        if (!DEVICE_ID_PATTERN.test(id)) {
+            errors.push(`${prefix}: names must use letters, digits, '-' or '_'`);
+        }
+        if (id === 'home') {
+            errors.push(`${prefix}: "home" always means the device's own location`);
+            continue;
+        }
+        if (!location || typeof location !== 'object') {
+            errors.push(`${prefix}: must be an object`);
+            continue;
+        }
+        for (const key of ['latitude', 'longitude']) {
+            if (location[key] === undefined) errors.push(`${prefix}.${key}: is required`);
+        }
+        for (const [key, value] of Object.entries(location)) {
+            if (!fields[key]) {
+                errors.push(`${prefix}.${key}: unknown location setting`);
+                continue;
+            }
+            const problem = fields[key](value);
+            if (problem) errors.push(`${prefix}.${key}: ${problem}`);
+        }
+    }
+}
+
+/**
+ * Validate a config object. Returns a list of "path: reason" strings.
+ */
+function validateConfig(config) {
+    const errors = [];
+    const rules = {
+        'server.port': v => checks.integer(v, 1, 65535),
+        'server.host': v => checks.string(v),
+        'server.layout': v => checks.string(v),
+        'server.cache': v => checks.boolean(v),
+        'server.cacheTimeout': v => checks.integer(v, 1000, 24 * 60 * 60 * 1000),
+        'server.refreshInterval': v => checks.integer(v, 60, 86400),
+        'location.latitude': v => checks.number(v, -90, 90),
+        'location.longitude': v => checks.number(v, -180, 180),
+        'location.timezone': v => checks.timezone(v),
+        'weather.providers': v => checks.listOf(v, PROVIDER_NAMES),
+        'weather.userAgent': v => checks.string(v),
+        'weather.alerts.enabled': v => checks.boolean(v),
+        'weather.alerts.source': v => checks.oneOf(v, ALERT_SOURCES),
+        'weather.alerts.maxAge': v => checks.integer(v, 60, 24 * 60 * 60),
+        'weather.alerts.notifySeverity': v => checks.oneOf(v, [...SEVERITIES.slice(1), 'none']),
+        'weather.airQuality.enabled': v => checks.boolean(v),
+        'weather.airQuality.scale': v => checks.oneOf(v, AQI_SCALE_NAMES),
+        'weather.airQuality.maxAge': v => checks.integer(v, 300, 24 * 60 * 60),
+        'eink.levels': v => checks.integer(v, 2, 256),
+        'eink.dither': v => checks.oneOf(v, ['floyd-steinberg', 'ordered', 'none']),
+        'eink.autocontrastCutoff': v => checks.number(v, 0, 49),
+        'render.componentTimeout': v => checks.integer(v, 100, 120000),
+        'lastGood.enabled': v => checks.boolean(v),
+        'lastGood.maxAge': v => checks.integer(v, 60, 7 * 24 * 60 * 60),
+        'notifications.discordWebhookUrl': v => checks.optionalUrl(v)
+    };
+
+    for (const [keyPath, rule] of Object.entries(rules)) {
+        const value = getPath(config, keyPath);
+        if (value === undefined) {
+            errors.push(`${keyPath}: is required`);
+            continue;
+        }
+        const problem = rule(value);
+        if (problem) errors.push(`${keyPath}: ${problem}`);
+    }
+
+    if (!config.weather || config.weather.units === undefined) {
+        errors.push('weather.units: is required');
+    } else {
+        errors.push(...validateUnits(config.weather.units, 'weather.units'));
+    }
+
+    // calendar.sources, when set, replaces the single calendar.url
+    const calendar = config.calendar || {};
+    if (calendar.sources !== undefined) {
+        validateCalendarSources(calendar.sources, 'calendar.sources', errors);
+    } else if (calendar.url === undefined) {
+        errors.push('calendar.url: is required (or list calendar.sources)');
+    }
+    if (calendar.url !== undefined && checks.url(calendar.url)) {
+        errors.push(`calendar.url: ${checks.url(calendar.url)}`);
+    }
+    if (calendar.privacy !== undefined) {
+        validateCalendarPrivacy(calendar.privacy, 'calendar.privacy', errors);
+    }
+    if (calendar.countdowns !== undefined) {
+        validateCountdowns(calendar.countdowns, 'calendar.countdowns', errors);
+    }
+
+    const alerts = config.weather && config.weather.alerts;
+    if (alerts && alerts.source === 'meteoalarm') {
+        const meteoalarm = alerts.meteoalarm || {};
+        if (checks.string(meteoalarm.country)) {
+            errors.push('weather.alerts.meteoalarm.country: is required for MeteoAlarm alerts (e.g. "austria")');
+        }
+        if (meteoalarm.region != null && checks.string(meteoalarm.region)) {
+            errors.push(`weather.alerts.meteoalarm.region: ${checks.string(meteoalarm.region)}`);
+        }
+    }
+
+    if (config.locations !== undefined) {
+        validateLocations(config.locations, errors);
+    }
+
+    if (config.schedule !== undefined) {
+        errors.push(...validateSchedule(config.schedule));
+    }
+
+    validateDevices(config.devices, errors);
+
+    return errors;
+}
+
+/**
+ * Apply environment variable overrides. Returns the list of variables used.
+ */
+function applyEnvOverrides(config, env) {
+    const applied = [];
+    for (const override of ENV_OVERRIDES) {
+        const raw = env[override.env];
+        if (raw === undefined || raw === '') continue;
+        setPath(config, override.path, override.parse ? override.parse(raw) : raw);
+        applied.push(override.env);
+    }
+    return applied;
+}
+
+/**
+ * Load, override and validate the configuration. Throws ConfigError when invalid.
+ */
+function loadConfig(options = {}) {
+    const file = options.file || process.env.DASHBOARD_CONFIG || DEFAULT_CONFIG_FILE;
+    const env = options.env || process.env;
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`could not read config file: ${error.message}`], file);
+    }
+
+    const envOverrides = applyEnvOverrides(config, env);
+    const errors = validateConfig(config).map(error => {
+        // Point at the environment variable when it supplied the bad value
+        const override = ENV_OVERRIDES.find(o => envOverrides.includes(o.env) && error.startsWith(`${o.path}:`));
+        return override ? `${error} (from ${override.env})` : error;
+    });
+    if (errors.length > 0) {
+        throw new ConfigError(errors, file);
+    }
+
+    Object.defineProperty(config, '_meta', {
+        value: { file, envOverrides },
+        enumerable: false
+    });
+    return config;
+}
+
+let activeConfig = null;
+
+/**
+ * Load the config once and make it the active config for all services
+ */
+function initConfig(options = {}) {
+    activeConfig = loadConfig(options);
+    return activeConfig;
+}
+
+/**
+ * Get the active config, loading the default file on first use
+ */
+function getConfig() {
+    if (!activeConfig) {
+        activeConfig = loadConfig();
+    }
+    return activeConfig;
+}
+
+/**
+ * Deep copy of a config with secret values (URLs, tokens, passwords) masked
+ */
+function redactConfig(config) {
+    const redact = (value, key) => {
+        // A list under a secret key is masked item by item
+        if (Array.isArray(value)) return value.map(item => redact(item, key));
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [childKey, childValue] of Object.entries(value)) {
+                result[childKey] = redact(childValue, childKey);
+            }
+            return result;
+        }
+        if (key && SECRET_KEY_PATTERN.test(key) && value) return '[redacted]';
+        return value;
+    };
+    return redact(config, null);
+}
+
+module.exports = {
+    ConfigError,
+    DEFAULT_CONFIG_FILE,
+    DEVICE_ID_PATTERN,
+    ENV_OVERRIDES,
+    getConfig,
+    initConfig,
+    isValidTimezone,
+    loadConfig,
+    redactConfig,
+    validateConfig,
+    validateDevices
+};
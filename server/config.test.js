@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the central config: loading the file, environment variable
+ * overrides, validation messages and redaction of secrets
+ * Run with: node server/config.test.js
+ */
+
+const {
+    ConfigError,
+    DEFAULT_CONFIG_FILE,
+    loadConfig,
+    redactConfig,
+    validateConfig
+} = require('./config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+/**
+ * A fresh copy of the shipped config.json
+ */
+function baseConfig() {
+    return JSON.parse(fs.readFileSync(DEFAULT_CONFIG_FILE, 'utf8'));
+}
+
+/**
+ * Validation errors for the shipped config with one section changed,
+ * limited to the errors under `prefix`
+ */
+function errorsFor(change, prefix) {
+    const config = baseConfig();
+    change(config);
+    return validateConfig(config).filter(error => error.startsWith(prefix));
+}
+
+function assertError(errors, expected, message) {
+    assert(errors.includes(expected), `${message} (expected: ${expected}, got: ${errors.join(' | ') || 'no errors'})`);
+}
+
+function runTests() {
+    console.log('\n🧪 Running Config Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    const writeConfig = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    };
+    const loadError = options => {
+        try {
+            loadConfig(options);
+            return null;
+        } catch (error) {
+            return error;
+        }
+    };
+
+    // Test 1: Loading the file
+    console.log('Test 1: Loading');
+    const file = writeConfig('config.json', baseConfig());
+    const loaded = loadConfig({ file, env: {} });
+    assertEquals(loaded.server.port, 3000, 'Values from the file');
+    assertEquals(loaded._meta.file, file, 'Source file recorded');
+    assert(!Object.keys(loaded).includes('_meta'), 'Metadata is not enumerable');
+    assertEquals(validateConfig(baseConfig()).length, 0, 'Shipped config.json is valid');
+    const missing = loadError({ file: path.join(dir, 'missing.json'), env: {} });
+    assert(missing instanceof ConfigError, 'Missing file throws ConfigError');
+    assert(missing.errors[0].startsWith('could not read config file:'), 'Missing file message');
+    const broken = loadError({ file: writeConfig('broken.json', '{ "server": '), env: {} });
+    assert(broken.errors[0].startsWith('could not read config file:'), 'Broken JSON message');
+    const invalid = loadError({ file: writeConfig('invalid.json', { ...baseConfig(), server: { ...baseConfig().server, port: 0 } }), env: {} });
+    assert(invalid.message.startsWith(`Invalid configuration in ${path.join(dir, 'invalid.json')}:\n  - `), 'Error lists the file and each problem');
+    assertEquals(invalid.errors.join(), 'server.port: must be between 1 and 65535', 'Invalid value message');
+    console.log();
+
+    // Test 2: Environment overrides
+    console.log('Test 2: Environment Overrides');
+    const overridden = loadConfig({
+        file,
+        env: {
+            DASHBOARD_PORT: '8080',
+            DASHBOARD_TIMEZONE: 'Europe/Berlin',
+            DASHBOARD_WEATHER_PROVIDERS: 'nws, open-meteo',
+            DASHBOARD_HOST: ''
+        }
+    });
+    assertEquals(overridden.server.port, 8080, 'Numbers are parsed');
+    assertEquals(overridden.location.timezone, 'Europe/Berlin', 'Strings are used as given');
+    assertEquals(overridden.weather.providers.join(), 'nws,open-meteo', 'Lists are split on commas');
+    assertEquals(overridden.server.host, 'localhost', 'Empty variables are ignored');
+    assertEquals(overridden._meta.envOverrides.join(), 'DASHBOARD_PORT,DASHBOARD_TIMEZONE,DASHBOARD_WEATHER_PROVIDERS', 'Applied variables recorded');
+    const badEnv = loadError({ file, env: { DASHBOARD_LATITUDE: 'north' } });
+    assertEquals(badEnv.errors.join(), 'location.latitude: must be a number (from DASHBOARD_LATITUDE)', 'Bad value names its variable');
+    const webhook = loadConfig({ file, env: { DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/abc' } });
+    assertEquals(webhook.notifications.discordWebhookUrl, 'https://discord.com/api/webhooks/1/abc', 'Nested path');
+    console.log();
+
+    // Test 3: Top-level settings
+    console.log('Test 3: Settings');
+    assertError(errorsFor(c => delete c.server.port, 'server'), 'server.port: is required', 'Required setting');
+    assertError(errorsFor(c => { c.server.cache = 'yes'; }, 'server'), 'server.cache: must be true or false', 'Boolean');
+    assertError(errorsFor(c => { c.server.refreshInterval = 1.5; }, 'server'), 'server.refreshInterval: must be an integer', 'Integer');
+    assertError(errorsFor(c => { c.location.timezone = 'Mars/Olympus'; }, 'location'),
+        'location.timezone: must be an IANA timezone such as "America/Chicago" (got "Mars/Olympus")', 'Timezone');
+    assertError(errorsFor(c => { c.weather.providers = ['nws', 'nws']; }, 'weather'), 'weather.providers: lists "nws" more than once', 'Duplicate provider');
+    assertError(errorsFor(c => { c.weather.providers = ['accuweather']; }, 'weather'),
+        `weather.providers: "accuweather" must be one of ${['open-meteo', 'met-norway', 'nws'].map(name => JSON.stringify(name)).join(', ')}`, 'Unknown provider');
+    assertError(errorsFor(c => { c.eink.dither = 'atkinson'; }, 'eink'),
+        'eink.dither: must be one of "floyd-steinberg", "ordered", "none"', 'One of');
+    assertError(errorsFor(c => { c.notifications.discordWebhookUrl = 'ftp://example.com'; }, 'notifications'),
+        'notifications.discordWebhookUrl: must be an http(s) or webcal URL', 'URL');
+    assertError(errorsFor(c => { c.calendar = {}; }, 'calendar'), 'calendar.url: is required (or list calendar.sources)', 'Calendar URL or sources');
+    console.log();
+
+    // Test 4: Devices
+    console.log('Test 4: Devices');
+    const deviceErrors = devices => errorsFor(c => { c.devices = devices; }, 'devices');
+    assertEquals(deviceErrors([{ id: 'kitchen', name: 'Kitchen', layout: 'minimal', latitude: 0, longitude: 0, timezone: 'UTC', refreshInterval: 600 }]).length, 0,
+        'Valid device');
+    assertError(deviceErrors([{ id: 'my kindle' }]), `devices[0].id: must use letters, digits, '-' or '_' (got "my kindle")`, 'Invalid id');
+    assertError(deviceErrors([{ id: 'a', latitude: 95 }]), 'devices[0].latitude: must be between -90 and 90', 'Latitude range');
+    assertError(deviceErrors([{ id: 'a', refreshInterval: 30 }]), 'devices[0].refreshInterval: must be between 60 and 86400', 'Refresh interval range');
+    assertError(deviceErrors([{ id: 'a', calendarUrl: 'calendar.ics' }]), 'devices[0].calendarUrl: must be an http(s) or webcal URL', 'Calendar URL');
+    assertError(deviceErrors([{ id: 'a', colour: 'red' }]), 'devices[0].colour: unknown device setting', 'Unknown setting');
+    assertError(deviceErrors([{ id: 'a' }, { id: 'a' }]), 'devices: duplicate id "a"', 'Duplicate id');
+    assertError(deviceErrors(['kitchen']), 'devices[0]: must be an object', 'Not an object');
+    assertError(deviceErrors({}), 'devices: must be an array', 'Not an array');
+    assertError(deviceErrors([{ id: 'a', calendarSources: [] }]), 'devices[0].calendarSources: must be a non-empty array', 'Device calendar sources');
+    assertError(deviceErrors([{ id: 'a', calendarPrivacy: { quiet: 1 } }]), 'devices[0].calendarPrivacy.quiet: must be true or false', 'Device calendar privacy');
+    console.log();
+
+    // Test 5: Calendar sources
+    console.log('Test 5: Calendar Sources');
+    const sourceErrors = sources => errorsFor(c => { c.calendar.sources = sources; }, 'calendar.sources');
+    assertEquals(sourceErrors([
+        { id: 'work', url: 'https://example.com/work.ics', label: 'W', exclude: ['lunch'], priority: 10 },
+        { id: 'home', type: 'caldav', url: 'https://dav.example.com/home/', username: 'ann', password: 'secret', auth: 'digest' },
+        { id: 'kids', type: 'file', path: 'fixtures/calendar/family.ics', dedupe: 'title' }
+    ]).length, 0, 'Valid sources');
+    assertError(sourceErrors([{ id: 'a' }]), 'calendar.sources[0].url: is required for ical sources', 'URL required');
+    assertError(sourceErrors([{ id: 'a', type: 'file' }]), 'calendar.sources[0].path: is required for file sources', 'Path required for files');
+    assertError(sourceErrors([{ id: 'a', type: 'exchange', url: 'https://example.com' }]),
+        'calendar.sources[0].type: must be one of "ical", "file", "caldav"', 'Unknown type');
+    assertError(sourceErrors([{ id: 'a', url: 'https://example.com', auth: 'ntlm' }]),
+        'calendar.sources[0].auth: must be one of "basic", "digest"', 'Unknown auth scheme');
+    assertError(sourceErrors([{ id: 'a', url: 'https://example.com', label: 'Works' }]),
+        'calendar.sources[0].label: must be at most 4 characters', 'Label length');
+    assertError(sourceErrors([{ id: 'a', url: 'https://example.com', include: ['x', ''] }]),
+        'calendar.sources[0].include: must be an array of non-empty strings', 'Filter words');
+    assertError(sourceErrors([{ id: 'a', url: 'https://example.com', priority: 500 }]),
+        'calendar.sources[0].priority: must be between -100 and 100', 'Priority range');
+    assertError(sourceErrors([{ id: 'a', url: 'https://example.com', colour: 'red' }]),
+        'calendar.sources[0].colour: unknown calendar source setting', 'Unknown setting');
+    assertError(sourceErrors([{ id: 'a', url: 'https://a.example.com' }, { id: 'a', url: 'https://b.example.com' }]),
+        'calendar.sources: duplicate id "a"', 'Duplicate id');
+    assertError(sourceErrors([]), 'calendar.sources: must be a non-empty array', 'Empty list');
+    console.log();
+
+    // Test 6: Calendar privacy
+    console.log('Test 6: Calendar Privacy');
+    const privacyErrors = privacy => errorsFor(c => { c.calendar.privacy = privacy; }, 'calendar.privacy');
+    assertEquals(privacyErrors({ rules: [{ keywords: ['therapy'], action: 'hide' }], strip: ['links'], stripPatterns: ['\\d+'], quiet: false }).length, 0,
+        'Valid privacy settings');
+    assertError(privacyErrors({ rules: [{ keywords: ['x'] }] }), 'calendar.privacy.rules[0].action: is required', 'Action required');
+    assertError(privacyErrors({ rules: [{ action: 'blur' }] }), 'calendar.privacy.rules[0].action: must be one of "hide", "busy"', 'Unknown action');
+    assertError(privacyErrors({ rules: [{ action: 'hide', title: 'x' }] }), 'calendar.privacy.rules[0].title: unknown privacy rule setting', 'Unknown rule setting');
+    assertError(privacyErrors({ rules: {} }), 'calendar.privacy.rules: must be an array of rules', 'Rules must be an array');
+    assertError(privacyErrors({ strip: ['faxes'] }),
+        'calendar.privacy.strip: "faxes" must be one of "links", "phone", "email", "meeting-ids"', 'Unknown built-in pattern');
+    assertError(privacyErrors({ stripPatterns: ['(unclosed'] }),
+        'calendar.privacy.stripPatterns: "(unclosed" is not a valid regular expression', 'Invalid pattern');
+    assertError(privacyErrors({ blur: true }), 'calendar.privacy.blur: unknown calendar privacy setting', 'Unknown setting');
+    assertError(privacyErrors([]), 'calendar.privacy: must be an object', 'Must be an object');
+    console.log();
+
+    // Test 7: Countdowns
+    console.log('Test 7: Countdowns');
+    const countdownErrors = countdowns => errorsFor(c => { c.calendar.countdowns = countdowns; }, 'calendar.countdowns');
+    assertEquals(countdownErrors({ categories: ['Countdown'], keywords: ['vacation'], events: [{ name: 'Trip', date: '2027-01-15' }] }).length, 0,
+        'Valid countdowns');
+    assertError(countdownErrors({ events: [{ name: 'Trip', date: '2027-02-30' }] }),
+        'calendar.countdowns.events[0].date: must be a date such as "2026-12-18" (got "2027-02-30")', 'Impossible date');
+    assertError(countdownErrors({ events: [{ name: 'Trip', date: '15/01/2027' }] }),
+        'calendar.countdowns.events[0].date: must be a date such as "2026-12-18" (got "15/01/2027")', 'Wrong date format');
+    assertError(countdownErrors({ events: [{ date: '2027-01-15' }] }), 'calendar.countdowns.events[0].name: is required', 'Name required');
+    assertError(countdownErrors({ events: [{ name: 'Trip', date: '2027-01-15', repeat: 'monthly' }] }),
+        'calendar.countdowns.events[0].repeat: must be one of "yearly"', 'Only yearly repeats');
+    assertError(countdownErrors({ events: [{ name: 'Trip', date: '2027-01-15', time: '09:00' }] }),
+        'calendar.countdowns.events[0].time: unknown countdown event setting', 'Unknown event setting');
+    assertError(countdownErrors({ events: {} }), 'calendar.countdowns.events: must be an array of { name, date } entries', 'Events must be an array');
+    assertError(countdownErrors({ keywords: 'vacation' }), 'calendar.countdowns.keywords: must be an array of non-empty strings', 'Keywords');
+    assertError(countdownErrors({ tags: [] }), 'calendar.countdowns.tags: unknown countdown setting', 'Unknown setting');
+    console.log();
+
+    // Test 8: Named locations
+    console.log('Test 8: Locations');
+    const locationErrors = locations => errorsFor(c => { c.locations = locations; }, 'locations');
+    assertEquals(locationErrors({ office: { name: 'Office', latitude: 40.7, longitude: -74, timezone: 'America/New_York' } }).length, 0, 'Valid location');
+    assertError(locationErrors({ office: { latitude: 40.7 } }), 'locations.office.longitude: is required', 'Longitude required');
+    assertError(locationErrors({ home: { latitude: 1, longitude: 1 } }), `locations.home: "home" always means the device's own location`, 'home is reserved');
+    assertError(locationErrors({ 'the office': { latitude: 1, longitude: 1 } }), `locations.the office: names must use letters, digits, '-' or '_'`, 'Invalid name');
+    assertError(locationErrors({ office: { latitude: 1, longitude: 181 } }), 'locations.office.longitude: must be between -180 and 180', 'Longitude range');
+    assertError(locationErrors({ office: { latitude: 1, longitude: 1, zoom: 3 } }), 'locations.office.zoom: unknown location setting', 'Unknown setting');
+    assertError(locationErrors([]), 'locations: must be an object of named locations', 'Must be an object');
+    console.log();
+
+    // Test 9: Redaction
+    console.log('Test 9: Redaction');
+    const secrets = baseConfig();
+    secrets.notifications.discordWebhookUrl = 'https://discord.com/api/webhooks/1/abc';
+    secrets.calendar.sources = [
+        { id: 'home', type: 'caldav', url: 'https://ann:pw@dav.example.com/home/', username: 'ann', password: 'hunter2' }
+    ];
+    secrets.devices = [{ id: 'kitchen', calendarUrl: 'webcal://example.com/private.ics' }];
+    secrets.integrations = { accessToken: 'tok-1', clientSecret: 'sec-1', apiToken: 'tok-2', webhook: 'https://hooks.example.com/x', user: 'ann@mail.example.com' };
+    secrets.mirrors = { url: ['https://mirror-1.example.com', 'https://mirror-2.example.com'] };
+    const redacted = redactConfig(secrets);
+    const text = JSON.stringify(redacted);
+    for (const secret of ['icloud.com', 'webhooks/1/abc', 'dav.example.com', 'hunter2', 'private.ics', 'tok-1', 'sec-1', 'tok-2', 'hooks.example.com', 'mirror-1', 'ann']) {
+        assert(!text.includes(secret), `"${secret}" masked`);
+    }
+    assertEquals(redacted.calendar.url, '[redacted]', 'calendar.url');
+    assertEquals(redacted.calendar.sources[0].password, '[redacted]', 'Password in a list of sources');
+    assertEquals(redacted.devices[0].calendarUrl, '[redacted]', 'Device calendar URL');
+    assertEquals(redacted.mirrors.url.join(), '[redacted],[redacted]', 'Lists under a secret key');
+    assertEquals(redacted.calendar.sources[0].username, '[redacted]', 'Username');
+    assertEquals(redacted.integrations.user, '[redacted]', 'User');
+    assertEquals(redacted.calendar.sources[0].type, 'caldav', 'Other values kept');
+    assertEquals(redacted.server.port, 3000, 'Numbers kept');
+    assertEquals(redactConfig(baseConfig()).notifications.discordWebhookUrl, null, 'Unset secrets stay null');
+    assertEquals(secrets.calendar.sources[0].password, 'hunter2', 'Original config unchanged');
+    console.log();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
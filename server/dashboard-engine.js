@@ -4,6 +4,8 @@ const { createCanvas, loadImage } = require('canvas');
 const fs = require('fs');
 const path = require('path');
 const { format } = require('date-fns');
+const { getConfig } = require('./config');
+const { applyConditions } = require('./conditions');
 
 /**
  * Round a Date down to the last N-minute boundary.
@@ -15,6 +17,101 @@ function roundTimeToNearest(date, intervalMinutes = 15) {
     return new Date(Math.floor(date.getTime() / ms) * ms);
 }
 
+/**
+ * The wall-clock time in a timezone as a Date whose local fields (getHours,
+ * date-fns format) show it, so clocks don't depend on the server's timezone
+ */
+function zonedTime(date, timezone) {
+    if (!timezone) return date;
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = type => Number(parts.find(part => part.type === type).value);
+    return new Date(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+}
+
+/**
+ * Draw the moon as seen from the northern hemisphere: a dark disc with the lit
+ * part in white. `phase` runs 0 (new) → 0.5 (full) → 1 (new).
+ */
+function drawMoon(ctx, x, y, radius, phase, color = '#000000') {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Lit limb plus the elliptical terminator back across the disc
+    const bulge = Math.cos(2 * Math.PI * phase);
+    const terminator = Math.max(Math.abs(bulge) * radius, 0.01);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.beginPath();
+    if (phase <= 0.5) {
+        ctx.arc(x, y, radius, -Math.PI / 2, Math.PI / 2, false);
+        ctx.ellipse(x, y, terminator, radius, 0, Math.PI / 2, -Math.PI / 2, bulge > 0);
+    } else {
+        ctx.arc(x, y, radius, Math.PI / 2, Math.PI * 1.5, false);
+        ctx.ellipse(x, y, terminator, radius, 0, Math.PI * 1.5, Math.PI / 2, bulge > 0);
+    }
+    ctx.fill();
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+/**
+ * "7:08 AM" → "7:08a" for tight spaces
+ */
+function compactTime(time) {
+    return time ? time.replace(/ ([AP])M$/, (match, meridiem) => meridiem.toLowerCase()) : '--';
+}
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * A calendar day ("2026-10-28") as UTC midnight, so day arithmetic does not
+ * depend on the server's timezone. Without a key, today on the server.
+ */
+function calendarDay(key) {
+    if (key) return new Date(`${key}T00:00:00Z`);
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+function addDays(day, count) {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + count));
+}
+
+function dayKey(day) {
+    return day.toISOString().slice(0, 10);
+}
+
+// Per-component render timeout when the engine is not given one (ms)
+const DEFAULT_COMPONENT_TIMEOUT = 5000;
+
+class ComponentTimeoutError extends Error {
+    constructor(timeout) {
+        super(`timed out after ${timeout}ms`);
+        this.name = 'ComponentTimeoutError';
+    }
+}
+
+/**
+ * Name a layout component in logs and render reports
+ */
+function componentLabel(item) {
+    return item.id || item.type;
+}
+
 /**
  * Flexible Dashboard Layout Engine for Kindle E-ink Display
  * Modular component system with grid-based positioning
@@ -174,6 +271,7 @@ class ClockComponent extends ComponentBase {
             format: config.format || 'HH:mm',
             showSeconds: config.showSeconds || false,
             secondsSize: config.secondsSize || 0.5,
+            timezone: config.timezone || getConfig().location.timezone,
             ...config
         });
     }
@@ -188,7 +286,7 @@ class ClockComponent extends ComponentBase {
         this.drawContainer(ctx, bounds);
         const contentBounds = this.getContentBounds(bounds);
 
-        const now = roundTimeToNearest(new Date(), 15);
+        const now = zonedTime(roundTimeToNearest(new Date(), 15), this.config.timezone);
         const timeStr = format(now, this.config.format);
 
         this.setTextStyle(ctx);
@@ -225,6 +323,7 @@ class AnalogClockComponent extends ComponentBase {
             tickColor: config.tickColor || '#000000',
             faceColor: config.faceColor || '#FFFFFF',
             borderWidth: config.borderWidth || 3,
+            timezone: config.timezone || getConfig().location.timezone,
             ...config
         });
     }
@@ -266,7 +365,7 @@ class AnalogClockComponent extends ComponentBase {
         }
 
         // Current time (rounded to nearest 5 min)
-        const now = roundTimeToNearest(new Date(), 15);
+        const now = zonedTime(roundTimeToNearest(new Date(), 15), this.config.timezone);
         const hours = now.getHours() % 12;
         const minutes = now.getMinutes();
 
@@ -307,6 +406,7 @@ class DateComponent extends ComponentBase {
             dayFormat: config.dayFormat || 'EEEE',
             dateFormat: config.dateFormat || 'MMMM do, yyyy',
             showDayOfYear: config.showDayOfYear || false,
+            timezone: config.timezone || getConfig().location.timezone,
             ...config
         });
     }
@@ -321,7 +421,7 @@ class DateComponent extends ComponentBase {
         this.drawContainer(ctx, bounds);
         const contentBounds = this.getContentBounds(bounds);
 
-        const now = new Date();
+        const now = zonedTime(new Date(), this.config.timezone);
         this.setTextStyle(ctx);
 
         const lineHeight = this.config.fontSize * 1.2;
@@ -707,6 +807,7 @@ class StatusBarComponent extends ComponentBase {
             textAlign: 'left',
             textColor: config.textColor || '#888888',
             deviceStats: config.deviceStats || null,
+            timezone: config.timezone || getConfig().location.timezone,
             ...config
         });
     }
@@ -746,7 +847,7 @@ class StatusBarComponent extends ComponentBase {
             hour: 'numeric',
             minute: '2-digit',
             hour12: true,
-            timeZone: 'America/Chicago'
+            timeZone: this.config.timezone
         });
         parts.push(`Updated ${timeStr}`);
 
@@ -825,6 +926,8 @@ class WeatherComponent extends ComponentBase {
             showForecast: config.showForecast !== false,
             showWind: config.showWind !== false,
             showHumidity: config.showHumidity !== false,
+            showAqi: config.showAqi || false,
+            showUv: config.showUv || false,
             forecastDays: config.forecastDays || 3,
             weatherData: config.weatherData || null,
             ...config
@@ -860,6 +963,21 @@ class WeatherComponent extends ComponentBase {
         return symbols[iconType] || symbols['unknown'];
     }
 
+    /**
+     * "AQI 58 Moderate" and "UV 3 Moderate" detail texts, when enabled and known
+     */
+    getAirDetails(weather) {
+        const air = weather.airQuality;
+        const details = {};
+        if (this.config.showAqi && air && air.aqi !== null) {
+            details.aqi = `AQI ${air.aqi} ${air.category}`;
+        }
+        if (this.config.showUv && air && air.uvIndex !== null) {
+            details.uv = `UV ${Math.round(air.uvIndex)} ${air.uvCategory}`;
+        }
+        return details;
+    }
+
     render(ctx, bounds) {
         this.drawContainer(ctx, bounds);
         const contentBounds = this.getContentBounds(bounds);
@@ -890,11 +1008,14 @@ class WeatherComponent extends ComponentBase {
         // Current weather
         if (this.config.showCurrent && weather.current) {
             const current = weather.current;
+            const air = this.getAirDetails(weather);
 
             if (this.config.inline) {
                 // Inline mode: single horizontal line
                 const weatherSymbol = this.getWeatherSymbol(current.icon);
                 let parts = [`${weatherSymbol} ${current.temperature} ${current.condition}`];
+                if (air.aqi) parts.push(air.aqi);
+                if (air.uv) parts.push(air.uv);
                 if (this.config.showWind && current.windSpeed) parts.push(`Wind ${current.windSpeed}`);
                 if (this.config.showHumidity && current.humidity) parts.push(`Humidity ${current.humidity}`);
                 const inlineText = parts.join(' · ');
@@ -918,6 +1039,17 @@ class WeatherComponent extends ComponentBase {
 
                 currentY += lineHeight * 1.3;
 
+                // Air quality and UV before wind and humidity
+                if (this.config.compactDetails && air.aqi && air.uv) {
+                    ctx.fillText(`${air.aqi} · ${air.uv}`, contentBounds.x, currentY);
+                    currentY += lineHeight;
+                } else {
+                    for (const text of [air.aqi, air.uv].filter(Boolean)) {
+                        ctx.fillText(text, contentBounds.x, currentY);
+                        currentY += lineHeight;
+                    }
+                }
+
                 // Wind and humidity
                 if (this.config.compactDetails && this.config.showWind && this.config.showHumidity && current.windSpeed && current.humidity) {
                     ctx.fillText(`Wind ${current.windSpeed} · Humidity ${current.humidity}`, contentBounds.x, currentY);
@@ -998,8 +1130,625 @@ class WeatherComponent extends ComponentBase {
         if (weather.source && this.config.showSource !== false) {
             currentY += 5;
             ctx.font = `${this.config.fontWeight} ${Math.round(originalSize * 0.8)}px ${this.config.fontFamily}`;
-            ctx.fillText(`Source: ${weather.source}`, contentBounds.x, currentY);
+            const provider = weather.provider ? ` (${weather.provider})` : '';
+            ctx.fillText(`Source: ${weather.source}${provider}`, contentBounds.x, currentY);
+        }
+    }
+}
+
+class HourlyChartComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('hourly-chart', {
+            fontSize: 14,
+            fontWeight: 'bold',
+            title: config.title || '',
+            titleSize: config.titleSize || 1.2,
+            hours: config.hours || 12,
+            metrics: config.metrics || ['temperature', 'precipitation'],
+            chartType: config.chartType || 'line',
+            lineWidth: config.lineWidth || 3,
+            weatherData: config.weatherData || null,
+            ...config
+        });
+    }
+
+    /**
+     * Compact hour label: "7a", "12p"
+     */
+    formatHour(hour) {
+        return `${hour % 12 || 12}${hour < 12 ? 'a' : 'p'}`;
+    }
+
+    render(ctx, bounds) {
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const { fontSize, fontFamily, fontWeight, textColor } = this.config;
+        const labelFont = `${fontWeight} ${fontSize}px ${fontFamily}`;
+
+        this.setTextStyle(ctx);
+        ctx.textAlign = 'left';
+        let top = contentBounds.y;
+
+        if (this.config.title) {
+            const titleSize = Math.round(fontSize * this.config.titleSize);
+            ctx.font = `bold ${titleSize}px ${fontFamily}`;
+            ctx.fillText(this.config.title, contentBounds.x, top);
+            top += titleSize + 6;
+        }
+
+        const hourly = (this.config.weatherData && this.config.weatherData.hourly) || [];
+        const hours = hourly.slice(0, this.config.hours);
+        if (hours.length < 2) {
+            ctx.font = labelFont;
+            ctx.fillText('Hourly forecast unavailable', contentBounds.x, top);
+            return;
+        }
+
+        const metrics = this.config.metrics;
+        const temperatures = hours.map(h => h.temperature).filter(t => typeof t === 'number');
+        const showTemperature = metrics.includes('temperature') && temperatures.length > 0;
+        const showPrecipitation = metrics.includes('precipitation') &&
+            hours.some(h => typeof h.precipitationProbability === 'number');
+        if (!showTemperature && !showPrecipitation) {
+            ctx.font = labelFont;
+            ctx.fillText('Hourly forecast unavailable', contentBounds.x, top);
+            return;
+        }
+
+        // Temperature scale, at least 4° tall so a flat day isn't drawn as noise
+        let low = Math.floor(Math.min(...temperatures));
+        let high = Math.ceil(Math.max(...temperatures));
+        if (high - low < 4) {
+            const middle = (high + low) / 2;
+            low = Math.floor(middle - 2);
+            high = Math.ceil(middle + 2);
+        }
+
+        // Plot area: temperature axis left, precipitation axis right, hours below,
+        // and one line of room above for the "now" label
+        ctx.font = labelFont;
+        const leftAxis = showTemperature ? ctx.measureText(`${high}°`).width + 6 : 0;
+        const rightAxis = showPrecipitation ? ctx.measureText('100%').width + 6 : 0;
+        const plot = {
+            x: contentBounds.x + leftAxis,
+            y: top + fontSize + 4,
+            width: contentBounds.width - leftAxis - rightAxis,
+            height: contentBounds.y + contentBounds.height - (top + fontSize + 4) - fontSize - 6
+        };
+        if (plot.width <= 0 || plot.height <= 0) return;
+
+        const slot = plot.width / hours.length;
+        const temperatureY = t => plot.y + plot.height * (1 - (t - low) / (high - low));
+
+        // Gridlines at the top and middle, solid baseline
+        ctx.strokeStyle = '#999999';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        for (const fraction of [0, 0.5]) {
+            const y = Math.round(plot.y + plot.height * fraction) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(plot.x, y);
+            ctx.lineTo(plot.x + plot.width, y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+        ctx.strokeStyle = textColor;
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y + plot.height + 0.5);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height + 0.5);
+        ctx.stroke();
+
+        // Precipitation probability: light gray bars on a 0–100% scale
+        if (showPrecipitation) {
+            ctx.fillStyle = '#BBBBBB';
+            hours.forEach((h, i) => {
+                if (!(h.precipitationProbability > 0)) return;
+                const barHeight = plot.height * Math.min(h.precipitationProbability, 100) / 100;
+                ctx.fillRect(plot.x + slot * i + slot * 0.1, plot.y + plot.height - barHeight, slot * 0.8, barHeight);
+            });
+        }
+
+        // Temperature: dark bars, or a thick line with a dot per hour
+        if (showTemperature) {
+            if (this.config.chartType === 'bar') {
+                ctx.fillStyle = '#333333';
+                hours.forEach((h, i) => {
+                    if (typeof h.temperature !== 'number') return;
+                    const y = temperatureY(h.temperature);
+                    ctx.fillRect(plot.x + slot * i + slot * 0.3, y, slot * 0.4, plot.y + plot.height - y);
+                });
+            } else {
+                const points = hours
+                    .map((h, i) => (typeof h.temperature === 'number' ? [plot.x + slot * (i + 0.5), temperatureY(h.temperature)] : null))
+                    .filter(Boolean);
+                ctx.strokeStyle = textColor;
+                ctx.lineWidth = this.config.lineWidth;
+                ctx.lineJoin = 'round';
+                ctx.beginPath();
+                points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.stroke();
+
+                ctx.fillStyle = textColor;
+                const radius = Math.max(2, this.config.lineWidth * 0.8);
+                for (const [x, y] of points) {
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+        }
+
+        // Axis labels
+        ctx.fillStyle = textColor;
+        ctx.font = labelFont;
+        ctx.textBaseline = 'middle';
+        if (showTemperature) {
+            ctx.textAlign = 'right';
+            ctx.fillText(`${high}°`, plot.x - 4, plot.y);
+            ctx.fillText(`${low}°`, plot.x - 4, plot.y + plot.height);
+        }
+        if (showPrecipitation) {
+            ctx.textAlign = 'left';
+            ctx.fillText('100%', plot.x + plot.width + 4, plot.y);
+            ctx.fillText('0%', plot.x + plot.width + 4, plot.y + plot.height);
+        }
+
+        // Hour labels, thinned out so they never touch
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const labelWidth = ctx.measureText('12p').width + 8;
+        const every = Math.max(1, Math.ceil(labelWidth / slot));
+        hours.forEach((h, i) => {
+            if (i % every !== 0) return;
+            ctx.fillText(this.formatHour(h.hour), plot.x + slot * (i + 0.5), plot.y + plot.height + 4);
+        });
+
+        // Current-hour marker
+        const offset = (Date.now() - new Date(hours[0].time).getTime()) / 3600000;
+        if (offset >= 0 && offset < hours.length) {
+            const x = Math.round(plot.x + slot * offset) + 0.5;
+            ctx.strokeStyle = textColor;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, plot.y);
+            ctx.lineTo(x, plot.y + plot.height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.textBaseline = 'bottom';
+            ctx.fillText('now', Math.max(x, contentBounds.x + ctx.measureText('now').width / 2), plot.y - 2);
+        }
+    }
+}
+
+class WeatherAlertComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('weather-alert', {
+            fontSize: 18,
+            fontWeight: 'bold',
+            backgroundColor: config.backgroundColor || '#000000',
+            textColor: config.textColor || '#FFFFFF',
+            padding: config.padding || 10,
+            maxAlerts: config.maxAlerts || 2,
+            showHeadline: config.showHeadline !== false,
+            showExpiry: config.showExpiry !== false,
+            timezone: config.timezone || getConfig().location.timezone,
+            weatherData: config.weatherData || null,
+            ...config
+        });
+    }
+
+    /**
+     * Shorten text with "..." until it fits the width
+     */
+    fitText(ctx, text, width) {
+        if (ctx.measureText(text).width <= width) return text;
+        let fitted = text;
+        while (ctx.measureText(fitted + '...').width > width && fitted.length > 3) fitted = fitted.slice(0, -1);
+        return fitted + '...';
+    }
+
+    formatExpiry(expires) {
+        return new Date(expires).toLocaleString('en-US', {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true,
+            timeZone: this.config.timezone
+        });
+    }
+
+    render(ctx, bounds) {
+        const alerts = (this.config.weatherData && this.config.weatherData.alerts) || [];
+        if (alerts.length === 0) return; // Nothing to warn about: leave the space blank
+
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const { fontSize, fontFamily, fontWeight, textColor, maxAlerts } = this.config;
+        const headlineSize = Math.round(fontSize * 0.8);
+        const lineHeight = Math.round(fontSize * 1.3);
+        const headlineHeight = this.config.showHeadline ? Math.round(headlineSize * 1.3) : 0;
+        const bottom = contentBounds.y + contentBounds.height;
+
+        ctx.fillStyle = textColor;
+        ctx.textBaseline = 'top';
+        let y = contentBounds.y;
+        let shown = 0;
+
+        for (const alert of alerts.slice(0, maxAlerts)) {
+            if (shown > 0 && y + lineHeight + headlineHeight > bottom) break;
+
+            // "⚠ SEVERE  High Wind Warning" with the expiry on the right
+            ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+            let titleWidth = contentBounds.width;
+            if (this.config.showExpiry && alert.expires) {
+                const until = `until ${this.formatExpiry(alert.expires)}`;
+                ctx.textAlign = 'right';
+                ctx.fillText(until, contentBounds.x + contentBounds.width, y);
+                titleWidth -= ctx.measureText(until).width + 12;
+            }
+            ctx.textAlign = 'left';
+            const title = `⚠ ${alert.severity.toUpperCase()}  ${alert.event}`;
+            ctx.fillText(this.fitText(ctx, title, titleWidth), contentBounds.x, y);
+            y += lineHeight;
+
+            if (this.config.showHeadline && alert.headline && alert.headline !== alert.event) {
+                ctx.font = `normal ${headlineSize}px ${fontFamily}`;
+                ctx.fillText(this.fitText(ctx, alert.headline, contentBounds.width), contentBounds.x, y);
+                y += headlineHeight;
+            }
+            shown++;
+        }
+
+        if (alerts.length > shown) {
+            ctx.font = `normal ${headlineSize}px ${fontFamily}`;
+            ctx.textAlign = 'right';
+            ctx.fillText(`+${alerts.length - shown} more`, contentBounds.x + contentBounds.width, Math.min(y, bottom - headlineSize));
+        }
+    }
+}
+
+class AstronomyComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('astronomy', {
+            fontSize: 14,
+            fontWeight: 'bold',
+            title: config.title || '',
+            titleSize: config.titleSize || 1.2,
+            showSun: config.showSun !== false,
+            showMoon: config.showMoon !== false,
+            showDayLength: config.showDayLength !== false,
+            weatherData: config.weatherData || null,
+            ...config
+        });
+    }
+
+    /**
+     * Sunrise-to-sunset arc over a horizon line, solid up to the sun's
+     * current position
+     */
+    drawSunArc(ctx, area, astronomy, now) {
+        const { fontSize, fontFamily, textColor } = this.config;
+        const labelHeight = Math.round(fontSize * 1.3);
+        const labelRows = this.config.showDayLength ? 2 : 1;
+        const horizon = area.y + area.height - labelHeight * labelRows - 4;
+        const cx = area.x + area.width / 2;
+        const rx = area.width / 2 - 8;
+        const ry = Math.max(horizon - area.y - 10, 10);
+
+        ctx.strokeStyle = textColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(area.x, horizon + 0.5);
+        ctx.lineTo(area.x + area.width, horizon + 0.5);
+        ctx.stroke();
+
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.ellipse(cx, horizon, rx, ry, 0, Math.PI, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Fraction of daylight gone; the sun only shows while it is up
+        let progress = null;
+        if (astronomy.polar === 'day') {
+            progress = 0.5;
+        } else if (astronomy.sunriseAt && astronomy.isDaylight) {
+            const rise = new Date(astronomy.sunriseAt).getTime();
+            const set = new Date(astronomy.sunsetAt).getTime();
+            progress = Math.min(Math.max((now.getTime() - rise) / (set - rise), 0), 1);
+        }
+        if (progress !== null) {
+            const angle = Math.PI + progress * Math.PI;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.ellipse(cx, horizon, rx, ry, 0, Math.PI, angle);
+            ctx.stroke();
+
+            ctx.fillStyle = textColor;
+            ctx.beginPath();
+            ctx.arc(cx + Math.cos(angle) * rx, horizon + Math.sin(angle) * ry, Math.max(fontSize * 0.45, 5), 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Times under the horizon, day length below
+        ctx.fillStyle = textColor;
+        ctx.textBaseline = 'top';
+        ctx.font = `bold ${fontSize}px ${fontFamily}`;
+        let labelY = horizon + 4;
+        if (astronomy.polar) {
+            ctx.textAlign = 'center';
+            ctx.fillText(astronomy.polar === 'day' ? 'Midnight sun' : 'Polar night', cx, labelY);
+        } else {
+            ctx.textAlign = 'left';
+            ctx.fillText(`↑ ${astronomy.sunrise}`, area.x, labelY);
+            ctx.textAlign = 'right';
+            ctx.fillText(`${astronomy.sunset} ↓`, area.x + area.width, labelY);
+        }
+        if (this.config.showDayLength) {
+            labelY += labelHeight;
+            ctx.font = `normal ${fontSize}px ${fontFamily}`;
+            ctx.textAlign = 'center';
+            ctx.fillText(`${astronomy.dayLength} (${astronomy.dayLengthChange})`, cx, labelY);
+        }
+    }
+
+    drawMoonPanel(ctx, area, moon) {
+        const { fontSize, fontFamily, textColor } = this.config;
+        const labelHeight = Math.round(fontSize * 1.3);
+        const radius = Math.max(Math.min(area.width / 2 - 4, (area.height - labelHeight * 2) / 2 - 6), 6);
+        const cx = area.x + area.width / 2;
+        const cy = area.y + (area.height - labelHeight * 2) / 2;
+
+        drawMoon(ctx, cx, cy, radius, moon.phase, textColor);
+
+        ctx.fillStyle = textColor;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.font = `bold ${fontSize}px ${fontFamily}`;
+        ctx.fillText(moon.name, cx, cy + radius + 6);
+        ctx.font = `normal ${fontSize}px ${fontFamily}`;
+        ctx.fillText(`${moon.illumination}% lit`, cx, cy + radius + 6 + labelHeight);
+    }
+
+    render(ctx, bounds) {
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const astronomy = this.config.weatherData && this.config.weatherData.astronomy;
+
+        this.setTextStyle(ctx);
+        ctx.textAlign = 'left';
+        let top = contentBounds.y;
+
+        if (this.config.title) {
+            const titleSize = Math.round(this.config.fontSize * this.config.titleSize);
+            ctx.font = `bold ${titleSize}px ${this.config.fontFamily}`;
+            ctx.fillText(this.config.title, contentBounds.x, top);
+            top += Math.round(titleSize * 1.5);
+        }
+
+        if (!astronomy) {
+            ctx.font = `normal ${this.config.fontSize}px ${this.config.fontFamily}`;
+            ctx.fillText('Astronomy unavailable', contentBounds.x, top);
+            return;
+        }
+
+        const area = { x: contentBounds.x, y: top, width: contentBounds.width, height: contentBounds.y + contentBounds.height - top };
+        const { showSun, showMoon } = this.config;
+        const moonWidth = showSun ? Math.min(area.width * 0.3, area.height) : area.width;
+
+        if (showSun) {
+            const gap = showMoon ? 16 : 0;
+            this.drawSunArc(ctx, { ...area, width: area.width - (showMoon ? moonWidth + gap : 0) }, astronomy, new Date());
+        }
+        if (showMoon) {
+            this.drawMoonPanel(ctx, { ...area, x: area.x + area.width - moonWidth, width: moonWidth }, astronomy.moon);
+        }
+    }
+}
+
+class AirQualityComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('air-quality', {
+            fontSize: 16,
+            fontWeight: 'normal',
+            title: config.title || '',
+            titleSize: config.titleSize || 1.2,
+            aqiSize: config.aqiSize || 2.5,
+            showPollutants: config.showPollutants !== false,
+            showUv: config.showUv !== false,
+            showPollen: config.showPollen !== false,
+            highlightLevel: config.highlightLevel !== undefined ? config.highlightLevel : 2,
+            weatherData: config.weatherData || null,
+            ...config
+        });
+    }
+
+    render(ctx, bounds) {
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const { fontSize, fontFamily, textColor } = this.config;
+        const lineHeight = Math.round(fontSize * 1.35);
+        const air = this.config.weatherData && this.config.weatherData.airQuality;
+
+        this.setTextStyle(ctx);
+        ctx.textAlign = 'left';
+        let y = contentBounds.y;
+
+        if (this.config.title) {
+            const titleSize = Math.round(fontSize * this.config.titleSize);
+            ctx.font = `bold ${titleSize}px ${fontFamily}`;
+            ctx.fillText(this.config.title, contentBounds.x, y);
+            y += Math.round(titleSize * 1.5);
+        }
+
+        if (!air || air.aqi === null) {
+            ctx.font = `normal ${fontSize}px ${fontFamily}`;
+            ctx.fillText('Air quality unavailable', contentBounds.x, y);
+            return;
+        }
+
+        // Big AQI number with its category beside it
+        const aqiSize = Math.round(fontSize * this.config.aqiSize);
+        ctx.font = `bold ${aqiSize}px ${fontFamily}`;
+        ctx.fillText(String(air.aqi), contentBounds.x, y);
+        const categoryX = contentBounds.x + ctx.measureText(String(air.aqi)).width + 12;
+
+        ctx.font = `normal ${Math.round(fontSize * 0.75)}px ${fontFamily}`;
+        ctx.fillText(air.scale === 'european' ? 'EUROPEAN AQI' : 'AQI', categoryX, y);
+
+        // Categories from highlightLevel up are inverted so they stand out
+        const categoryY = y + Math.round(fontSize * 0.9);
+        ctx.font = `bold ${fontSize}px ${fontFamily}`;
+        if (air.level >= this.config.highlightLevel) {
+            const width = ctx.measureText(air.category).width;
+            ctx.fillStyle = textColor;
+            ctx.fillRect(categoryX - 4, categoryY - 2, width + 8, fontSize + 6);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(air.category, categoryX, categoryY);
+            ctx.fillStyle = textColor;
+        } else {
+            ctx.fillText(air.category, categoryX, categoryY);
+        }
+        y += Math.max(aqiSize, fontSize * 2) + 8;
+
+        ctx.font = `normal ${fontSize}px ${fontFamily}`;
+        const lines = [];
+        if (this.config.showPollutants) {
+            const pollutants = [];
+            if (air.pm2_5 !== null) pollutants.push(`PM2.5 ${Math.round(air.pm2_5)}`);
+            if (air.pm10 !== null) pollutants.push(`PM10 ${Math.round(air.pm10)}`);
+            if (air.ozone !== null) pollutants.push(`O₃ ${Math.round(air.ozone)}`);
+            if (pollutants.length > 0) lines.push(`${pollutants.join(' · ')} µg/m³`);
+        }
+        if (this.config.showUv && air.uvIndex !== null) {
+            const max = air.uvMax !== null ? ` (max ${Math.round(air.uvMax)})` : '';
+            lines.push(`UV ${Math.round(air.uvIndex)} ${air.uvCategory}${max}`);
+        }
+        if (this.config.showPollen && air.pollen) {
+            const present = air.pollen.filter(p => p.level !== 'None').slice(0, 2);
+            lines.push(present.length > 0
+                ? `Pollen: ${present.map(p => `${p.type} ${p.level.toLowerCase()}`).join(', ')}`
+                : 'Pollen: none');
+        }
+
+        const bottom = contentBounds.y + contentBounds.height;
+        for (const line of lines) {
+            if (y + fontSize > bottom) break;
+            ctx.fillText(line, contentBounds.x, y);
+            y += lineHeight;
+        }
+    }
+}
+
+class WeatherMultiComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('weather-multi', {
+            fontSize: 18,
+            fontWeight: 'normal',
+            title: config.title || '',
+            titleSize: config.titleSize || 1.2,
+            showCondition: config.showCondition !== false,
+            showLocalTime: config.showLocalTime !== false,
+            locationWeather: config.locationWeather || [],
+            ...config
+        });
+    }
+
+    getWeatherSymbol(iconType) {
+        const symbols = {
+            'clear': '☀', 'mostly-clear': '☀', 'partly-cloudy': '☁',
+            'cloudy': '☁', 'fog': '☁', 'drizzle': '☂', 'rain': '☂',
+            'heavy-rain': '☂', 'snow': '❄', 'heavy-snow': '❄',
+            'freezing-rain': '❄', 'freezing-drizzle': '❄',
+            'showers': '☂', 'heavy-showers': '☂', 'snow-showers': '❄',
+            'thunderstorm': '⚡', 'thunderstorm-hail': '⚡', 'unknown': '?'
+        };
+        return symbols[iconType] || '?';
+    }
+
+    /**
+     * Shorten text with "..." until it fits the width
+     */
+    fitText(ctx, text, width) {
+        if (ctx.measureText(text).width <= width) return text;
+        let fitted = text;
+        while (ctx.measureText(fitted + '...').width > width && fitted.length > 3) fitted = fitted.slice(0, -1);
+        return fitted + '...';
+    }
+
+    render(ctx, bounds) {
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const { fontSize, fontFamily, textColor } = this.config;
+        const rows = this.config.locationWeather;
+
+        this.setTextStyle(ctx);
+        ctx.textAlign = 'left';
+        let y = contentBounds.y;
+
+        if (this.config.title) {
+            const titleSize = Math.round(fontSize * this.config.titleSize);
+            ctx.font = `bold ${titleSize}px ${fontFamily}`;
+            ctx.fillText(this.config.title, contentBounds.x, y);
+            y += Math.round(titleSize * 1.5);
         }
+
+        if (rows.length === 0) return;
+
+        // Rows share the remaining height, each with a detail line when it fits
+        const detailSize = Math.round(fontSize * 0.7);
+        const rowHeight = (contentBounds.y + contentBounds.height - y) / rows.length;
+        const showDetail = (this.config.showCondition || this.config.showLocalTime) &&
+            rowHeight >= fontSize + detailSize + 6;
+        const blockHeight = fontSize + (showDetail ? detailSize + 4 : 0);
+        const now = roundTimeToNearest(new Date(), 15);
+        const right = contentBounds.x + contentBounds.width;
+
+        rows.forEach((row, index) => {
+            const rowY = y + index * rowHeight + Math.max(0, (rowHeight - blockHeight) / 2);
+            const current = row.weather && row.weather.current;
+
+            if (index > 0) {
+                ctx.strokeStyle = textColor;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(contentBounds.x, y + index * rowHeight);
+                ctx.lineTo(right, y + index * rowHeight);
+                ctx.stroke();
+            }
+
+            // Temperature right-aligned, name takes what's left
+            ctx.fillStyle = textColor;
+            ctx.font = `bold ${fontSize}px ${fontFamily}`;
+            const temperature = current
+                ? `${this.getWeatherSymbol(current.icon)} ${current.temperature || '--°'}`
+                : '--°';
+            ctx.textAlign = 'right';
+            ctx.fillText(temperature, right, rowY);
+            ctx.textAlign = 'left';
+            const nameWidth = contentBounds.width - ctx.measureText(temperature).width - 12;
+            ctx.fillText(this.fitText(ctx, row.name, nameWidth), contentBounds.x, rowY);
+
+            if (!showDetail) return;
+
+            const details = [];
+            if (this.config.showCondition) {
+                details.push(current ? current.condition : 'Weather unavailable');
+            }
+            const timezone = row.weather && row.weather.location && row.weather.location.timezone;
+            if (this.config.showLocalTime && timezone) {
+                details.push(now.toLocaleTimeString('en-US', {
+                    hour: 'numeric',
+                    minute: '2-digit',
+                    hour12: true,
+                    timeZone: timezone
+                }));
+            }
+            ctx.font = `normal ${detailSize}px ${fontFamily}`;
+            ctx.fillText(this.fitText(ctx, details.join(' · '), contentBounds.width), contentBounds.x, rowY + fontSize + 4);
+        });
     }
 }
 
@@ -1126,6 +1875,7 @@ class CalendarComponent extends ComponentBase {
             calendarData: config.calendarData || null,
             sectionHeaderSize: config.sectionHeaderSize || 1.1,
             columnGap: config.columnGap || 12,
+            showSources: config.showSources !== false,
             ...config
         });
     }
@@ -1151,12 +1901,12 @@ class CalendarComponent extends ComponentBase {
         const colWidth = (contentBounds.width - gap * (numCols - 1)) / numCols;
 
         const columns = [
-            { title: 'TODAY', events: cal.today || [], x: contentBounds.x },
-            { title: 'TOMORROW', events: cal.tomorrow || [], x: contentBounds.x + colWidth + gap }
+            { key: 'today', title: 'TODAY', events: cal.today || [], x: contentBounds.x },
+            { key: 'tomorrow', title: 'TOMORROW', events: cal.tomorrow || [], x: contentBounds.x + colWidth + gap }
         ];
 
         if (showUpcoming) {
-            columns.push({ title: 'COMING UP', events: cal.upcoming || [], x: contentBounds.x + (colWidth + gap) * 2 });
+            columns.push({ key: 'upcoming', title: 'COMING UP', events: cal.upcoming || [], x: contentBounds.x + (colWidth + gap) * 2 });
         }
 
         for (const col of columns) {
@@ -1171,6 +1921,14 @@ class CalendarComponent extends ComponentBase {
 
             ctx.font = `${this.config.fontWeight} ${originalSize}px ${this.config.fontFamily}`;
 
+            // Quiet mode (calendar privacy): only how many events there are
+            const count = cal.quiet ? (cal.counts || {})[col.key] || 0 : null;
+            if (count > 0) {
+                ctx.font = `bold ${Math.round(originalSize * 1.4)}px ${this.config.fontFamily}`;
+                ctx.fillText(`${count} event${count === 1 ? '' : 's'}`, col.x, y);
+                continue;
+            }
+
             if (col.events.length === 0) {
                 ctx.fillStyle = '#888888';
                 ctx.fillText('No events', col.x, y);
@@ -1194,7 +1952,6 @@ class CalendarComponent extends ComponentBase {
 
     renderEvent(ctx, event, x, y, maxX, fontSize) {
         const lineHeight = fontSize * 1.4;
-        const availableWidth = maxX - x;
 
         // Time on its own line (bold)
         ctx.font = `bold ${fontSize}px ${this.config.fontFamily}`;
@@ -1206,24 +1963,471 @@ class CalendarComponent extends ComponentBase {
         ctx.fillText(timeText, x, y);
         y += lineHeight * 0.9;
 
+        // Source marker (label or glyph) before the name
+        let nameX = x;
+        if (this.config.showSources && event.source) {
+            ctx.font = `bold ${fontSize}px ${this.config.fontFamily}`;
+            ctx.fillText(event.source, x, y);
+            nameX += ctx.measureText(event.source).width + Math.round(fontSize * 0.4);
+        }
+
         // Event name below (normal, truncated if needed)
+        const availableWidth = maxX - nameX;
         ctx.font = `${this.config.fontWeight} ${fontSize}px ${this.config.fontFamily}`;
         let name = event.name;
         while (ctx.measureText(name).width > availableWidth && name.length > 3) {
             name = name.slice(0, -4) + '...';
         }
-        ctx.fillText(name, x, y);
+        ctx.fillText(name, nameX, y);
         y += lineHeight * 1.1;
 
         return y;
     }
 }
 
+class CalendarMonthComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('calendar-month', {
+            fontSize: 14,
+            weekStart: config.weekStart || 'sunday',
+            markers: config.markers || 'dots',
+            maxMarkers: config.maxMarkers || 3,
+            showTitle: config.showTitle !== false,
+            calendarData: config.calendarData || null,
+            ...config
+        });
+    }
+
+    render(ctx, bounds) {
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const { fontSize, fontFamily, textColor } = this.config;
+        const cal = this.config.calendarData || {};
+        const days = cal.days || {};
+
+        this.setTextStyle(ctx);
+        ctx.textAlign = 'left';
+        let y = contentBounds.y;
+
+        // The month containing today, in whole weeks
+        const today = calendarDay(cal.date);
+        const first = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+        const daysInMonth = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)).getUTCDate();
+        const startIndex = this.config.weekStart === 'monday' ? 1 : 0;
+        const offset = (first.getUTCDay() - startIndex + 7) % 7;
+        const gridStart = addDays(first, -offset);
+        const weeks = Math.ceil((offset + daysInMonth) / 7);
+
+        if (this.config.showTitle) {
+            const titleSize = Math.round(fontSize * 1.3);
+            ctx.font = `bold ${titleSize}px ${fontFamily}`;
+            ctx.fillText(first.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }), contentBounds.x, y);
+            y += Math.round(titleSize * 1.5);
+        }
+
+        const cellWidth = contentBounds.width / 7;
+        const headerSize = Math.round(fontSize * 0.8);
+        ctx.font = `bold ${headerSize}px ${fontFamily}`;
+        ctx.textAlign = 'center';
+        for (let col = 0; col < 7; col++) {
+            ctx.fillText(WEEKDAYS[(startIndex + col) % 7].slice(0, 2), contentBounds.x + (col + 0.5) * cellWidth, y);
+        }
+        y += Math.round(headerSize * 1.6);
+
+        const cellHeight = (contentBounds.y + contentBounds.height - y) / weeks;
+        const numberSize = Math.round(Math.min(fontSize, cellHeight * 0.45));
+
+        // Week separators
+        ctx.strokeStyle = '#BBBBBB';
+        ctx.lineWidth = 1;
+        for (let week = 0; week <= weeks; week++) {
+            const lineY = Math.round(y + week * cellHeight) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(contentBounds.x, lineY);
+            ctx.lineTo(contentBounds.x + contentBounds.width, lineY);
+            ctx.stroke();
+        }
+
+        for (let index = 0; index < weeks * 7; index++) {
+            const day = addDays(gridStart, index);
+            const cellX = contentBounds.x + (index % 7) * cellWidth;
+            const cellY = y + Math.floor(index / 7) * cellHeight;
+            const centerX = cellX + cellWidth / 2;
+            const numberY = cellY + Math.max(2, cellHeight * 0.08);
+            const isToday = dayKey(day) === dayKey(today);
+            const inMonth = day.getUTCMonth() === first.getUTCMonth();
+
+            // Today in a filled circle
+            if (isToday) {
+                const radius = Math.min(cellWidth * 0.45, numberSize * 0.9);
+                ctx.fillStyle = textColor;
+                ctx.beginPath();
+                ctx.arc(centerX, numberY + numberSize / 2, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            ctx.font = `${isToday ? 'bold' : 'normal'} ${numberSize}px ${fontFamily}`;
+            ctx.fillStyle = isToday ? '#FFFFFF' : inMonth ? textColor : '#888888';
+            ctx.fillText(String(day.getUTCDate()), centerX, numberY);
+
+            const events = days[dayKey(day)] || [];
+            if (events.length > 0) {
+                const markerY = numberY + numberSize * 1.35 + (isToday ? numberSize * 0.2 : 0);
+                this.drawMarkers(ctx, events, cellX, markerY, cellWidth, cellY + cellHeight - markerY, inMonth);
+            }
+        }
+    }
+
+    /**
+     * Dots (one per event) or bars (all-day events across the cell, timed
+     * events inset) below the date
+     */
+    drawMarkers(ctx, events, x, y, width, height, inMonth) {
+        const color = inMonth ? this.config.textColor : '#888888';
+        const shown = events.slice(0, this.config.maxMarkers);
+        ctx.fillStyle = color;
+
+        if (this.config.markers === 'bars') {
+            const barHeight = Math.max(2, Math.min(4, Math.floor(height / (shown.length * 2))));
+            shown.forEach((event, index) => {
+                const barY = y + index * barHeight * 2;
+                if (barY + barHeight > y + height) return;
+                const inset = event.allDay ? 0 : width * 0.2;
+                ctx.fillRect(x + inset, barY, width - inset * 2, barHeight);
+            });
+            return;
+        }
+
+        const radius = Math.max(1.5, this.config.fontSize * 0.15);
+        const spacing = radius * 3;
+        const startX = x + width / 2 - (spacing * (shown.length - 1)) / 2;
+        shown.forEach((event, index) => {
+            ctx.beginPath();
+            ctx.arc(startX + index * spacing, y + radius, radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
+
+class CalendarWeekComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('calendar-week', {
+            fontSize: 12,
+            start: config.start || 'today',
+            weekStart: config.weekStart || 'sunday',
+            startHour: config.startHour !== undefined ? config.startHour : 8,
+            endHour: config.endHour !== undefined ? config.endHour : 20,
+            fitEvents: config.fitEvents !== false,
+            maxAllDay: config.maxAllDay || 2,
+            calendarData: config.calendarData || null,
+            ...config
+        });
+    }
+
+    /**
+     * Shorten text with "..." until it fits the width
+     */
+    fitText(ctx, text, width) {
+        if (ctx.measureText(text).width <= width) return text;
+        let fitted = text;
+        while (ctx.measureText(fitted + '...').width > width && fitted.length > 1) fitted = fitted.slice(0, -1);
+        return fitted + '...';
+    }
+
+    /**
+     * Side-by-side lanes for overlapping events: returns [{ event, lane }]
+     * and the number of lanes the day needs
+     */
+    assignLanes(events) {
+        const laneEnds = [];
+        const placed = [...events].sort((a, b) => a.start - b.start || b.end - a.end).map(event => {
+            let lane = laneEnds.findIndex(end => end <= event.start);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = event.end;
+            return { event, lane };
+        });
+        return { placed, lanes: Math.max(1, laneEnds.length) };
+    }
+
+    render(ctx, bounds) {
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const { fontSize, fontFamily, textColor } = this.config;
+        const cal = this.config.calendarData || {};
+
+        this.setTextStyle(ctx);
+
+        // Seven days from today, or the week containing today
+        const today = calendarDay(cal.date);
+        let first = today;
+        if (this.config.start === 'week') {
+            const startIndex = this.config.weekStart === 'monday' ? 1 : 0;
+            first = addDays(today, -((today.getUTCDay() - startIndex + 7) % 7));
+        }
+        const columns = [0, 1, 2, 3, 4, 5, 6].map(index => {
+            const day = addDays(first, index);
+            const events = (cal.days || {})[dayKey(day)] || [];
+            return {
+                day,
+                isToday: dayKey(day) === dayKey(today),
+                allDay: events.filter(event => event.allDay),
+                timed: events.filter(event => !event.allDay)
+            };
+        });
+
+        // Hours shown, widened to fit the week's events
+        let startHour = this.config.startHour;
+        let endHour = this.config.endHour;
+        if (this.config.fitEvents) {
+            for (const column of columns) {
+                for (const event of column.timed) {
+                    startHour = Math.min(startHour, Math.floor(event.start / 60));
+                    endHour = Math.max(endHour, Math.ceil(event.end / 60));
+                }
+            }
+        }
+        endHour = Math.max(endHour, startHour + 1);
+
+        ctx.font = `normal ${Math.round(fontSize * 0.8)}px ${fontFamily}`;
+        const gutter = Math.ceil(ctx.measureText('12p').width) + 6;
+        const columnWidth = (contentBounds.width - gutter) / 7;
+        const left = contentBounds.x + gutter;
+        let y = contentBounds.y;
+
+        // Day headers, today inverted
+        const headerHeight = Math.round(fontSize * 2.6);
+        ctx.textAlign = 'center';
+        columns.forEach((column, index) => {
+            const x = left + index * columnWidth;
+            if (column.isToday) {
+                ctx.fillStyle = textColor;
+                ctx.fillRect(x + 1, y, columnWidth - 2, headerHeight - 2);
+            }
+            ctx.fillStyle = column.isToday ? '#FFFFFF' : textColor;
+            ctx.font = `bold ${Math.round(fontSize * 0.9)}px ${fontFamily}`;
+            ctx.fillText(WEEKDAYS[column.day.getUTCDay()], x + columnWidth / 2, y + 2);
+            ctx.font = `normal ${fontSize}px ${fontFamily}`;
+            ctx.fillText(String(column.day.getUTCDate()), x + columnWidth / 2, y + 2 + fontSize);
+        });
+        y += headerHeight;
+        ctx.textAlign = 'left';
+
+        // All-day events in a strip under the headers
+        const allDayRows = Math.min(this.config.maxAllDay, Math.max(...columns.map(column => column.allDay.length)));
+        const allDayHeight = Math.round(fontSize * 1.3);
+        columns.forEach((column, index) => {
+            const x = left + index * columnWidth;
+            column.allDay.slice(0, allDayRows).forEach((event, row) => {
+                const boxY = y + row * allDayHeight;
+                ctx.fillStyle = '#E0E0E0';
+                ctx.fillRect(x + 1, boxY + 1, columnWidth - 2, allDayHeight - 2);
+                if (event.name) {
+                    ctx.fillStyle = textColor;
+                    ctx.font = `normal ${Math.round(fontSize * 0.85)}px ${fontFamily}`;
+                    ctx.fillText(this.fitText(ctx, event.name, columnWidth - 6), x + 3, boxY + 2);
+                }
+            });
+        });
+        y += allDayRows * allDayHeight + (allDayRows > 0 ? 2 : 0);
+
+        // Hour grid
+        const gridTop = y;
+        const hourHeight = (contentBounds.y + contentBounds.height - gridTop) / (endHour - startHour);
+        const labelEvery = Math.max(1, Math.ceil((fontSize * 1.1) / hourHeight));
+        ctx.font = `normal ${Math.round(fontSize * 0.8)}px ${fontFamily}`;
+        for (let hour = startHour; hour <= endHour; hour++) {
+            const lineY = Math.round(gridTop + (hour - startHour) * hourHeight) + 0.5;
+            ctx.strokeStyle = '#CCCCCC';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(left, lineY);
+            ctx.lineTo(contentBounds.x + contentBounds.width, lineY);
+            ctx.stroke();
+            if ((hour - startHour) % labelEvery === 0 && hour < endHour) {
+                const label = `${hour % 12 === 0 ? 12 : hour % 12}${hour < 12 ? 'a' : 'p'}`;
+                ctx.fillStyle = '#555555';
+                ctx.fillText(label, contentBounds.x, lineY + 1);
+            }
+        }
+
+        // Column separators
+        ctx.strokeStyle = '#CCCCCC';
+        for (let index = 0; index <= 7; index++) {
+            const lineX = Math.round(left + index * columnWidth) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(lineX, gridTop);
+            ctx.lineTo(lineX, contentBounds.y + contentBounds.height);
+            ctx.stroke();
+        }
+
+        // Timed events as blocks
+        const toY = minutes => gridTop + (Math.min(Math.max(minutes, startHour * 60), endHour * 60) / 60 - startHour) * hourHeight;
+        const labelSize = Math.round(fontSize * 0.85);
+        columns.forEach((column, index) => {
+            const { placed, lanes } = this.assignLanes(column.timed);
+            const laneWidth = (columnWidth - 2) / lanes;
+            for (const { event, lane } of placed) {
+                const top = toY(event.start);
+                const height = Math.max(3, toY(event.end) - top);
+                const x = left + index * columnWidth + 1 + lane * laneWidth;
+
+                ctx.fillStyle = '#E0E0E0';
+                ctx.fillRect(x, top, laneWidth - 1, height);
+                ctx.strokeStyle = textColor;
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x + 0.5, top + 0.5, laneWidth - 2, height - 1);
+
+                if (event.name && height >= labelSize + 4) {
+                    ctx.fillStyle = textColor;
+                    ctx.font = `normal ${labelSize}px ${fontFamily}`;
+                    const lines = Math.max(1, Math.floor((height - 4) / (labelSize * 1.15)));
+                    this.wrapText(ctx, event.name, laneWidth - 6, lines).forEach((line, lineIndex) => {
+                        ctx.fillText(line, x + 3, top + 2 + lineIndex * labelSize * 1.15);
+                    });
+                }
+            }
+        });
+    }
+
+    /**
+     * Word-wrap into at most maxLines lines, shortening the last one
+     */
+    wrapText(ctx, text, width, maxLines) {
+        const lines = [];
+        let current = '';
+        for (const word of text.split(/\s+/)) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && ctx.measureText(candidate).width > width) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        }
+        if (current) lines.push(current);
+        if (lines.length <= maxLines) return lines.map(line => this.fitText(ctx, line, width));
+        const kept = lines.slice(0, maxLines - 1);
+        kept.push(lines.slice(maxLines - 1).join(' '));
+        return kept.map(line => this.fitText(ctx, line, width));
+    }
+}
+
+class CountdownComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('countdown', {
+            fontSize: 16,
+            title: config.title || '',
+            titleSize: config.titleSize || 1.2,
+            maxItems: config.maxItems || 3,
+            lookaheadDays: config.lookaheadDays || 90,
+            showDate: config.showDate !== false,
+            calendarData: config.calendarData || null,
+            ...config
+        });
+    }
+
+    /**
+     * Shorten text with "..." until it fits the width
+     */
+    fitText(ctx, text, width) {
+        if (ctx.measureText(text).width <= width) return text;
+        let fitted = text;
+        while (ctx.measureText(fitted + '...').width > width && fitted.length > 1) fitted = fitted.slice(0, -1);
+        return fitted + '...';
+    }
+
+    render(ctx, bounds) {
+        this.drawContainer(ctx, bounds);
+        const contentBounds = this.getContentBounds(bounds);
+        const { fontSize, fontFamily, textColor } = this.config;
+        const cal = this.config.calendarData || {};
+
+        this.setTextStyle(ctx);
+        ctx.textAlign = 'left';
+        let y = contentBounds.y;
+
+        if (this.config.title) {
+            const titleSize = Math.round(fontSize * this.config.titleSize);
+            ctx.font = `bold ${titleSize}px ${fontFamily}`;
+            ctx.fillText(this.config.title, contentBounds.x, y);
+            y += Math.round(titleSize * 1.5);
+        }
+
+        const items = (cal.countdowns || [])
+            .filter(countdown => countdown.days <= this.config.lookaheadDays)
+            .slice(0, this.config.maxItems);
+        if (items.length === 0) {
+            ctx.font = `normal ${fontSize}px ${fontFamily}`;
+            ctx.fillStyle = '#888888';
+            ctx.fillText('No countdowns', contentBounds.x, y);
+            return;
+        }
+
+        // Each row: the day count large on the left, name and date beside it
+        const rowHeight = (contentBounds.y + contentBounds.height - y) / items.length;
+        const detailSize = Math.round(fontSize * 0.75);
+        const numberSize = Math.round(Math.max(fontSize, Math.min(rowHeight * 0.6, fontSize * 4)));
+        const unitSize = Math.round(numberSize * 0.25);
+        ctx.font = `bold ${numberSize}px ${fontFamily}`;
+        const numberWidth = Math.max(
+            ctx.measureText(String(Math.max(...items.map(item => item.days)))).width,
+            ctx.measureText('00').width
+        );
+        const textX = contentBounds.x + numberWidth + Math.round(fontSize * 0.8);
+        const textWidth = contentBounds.x + contentBounds.width - textX;
+
+        items.forEach((item, index) => {
+            const rowY = y + index * rowHeight;
+            const blockHeight = numberSize + unitSize + 2;
+            const top = rowY + Math.max(0, (rowHeight - blockHeight) / 2);
+            const centerX = contentBounds.x + numberWidth / 2;
+
+            if (index > 0) {
+                ctx.strokeStyle = '#BBBBBB';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(contentBounds.x, Math.round(rowY) + 0.5);
+                ctx.lineTo(contentBounds.x + contentBounds.width, Math.round(rowY) + 0.5);
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = textColor;
+            ctx.textAlign = 'center';
+            ctx.font = `bold ${numberSize}px ${fontFamily}`;
+            ctx.fillText(String(item.days), centerX, top);
+            ctx.font = `bold ${unitSize}px ${fontFamily}`;
+            ctx.fillText(item.days === 1 ? 'DAY' : 'DAYS', centerX, top + numberSize + 2);
+            ctx.textAlign = 'left';
+
+            const when = item.days === 0 ? 'Today' : item.days === 1 ? 'Tomorrow' : `in ${item.days} days`;
+            const lines = [{ text: item.name, font: `bold ${fontSize}px ${fontFamily}`, size: fontSize }];
+            if (this.config.showDate) {
+                const date = calendarDay(item.date).toLocaleDateString('en-US', {
+                    weekday: 'short',
+                    month: 'short',
+                    day: 'numeric',
+                    timeZone: 'UTC'
+                });
+                lines.push({ text: `${when} · ${date}`, font: `normal ${detailSize}px ${fontFamily}`, size: detailSize });
+            }
+            const linesHeight = lines.reduce((total, line) => total + line.size * 1.3, 0);
+            let lineY = rowY + Math.max(0, (rowHeight - linesHeight) / 2);
+            for (const line of lines) {
+                ctx.font = line.font;
+                ctx.fillText(this.fitText(ctx, line.text, textWidth), textX, lineY);
+                lineY += line.size * 1.3;
+            }
+        });
+    }
+}
+
 class WatchFaceComponent extends ComponentBase {
     constructor(config = {}) {
         super('watch-face', {
             weatherData: config.weatherData || null,
             calendarData: config.calendarData || null,
+            showAstronomy: config.showAstronomy || false,
+            timezone: config.timezone || getConfig().location.timezone,
             ...config
         });
     }
@@ -1260,7 +2464,7 @@ class WatchFaceComponent extends ComponentBase {
         }
 
         // Hands
-        const now = roundTimeToNearest(new Date(), 15);
+        const now = zonedTime(roundTimeToNearest(new Date(), 15), this.config.timezone);
         const hours = now.getHours() % 12;
         const minutes = now.getMinutes();
 
@@ -1314,6 +2518,18 @@ class WatchFaceComponent extends ComponentBase {
             ctx.fillText(short, cx - radius * 0.48, cy);
         }
 
+        // 6 o'clock complication: Moon phase over sunrise/sunset
+        const astronomy = this.config.showAstronomy && this.config.weatherData && this.config.weatherData.astronomy;
+        if (astronomy) {
+            drawMoon(ctx, cx, cy + radius * 0.36, Math.max(radius * 0.07, 6), astronomy.moon.phase);
+            ctx.font = '12px sans-serif';
+            ctx.fillStyle = '#000000';
+            const sunText = astronomy.polar
+                ? (astronomy.polar === 'day' ? 'Midnight sun' : 'Polar night')
+                : `↑${compactTime(astronomy.sunrise)} ↓${compactTime(astronomy.sunset)}`;
+            ctx.fillText(sunText, cx, cy + radius * 0.56);
+        }
+
         // Below the clock face: Calendar
         ctx.textAlign = 'left';
         ctx.textBaseline = 'top';
@@ -1369,6 +2585,7 @@ class BrutalistComponent extends ComponentBase {
             weatherData: config.weatherData || null,
             calendarData: config.calendarData || null,
             pokemonData: config.pokemonData || null,
+            timezone: config.timezone || getConfig().location.timezone,
             ...config
         });
     }
@@ -1413,7 +2630,7 @@ class BrutalistComponent extends ComponentBase {
         }
 
         // Date + time — right-aligned, small
-        const now = roundTimeToNearest(new Date(), 15);
+        const now = zonedTime(roundTimeToNearest(new Date(), 15), this.config.timezone);
         ctx.font = 'bold 16px sans-serif';
         ctx.textAlign = 'right';
         ctx.fillText(format(now, 'EEEE, MMMM do').toUpperCase(), cb.x + width, lineY + 8);
@@ -1529,6 +2746,8 @@ class SwissPosterComponent extends ComponentBase {
             weatherData: config.weatherData || null,
             calendarData: config.calendarData || null,
             pokemonData: config.pokemonData || null,
+            showAstronomy: config.showAstronomy || false,
+            timezone: config.timezone || getConfig().location.timezone,
             ...config
         });
     }
@@ -1578,8 +2797,9 @@ class SwissPosterComponent extends ComponentBase {
         ctx.fillStyle = '#FFFFFF';
         ctx.fillRect(x, y, w, h);
 
-        const nowRaw = new Date();
-        const now = roundTimeToNearest(nowRaw, 15);
+        const current = new Date();
+        const nowRaw = zonedTime(current, this.config.timezone);
+        const now = zonedTime(roundTimeToNearest(current, 15), this.config.timezone);
 
         // === TOP ZONE: Thick rule + time + date ===
         ctx.fillStyle = '#000000';
@@ -1631,9 +2851,22 @@ class SwissPosterComponent extends ComponentBase {
             ctx.fillText((cur.condition || '').toUpperCase(), rightCol, rule1 + 14);
 
             ctx.font = '15px sans-serif';
+            const astronomy = this.config.showAstronomy && this.config.weatherData.astronomy;
+            const lineStep = astronomy ? 17 : 20; // four detail lines must fit above the rule
             let detailY = rule1 + 44;
-            if (cur.windSpeed) { ctx.fillText(`Wind ${cur.windSpeed}`, rightCol, detailY); detailY += 20; }
-            if (cur.humidity) { ctx.fillText(`Humidity ${cur.humidity}`, rightCol, detailY); detailY += 20; }
+            if (cur.windSpeed) { ctx.fillText(`Wind ${cur.windSpeed}`, rightCol, detailY); detailY += lineStep; }
+            if (cur.humidity) { ctx.fillText(`Humidity ${cur.humidity}`, rightCol, detailY); detailY += lineStep; }
+            if (astronomy) {
+                const sunText = astronomy.polar
+                    ? (astronomy.polar === 'day' ? 'Midnight sun' : 'Polar night')
+                    : `Sun ${compactTime(astronomy.sunrise)}–${compactTime(astronomy.sunset)} (${astronomy.dayLength})`;
+                ctx.fillText(sunText, rightCol, detailY);
+                detailY += lineStep;
+                drawMoon(ctx, rightCol + 6, detailY + 8, 6, astronomy.moon.phase);
+                ctx.fillStyle = '#000000';
+                ctx.fillText(`${astronomy.moon.name} ${astronomy.moon.illumination}%`, rightCol + 18, detailY);
+                detailY += lineStep;
+            }
         }
 
         // === Thin rule ===
@@ -1794,6 +3027,7 @@ class DashboardEngine {
         this.width = config.width || 600;
         this.height = config.height || 800;
         this.backgroundColor = config.backgroundColor || '#FFFFFF';
+        this.componentTimeout = config.componentTimeout || DEFAULT_COMPONENT_TIMEOUT;
 
         // Initialize grid system
         this.grid = new GridSystem(this.width, this.height, config.grid);
@@ -1801,6 +3035,8 @@ class DashboardEngine {
         // Component registry
         this.components = new Map();
         this.layout = [];
+        this.hiddenComponents = [];
+        this.renderReport = null;
 
         // Register built-in components
         this.registerComponent('clock', ClockComponent);
@@ -1810,9 +3046,17 @@ class DashboardEngine {
         this.registerComponent('device-stats', DeviceStatsComponent);
         this.registerComponent('weather', WeatherComponent);
         this.registerComponent('hero-weather', HeroWeatherComponent);
+        this.registerComponent('hourly-chart', HourlyChartComponent);
+        this.registerComponent('weather-alert', WeatherAlertComponent);
+        this.registerComponent('astronomy', AstronomyComponent);
+        this.registerComponent('air-quality', AirQualityComponent);
+        this.registerComponent('weather-multi', WeatherMultiComponent);
         this.registerComponent('title', TitleComponent);
         this.registerComponent('pokemon-sprite', PokemonSpriteComponent);
         this.registerComponent('calendar', CalendarComponent);
+        this.registerComponent('calendar-month', CalendarMonthComponent);
+        this.registerComponent('calendar-week', CalendarWeekComponent);
+        this.registerComponent('countdown', CountdownComponent);
         this.registerComponent('weather-illustration', WeatherIllustrationComponent);
         this.registerComponent('watch-face', WatchFaceComponent);
         this.registerComponent('brutalist', BrutalistComponent);
@@ -1855,8 +3099,8 @@ class DashboardEngine {
     /**
      * Create canvas and context
      */
-    createCanvas() {
-        const canvas = createCanvas(this.width, this.height);
+    createCanvas(width = this.width, height = this.height) {
+        const canvas = createCanvas(width, height);
         const ctx = canvas.getContext('2d');
 
         // E-ink optimizations
@@ -1869,9 +3113,99 @@ class DashboardEngine {
     }
 
     /**
-     * Render complete dashboard
+     * Render one component onto a cleared transparent layer ({ canvas, ctx }
+     * from createCanvas), so a component that throws leaves nothing
+     * half-drawn on the dashboard. The time limit covers what a render waits
+     * for (such as loading a sprite); a synchronous draw can't be interrupted.
+     * Returns { item, bounds, layer } on success or { item, bounds, failure }.
+     */
+    async renderComponent(item, layer = this.createCanvas()) {
+        const bounds = this.grid.gridToPixels(
+            item.position.row,
+            item.position.col,
+            item.position.rowSpan || 1,
+            item.position.colSpan || 1
+        );
+        const started = Date.now();
+        const fail = (reason, message) => ({
+            item,
+            bounds,
+            failure: { component: componentLabel(item), type: item.type, reason, message, durationMs: Date.now() - started }
+        });
+
+        const ComponentClass = this.components.get(item.type);
+        if (!ComponentClass) {
+            return fail('unknown-type', `Unknown component type: ${item.type}`);
+        }
+
+        const { canvas, ctx } = layer;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new ComponentTimeoutError(this.componentTimeout)), this.componentTimeout);
+        });
+
+        try {
+            const component = new ComponentClass(item.config);
+            ctx.save();
+            await Promise.race([Promise.resolve(component.render(ctx, bounds)), timeout]);
+            ctx.restore(); // the next component starts from the default drawing state
+            return { item, bounds, layer: canvas };
+        } catch (error) {
+            return fail(error instanceof ComponentTimeoutError ? 'timeout' : 'error', error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Small bordered "component X failed" box drawn in a failed component's bounds
+     */
+    drawFailurePlaceholder(ctx, bounds, failure) {
+        const { x, y, width, height } = bounds;
+        const inset = Math.min(4, width / 4, height / 4);
+        const titleSize = Math.max(9, Math.min(14, Math.floor(height / 3)));
+        const detailSize = Math.max(8, titleSize - 3);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(x + inset, y + inset, width - inset * 2, height - inset * 2);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.strokeRect(x + inset, y + inset, width - inset * 2, height - inset * 2);
+        ctx.setLineDash([]);
+
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#000000';
+        ctx.font = `bold ${titleSize}px sans-serif`;
+        ctx.fillText(`${failure.component} failed`, cx, height > titleSize * 3 ? cy - detailSize / 2 : cy, width - inset * 4);
+        if (height > titleSize * 3) {
+            ctx.fillStyle = '#555555';
+            ctx.font = `normal ${detailSize}px sans-serif`;
+            ctx.fillText(failure.message, cx, cy + titleSize / 2 + 2, width - inset * 4);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Render complete dashboard.
+     * options.data is the enriched data `when` rules are evaluated against
+     * (see conditions.js buildConditionData).
+     *
+     * Components render one at a time on a single reused layer; a failure is
+     * drawn as a placeholder instead of rejecting the whole render. The
+     * outcome is left in this.renderReport.
      */
     async render(options = {}) {
+        const started = Date.now();
         const { canvas, ctx } = this.createCanvas();
 
         // Clear background
@@ -1883,26 +3217,26 @@ class DashboardEngine {
             this.grid.drawDebugGrid(ctx);
         }
 
-        // Render all components (support async components)
-        const renderPromises = this.layout.map(async item => {
-            const ComponentClass = this.components.get(item.type);
-            if (!ComponentClass) {
-                console.warn(`Unknown component type: ${item.type}`);
-                return;
+        // Drop components whose `when` rule fails; neighbours expand into the space
+        const { components, hidden } = applyConditions(this.layout, options.data || {});
+        this.hiddenComponents = hidden;
+
+        // Render in layout order, compositing the layer after each component,
+        // so memory stays at two canvases however many components there are
+        let layer = this.createCanvas();
+        const failures = [];
+        for (const item of components) {
+            const result = await this.renderComponent(item, layer);
+            if (result.layer) {
+                ctx.drawImage(result.layer, 0, 0);
+            } else {
+                failures.push(result.failure);
+                this.drawFailurePlaceholder(ctx, result.bounds, result.failure);
+                // A failed component may have left its drawing state behind, and
+                // one that timed out may still draw; start the next on a new layer
+                if (result.failure.reason !== 'unknown-type') layer = this.createCanvas();
             }
-
-            const component = new ComponentClass(item.config);
-            const bounds = this.grid.gridToPixels(
-                item.position.row,
-                item.position.col,
-                item.position.rowSpan || 1,
-                item.position.colSpan || 1
-            );
-
-            await component.render(ctx, bounds);
-        });
-
-        await Promise.all(renderPromises);
+        }
 
         // Draw separator lines if configured
         if (this.layoutConfig && this.layoutConfig.separators) {
@@ -1919,6 +3253,14 @@ class DashboardEngine {
             }
         }
 
+        this.renderReport = {
+            layout: this.layoutConfig ? this.layoutConfig.name : null,
+            durationMs: Date.now() - started,
+            rendered: components.length - failures.length,
+            hidden: hidden.map(componentLabel),
+            failures
+        };
+
         return canvas;
     }
 
@@ -1946,5 +3288,8 @@ module.exports = {
     StatsComponent,
     TitleComponent,
     PokemonSpriteComponent,
-    CalendarComponent
+    CalendarComponent,
+    CalendarMonthComponent,
+    CalendarWeekComponent,
+    CountdownComponent
 };
\ No newline at end of file
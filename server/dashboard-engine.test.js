@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for isolated component rendering: failed and timed-out components
+ * become placeholders, the render report lists them, and each component
+ * lands in its own bounds. Clocks and dates show their timezone's time.
+ * Run with: node server/dashboard-engine.test.js
+ */
+
+const { createCanvas } = require('canvas');
+const { DashboardEngine, ComponentBase } = require('./dashboard-engine');
+const { getConfig } = require('./config');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+// Fills its bounds black
+class BlockComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('block', config);
+    }
+
+    render(ctx, bounds) {
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    }
+}
+
+// Draws half its bounds, then throws
+class BrokenComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('broken', config);
+    }
+
+    render(ctx, bounds) {
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height / 2);
+        throw new Error('no data for broken');
+    }
+}
+
+// Waits forever, like a sprite that never loads
+class StalledComponent extends ComponentBase {
+    constructor(config = {}) {
+        super('stalled', config);
+    }
+
+    render() {
+        return new Promise(() => {});
+    }
+}
+
+function createEngine(components) {
+    const engine = new DashboardEngine({ width: 200, height: 200, componentTimeout: 100 });
+    engine.registerComponent('block', BlockComponent);
+    engine.registerComponent('broken', BrokenComponent);
+    engine.registerComponent('stalled', StalledComponent);
+    engine.loadLayout({ name: 'Test', grid: { rows: 2, cols: 2, margin: 0, gap: 0 }, components });
+    return engine;
+}
+
+/**
+ * Gray value of one pixel (the canvas is black and white here)
+ */
+function pixel(canvas, x, y) {
+    return canvas.getContext('2d').getImageData(x, y, 1, 1).data[0];
+}
+
+/**
+ * Run fn and return every string passed to fillText while it ran
+ */
+async function recordText(fn) {
+    const proto = Object.getPrototypeOf(createCanvas(1, 1).getContext('2d'));
+    const fillText = proto.fillText;
+    const texts = [];
+    proto.fillText = function(text, ...rest) {
+        texts.push(String(text));
+        return fillText.call(this, text, ...rest);
+    };
+    try {
+        await fn();
+    } finally {
+        proto.fillText = fillText;
+    }
+    return texts;
+}
+
+/**
+ * "HH:mm" of the current 15-minute slot and "yyyy-MM-dd" of today in a timezone
+ */
+function wallClock(timezone) {
+    const slot = new Date(Math.floor(Date.now() / 900000) * 900000);
+    const time = slot.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: timezone });
+    const date = new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+    return { time, date };
+}
+
+function darkPixels(canvas, bounds) {
+    const { data } = canvas.getContext('2d').getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i] < 128) count++;
+    }
+    return count;
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Dashboard Engine Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Components land in their own bounds
+    console.log('Test 1: Layers');
+    const blocks = createEngine([
+        { id: 'top-left', type: 'block', position: { row: 0, col: 0 } },
+        { id: 'bottom-right', type: 'block', position: { row: 1, col: 1 } }
+    ]);
+    const blocksCanvas = await blocks.render();
+    assertEquals(pixel(blocksCanvas, 50, 50), 0, 'First component drawn at its position');
+    assertEquals(pixel(blocksCanvas, 150, 150), 0, 'Second component drawn at its position');
+    assertEquals(pixel(blocksCanvas, 150, 50), 255, 'Empty cell stays white');
+    assertEquals(blocks.renderReport.rendered, 2, 'Both rendered');
+    assertEquals(blocks.renderReport.failures.length, 0, 'No failures');
+    console.log();
+
+    // Test 2: A component that throws
+    console.log('Test 2: Failed Component');
+    const broken = createEngine([
+        { id: 'ok', type: 'block', position: { row: 0, col: 0 } },
+        { id: 'weather', type: 'broken', position: { row: 1, col: 0, colSpan: 2 } }
+    ]);
+    const brokenCanvas = await broken.render();
+    const report = broken.renderReport;
+    assertEquals(report.layout, 'Test', 'Report names the layout');
+    assertEquals(report.rendered, 1, 'Other components still rendered');
+    assertEquals(report.failures.length, 1, 'One failure');
+    const failure = report.failures[0];
+    assertEquals(`${failure.component} ${failure.type} ${failure.reason}`, 'weather broken error', 'Failure names the component and reason');
+    assertEquals(failure.message, 'no data for broken', 'Failure keeps the error message');
+    assert(typeof failure.durationMs === 'number', 'Failure records its duration');
+    assertEquals(pixel(brokenCanvas, 50, 50), 0, 'Working component drawn');
+    assertEquals(pixel(brokenCanvas, 100, 110), 255, 'Half-drawn output discarded');
+    const placeholderBounds = { x: 0, y: 100, width: 200, height: 100 };
+    const placeholderInk = darkPixels(brokenCanvas, placeholderBounds);
+    assert(placeholderInk > 0 && placeholderInk < 200 * 100 / 4, `Placeholder box and text drawn (${placeholderInk} dark pixels)`);
+    console.log();
+
+    // Test 3: Unknown types and timeouts
+    console.log('Test 3: Unknown Types and Timeouts');
+    const others = createEngine([
+        { type: 'sparkles', position: { row: 0, col: 0 } },
+        { id: 'sprite', type: 'stalled', position: { row: 0, col: 1 } },
+        { type: 'block', position: { row: 1, col: 0 } }
+    ]);
+    await others.render();
+    const reasons = others.renderReport.failures.map(f => `${f.component}:${f.reason}`).join(', ');
+    assertEquals(reasons, 'sparkles:unknown-type, sprite:timeout', 'Unknown type and timeout reported');
+    assertEquals(others.renderReport.failures[1].message, 'timed out after 100ms', 'Timeout message');
+    assertEquals(others.renderReport.rendered, 1, 'Later components still rendered');
+    console.log();
+
+    // Test 4: Placeholder
+    console.log('Test 4: Placeholder');
+    const engine = createEngine([]);
+    const { canvas, ctx } = engine.createCanvas(200, 200);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, 200, 200);
+    engine.drawFailurePlaceholder(ctx, { x: 20, y: 20, width: 100, height: 60 },
+        { component: 'calendar', reason: 'error', message: 'feed unavailable' });
+    assert(darkPixels(canvas, { x: 20, y: 20, width: 100, height: 60 }) > 0, 'Drawn inside the bounds');
+    assertEquals(darkPixels(canvas, { x: 0, y: 100, width: 200, height: 100 }), 0, 'Nothing drawn outside the bounds');
+    console.log();
+
+    // Test 5: Clocks and dates in the device's timezone
+    console.log('Test 5: Timezones');
+    // Whichever of these is furthest from the server's own offset
+    const serverOffset = -new Date().getTimezoneOffset();
+    const timezone = serverOffset > 0 ? 'Pacific/Pago_Pago' : 'Pacific/Kiritimati';
+    const zoned = createEngine([
+        { type: 'clock', position: { row: 0, col: 0 }, config: { format: 'HH:mm', timezone } },
+        { type: 'date', position: { row: 0, col: 1 }, config: { dayFormat: '', dateFormat: 'yyyy-MM-dd', timezone } },
+        { type: 'clock', position: { row: 1, col: 0 }, config: { format: 'HH:mm' } }
+    ]);
+    const before = wallClock(timezone);
+    const texts = await recordText(() => zoned.render());
+    const after = wallClock(timezone);
+    const configured = wallClock(getConfig().location.timezone);
+    assert([before.time, after.time].includes(texts[0]), `Clock shows ${timezone} time (${texts[0]})`);
+    assert([before.date, after.date].includes(texts[1]), `Date shows ${timezone} date (${texts[1]})`);
+    assertEquals(texts[2], configured.time, 'Clock without a timezone uses the configured one');
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
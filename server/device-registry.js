@@ -0,0 +1,183 @@
+const fs = require('fs');
+const { ConfigError, getConfig, validateDevices, DEVICE_ID_PATTERN } = require('./config');
+const WeatherService = require('./weather-service');
+const CalendarService = require('./calendar-service');
+
+/**
+ * Device Registry
+ * Tracks every Kindle served by one dashboard server. Each device has its own
+ * layout, location, timezone, calendar, refresh interval, layout schedule and
+ * battery alert state.
+ */
+
+const DEFAULT_DEVICE_ID = 'default';
+
+class DeviceRegistry {
+    constructor(options = {}) {
+        const config = getConfig();
+        this.defaults = {
+            layout: options.layout || config.server.layout,
+            latitude: options.latitude ?? config.location.latitude,
+            longitude: options.longitude ?? config.location.longitude,
+            timezone: options.timezone || config.location.timezone,
+            calendarUrl: options.calendarUrl || config.calendar.url,
+            calendarSources: options.calendarUrl ? null : config.calendar.sources || null,
+            calendarPrivacy: config.calendar.privacy || null,
+            refreshInterval: options.refreshInterval || config.server.refreshInterval // seconds
+        };
+        this.mockData = options.mockData || false;
+        this.devices = new Map();
+
+        for (const definition of options.devices || []) {
+            this.register(definition);
+        }
+
+        if (!this.devices.has(DEFAULT_DEVICE_ID)) {
+            this.register({ id: DEFAULT_DEVICE_ID, name: 'Default' });
+        }
+    }
+
+    /**
+     * Load device definitions from a JSON file.
+     * Accepts either an array or an object with a `devices` array, checked
+     * like the devices in config.json. Throws ConfigError.
+     */
+    static loadDefinitions(filePath) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new ConfigError([`could not read device definitions: ${error.message}`], filePath);
+        }
+
+        const devices = Array.isArray(data) ? data : data && data.devices;
+        if (!Array.isArray(devices)) {
+            throw new ConfigError(['devices: must be an array or { "devices": [...] }'], filePath);
+        }
+        const errors = validateDevices(devices);
+        if (errors.length > 0) {
+            throw new ConfigError(errors, filePath);
+        }
+        return devices;
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && DEVICE_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Read the device ID from the `device` query parameter or the X-Device-Id header
+     */
+    static getRequestDeviceId(req, parsedUrl) {
+        return parsedUrl.searchParams.get('device') || req.headers['x-device-id'] || DEFAULT_DEVICE_ID;
+    }
+
+    /**
+     * Register a device, creating its weather and calendar services
+     */
+    register(definition = {}) {
+        if (!DeviceRegistry.isValidId(definition.id)) {
+            throw new Error(`Invalid device id: ${JSON.stringify(definition.id)} (use letters, digits, '-' or '_')`);
+        }
+
+        const settings = { ...this.defaults, ...definition };
+        // A device's own calendarUrl replaces the shared calendar sources
+        if (definition.calendarUrl && !definition.calendarSources) {
+            settings.calendarSources = null;
+        }
+        // The default device keeps the original cache file names
+        const cacheKey = definition.id === DEFAULT_DEVICE_ID ? null : definition.id;
+
+        const device = {
+            id: definition.id,
+            name: definition.name || definition.id,
+            layout: settings.layout,
+            latitude: settings.latitude,
+            longitude: settings.longitude,
+            timezone: settings.timezone,
+            calendarUrl: settings.calendarUrl,
+            calendarSources: settings.calendarSources,
+            refreshInterval: settings.refreshInterval,
+            schedule: Array.isArray(definition.schedule) ? definition.schedule : null, // null = global schedule
+            weatherService: new WeatherService({
+                latitude: settings.latitude,
+                longitude: settings.longitude,
+                timezone: settings.timezone,
+                cacheKey,
+                mockData: this.mockData
+            }),
+            calendarService: new CalendarService({
+                calendarUrl: settings.calendarUrl,
+                sources: settings.calendarSources,
+                privacy: settings.calendarPrivacy,
+                timezone: settings.timezone,
+                cacheKey,
+                mockData: this.mockData
+            }),
+            lastSeen: null,
+            lastRender: null, // last dashboard rendered without error
+            refresh: null, // { next, reason, layout, mode, lastFullAt } for the last image served
+            requestCount: 0,
+            battery: {
+                level: null,
+                lastNotification: 0
+            },
+            alerts: {
+                notified: new Map() // weather alert id → expires, so each alert is sent once
+            }
+        };
+
+        this.devices.set(device.id, device);
+        return device;
+    }
+
+    get(id) {
+        return this.devices.get(id) || null;
+    }
+
+    getDefault() {
+        return this.devices.get(DEFAULT_DEVICE_ID);
+    }
+
+    /**
+     * Get a device by ID. Unknown IDs get the default device; they are not
+     * registered, so the query string can't add services and caches.
+     */
+    resolve(id) {
+        return this.get(id) || this.getDefault();
+    }
+
+    /**
+     * Record that a device has checked in
+     */
+    touch(device, { batteryLevel = null } = {}) {
+        device.lastSeen = new Date();
+        device.requestCount++;
+        if (batteryLevel !== null && batteryLevel !== undefined) {
+            device.battery.level = parseInt(batteryLevel);
+        }
+    }
+
+    /**
+     * Summaries of all known devices for status endpoints
+     */
+    list() {
+        return Array.from(this.devices.values()).map(device => ({
+            id: device.id,
+            name: device.name,
+            layout: device.layout,
+            timezone: device.timezone,
+            location: { latitude: device.latitude, longitude: device.longitude },
+            refreshInterval: device.refreshInterval,
+            schedule: device.schedule ? 'device' : 'global',
+            lastSeen: device.lastSeen ? device.lastSeen.toISOString() : null,
+            lastRender: device.lastRender ? device.lastRender.toISOString() : null,
+            requestCount: device.requestCount,
+            batteryLevel: Number.isNaN(device.battery.level) ? null : device.battery.level
+        }));
+    }
+}
+
+DeviceRegistry.DEFAULT_DEVICE_ID = DEFAULT_DEVICE_ID;
+
+module.exports = DeviceRegistry;
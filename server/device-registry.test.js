@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the device registry: registering devices, resolving request ids
+ * and merging device settings over the defaults. Runs offline with mock data.
+ * Run with: node server/device-registry.test.js
+ */
+
+const DeviceRegistry = require('./device-registry');
+const { ConfigError, getConfig } = require('./config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+function assertThrows(fn, text, message) {
+    try {
+        fn();
+        assert(false, `${message} (did not throw)`);
+    } catch (error) {
+        assert(error.message.includes(text), `${message} (${error.message.split('\n')[0]})`);
+    }
+}
+
+function runTests() {
+    console.log('\n🧪 Running Device Registry Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const config = getConfig();
+    const registry = new DeviceRegistry({
+        mockData: true,
+        devices: [
+            { id: 'kitchen', name: 'Kitchen', layout: 'minimal' },
+            { id: 'cabin', latitude: 46.5, longitude: 7.9, timezone: 'Europe/Zurich', refreshInterval: 600 }
+        ]
+    });
+
+    // Test 1: Registering devices
+    console.log('Test 1: Register');
+    assertEquals(Array.from(registry.devices.keys()).join(','), 'kitchen,cabin,default', 'Configured devices plus default');
+    assertEquals(registry.get('kitchen').name, 'Kitchen', 'Configured name');
+    assertEquals(registry.get('cabin').name, 'cabin', 'Name falls back to the id');
+    assert(registry.get('kitchen').weatherService !== registry.get('cabin').weatherService, 'Each device has its own weather service');
+    assertEquals(registry.get('nowhere'), null, 'get() returns null for unknown ids');
+    assertThrows(() => registry.register({ id: '../etc' }), 'Invalid device id', 'Invalid id rejected');
+    assertEquals(new DeviceRegistry({ mockData: true, devices: [{ id: 'default', name: 'Hall' }] }).getDefault().name, 'Hall',
+        'A configured default device replaces the built-in one');
+    console.log();
+
+    // Test 2: Resolving request ids
+    console.log('Test 2: Resolve');
+    assertEquals(registry.resolve('kitchen').id, 'kitchen', 'Known id');
+    assertEquals(registry.resolve('hallway').id, 'default', 'Unknown id gets the default device');
+    assertEquals(registry.devices.size, 3, 'Unknown ids are not registered');
+    assertEquals(registry.list().length, 3, 'Unknown ids are not listed');
+    const req = { headers: { 'x-device-id': 'office' } };
+    assertEquals(DeviceRegistry.getRequestDeviceId(req, new URL('http://localhost/?device=kitchen')), 'kitchen', 'Query parameter wins');
+    assertEquals(DeviceRegistry.getRequestDeviceId(req, new URL('http://localhost/')), 'office', 'Header');
+    assertEquals(DeviceRegistry.getRequestDeviceId({ headers: {} }, new URL('http://localhost/')), 'default', 'No id');
+    assert(!DeviceRegistry.isValidId('a/b'), 'Ids with slashes are invalid');
+    console.log();
+
+    // Test 3: Defaults merge
+    console.log('Test 3: Defaults');
+    const kitchen = registry.get('kitchen');
+    const cabin = registry.get('cabin');
+    assertEquals(kitchen.layout, 'minimal', 'Own layout');
+    assertEquals(cabin.layout, config.server.layout, 'Layout from the config');
+    assertEquals(kitchen.latitude, config.location.latitude, 'Latitude from the config');
+    assertEquals(cabin.timezone, 'Europe/Zurich', 'Own timezone');
+    assertEquals(cabin.weatherService.timezone, 'Europe/Zurich', 'Weather service gets the device location');
+    assertEquals(cabin.refreshInterval, 600, 'Own refresh interval');
+    assertEquals(kitchen.refreshInterval, config.server.refreshInterval, 'Refresh interval from the config');
+    assertEquals(kitchen.schedule, null, 'Global schedule by default');
+    const equator = new DeviceRegistry({ mockData: true, latitude: 0, devices: [{ id: 'accra', longitude: 0 }] });
+    assertEquals(equator.getDefault().latitude, 0, 'Latitude 0 is kept');
+    assertEquals(`${equator.get('accra').weatherService.latitude},${equator.get('accra').weatherService.longitude}`, '0,0',
+        'Weather service keeps latitude and longitude 0');
+    const own = new DeviceRegistry({ mockData: true, calendarUrl: 'https://example.com/shared.ics', devices: [
+        { id: 'desk', calendarUrl: 'https://example.com/desk.ics' }
+    ] });
+    assertEquals(own.get('desk').calendarUrl, 'https://example.com/desk.ics', 'Own calendar URL');
+    assertEquals(own.get('desk').calendarSources, null, 'Own calendar URL replaces the shared sources');
+    assertEquals(own.getDefault().calendarUrl, 'https://example.com/shared.ics', 'Command-line calendar URL');
+    console.log();
+
+    // Test 4: Device definition files
+    console.log('Test 4: Definition Files');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-registry-test-'));
+    const load = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return () => DeviceRegistry.loadDefinitions(file);
+    };
+    assertEquals(load('list.json', [{ id: 'kitchen' }])().length, 1, 'Array of devices');
+    assertEquals(load('object.json', { devices: [{ id: 'kitchen' }, { id: 'office' }] })()[1].id, 'office', '{ "devices": [...] }');
+    const invalid = load('invalid.json', [{ id: 'kitchen', latitude: 91, colour: 'red' }, { id: 'kitchen' }]);
+    try {
+        invalid();
+        assert(false, 'Invalid definitions rejected');
+    } catch (error) {
+        assert(error instanceof ConfigError, 'Throws ConfigError');
+        assertEquals(error.errors.length, 3, 'Every problem reported');
+        assert(error.message.startsWith(`Invalid configuration in ${path.join(dir, 'invalid.json')}:`), 'Same format as config errors');
+        assert(error.errors[0].startsWith('devices[0].latitude: must be'), 'Out-of-range latitude');
+        assert(error.errors.includes('devices[0].colour: unknown device setting'), 'Unknown setting');
+        assert(error.errors.includes('devices: duplicate id "kitchen"'), 'Duplicate id');
+    }
+    assertThrows(load('broken.json', '{ "devices": ['), 'could not read device definitions', 'Broken JSON');
+    assertThrows(load('shape.json', { kitchen: {} }), 'must be an array', 'Wrong shape');
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,204 @@
+const zlib = require('zlib');
+
+/**
+ * E-ink Image Optimizer (in-process)
+ * Grayscale conversion, autocontrast, quantization to the panel's gray levels
+ * and optional dithering, encoded straight to an 8-bit grayscale PNG.
+ * Replaces the optimize-for-eink.py subprocess for server renders.
+ */
+
+const DEFAULT_OPTIONS = {
+    levels: 16,                 // Kindle Touch panel shows 16 shades of gray
+    dither: 'floyd-steinberg',  // 'floyd-steinberg', 'ordered' or 'none'
+    autocontrastCutoff: 1       // Percent of darkest/lightest pixels to clip
+};
+
+const DITHER_MODES = ['floyd-steinberg', 'ordered', 'none'];
+
+// 4x4 Bayer matrix for ordered dithering
+const BAYER_4X4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+/**
+ * Convert RGBA pixels to 8-bit luma, compositing transparency onto white
+ */
+function toGrayscale(rgba, width, height) {
+    const gray = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        const luma = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+        const alpha = rgba[p + 3] / 255;
+        gray[i] = Math.round(luma * alpha + 255 * (1 - alpha));
+    }
+    return gray;
+}
+
+/**
+ * Stretch the histogram so the darkest pixels become black and the lightest
+ * white, ignoring `cutoff` percent at each end (same as PIL's autocontrast)
+ */
+function autocontrast(gray, cutoff = DEFAULT_OPTIONS.autocontrastCutoff) {
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+    const clip = Math.floor(gray.length * cutoff / 100);
+    let low = 0;
+    for (let count = 0; low < 255; low++) {
+        count += histogram[low];
+        if (count > clip) break;
+    }
+    let high = 255;
+    for (let count = 0; high > 0; high--) {
+        count += histogram[high];
+        if (count > clip) break;
+    }
+
+    if (high <= low) return gray;
+
+    const scale = 255 / (high - low);
+    const lut = new Uint8Array(256);
+    for (let v = 0; v < 256; v++) {
+        lut[v] = Math.max(0, Math.min(255, Math.round((v - low) * scale)));
+    }
+    for (let i = 0; i < gray.length; i++) gray[i] = lut[gray[i]];
+    return gray;
+}
+
+/**
+ * Reduce to `levels` evenly spaced grays, optionally dithering the error
+ */
+function quantize(gray, width, height, options = {}) {
+    const levels = options.levels || DEFAULT_OPTIONS.levels;
+    const dither = options.dither || DEFAULT_OPTIONS.dither;
+    const step = 255 / (levels - 1);
+    const nearest = value => Math.round(Math.max(0, Math.min(255, value)) / step) * step;
+
+    if (dither === 'ordered') {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const threshold = (BAYER_4X4[y % 4][x % 4] + 0.5) / 16 - 0.5;
+                gray[i] = Math.round(nearest(gray[i] + threshold * step));
+            }
+        }
+        return gray;
+    }
+
+    if (dither === 'floyd-steinberg') {
+        const buffer = Float32Array.from(gray);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const oldValue = buffer[i];
+                const newValue = nearest(oldValue);
+                const error = oldValue - newValue;
+                gray[i] = Math.round(newValue);
+
+                if (x + 1 < width) buffer[i + 1] += error * 7 / 16;
+                if (y + 1 < height) {
+                    if (x > 0) buffer[i + width - 1] += error * 3 / 16;
+                    buffer[i + width] += error * 5 / 16;
+                    if (x + 1 < width) buffer[i + width + 1] += error * 1 / 16;
+                }
+            }
+        }
+        return gray;
+    }
+
+    for (let i = 0; i < gray.length; i++) gray[i] = Math.round(nearest(gray[i]));
+    return gray;
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode 8-bit grayscale pixels as a PNG (color type 0, no row filtering)
+ */
+function encodeGrayscalePng(gray, width, height, options = {}) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 0;  // color type: grayscale
+    header[10] = 0; // compression
+    header[11] = 0; // filter method
+    header[12] = 0; // no interlace
+
+    const raw = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (width + 1)] = 0; // filter type: none
+        raw.set(gray.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: options.compressionLevel || 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Run the full pipeline on RGBA image data ({ data, width, height })
+ */
+function optimizeImageData(imageData, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { data, width, height } = imageData;
+
+    const gray = toGrayscale(data, width, height);
+    if (settings.autocontrastCutoff !== null && settings.autocontrastCutoff !== false) {
+        autocontrast(gray, settings.autocontrastCutoff);
+    }
+    quantize(gray, width, height, settings);
+    return encodeGrayscalePng(gray, width, height);
+}
+
+/**
+ * Optimize a rendered node-canvas for e-ink and return the PNG buffer
+ */
+function optimizeCanvas(canvas, options = {}) {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return optimizeImageData(imageData, options);
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    DITHER_MODES,
+    autocontrast,
+    encodeGrayscalePng,
+    optimizeCanvas,
+    optimizeImageData,
+    quantize,
+    toGrayscale
+};
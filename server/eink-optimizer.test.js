@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the e-ink optimizer: grayscale, autocontrast, quantization,
+ * dithering and the PNG encoder, on synthetic image data (no canvas needed)
+ * Run with: node server/eink-optimizer.test.js
+ */
+
+const {
+    DITHER_MODES,
+    autocontrast,
+    encodeGrayscalePng,
+    optimizeImageData,
+    quantize,
+    toGrayscale
+} = require('./eink-optimizer');
+const zlib = require('zlib');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+/**
+ * RGBA image data with a diagonal gray ramp from `low` to `high`
+ */
+function rampImage(width, height, low = 60, high = 200) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = Math.round(low + (high - low) * (x + y) / (width + height - 2));
+            data.set([value, value, value, 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+// Bit-by-bit CRC-32, independent of the optimizer's table
+function referenceCrc(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Split a PNG into its chunks, checking each CRC
+ */
+function readPng(png) {
+    const chunks = [];
+    let offset = 8;
+    while (offset < png.length) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        const crc = png.readUInt32BE(offset + 8 + length);
+        chunks.push({ type, data, crcOk: crc === referenceCrc(png.subarray(offset + 4, offset + 8 + length)) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+function distinct(values) {
+    return new Set(values).size;
+}
+
+function runTests() {
+    console.log('\n🧪 Running E-ink Optimizer Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Grayscale
+    console.log('Test 1: Grayscale');
+    const pixels = Uint8ClampedArray.from([
+        255, 0, 0, 255,     // red
+        0, 255, 0, 255,     // green
+        0, 0, 255, 255,     // blue
+        0, 0, 0, 0,         // transparent
+        0, 0, 0, 128        // half-transparent black
+    ]);
+    const gray = toGrayscale(pixels, 5, 1);
+    assertEquals(Array.from(gray).join(','), '76,150,29,255,127', 'Luma weights, transparency over white');
+    console.log();
+
+    // Test 2: Autocontrast
+    console.log('Test 2: Autocontrast');
+    const ramp = toGrayscale(rampImage(64, 32).data, 64, 32);
+    const stretched = autocontrast(Uint8Array.from(ramp), 0);
+    assertEquals(`${Math.min(...ramp)}-${Math.max(...ramp)}`, '60-200', 'Input range');
+    assertEquals(`${Math.min(...stretched)}-${Math.max(...stretched)}`, '0-255', 'Stretched to black and white');
+    const clipped = autocontrast(Uint8Array.from([0, ...new Array(98).fill(100).map((v, i) => v + i % 50), 255]), 1);
+    assertEquals(`${Math.min(...clipped)}-${Math.max(...clipped)}`, '0-255', 'Cutoff ignores the outliers');
+    assertEquals(clipped.filter(v => v === 0).length > 1, true, 'Clipped pixels become black');
+    const flat = autocontrast(new Uint8Array(16).fill(90), 1);
+    assertEquals(distinct(flat) === 1 && flat[0], 90, 'A flat image is left alone');
+    console.log();
+
+    // Test 3: Quantization
+    console.log('Test 3: Quantization');
+    for (const dither of DITHER_MODES) {
+        const result = quantize(Uint8Array.from(ramp), 64, 32, { levels: 16, dither });
+        assert(result.every(v => v % 17 === 0), `${dither}: only multiples of 17`);
+        assert(distinct(result) <= 16, `${dither}: at most 16 levels (${distinct(result)})`);
+    }
+    const noise = Uint8Array.from({ length: 256 }, (v, i) => i);
+    assertEquals(distinct(quantize(Uint8Array.from(noise), 16, 16, { levels: 16, dither: 'none' })), 16, 'Full range uses all 16 levels');
+    assertEquals(distinct(quantize(Uint8Array.from(noise), 16, 16, { levels: 2, dither: 'none' })), 2, 'Two levels');
+    console.log();
+
+    // Test 4: Dithering
+    console.log('Test 4: Dithering');
+    const midGray = new Uint8Array(64).fill(128); // between levels 119 and 136
+    const plain = quantize(Uint8Array.from(midGray), 8, 8, { levels: 16, dither: 'none' });
+    assertEquals(distinct(plain), 1, 'No dithering: one level');
+    for (const dither of ['floyd-steinberg', 'ordered']) {
+        const first = quantize(Uint8Array.from(midGray), 8, 8, { levels: 16, dither });
+        const second = quantize(Uint8Array.from(midGray), 8, 8, { levels: 16, dither });
+        assertEquals(Buffer.from(first).equals(Buffer.from(second)), true, `${dither}: deterministic`);
+        assertEquals(Array.from(new Set(first)).sort((a, b) => a - b).join(','), '119,136', `${dither}: mixes the two nearest levels`);
+        const mean = first.reduce((sum, v) => sum + v, 0) / first.length;
+        assert(Math.abs(mean - 128) < 2, `${dither}: keeps the average brightness (${mean.toFixed(1)})`);
+    }
+    const pngs = DITHER_MODES.map(dither => optimizeImageData(rampImage(64, 32), { dither }));
+    assertEquals(distinct(pngs.map(png => png.toString('base64'))), 3, 'Each mode gives a different image');
+    assertEquals(optimizeImageData(rampImage(64, 32), { dither: 'ordered' }).equals(pngs[1]), true, 'Whole pipeline is deterministic');
+    console.log();
+
+    // Test 5: PNG encoding
+    console.log('Test 5: PNG Encoding');
+    const width = 37;
+    const height = 5;
+    const image = Uint8Array.from({ length: width * height }, (v, i) => (i * 7) % 256);
+    const png = encodeGrayscalePng(image, width, height);
+    assertEquals(png.subarray(0, 8).toString('hex'), '89504e470d0a1a0a', 'PNG signature');
+    const chunks = readPng(png);
+    assertEquals(chunks.map(chunk => chunk.type).join(','), 'IHDR,IDAT,IEND', 'Chunk order');
+    assert(chunks.every(chunk => chunk.crcOk), 'Every chunk CRC is correct');
+    const ihdr = chunks[0].data;
+    assertEquals(`${ihdr.readUInt32BE(0)}x${ihdr.readUInt32BE(4)}`, '37x5', 'IHDR size');
+    assertEquals(Array.from(ihdr.subarray(8)).join(','), '8,0,0,0,0', 'IHDR: 8-bit grayscale, no interlace');
+    const raw = zlib.inflateSync(chunks[1].data);
+    assertEquals(raw.length, (width + 1) * height, 'One filter byte per row');
+    const rows = Array.from({ length: height }, (v, y) => raw.subarray(y * (width + 1), (y + 1) * (width + 1)));
+    assert(rows.every(row => row[0] === 0), 'Rows are unfiltered');
+    assertEquals(Buffer.concat(rows.map(row => row.subarray(1))).equals(Buffer.from(image)), true, 'Pixels round-trip');
+    assertEquals(chunks[2].data.length, 0, 'Empty IEND');
+    const optimized = zlib.inflateSync(readPng(pngs[0]).find(chunk => chunk.type === 'IDAT').data)
+        .filter((v, i) => i % 65 !== 0); // drop the filter bytes of the 64-pixel rows
+    assert(distinct(optimized) <= 16 && optimized.every(v => v % 17 === 0), `Optimized image uses at most 16 levels (${distinct(optimized)})`);
+    assertEquals(`${Math.min(...optimized)}-${Math.max(...optimized)}`, '0-255', 'Optimized image is stretched to black and white');
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,204 @@
+const { createCanvas, loadImage } = require('canvas');
+
+/**
+ * Error Screen
+ * Full-screen e-ink image served in place of a dashboard that failed to
+ * render, so the Kindle shows what went wrong instead of a stale image.
+ * Also marks a last-good image as stale when that is served instead.
+ */
+
+const DEFAULT_WIDTH = 600;
+const DEFAULT_HEIGHT = 800;
+const MARGIN = 40;
+const MAX_SUMMARY_LINES = 6;
+
+const DEFAULT_HINT = 'Check the server log for details. The Kindle will try again at its next refresh.';
+
+// Hints for errors whose cause is usually obvious from the code or name
+const HINTS = [
+    { match: error => ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT'].includes(error.code),
+        hint: 'The server could not reach a data source. Check its network connection.' },
+    { match: error => error.name === 'LayoutLoadError' || error.name === 'LayoutValidationError',
+        hint: 'A layout file could not be loaded. Run generate-flexible-dashboard.js --validate on the server.' },
+    { match: error => error.name === 'ConfigError',
+        hint: 'The server configuration is invalid. Check config.json.' }
+];
+
+function hintFor(error) {
+    const entry = HINTS.find(candidate => candidate.match(error));
+    return entry ? entry.hint : DEFAULT_HINT;
+}
+
+/**
+ * "Mon, Oct 19, 7:30 AM (2h ago)" in the device's timezone, or "never"
+ */
+function describeLastSuccess(date, now, timezone) {
+    if (!date) return 'never';
+    const label = date.toLocaleString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: timezone
+    });
+    return `${label} (${describeAge(date, now)})`;
+}
+
+/**
+ * "12m ago", "3h ago", "2d ago"
+ */
+function describeAge(date, now) {
+    const minutes = Math.max(0, Math.round((now - date) / 60000));
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h ago`;
+    return `${Math.round(minutes / 1440)}d ago`;
+}
+
+/**
+ * Split text into lines no wider than maxWidth, truncating after maxLines
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let currentLine = '';
+
+    for (const word of words) {
+        const testLine = currentLine ? `${currentLine} ${word}` : word;
+        if (currentLine && ctx.measureText(testLine).width > maxWidth) {
+            lines.push(currentLine);
+            currentLine = word;
+        } else {
+            currentLine = testLine;
+        }
+    }
+    if (currentLine) lines.push(currentLine);
+
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1]}…`;
+    }
+    return lines;
+}
+
+/**
+ * Render the error screen. Returns a canvas ready for e-ink optimization.
+ *
+ * options: { error, lastSuccess (Date|null), host, timezone, width, height, now }
+ */
+function renderErrorScreen(options = {}) {
+    const width = options.width || DEFAULT_WIDTH;
+    const height = options.height || DEFAULT_HEIGHT;
+    const now = options.now || new Date();
+    const error = options.error || new Error('Unknown error');
+    const contentWidth = width - MARGIN * 2;
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.antialias = 'gray';
+    ctx.textDrawingMode = 'path';
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, width, height);
+
+    // Heavy frame so the screen is obviously not a dashboard
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 6;
+    ctx.strokeRect(MARGIN / 2, MARGIN / 2, width - MARGIN, height - MARGIN);
+
+    ctx.fillStyle = '#000000';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    let y = MARGIN * 1.5;
+
+    ctx.font = 'bold 40px sans-serif';
+    ctx.fillText('Dashboard unavailable', MARGIN, y, contentWidth);
+    y += 64;
+
+    // Error summary
+    ctx.font = 'normal 22px sans-serif';
+    for (const line of wrapText(ctx, error.message || String(error), contentWidth, MAX_SUMMARY_LINES)) {
+        ctx.fillText(line, MARGIN, y);
+        y += 30;
+    }
+    y += 20;
+
+    ctx.fillRect(MARGIN, y, contentWidth, 2);
+    y += 24;
+
+    // Details
+    const details = [
+        ['Last successful update', describeLastSuccess(options.lastSuccess, now, options.timezone)],
+        ['Server', options.host || 'unknown'],
+        ['Failed at', now.toLocaleString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: options.timezone })]
+    ];
+    for (const [label, value] of details) {
+        ctx.font = 'bold 16px sans-serif';
+        ctx.fillStyle = '#555555';
+        ctx.fillText(label.toUpperCase(), MARGIN, y);
+        y += 22;
+        ctx.font = 'normal 22px sans-serif';
+        ctx.fillStyle = '#000000';
+        ctx.fillText(value, MARGIN, y, contentWidth);
+        y += 40;
+    }
+
+    // Hint at the bottom of the frame
+    ctx.font = 'italic 18px sans-serif';
+    const hintLines = wrapText(ctx, hintFor(error), contentWidth, 3);
+    y = height - MARGIN * 1.5 - hintLines.length * 26;
+    for (const line of hintLines) {
+        ctx.fillText(line, MARGIN, y);
+        y += 26;
+    }
+
+    return canvas;
+}
+
+/**
+ * Draw a last-good PNG with a "STALE" badge in the bottom-right corner.
+ * Returns a canvas the size of the original image.
+ *
+ * options: { buffer, renderedAt (Date), timezone, now }
+ */
+async function renderStaleImage(options) {
+    const now = options.now || new Date();
+    const image = await loadImage(options.buffer);
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.antialias = 'gray';
+    ctx.textDrawingMode = 'path';
+    ctx.drawImage(image, 0, 0);
+
+    const time = options.renderedAt.toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: options.timezone
+    });
+    const label = `STALE · ${time} · ${describeAge(options.renderedAt, now)}`;
+
+    ctx.font = 'bold 14px sans-serif';
+    const padding = 6;
+    const badgeWidth = ctx.measureText(label).width + padding * 2;
+    const badgeHeight = 14 + padding * 2;
+    const x = image.width - badgeWidth - 4;
+    const y = image.height - badgeHeight - 4;
+
+    // Solid black badge with white text reads at any gray level underneath
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(x, y, badgeWidth, badgeHeight);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(label, x + padding, y + padding);
+
+    return canvas;
+}
+
+module.exports = {
+    describeAge,
+    describeLastSuccess,
+    hintFor,
+    renderErrorScreen,
+    renderStaleImage
+};
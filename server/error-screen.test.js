@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the error screen: its text, the PNG it becomes, and a failed
+ * /dashboard request answered with it (or with JSON when it can't be drawn)
+ * Run with: node server/error-screen.test.js
+ */
+
+const { createCanvas } = require('canvas');
+const {
+    describeAge,
+    describeLastSuccess,
+    hintFor,
+    renderErrorScreen
+} = require('./error-screen');
+const { optimizeCanvas } = require('./eink-optimizer');
+const LocalDashboardServer = require('./local-dashboard-server');
+const http = require('http');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+/**
+ * Run fn and return every string passed to fillText while it ran
+ */
+async function recordText(fn) {
+    const proto = Object.getPrototypeOf(createCanvas(1, 1).getContext('2d'));
+    const fillText = proto.fillText;
+    const texts = [];
+    proto.fillText = function(text, ...rest) {
+        texts.push(String(text));
+        return fillText.call(this, text, ...rest);
+    };
+    try {
+        await fn();
+    } finally {
+        proto.fillText = fillText;
+    }
+    return texts;
+}
+
+/**
+ * "<width>x<height> <bit depth>/<colour type>" from a PNG's IHDR, or null
+ */
+function pngInfo(buffer) {
+    if (buffer.subarray(0, 8).toString('hex') !== '89504e470d0a1a0a') return null;
+    if (buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+    return `${buffer.readUInt32BE(16)}x${buffer.readUInt32BE(20)} ${buffer[24]}/${buffer[25]}`;
+}
+
+/**
+ * GET a path from the server under test
+ */
+function request(server, pathname) {
+    return new Promise((resolve, reject) => {
+        const { port } = server.address();
+        http.get({ host: '127.0.0.1', port, path: pathname }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        }).on('error', reject);
+    });
+}
+
+/**
+ * A dashboard server whose renders always fail, listening on a free port
+ */
+async function startFailingServer() {
+    const dashboard = new LocalDashboardServer({ port: 0 });
+    dashboard.log = () => {};
+    dashboard.lastGood = null;
+    dashboard.generateDashboardBuffer = async () => {
+        throw new Error('Weather provider unreachable');
+    };
+    const server = http.createServer((req, res) => dashboard.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { dashboard, server };
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Error Screen Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const now = new Date('2026-10-19T14:30:00Z');
+    const lastSuccess = new Date('2026-10-19T12:15:00Z');
+
+    // Test 1: Text helpers
+    console.log('Test 1: Descriptions and Hints');
+    assertEquals(describeAge(new Date(now - 12 * 60000), now), '12m ago', 'Minutes');
+    assertEquals(describeAge(lastSuccess, now), '2h ago', 'Hours');
+    assertEquals(describeAge(new Date(now - 3 * 86400000), now), '3d ago', 'Days');
+    assertEquals(describeLastSuccess(null, now, 'UTC'), 'never', 'Never rendered');
+    assertEquals(describeLastSuccess(lastSuccess, now, 'America/New_York'), 'Mon, Oct 19, 8:15 AM (2h ago)', 'Device timezone');
+    assert(hintFor(Object.assign(new Error('down'), { code: 'ENOTFOUND' })).includes('network'), 'Network hint');
+    assert(hintFor(Object.assign(new Error('bad'), { name: 'ConfigError' })).includes('config.json'), 'Config hint');
+    assert(hintFor(new Error('other')).includes('server log'), 'Default hint');
+    console.log();
+
+    // Test 2: Rendering
+    console.log('Test 2: Error Screen');
+    let canvas;
+    const texts = await recordText(() => {
+        canvas = renderErrorScreen({
+            error: new Error('Weather provider unreachable'),
+            lastSuccess,
+            host: 'dashboard-pi:3000',
+            timezone: 'UTC',
+            now
+        });
+    });
+    assertEquals(`${canvas.width}x${canvas.height}`, '600x800', 'Kindle screen size');
+    assert(texts.includes('Dashboard unavailable'), 'Title drawn');
+    assert(texts.includes('Weather provider unreachable'), 'Error message drawn');
+    assert(texts.includes('Mon, Oct 19, 12:15 PM (2h ago)'), 'Last success drawn');
+    assert(texts.includes('dashboard-pi:3000'), 'Server drawn');
+    const wrapped = await recordText(() => renderErrorScreen({ error: new Error('word '.repeat(200)), now }));
+    const summary = wrapped.filter(text => text.startsWith('word'));
+    assertEquals(summary.length, 6, 'Long messages wrapped to six lines');
+    assert(summary[5].endsWith('…'), 'Truncation marked');
+    assert(wrapped.includes('never'), 'No last success shown as never');
+    const png = optimizeCanvas(canvas);
+    assertEquals(pngInfo(png), '600x800 8/0', 'Valid 8-bit grayscale PNG');
+    console.log();
+
+    // Test 3: A failed /dashboard request
+    console.log('Test 3: Failed Request');
+    const { dashboard, server } = await startFailingServer();
+    try {
+        dashboard.devices.getDefault().lastRender = new Date(Date.now() - 2 * 3600000);
+        let response;
+        const screenTexts = await recordText(async () => {
+            response = await request(server, '/dashboard');
+        });
+        assertEquals(response.status, 500, 'Status stays 500');
+        assertEquals(response.headers['content-type'], 'image/png', 'Image response');
+        assertEquals(response.headers['x-dashboard-error'], 'Weather provider unreachable', 'Error header');
+        assertEquals(response.headers['x-device-id'], 'default', 'Device header');
+        assertEquals(Number(response.headers['content-length']), response.body.length, 'Content-Length matches');
+        assertEquals(pngInfo(response.body), '600x800 8/0', 'Body is the PNG error screen');
+        assert(screenTexts.includes('Weather provider unreachable'), 'Screen shows the error');
+        assert(screenTexts.some(text => text.endsWith('(2h ago)')), 'Screen shows the last success');
+
+        // Test 4: Falling back to JSON
+        console.log();
+        console.log('Test 4: JSON Fallback');
+        dashboard.optimizeForEink = () => {
+            throw new Error('out of memory');
+        };
+        const fallback = await request(server, '/dashboard');
+        assertEquals(fallback.status, 500, 'Status 500');
+        assertEquals(fallback.headers['content-type'], 'application/json', 'JSON response');
+        const body = JSON.parse(fallback.body.toString('utf8'));
+        assertEquals(body.error, 'Failed to generate dashboard', 'Error summary');
+        assertEquals(body.details, 'Weather provider unreachable', 'Original error, not the drawing error');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
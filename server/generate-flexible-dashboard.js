@@ -5,6 +5,12 @@ const DeviceStats = require('./device-stats');
 const WeatherService = require('./weather-service');
 const PokemonService = require('./pokemon-service');
 const CalendarService = require('./calendar-service');
+const WeatherLocations = require('./weather-locations');
+const { getConfig, initConfig, ConfigError } = require('./config');
+const { validateLayoutFile, formatIssue } = require('./layout-validator');
+const layoutLoader = require('./layout-loader');
+const { buildConditionData, conditionDataRoots } = require('./conditions');
+const { resolveUnits } = require('./weather-units');
 const fs = require('fs');
 const path = require('path');
 const { format } = require('date-fns');
@@ -15,6 +21,7 @@ const { format } = require('date-fns');
 
 class FlexibleDashboardGenerator {
     constructor(options = {}) {
+        const { location } = getConfig();
         this.layoutsDir = path.join(__dirname, 'layouts');
         this.outputDir = path.join(__dirname, '..', 'test-images');
 
@@ -28,9 +35,14 @@ class FlexibleDashboardGenerator {
 
         // Weather service configuration
         this.weatherService = new WeatherService({
-            latitude: options.latitude || 41.8781, // Default: Chicago
-            longitude: options.longitude || -87.6298,
-            timezone: options.timezone || 'America/Chicago',
+            latitude: options.latitude ?? location.latitude,
+            longitude: options.longitude ?? location.longitude,
+            timezone: options.timezone || location.timezone,
+            mockData: options.mockData || false
+        });
+
+        // Named weather locations layouts can show besides the configured one
+        this.locations = new WeatherLocations({
             mockData: options.mockData || false
         });
 
@@ -41,7 +53,7 @@ class FlexibleDashboardGenerator {
 
         // Calendar service configuration
         this.calendarService = new CalendarService({
-            timezone: options.timezone || 'America/Chicago',
+            timezone: options.timezone || location.timezone,
             mockData: options.mockData || false
         });
 
@@ -67,20 +79,20 @@ class FlexibleDashboardGenerator {
     }
 
     /**
-     * Load layout configuration from file
+     * Load layout configuration by name, or from a .json path given on the
+     * command line, resolving extends/include
      */
     loadLayout(layoutName) {
-        const layoutPath = path.join(this.layoutsDir, `${layoutName}.json`);
-
-        if (!fs.existsSync(layoutPath)) {
-            throw new Error(`Layout file not found: ${layoutPath}`);
-        }
-
         try {
-            const layoutData = JSON.parse(fs.readFileSync(layoutPath, 'utf8'));
-            return layoutData;
+            if (layoutName.endsWith('.json')) {
+                return layoutLoader.loadLayoutFile(layoutName);
+            }
+            return layoutLoader.loadLayout(layoutName, { layoutsDir: this.layoutsDir });
         } catch (error) {
-            throw new Error(`Failed to parse layout file ${layoutName}: ${error.message}`);
+            if (error instanceof layoutLoader.LayoutLoadError) {
+                throw new Error(`Failed to load layout ${layoutName}: ${error.message}`);
+            }
+            throw error;
         }
     }
 
@@ -95,9 +107,13 @@ class FlexibleDashboardGenerator {
         console.log(`📐 Layout: ${layoutConfig.name}`);
         console.log(`📝 ${layoutConfig.description}`);
 
+        // Data that only a `when` rule needs still has to be fetched
+        const conditionRoots = conditionDataRoots(layoutConfig.components);
+
         // Fetch device statistics if we have device-stats components
         let deviceStatsData = null;
-        const hasDeviceStatsComponent = layoutConfig.components.some(comp => comp.type === 'device-stats' || comp.type === 'status-bar');
+        const hasDeviceStatsComponent = conditionRoots.has('device') ||
+            layoutConfig.components.some(comp => comp.type === 'device-stats' || comp.type === 'status-bar');
 
         if (hasDeviceStatsComponent) {
             console.log(`📊 Fetching device statistics...`);
@@ -113,28 +129,40 @@ class FlexibleDashboardGenerator {
         // Fetch weather data if we have weather components
         let weatherData = null;
         const fullCanvasTypes = ['watch-face', 'brutalist', 'swiss-poster'];
-        const hasWeatherComponent = layoutConfig.components.some(comp =>
-            comp.type === 'weather' || comp.type === 'hero-weather' || comp.type === 'weather-illustration' || fullCanvasTypes.includes(comp.type));
+        const hasWeatherComponent = conditionRoots.has('weather') || layoutConfig.components.some(comp =>
+            comp.type === 'weather' || comp.type === 'hero-weather' || comp.type === 'hourly-chart' || comp.type === 'weather-alert' || comp.type === 'astronomy' || comp.type === 'air-quality' || comp.type === 'weather-illustration' || comp.type === 'weather-multi' || fullCanvasTypes.includes(comp.type));
 
+        let locationWeather = {};
         if (hasWeatherComponent) {
+            const units = resolveUnits(this.weatherService.units, layoutConfig.units);
             console.log(`🌤️  Fetching weather data...`);
             try {
-                weatherData = await this.weatherService.getFormattedWeather();
+                weatherData = await this.weatherService.getFormattedWeather(units);
+                weatherData.location = { id: WeatherLocations.HOME, name: this.locations.label(WeatherLocations.HOME), timezone: this.weatherService.timezone };
                 console.log(`✅ Weather data source: ${weatherData.source || 'unknown'}`);
             } catch (error) {
                 console.warn(`⚠️  Failed to fetch weather data: ${error.message}`);
                 weatherData = null;
             }
+
+            // Weather for other named locations the layout shows, with alerts
+            // and air quality only where a component shows them
+            const { components } = layoutConfig;
+            locationWeather = {
+                [WeatherLocations.HOME]: weatherData,
+                ...await this.locations.getFormattedWeather(WeatherLocations.layoutLocations(components), units, WeatherLocations.layoutFeeds(components))
+            };
         }
 
         // Fetch calendar data if we have calendar components
         let calendarData = null;
-        const hasCalendarComponent = layoutConfig.components.some(comp => comp.type === 'calendar' || fullCanvasTypes.includes(comp.type));
+        const hasCalendarComponent = conditionRoots.has('calendar') ||
+            layoutConfig.components.some(comp => CalendarService.COMPONENT_TYPES.includes(comp.type) || fullCanvasTypes.includes(comp.type));
 
         if (hasCalendarComponent) {
             console.log(`📅 Fetching calendar data...`);
             try {
-                calendarData = await this.calendarService.getFormattedCalendar();
+                calendarData = await this.calendarService.getFormattedCalendar(CalendarService.layoutWindow(layoutConfig.components));
                 console.log(`✅ Calendar: ${calendarData.today.length} today, ${calendarData.tomorrow.length} tomorrow (${calendarData.source})`);
             } catch (error) {
                 console.warn(`⚠️  Failed to fetch calendar data: ${error.message}`);
@@ -145,7 +173,8 @@ class FlexibleDashboardGenerator {
         // Fetch Pokemon data if we have pokemon-sprite components
         // Pass weather + calendar context for contextual selection
         let pokemonData = null;
-        const hasPokemonComponent = layoutConfig.components.some(comp => comp.type === 'pokemon-sprite' || fullCanvasTypes.includes(comp.type));
+        const hasPokemonComponent = conditionRoots.has('pokemon') ||
+            layoutConfig.components.some(comp => comp.type === 'pokemon-sprite' || fullCanvasTypes.includes(comp.type));
 
         if (hasPokemonComponent) {
             console.log(`🎮 Fetching today's Pokemon...`);
@@ -167,25 +196,39 @@ class FlexibleDashboardGenerator {
         const engine = new DashboardEngine({
             width: layoutWidth,
             height: layoutHeight,
-            backgroundColor: '#FFFFFF'
+            backgroundColor: '#FFFFFF',
+            componentTimeout: getConfig().render.componentTimeout
         });
 
         // Load layout and inject device stats, weather data, and pokemon data
-        const enrichedLayoutConfig = this.enrichLayoutWithData(layoutConfig, deviceStatsData, weatherData, pokemonData, calendarData);
+        const enrichedLayoutConfig = this.enrichLayoutWithData(layoutConfig, deviceStatsData, weatherData, pokemonData, calendarData, locationWeather);
         engine.loadLayout(enrichedLayoutConfig);
 
         // Render dashboard
         const canvas = await engine.render({
-            showGrid: options.showGrid || false
+            showGrid: options.showGrid || false,
+            data: buildConditionData({
+                weather: weatherData,
+                calendar: calendarData,
+                pokemon: pokemonData,
+                deviceStats: deviceStatsData,
+                timezone: getConfig().location.timezone
+            })
         });
+        if (engine.hiddenComponents.length > 0) {
+            console.log(`🙈 Hidden by when rules: ${engine.hiddenComponents.map(c => c.id || c.type).join(', ')}`);
+        }
+        for (const failure of engine.renderReport.failures) {
+            console.warn(`⚠️  Component ${failure.component} (${failure.type}) failed after ${failure.durationMs}ms: ${failure.message}`);
+        }
 
-        return { canvas, layoutConfig, deviceStatsData, weatherData, pokemonData, calendarData };
+        return { canvas, layoutConfig, deviceStatsData, weatherData, pokemonData, calendarData, renderReport: engine.renderReport };
     }
 
     /**
      * Enrich layout configuration with data (device stats, weather, and pokemon)
      */
-    enrichLayoutWithData(layoutConfig, deviceStatsData, weatherData, pokemonData, calendarData) {
+    enrichLayoutWithData(layoutConfig, deviceStatsData, weatherData, pokemonData, calendarData, locationWeather = {}) {
         const enrichedConfig = JSON.parse(JSON.stringify(layoutConfig)); // Deep clone
 
         enrichedConfig.components = enrichedConfig.components.map(component => {
@@ -207,12 +250,28 @@ class FlexibleDashboardGenerator {
                     }
                 };
             }
-            if (component.type === 'weather' || component.type === 'hero-weather' || component.type === 'weather-illustration') {
+            if (component.type === 'weather' || component.type === 'hero-weather' || component.type === 'hourly-chart' || component.type === 'weather-alert' || component.type === 'astronomy' || component.type === 'air-quality' || component.type === 'weather-illustration') {
+                // A named location shows that location's weather
+                const location = component.config && component.config.location;
+                return {
+                    ...component,
+                    config: {
+                        ...component.config,
+                        weatherData: location ? locationWeather[location] || null : weatherData
+                    }
+                };
+            }
+            if (component.type === 'weather-multi') {
+                const names = (component.config && component.config.locations) || [];
                 return {
                     ...component,
                     config: {
                         ...component.config,
-                        weatherData: weatherData
+                        locationWeather: names.map(name => ({
+                            id: name,
+                            name: this.locations.label(name),
+                            weather: locationWeather[name] || null
+                        }))
                     }
                 };
             }
@@ -225,7 +284,7 @@ class FlexibleDashboardGenerator {
                     }
                 };
             }
-            if (component.type === 'calendar') {
+            if (CalendarService.COMPONENT_TYPES.includes(component.type)) {
                 return {
                     ...component,
                     config: {
@@ -328,12 +387,21 @@ class FlexibleDashboardGenerator {
                 const layoutConfig = this.loadLayout(layoutName);
                 console.log(`\n📐 Layout: ${layoutConfig.name}`);
                 console.log(`📝 Description: ${layoutConfig.description}`);
+                if (layoutConfig._meta.chain.length > 1) {
+                    console.log(`🧬 Extends: ${layoutConfig._meta.chain.join(' → ')}`);
+                }
                 console.log(`🔧 Grid: ${layoutConfig.grid.rows}×${layoutConfig.grid.cols} (margin: ${layoutConfig.grid.margin}px, gap: ${layoutConfig.grid.gap}px)`);
                 console.log(`📦 Components: ${layoutConfig.components.length}`);
 
                 layoutConfig.components.forEach((component, index) => {
                     const pos = component.position;
-                    console.log(`  ${index + 1}. ${component.type} - Row ${pos.row}, Col ${pos.col} (${pos.rowSpan || 1}×${pos.colSpan || 1})`);
+                    const id = component.id ? ` [${component.id}]` : '';
+                    console.log(`  ${index + 1}. ${component.type}${id} - Row ${pos.row}, Col ${pos.col} (${pos.rowSpan || 1}×${pos.colSpan || 1})`);
+                    console.log(`       from ${layoutLoader.describeOrigin(component)}`);
+                    const config = component.config || {};
+                    if (Object.keys(config).length > 0) {
+                        console.log(`       config: ${JSON.stringify(config)}`);
+                    }
                 });
             } catch (error) {
                 console.error(`❌ Error loading layout '${layoutName}': ${error.message}`);
@@ -352,11 +420,48 @@ class FlexibleDashboardGenerator {
             });
         }
     }
+
+    /**
+     * Validate one layout (or all layouts) against the layout schema.
+     * Returns the list of issues found.
+     */
+    validateLayouts(layoutName = null) {
+        const layouts = layoutName ? [layoutName] : this.getAvailableLayouts();
+        const issues = [];
+
+        for (const name of layouts) {
+            const layoutPath = path.join(this.layoutsDir, `${name}.json`);
+            if (!fs.existsSync(layoutPath)) {
+                issues.push({ file: layoutPath, path: '$', message: 'layout file not found' });
+                continue;
+            }
+            const layoutIssues = validateLayoutFile(layoutPath, { locations: this.locations.names() });
+            console.log(`${layoutIssues.length === 0 ? '✅' : '❌'} ${name}`);
+            layoutIssues.forEach(issue => console.log(`   ${formatIssue(issue)}`));
+            issues.push(...layoutIssues);
+        }
+
+        console.log(`\n📋 ${layouts.length} layout(s) checked, ${issues.length} issue(s) found`);
+        return issues;
+    }
 }
 
 // CLI functionality
 async function main() {
     const args = process.argv.slice(2);
+    const configIndex = args.indexOf('--config');
+    const configFile = configIndex !== -1 ? args[configIndex + 1] : undefined;
+
+    try {
+        initConfig({ file: configFile });
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        throw error;
+    }
+
     const generator = new FlexibleDashboardGenerator({
         mockData: args.includes('--mock')
     });
@@ -373,11 +478,13 @@ Arguments:
 
 Options:
   --list              List available layouts
-  --info [layout]     Show layout information
+  --info [layout]     Show resolved layout (extends/includes) with origins
+  --validate [layout] Check layouts against layout-schema.json
   --all               Generate all layouts
   --grid              Show debug grid
   --test              Add timestamp to filename
   --mock              Use mock device data (no SSH)
+  --config <file>     Config file (default: server/config.json)
   --help, -h          Show this help
 
 Examples:
@@ -386,6 +493,7 @@ Examples:
   node generate-flexible-dashboard.js device --mock      # Generate device layout with mock data
   node generate-flexible-dashboard.js --list             # List available layouts
   node generate-flexible-dashboard.js --info split       # Show split layout info
+  node generate-flexible-dashboard.js --validate         # Validate all layouts
   node generate-flexible-dashboard.js --all --test       # Generate all layouts with timestamps
   node generate-flexible-dashboard.js minimal --grid     # Generate minimal layout with debug grid
         `);
@@ -404,6 +512,16 @@ Examples:
         return;
     }
 
+    if (args.includes('--validate')) {
+        const validateIndex = args.indexOf('--validate');
+        const layoutName = args[validateIndex + 1] && !args[validateIndex + 1].startsWith('--')
+            ? args[validateIndex + 1]
+            : null;
+        const issues = generator.validateLayouts(layoutName);
+        if (issues.length > 0) process.exit(1);
+        return;
+    }
+
     if (args.includes('--all')) {
         const options = {
             showGrid: args.includes('--grid')
@@ -424,7 +542,7 @@ Examples:
     }
 
     // Generate single layout
-    const layoutName = args.find(arg => !arg.startsWith('--')) || 'wild-swiss';
+    const layoutName = args.find(arg => !arg.startsWith('--') && arg !== configFile) || getConfig().server.layout;
     const options = {
         showGrid: args.includes('--grid'),
         test: args.includes('--test')
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Last Known Good Store
+ * Keeps the most recent successful dashboard PNG for each device and layout
+ * on disk, so a failed regeneration can fall back to it even after a
+ * restart. The file's modification time is the render time.
+ */
+
+const DEFAULT_MAX_AGE = 6 * 60 * 60; // seconds
+
+class LastGoodStore {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '..', 'cache', 'last-good');
+        this.maxAge = options.maxAge || DEFAULT_MAX_AGE; // seconds
+
+        // Ensure store directory exists
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    /**
+     * File for a device + layout pair. Layout names are reduced to safe
+     * characters so a query parameter can never point outside the store.
+     */
+    getFilePath(deviceId, layout) {
+        const safeLayout = String(layout).replace(/[^A-Za-z0-9_-]/g, '_');
+        return path.join(this.dir, `${deviceId}__${safeLayout}.png`);
+    }
+
+    /**
+     * Store a rendered PNG. Written to a temp file first so a crash never
+     * leaves a truncated image behind.
+     */
+    save(deviceId, layout, buffer, renderedAt = new Date()) {
+        const file = this.getFilePath(deviceId, layout);
+        const tempFile = `${file}.tmp`;
+
+        try {
+            fs.writeFileSync(tempFile, buffer);
+            fs.utimesSync(tempFile, renderedAt, renderedAt);
+            fs.renameSync(tempFile, file);
+            return true;
+        } catch (error) {
+            console.warn('Failed to save last good dashboard:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load the last good PNG for a device + layout.
+     * Returns { buffer, renderedAt, age (seconds), expired } or null if none is stored.
+     */
+    load(deviceId, layout, now = new Date()) {
+        const file = this.getFilePath(deviceId, layout);
+
+        try {
+            const stats = fs.statSync(file);
+            const age = Math.max(0, Math.floor((now - stats.mtime) / 1000));
+            return {
+                buffer: fs.readFileSync(file),
+                renderedAt: stats.mtime,
+                age,
+                expired: age > this.maxAge
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Render time of the newest stored PNG for a device among the given
+     * layouts, or null. Only reads file metadata.
+     */
+    lastRenderedAt(deviceId, layouts) {
+        let newest = null;
+        for (const layout of layouts) {
+            try {
+                const { mtime } = fs.statSync(this.getFilePath(deviceId, layout));
+                if (!newest || mtime > newest) newest = mtime;
+            } catch (error) {
+                // Nothing stored for this layout
+            }
+        }
+        return newest;
+    }
+}
+
+LastGoodStore.DEFAULT_MAX_AGE = DEFAULT_MAX_AGE;
+
+module.exports = LastGoodStore;
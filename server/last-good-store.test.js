@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the last known good dashboard store
+ * Run with: node server/last-good-store.test.js
+ */
+
+const LastGoodStore = require('./last-good-store');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'last-good-test-')), 'store');
+
+function runTests() {
+    console.log('\n🧪 Running Last Good Store Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const store = new LastGoodStore({ dir, maxAge: 3600 });
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    // Test 1: Round trip
+    console.log('Test 1: Save and Load');
+    assert(fs.existsSync(dir), 'Store directory created');
+    assertEquals(store.load('kitchen', 'minimal', now), null, 'Nothing stored yet');
+    assert(store.save('kitchen', 'minimal', Buffer.from('png-1'), new Date('2026-10-19T11:30:00Z')), 'Save succeeds');
+    const loaded = store.load('kitchen', 'minimal', now);
+    assertEquals(loaded && loaded.buffer.toString(), 'png-1', 'Buffer round trip');
+    assertEquals(loaded && loaded.renderedAt.toISOString(), '2026-10-19T11:30:00.000Z', 'Render time kept');
+    assertEquals(loaded && loaded.age, 1800, 'Age in seconds');
+    assertEquals(loaded && loaded.expired, false, 'Within age limit');
+    assert(!fs.existsSync(`${store.getFilePath('kitchen', 'minimal')}.tmp`), 'No temp file left behind');
+    console.log();
+
+    // Test 2: Keys and overwrite
+    console.log('Test 2: Per Device and Layout');
+    store.save('kitchen', 'wild-swiss', Buffer.from('png-2'), now);
+    store.save('office', 'minimal', Buffer.from('png-3'), now);
+    assertEquals(store.load('kitchen', 'minimal', now).buffer.toString(), 'png-1', 'Other layout untouched');
+    assertEquals(store.load('office', 'minimal', now).buffer.toString(), 'png-3', 'Other device separate');
+    store.save('kitchen', 'minimal', Buffer.from('png-4'), now);
+    assertEquals(store.load('kitchen', 'minimal', now).buffer.toString(), 'png-4', 'Newer render replaces older');
+    console.log();
+
+    // Test 3: Age limit
+    console.log('Test 3: Age Limit');
+    store.save('hall', 'minimal', Buffer.from('old'), new Date('2026-10-19T10:00:00Z'));
+    const old = store.load('hall', 'minimal', now);
+    assertEquals(old.age, 7200, 'Old render age');
+    assertEquals(old.expired, true, 'Older than maxAge is expired');
+    assertEquals(new LastGoodStore({ dir }).maxAge, LastGoodStore.DEFAULT_MAX_AGE, 'Default age limit');
+    console.log();
+
+    // Test 4: Newest render per device
+    console.log('Test 4: Last Render Time');
+    assertEquals(store.lastRenderedAt('kitchen', ['minimal', 'wild-swiss', 'weather']).toISOString(), now.toISOString(), 'Newest of the stored layouts');
+    assertEquals(store.lastRenderedAt('hall', ['minimal']).toISOString(), '2026-10-19T10:00:00.000Z', 'Expired renders still count');
+    assertEquals(store.lastRenderedAt('kitchen', ['weather']), null, 'Only the given layouts');
+    assertEquals(store.lastRenderedAt('attic', ['minimal']), null, 'Nothing stored');
+    console.log();
+
+    // Test 5: Layout names cannot escape the store
+    console.log('Test 5: Safe File Names');
+    const file = store.getFilePath('kitchen', '../../etc/passwd');
+    assertEquals(path.dirname(file), dir, 'Path stays inside the store');
+    assertEquals(path.basename(file), 'kitchen________etc_passwd.png', 'Unsafe characters replaced');
+    console.log();
+
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
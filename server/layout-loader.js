@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Layout Loader
+ * Resolves layout inheritance and composition:
+ *
+ *   "extends": "weather-pokemon-v2"       inherit another layout
+ *   { "id": "clock", ... }                 override (or add) a component by ID
+ *   { "id": "quote", "remove": true }      drop an inherited component
+ *   { "include": "status-bar", ... }       insert components from layouts/partials/
+ *
+ * Each resolved component remembers where it came from (see describeOrigin).
+ */
+
+const DEFAULT_LAYOUTS_DIR = path.join(__dirname, 'layouts');
+const PARTIALS_DIR = 'partials';
+// A layout name is a file directly in the layouts directory
+const LAYOUT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class LayoutLoadError extends Error {
+    constructor(message, { file = null, path: jsonPath = '$' } = {}) {
+        super(file ? `${file}: ${jsonPath}: ${message}` : message);
+        this.name = 'LayoutLoadError';
+        this.file = file;
+        this.path = jsonPath;
+        this.reason = message;
+    }
+}
+
+function withOrigin(component, origin) {
+    Object.defineProperty(component, '_origin', { value: origin, enumerable: false, configurable: true });
+    return component;
+}
+
+function readLayoutJson(file) {
+    if (!fs.existsSync(file)) {
+        throw new LayoutLoadError(`Layout file not found: ${file}`, { file });
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new LayoutLoadError(`could not parse layout: ${error.message}`, { file });
+    }
+}
+
+/**
+ * Merge an override onto a component. Changing the type replaces the
+ * component; otherwise position and config are merged key by key.
+ */
+function mergeComponent(base, override) {
+    const { remove, include, offset, ...fields } = override;
+    if (fields.type && fields.type !== base.type) {
+        return fields;
+    }
+    return {
+        ...base,
+        ...fields,
+        position: { ...base.position, ...fields.position },
+        config: { ...base.config, ...fields.config }
+    };
+}
+
+/**
+ * Replace `include` entries with the components of the named partial
+ */
+function expandIncludes(components, context) {
+    const expanded = [];
+
+    components.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || entry.include === undefined) {
+            expanded.push(withOrigin({ ...entry }, { layout: context.name, overriddenBy: [] }));
+            return;
+        }
+
+        const jsonPath = `$.components[${index}].include`;
+        if (!isLayoutName(entry.include)) {
+            throw new LayoutLoadError('include must be a partial name (letters, digits, "-" and "_")', { file: context.file, path: jsonPath });
+        }
+        const partialName = `${PARTIALS_DIR}/${entry.include}`;
+        const partialFile = path.join(context.layoutsDir, `${partialName}.json`);
+        if (context.stack.includes(partialFile)) {
+            throw new LayoutLoadError(`include cycle: ${[...context.stack, partialFile].map(f => path.basename(f, '.json')).join(' → ')}`, { file: context.file, path: jsonPath });
+        }
+        if (!fs.existsSync(partialFile)) {
+            throw new LayoutLoadError(`partial "${entry.include}" not found in layouts/${PARTIALS_DIR}/`, { file: context.file, path: jsonPath });
+        }
+
+        const partial = readLayoutJson(partialFile);
+        const partialComponents = expandIncludes(partial.components || [], {
+            ...context,
+            name: partialName,
+            file: partialFile,
+            stack: [...context.stack, partialFile]
+        });
+
+        const { include, offset, ...overrides } = entry;
+        if (Object.keys(overrides).length > 0 && partialComponents.length !== 1) {
+            throw new LayoutLoadError(`partial "${entry.include}" has ${partialComponents.length} components; only single-component partials accept overrides (use "offset" to move a group)`, { file: context.file, path: `$.components[${index}]` });
+        }
+
+        for (const component of partialComponents) {
+            let result = Object.keys(overrides).length > 0 ? mergeComponent(component, overrides) : { ...component };
+            if (offset && result.position) {
+                result = {
+                    ...result,
+                    position: {
+                        ...result.position,
+                        row: result.position.row + (offset.row || 0),
+                        col: result.position.col + (offset.col || 0)
+                    }
+                };
+            }
+            expanded.push(withOrigin(result, {
+                layout: context.name,
+                partial: component._origin.partial || partialName,
+                overriddenBy: []
+            }));
+        }
+    });
+
+    return expanded;
+}
+
+/**
+ * Apply a child layout on top of its resolved parent
+ */
+function mergeLayouts(parent, child, context) {
+    const { extends: parentName, components: childComponents, ...childFields } = child;
+    const result = {
+        ...parent,
+        ...childFields,
+        grid: { ...parent.grid, ...child.grid },
+        components: parent.components.map(component => withOrigin({ ...component }, component._origin))
+    };
+    if (parent.dimensions || child.dimensions) {
+        result.dimensions = { ...parent.dimensions, ...child.dimensions };
+    }
+    if (parent.units || child.units) {
+        result.units = { ...parent.units, ...child.units };
+    }
+
+    childComponents.forEach((component, index) => {
+        const targetIndex = component.id !== undefined
+            ? result.components.findIndex(existing => existing.id === component.id)
+            : -1;
+
+        if (component.remove) {
+            if (targetIndex === -1) {
+                throw new LayoutLoadError(`cannot remove "${component.id}": no component with that id in "${parentName}"`, { file: context.file, path: `$.components[${index}]` });
+            }
+            result.components.splice(targetIndex, 1);
+            return;
+        }
+
+        if (targetIndex === -1) {
+            result.components.push(component);
+            return;
+        }
+
+        const inherited = result.components[targetIndex];
+        const merged = mergeComponent(inherited, component);
+        const replaced = merged.type !== inherited.type;
+        result.components[targetIndex] = withOrigin(merged, replaced
+            ? { ...component._origin, replaces: inherited._origin.layout }
+            : { ...inherited._origin, overriddenBy: [...inherited._origin.overriddenBy, context.name] });
+    });
+
+    return result;
+}
+
+function resolveFile(file, context) {
+    const name = path.relative(context.layoutsDir, file).replace(/\.json$/, '');
+    if (context.stack.includes(file)) {
+        const chain = [...context.stack, file].map(f => path.relative(context.layoutsDir, f).replace(/\.json$/, ''));
+        throw new LayoutLoadError(`extends cycle: ${chain.join(' → ')}`, { file: context.stack[context.stack.length - 1], path: '$.extends' });
+    }
+
+    const raw = readLayoutJson(file);
+    const fileContext = { ...context, name, file, stack: [...context.stack, file] };
+    const components = expandIncludes(Array.isArray(raw.components) ? raw.components : [], fileContext);
+
+    let resolved;
+    let chain = [name];
+    if (raw.extends === undefined) {
+        resolved = { ...raw, components };
+        delete resolved.extends;
+    } else {
+        if (!isLayoutName(raw.extends)) {
+            throw new LayoutLoadError('extends must be a layout name (letters, digits, "-" and "_")', { file, path: '$.extends' });
+        }
+        const parentFile = path.join(context.layoutsDir, `${raw.extends}.json`);
+        if (!fs.existsSync(parentFile)) {
+            throw new LayoutLoadError(`parent layout "${raw.extends}" not found`, { file, path: '$.extends' });
+        }
+        const parent = resolveFile(parentFile, fileContext);
+        chain = [...parent._meta.chain, name];
+        resolved = mergeLayouts(parent, { ...raw, components }, fileContext);
+    }
+
+    Object.defineProperty(resolved, '_meta', {
+        value: { name, file, chain },
+        enumerable: false,
+        configurable: true
+    });
+    return resolved;
+}
+
+function isLayoutName(name) {
+    return typeof name === 'string' && LAYOUT_NAME_PATTERN.test(name);
+}
+
+/**
+ * Whether a top-level layout exists. Partials and paths never match.
+ */
+function layoutExists(name, layoutsDir = DEFAULT_LAYOUTS_DIR) {
+    return isLayoutName(name) && fs.existsSync(path.join(layoutsDir, `${name}.json`));
+}
+
+/**
+ * Names of the top-level layouts in a directory
+ */
+function listLayouts(layoutsDir = DEFAULT_LAYOUTS_DIR) {
+    return fs.readdirSync(layoutsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .filter(isLayoutName);
+}
+
+/**
+ * Load a layout by name with extends/include resolved. Only names of files
+ * in the layouts directory are accepted; use loadLayoutFile for paths.
+ * Throws LayoutLoadError for bad names, missing files, cycles and bad overrides.
+ */
+function loadLayout(name, options = {}) {
+    if (!isLayoutName(name)) {
+        throw new LayoutLoadError(`invalid layout name ${JSON.stringify(name)} (use letters, digits, '-' or '_')`);
+    }
+    const layoutsDir = options.layoutsDir || DEFAULT_LAYOUTS_DIR;
+    return resolveFile(path.join(layoutsDir, `${name}.json`), { layoutsDir, stack: [] });
+}
+
+/**
+ * Load a layout from a .json file anywhere, for the CLI and the validator.
+ * Parents and partials are looked up next to the file unless layoutsDir is set.
+ */
+function loadLayoutFile(filePath, options = {}) {
+    const file = path.resolve(filePath);
+    const layoutsDir = options.layoutsDir || path.dirname(file);
+    return resolveFile(file, { layoutsDir, stack: [] });
+}
+
+/**
+ * Human-readable origin of a resolved component
+ */
+function describeOrigin(component) {
+    const origin = component._origin;
+    if (!origin) return '';
+    let text = origin.layout;
+    if (origin.partial) text += ` via ${origin.partial}`;
+    if (origin.replaces) text += `, replaces ${origin.replaces}`;
+    if (origin.overriddenBy && origin.overriddenBy.length > 0) text += `, overridden by ${origin.overriddenBy.join(', ')}`;
+    return text;
+}
+
+module.exports = {
+    DEFAULT_LAYOUTS_DIR,
+    LAYOUT_NAME_PATTERN,
+    LayoutLoadError,
+    PARTIALS_DIR,
+    describeOrigin,
+    isLayoutName,
+    layoutExists,
+    listLayouts,
+    loadLayout,
+    loadLayoutFile
+};
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for layout inheritance (extends) and composition (include)
+ * Run with: node server/layout-loader.test.js
+ */
+
+const { loadLayout, loadLayoutFile, layoutExists, listLayouts, describeOrigin, LayoutLoadError } = require('./layout-loader');
+const { validateLayoutFile } = require('./layout-validator');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+function assertThrows(fn, pattern, message) {
+    try {
+        fn();
+        assert(false, `${message} (no error thrown)`);
+    } catch (error) {
+        assert(error instanceof LayoutLoadError && pattern.test(error.message), `${message}: ${error.message}`);
+    }
+}
+
+// Fixture layouts written to a temp directory
+const layoutsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'layout-loader-test-'));
+
+function writeLayout(name, layout) {
+    const file = path.join(layoutsDir, `${name}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(layout, null, 2));
+}
+
+writeLayout('partials/footer', {
+    name: 'Footer',
+    components: [
+        { type: 'status-bar', position: { row: 0, col: 0, colSpan: 4 }, config: { fontSize: 11 } }
+    ]
+});
+writeLayout('partials/header-pair', {
+    name: 'Header',
+    components: [
+        { id: 'header-clock', type: 'clock', position: { row: 0, col: 0, colSpan: 2 } },
+        { id: 'header-date', type: 'date', position: { row: 0, col: 2, colSpan: 2 } }
+    ]
+});
+writeLayout('base', {
+    name: 'Base',
+    description: 'Parent layout',
+    grid: { rows: 6, cols: 4, margin: 10, gap: 5 },
+    units: { temperature: 'celsius', windSpeed: 'kmh' },
+    components: [
+        { id: 'clock', type: 'clock', position: { row: 0, col: 0, colSpan: 4 }, config: { fontSize: 48, format: 'HH:mm' } },
+        { id: 'weather', type: 'weather', position: { row: 1, col: 0, rowSpan: 2, colSpan: 4 }, config: { showWind: true } },
+        { id: 'quote', type: 'quote', position: { row: 3, col: 0, colSpan: 4 } },
+        { id: 'footer', include: 'footer', position: { row: 5 } }
+    ]
+});
+writeLayout('child', {
+    extends: 'base',
+    name: 'Child',
+    grid: { rows: 7 },
+    units: { windSpeed: 'ms' },
+    components: [
+        { id: 'clock', type: 'analog-clock', position: { row: 0, col: 0, colSpan: 2 } },
+        { id: 'weather', config: { showWind: false }, position: { rowSpan: 3 } },
+        { id: 'quote', remove: true },
+        { id: 'title', type: 'title', position: { row: 4, col: 0, colSpan: 4 }, config: { text: 'HELLO' } }
+    ]
+});
+writeLayout('grandchild', {
+    extends: 'child',
+    name: 'Grandchild',
+    components: [
+        { id: 'title', config: { text: 'GOODBYE' } }
+    ]
+});
+writeLayout('grouped', {
+    name: 'Grouped',
+    grid: { rows: 4, cols: 4 },
+    components: [
+        { include: 'header-pair', offset: { row: 2 } }
+    ]
+});
+writeLayout('loop-a', { extends: 'loop-b', name: 'A', components: [] });
+writeLayout('loop-b', { extends: 'loop-a', name: 'B', components: [] });
+writeLayout('missing-parent', { extends: 'nope', name: 'Missing', components: [] });
+writeLayout('bad-remove', { extends: 'base', name: 'Bad', components: [{ id: 'nope', remove: true }] });
+writeLayout('escape-extends', { extends: '../../config', name: 'Escape', components: [] });
+writeLayout('escape-include', { name: 'Escape', components: [{ include: '../../config' }] });
+writeLayout('bad-override', { extends: 'base', name: 'Bad', components: [{ id: 'weather', config: { showWnd: true } }] });
+
+function runTests() {
+    console.log('\n🧪 Running Layout Loader Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Plain layout with a partial
+    console.log('Test 1: Include Partial');
+    const base = loadLayout('base', { layoutsDir });
+    const footer = base.components.find(c => c.id === 'footer');
+    assert(footer !== undefined, 'Included component takes the include entry id');
+    assertEquals(footer && footer.type, 'status-bar', 'Partial component type kept');
+    assertEquals(footer && footer.position.row, 5, 'Include position overrides partial row');
+    assertEquals(footer && footer.position.colSpan, 4, 'Partial colSpan kept');
+    assertEquals(footer && footer.config.fontSize, 11, 'Partial config kept');
+    assert(footer && footer.include === undefined, 'include key stripped from result');
+    assertEquals(describeOrigin(footer), 'base via partials/footer', 'Origin names the partial');
+    console.log();
+
+    // Test 2: Extends with override, replace, remove and add
+    console.log('Test 2: Extends');
+    const child = loadLayout('child', { layoutsDir });
+    const ids = child.components.map(c => c.id).join(',');
+    assertEquals(ids, 'clock,weather,footer,title', 'Component order: inherited, then added');
+    assertEquals(child.description, 'Parent layout', 'Parent description inherited');
+    assertEquals(child.grid.rows, 7, 'Grid key overridden');
+    assertEquals(child.grid.cols, 4, 'Other grid keys inherited');
+    assertEquals(`${child.units.temperature}/${child.units.windSpeed}`, 'celsius/ms', 'Units merged key by key');
+    assert(child.extends === undefined, 'extends key stripped from result');
+
+    const clock = child.components[0];
+    assertEquals(clock.type, 'analog-clock', 'Type change replaces component');
+    assert(clock.config === undefined || clock.config.format === undefined, 'Replaced component drops parent config');
+    assertEquals(describeOrigin(clock), 'child, replaces base', 'Replaced origin');
+
+    const weather = child.components[1];
+    assertEquals(weather.config.showWind, false, 'Config key overridden');
+    assertEquals(weather.position.rowSpan, 3, 'Position key overridden');
+    assertEquals(weather.position.row, 1, 'Other position keys inherited');
+    assertEquals(describeOrigin(weather), 'base, overridden by child', 'Overridden origin');
+    assertEquals(describeOrigin(child.components[3]), 'child', 'Added component origin');
+    console.log();
+
+    // Test 3: Multi-level inheritance
+    console.log('Test 3: Multi-level Extends');
+    const grandchild = loadLayout('grandchild', { layoutsDir });
+    assertEquals(grandchild._meta.chain.join(' → '), 'base → child → grandchild', 'Chain recorded');
+    const title = grandchild.components.find(c => c.id === 'title');
+    assertEquals(title.config.text, 'GOODBYE', 'Grandchild overrides child-added component');
+    assertEquals(describeOrigin(title), 'child, overridden by grandchild', 'Origin tracks each override');
+    const parentAgain = loadLayout('child', { layoutsDir });
+    assertEquals(parentAgain.components[3].config.text, 'HELLO', 'Parent layout not mutated');
+    console.log();
+
+    // Test 4: Group include with offset
+    console.log('Test 4: Include With Offset');
+    const grouped = loadLayout('grouped', { layoutsDir });
+    assertEquals(grouped.components.length, 2, 'Both partial components included');
+    assert(grouped.components.every(c => c.position.row === 2), 'Offset applied to every component');
+    console.log();
+
+    // Test 5: Errors
+    console.log('Test 5: Errors');
+    assertThrows(() => loadLayout('loop-a', { layoutsDir }), /extends cycle: loop-a → loop-b → loop-a/, 'Cycle detected');
+    assertThrows(() => loadLayout('missing-parent', { layoutsDir }), /parent layout "nope" not found/, 'Missing parent reported');
+    assertThrows(() => loadLayout('bad-remove', { layoutsDir }), /cannot remove "nope"/, 'Removing unknown id reported');
+    assertThrows(() => loadLayout('nothing', { layoutsDir }), /not found/, 'Missing layout reported');
+    assertThrows(() => loadLayout('escape-extends', { layoutsDir }), /\$\.extends: extends must be a layout name/, 'extends cannot leave the layouts directory');
+    assertThrows(() => loadLayout('escape-include', { layoutsDir }), /\$\.components\[0\]\.include: include must be a partial name/, 'include cannot leave the partials directory');
+    console.log();
+
+    // Test 6: Validation runs on the resolved layout
+    console.log('Test 6: Validation of Resolved Layouts');
+    assertEquals(validateLayoutFile(path.join(layoutsDir, 'grandchild.json')).length, 0, 'Resolved grandchild is valid');
+    const overrideIssues = validateLayoutFile(path.join(layoutsDir, 'bad-override.json'));
+    assertEquals(overrideIssues.length, 1, 'One issue for bad override');
+    assert(overrideIssues[0].message.includes('component "weather" from base, overridden by bad-override'), 'Issue names component origin');
+    const cycleIssues = validateLayoutFile(path.join(layoutsDir, 'loop-a.json'));
+    assertEquals(cycleIssues[0] && cycleIssues[0].path, '$.extends', 'Cycle reported at $.extends');
+    console.log();
+
+    // Test 7: Names and files
+    console.log('Test 7: Names and Files');
+    assert(layoutExists('base', layoutsDir), 'Layout in the directory exists');
+    assert(!layoutExists('nothing', layoutsDir), 'Missing layout does not exist');
+    assert(!layoutExists('partials/footer', layoutsDir), 'Partials are not layouts');
+    assert(!layoutExists('../base', layoutsDir), 'Relative paths are not layouts');
+    assert(!layoutExists(path.join(layoutsDir, 'base.json'), layoutsDir), 'Absolute paths are not layouts');
+    assertThrows(() => loadLayout('partials/footer', { layoutsDir }), /invalid layout name "partials\/footer"/, 'Partial rejected by name');
+    assertThrows(() => loadLayout(path.join(layoutsDir, 'base.json'), { layoutsDir }), /invalid layout name/, 'Path rejected by name');
+    assertThrows(() => loadLayout('..', { layoutsDir }), /invalid layout name/, 'Parent directory rejected');
+    assert(listLayouts(layoutsDir).includes('base') && !listLayouts(layoutsDir).some(name => name.includes('footer')), 'Listed layouts leave out partials');
+    const fromFile = loadLayoutFile(path.join(layoutsDir, 'child.json'));
+    assertEquals(fromFile._meta.chain.join(' → '), 'base → child', 'File path resolves parents next to it');
+    console.log();
+
+    fs.rmSync(layoutsDir, { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
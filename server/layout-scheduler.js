@@ -0,0 +1,189 @@
+/**
+ * Layout Scheduler
+ * Picks a layout from declarative rules evaluated in the device's timezone:
+ *
+ *   { "name": "night", "layout": "minimal", "from": "22:00", "to": "06:00" }
+ *   { "name": "weekday-morning", "layout": "weather-pokemon-v2", "days": "weekdays", "from": "06:00", "to": "09:00" }
+ *   { "name": "weekend", "layout": "wild-swiss", "days": ["sat", "sun"] }
+ *
+ * The first matching rule wins. `from` is inclusive and `to` exclusive; a
+ * window that wraps past midnight belongs to the day it started on.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FULL_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_GROUPS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const RULE_KEYS = ['name', 'layout', 'days', 'from', 'to'];
+
+function parseDay(day) {
+    if (typeof day !== 'string') return -1;
+    const name = day.toLowerCase();
+    const index = DAY_NAMES.indexOf(name);
+    return index !== -1 ? index : FULL_DAY_NAMES.indexOf(name);
+}
+
+/**
+ * Expand a rule's `days` (group name, or list of day names) to day indexes
+ */
+function parseDays(days) {
+    if (days === undefined) return DAY_GROUPS.daily;
+    if (typeof days === 'string' && DAY_GROUPS[days]) return DAY_GROUPS[days];
+    const list = Array.isArray(days) ? days : [days];
+    return list.map(parseDay);
+}
+
+function parseTime(value) {
+    const match = TIME_PATTERN.exec(value);
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Validate a schedule. Returns "path: reason" strings like config.js.
+ */
+function validateSchedule(rules, prefix = 'schedule') {
+    if (!Array.isArray(rules)) return [`${prefix}: must be an array`];
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+        const rulePath = `${prefix}[${index}]`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            errors.push(`${rulePath}: must be an object`);
+            return;
+        }
+        for (const key of Object.keys(rule)) {
+            if (!RULE_KEYS.includes(key)) errors.push(`${rulePath}.${key}: unknown schedule setting`);
+        }
+        if (typeof rule.layout !== 'string' || !rule.layout) {
+            errors.push(`${rulePath}.layout: must be a layout name`);
+        }
+        if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name)) {
+            errors.push(`${rulePath}.name: must be a non-empty string`);
+        }
+        if (rule.days !== undefined && parseDays(rule.days).some(day => day === -1)) {
+            errors.push(`${rulePath}.days: must be "daily", "weekdays", "weekends" or a list of day names such as ["sat", "sun"]`);
+        }
+        for (const key of ['from', 'to']) {
+            if (rule[key] !== undefined && parseTime(rule[key]) === null) {
+                errors.push(`${rulePath}.${key}: must be a 24-hour time such as "06:30" (got ${JSON.stringify(rule[key])})`);
+            }
+        }
+        if ((rule.from === undefined) !== (rule.to === undefined)) {
+            errors.push(`${rulePath}: "from" and "to" must be set together`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Day of week (0 = Sunday) and minutes since midnight in a timezone
+ */
+function getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+    const hour = parseInt(part('hour'));
+    const minute = parseInt(part('minute'));
+    return {
+        day: parseDay(part('weekday')),
+        minutes: hour * 60 + minute,
+        label: `${part('weekday')} ${part('hour')}:${part('minute')}`
+    };
+}
+
+function ruleMatches(rule, local) {
+    const days = parseDays(rule.days);
+    if (rule.from === undefined) return days.includes(local.day);
+
+    const from = parseTime(rule.from);
+    const to = parseTime(rule.to);
+    if (from === to) return days.includes(local.day);
+    if (from < to) {
+        return days.includes(local.day) && local.minutes >= from && local.minutes < to;
+    }
+    // Wraps past midnight: the early-morning part belongs to the previous day
+    if (local.minutes >= from) return days.includes(local.day);
+    if (local.minutes < to) return days.includes((local.day + 6) % 7);
+    return false;
+}
+
+class LayoutScheduler {
+    constructor(rules = []) {
+        this.rules = rules;
+    }
+
+    /**
+     * Rules that apply to a device: its own schedule if it has one, else the global one
+     */
+    rulesFor(device) {
+        if (device && Array.isArray(device.schedule)) {
+            return { rules: device.schedule, scope: 'device' };
+        }
+        return { rules: this.rules, scope: 'global' };
+    }
+
+    /**
+     * Pick the layout for a device at a moment in time.
+     * Returns { layout, source, rule, ruleIndex, scope, localTime }.
+     */
+    resolve(device, date = new Date()) {
+        const { rules, scope } = this.rulesFor(device);
+        const local = getLocalTime(date, device.timezone);
+        const ruleIndex = rules.findIndex(rule => ruleMatches(rule, local));
+
+        if (ruleIndex === -1) {
+            return { layout: device.layout, source: 'device', rule: null, ruleIndex: null, scope, localTime: local.label };
+        }
+        return {
+            layout: rules[ruleIndex].layout,
+            source: 'schedule',
+            rule: rules[ruleIndex],
+            ruleIndex,
+            scope,
+            localTime: local.label
+        };
+    }
+
+    /**
+     * Next moment any of the device's rules starts or ends (a possible layout
+     * change), or null when the schedule has no times or day limits
+     */
+    nextChange(device, date = new Date()) {
+        const { rules } = this.rulesFor(device);
+        const local = getLocalTime(date, device.timezone);
+        const boundaries = new Set();
+        for (const rule of rules) {
+            if (rule.from !== undefined) {
+                boundaries.add(parseTime(rule.from));
+                boundaries.add(parseTime(rule.to));
+            }
+            if (rule.days !== undefined) boundaries.add(0); // day rules change at midnight
+        }
+        if (boundaries.size === 0) return null;
+
+        const minutesAhead = Math.min(...[...boundaries].map(minutes => ((minutes - local.minutes + 1439) % 1440) + 1));
+        const startOfMinute = Math.floor(date.getTime() / 60000) * 60000;
+        return new Date(startOfMinute + minutesAhead * 60000);
+    }
+
+    /**
+     * Every layout name referenced by a schedule (for startup validation)
+     */
+    static referencedLayouts(rules) {
+        return Array.isArray(rules) ? rules.map(rule => rule.layout) : [];
+    }
+}
+
+LayoutScheduler.validateSchedule = validateSchedule;
+LayoutScheduler.getLocalTime = getLocalTime;
+
+module.exports = LayoutScheduler;
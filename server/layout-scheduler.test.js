@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for LayoutScheduler
+ * Run with: node server/layout-scheduler.test.js
+ */
+
+const LayoutScheduler = require('./layout-scheduler');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const rules = [
+    { name: 'night', layout: 'minimal', from: '22:00', to: '06:00' },
+    { name: 'weekday-morning', layout: 'weather-pokemon-v2', days: 'weekdays', from: '06:00', to: '09:00' },
+    { name: 'weekend', layout: 'wild-swiss', days: ['sat', 'sun'] }
+];
+
+const chicago = { id: 'kitchen', layout: 'weather', timezone: 'America/Chicago', schedule: null };
+
+function layoutAt(scheduler, device, isoTime) {
+    return scheduler.resolve(device, new Date(isoTime));
+}
+
+function runTests() {
+    console.log('\n🧪 Running LayoutScheduler Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const scheduler = new LayoutScheduler(rules);
+
+    // Test 1: Rules evaluated in the device timezone
+    console.log('Test 1: Timezone-aware Matching');
+    // 2026-10-20 is a Tuesday; 12:00Z is 07:00 in Chicago (CDT)
+    let result = layoutAt(scheduler, chicago, '2026-10-20T12:00:00Z');
+    assertEquals(result.layout, 'weather-pokemon-v2', 'Weekday morning rule matches at 07:00 local');
+    assertEquals(result.localTime, 'Tue 07:00', 'Local time reported');
+    assertEquals(result.source, 'schedule', 'Source is schedule');
+    result = layoutAt(scheduler, { ...chicago, timezone: 'Europe/London' }, '2026-10-20T12:00:00Z');
+    assertEquals(result.layout, 'weather', 'Same instant is 13:00 in London: falls back to device layout');
+    assertEquals(result.source, 'device', 'Source is device');
+    assertEquals(result.rule, null, 'No rule reported');
+    console.log();
+
+    // Test 2: Boundaries
+    console.log('Test 2: Window Boundaries');
+    assertEquals(layoutAt(scheduler, chicago, '2026-10-20T11:00:00Z').layout, 'weather-pokemon-v2', '"from" is inclusive (06:00)');
+    assertEquals(layoutAt(scheduler, chicago, '2026-10-20T14:00:00Z').layout, 'weather', '"to" is exclusive (09:00)');
+    console.log();
+
+    // Test 3: Windows that wrap past midnight
+    console.log('Test 3: Overnight Windows');
+    assertEquals(layoutAt(scheduler, chicago, '2026-10-21T03:30:00Z').layout, 'minimal', 'Tue 22:30 is night');
+    assertEquals(layoutAt(scheduler, chicago, '2026-10-21T10:59:00Z').layout, 'minimal', 'Wed 05:59 is still night');
+    const fridayNight = new LayoutScheduler([{ name: 'late', layout: 'minimal', days: ['fri'], from: '23:00', to: '02:00' }]);
+    assertEquals(layoutAt(fridayNight, chicago, '2026-10-24T06:30:00Z').layout, 'minimal', 'Sat 01:30 belongs to Friday\'s window');
+    assertEquals(layoutAt(fridayNight, chicago, '2026-10-25T06:30:00Z').layout, 'weather', 'Sun 01:30 does not');
+    console.log();
+
+    // Test 4: First match wins, day lists
+    console.log('Test 4: Rule Order and Days');
+    result = layoutAt(scheduler, chicago, '2026-10-24T04:00:00Z');
+    assertEquals(result.rule.name, 'night', 'Fri 23:00: night wins over later rules');
+    result = layoutAt(scheduler, chicago, '2026-10-24T18:00:00Z');
+    assertEquals(result.rule.name, 'weekend', 'Sat 13:00: weekend rule');
+    assertEquals(result.ruleIndex, 2, 'Rule index reported');
+    console.log();
+
+    // Test 5: Per-device schedules
+    console.log('Test 5: Per-device Schedule');
+    const office = { ...chicago, id: 'office', schedule: [{ layout: 'compact', days: 'weekdays' }] };
+    result = layoutAt(scheduler, office, '2026-10-21T03:30:00Z');
+    assertEquals(result.layout, 'compact', 'Device schedule replaces global schedule');
+    assertEquals(result.scope, 'device', 'Scope is device');
+    assertEquals(layoutAt(scheduler, { ...chicago, schedule: [] }, '2026-10-21T03:30:00Z').layout, 'weather', 'Empty device schedule disables scheduling');
+    console.log();
+
+    // Test 6: Validation
+    console.log('Test 6: Validation');
+    assertEquals(LayoutScheduler.validateSchedule(rules).length, 0, 'Example rules are valid');
+    const errors = LayoutScheduler.validateSchedule([
+        { layout: 'minimal', from: '22:00', to: '6:00' },
+        { layout: 'minimal', days: ['funday'] },
+        { from: '01:00' },
+        { layout: 'minimal', when: 'night' }
+    ]);
+    assert(errors.some(e => e.startsWith('schedule[0].to:')), 'Bad time reported');
+    assert(errors.some(e => e.startsWith('schedule[1].days:')), 'Bad day reported');
+    assert(errors.some(e => e.startsWith('schedule[2].layout:')), 'Missing layout reported');
+    assert(errors.some(e => e === 'schedule[2]: "from" and "to" must be set together'), 'Half-open window reported');
+    assert(errors.some(e => e.startsWith('schedule[3].when:')), 'Unknown key reported');
+    console.log();
+
+    // Test 7: Next schedule boundary
+    console.log('Test 7: Next Change');
+    const morning = new LayoutScheduler([{ layout: 'minimal', from: '22:00', to: '06:00' }]);
+    // 20:10 UTC = 15:10 in Chicago (CDT)
+    assertEquals(morning.nextChange(chicago, new Date('2026-06-10T20:10:30Z')).toISOString(), '2026-06-11T03:00:00.000Z', 'Next boundary is 22:00 local');
+    assertEquals(morning.nextChange(chicago, new Date('2026-06-11T03:00:00Z')).toISOString(), '2026-06-11T11:00:00.000Z', 'At a boundary, the following one is next');
+    const weekend = new LayoutScheduler([{ layout: 'minimal', days: 'weekends' }]);
+    assertEquals(weekend.nextChange(chicago, new Date('2026-06-10T20:10:00Z')).toISOString(), '2026-06-11T05:00:00.000Z', 'Day rules change at local midnight');
+    assertEquals(new LayoutScheduler([]).nextChange(chicago, new Date()), null, 'No rules, no boundary');
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
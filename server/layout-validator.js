@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { loadLayoutFile, describeOrigin, LayoutLoadError } = require('./layout-loader');
+const { validateCondition } = require('./conditions');
+
+/**
+ * Layout Validator
+ * Checks layout files against layout-schema.json, then checks the grid itself:
+ * unknown component types, unknown config keys, spans beyond the grid and
+ * overlapping cells. Every issue names the file, JSON path and reason.
+ * Files are checked after extends/include are resolved (see layout-loader.js).
+ */
+
+const SCHEMA_FILE = path.join(__dirname, 'layout-schema.json');
+const DEFAULT_LAYOUTS_DIR = path.join(__dirname, 'layouts');
+
+// Grid defaults, matching GridSystem
+const DEFAULT_GRID = { rows: 12, cols: 8 };
+
+class LayoutValidationError extends Error {
+    constructor(issues) {
+        super(`Invalid layout:\n${issues.map(issue => `  - ${formatIssue(issue)}`).join('\n')}`);
+        this.name = 'LayoutValidationError';
+        this.issues = issues;
+    }
+}
+
+let cachedSchema = null;
+
+function loadSchema() {
+    if (!cachedSchema) {
+        cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    }
+    return cachedSchema;
+}
+
+function formatIssue(issue) {
+    return `${issue.file}: ${issue.path}: ${issue.message}`;
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        default: return typeof value === type;
+    }
+}
+
+function resolveRef(schema, root) {
+    if (!schema || !schema.$ref) return schema;
+    const keys = schema.$ref.replace(/^#\//, '').split('/');
+    return keys.reduce((node, key) => node[key], root);
+}
+
+/**
+ * Check a value against the JSON Schema subset used by layout-schema.json
+ * (type, enum, minimum, maximum, required, properties, additionalProperties,
+ * items, $ref). Appends { path, message } entries to `issues`.
+ */
+function checkSchema(value, schema, root, jsonPath, issues) {
+    schema = resolveRef(schema, root);
+    if (!schema) return;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            issues.push({ path: jsonPath, message: `must be ${types.join(' or ')} (got ${describeType(value)})` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({ path: jsonPath, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            issues.push({ path: jsonPath, message: `must be >= ${schema.minimum} (got ${value})` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            issues.push({ path: jsonPath, message: `must be <= ${schema.maximum} (got ${value})` });
+        }
+    }
+
+    if (matchesType(value, 'object')) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                issues.push({ path: jsonPath, message: `missing required key "${key}"` });
+            }
+        }
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                checkSchema(child, properties[key], root, `${jsonPath}.${key}`, issues);
+            } else if (schema.additionalProperties === false) {
+                issues.push({ path: `${jsonPath}.${key}`, message: 'unknown key' });
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => checkSchema(item, schema.items, root, `${jsonPath}[${index}]`, issues));
+    }
+}
+
+/**
+ * Check that the weather locations a component names exist
+ */
+function checkLocations(component, jsonPath, locations, issues) {
+    const config = component.config || {};
+    const check = (name, namePath) => {
+        if (typeof name === 'string' && !locations.includes(name)) {
+            issues.push({ path: namePath, message: `unknown weather location "${name}" (known: ${locations.join(', ')})` });
+        }
+    };
+    check(config.location, `${jsonPath}.config.location`);
+    if (Array.isArray(config.locations)) {
+        config.locations.forEach((name, index) => check(name, `${jsonPath}.config.locations[${index}]`));
+    }
+}
+
+/**
+ * Check a component's config against the base keys plus its type's keys
+ */
+function checkComponentConfig(component, jsonPath, schema, issues) {
+    const typeConfig = schema.definitions.componentConfigs[component.type];
+    if (!typeConfig || component.config === undefined) return;
+
+    checkSchema(component.config, {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...schema.definitions.baseConfig.properties,
+            ...typeConfig.properties
+        }
+    }, schema, `${jsonPath}.config`, issues);
+
+    // Tailor the unknown-key message for config blocks
+    for (const issue of issues) {
+        if (issue.path.startsWith(`${jsonPath}.config.`) && issue.message === 'unknown key') {
+            issue.message = `unknown config key for "${component.type}"`;
+        }
+    }
+}
+
+/**
+ * Grid checks: spans beyond rows/cols, separators outside the grid and
+ * components claiming the same cell
+ */
+function checkGrid(layout, issues) {
+    const rows = (layout.grid && layout.grid.rows) || DEFAULT_GRID.rows;
+    const cols = (layout.grid && layout.grid.cols) || DEFAULT_GRID.cols;
+    const occupied = new Map(); // "row,col" → component index
+
+    (layout.components || []).forEach((component, index) => {
+        const position = component && component.position;
+        if (!position || !Number.isInteger(position.row) || !Number.isInteger(position.col)) return;
+
+        const jsonPath = `$.components[${index}].position`;
+        const rowSpan = position.rowSpan || 1;
+        const colSpan = position.colSpan || 1;
+
+        if (position.row + rowSpan > rows) {
+            issues.push({ path: jsonPath, message: `rows ${position.row}-${position.row + rowSpan - 1} extend beyond grid.rows (${rows})` });
+        }
+        if (position.col + colSpan > cols) {
+            issues.push({ path: jsonPath, message: `cols ${position.col}-${position.col + colSpan - 1} extend beyond grid.cols (${cols})` });
+        }
+
+        const overlaps = new Map(); // other index → first shared cell
+        for (let row = position.row; row < Math.min(position.row + rowSpan, rows); row++) {
+            for (let col = position.col; col < Math.min(position.col + colSpan, cols); col++) {
+                const key = `${row},${col}`;
+                if (occupied.has(key)) {
+                    const other = occupied.get(key);
+                    if (!overlaps.has(other)) overlaps.set(other, { row, col });
+                } else {
+                    occupied.set(key, index);
+                }
+            }
+        }
+        for (const [other, cell] of overlaps) {
+            // Set on either component when sharing cells is intended
+            if (component.allowOverlap || layout.components[other].allowOverlap) continue;
+            issues.push({
+                path: jsonPath,
+                message: `overlaps components[${other}] (${layout.components[other].type}) at row ${cell.row}, col ${cell.col}`
+            });
+        }
+    });
+
+    (layout.separators || []).forEach((separator, index) => {
+        if (separator && Number.isInteger(separator.row) && separator.row >= rows) {
+            issues.push({ path: `$.separators[${index}].row`, message: `row ${separator.row} is outside the grid (${rows} rows)` });
+        }
+    });
+}
+
+/**
+ * Validate a parsed layout. Returns a list of { file, path, message } issues.
+ * With `locations` (names from config.json) weather location references are
+ * checked too.
+ */
+function validateLayout(layout, options = {}) {
+    const file = options.file || '<layout>';
+    const schema = loadSchema();
+    const issues = [];
+
+    checkSchema(layout, schema, schema, '$', issues);
+
+    if (matchesType(layout, 'object') && Array.isArray(layout.components)) {
+        const knownTypes = options.componentTypes || Object.keys(schema.definitions.componentConfigs);
+        layout.components.forEach((component, index) => {
+            if (!matchesType(component, 'object') || typeof component.type !== 'string') return;
+            const jsonPath = `$.components[${index}]`;
+            if (!knownTypes.includes(component.type)) {
+                issues.push({ path: `${jsonPath}.type`, message: `unknown component type "${component.type}"` });
+                return;
+            }
+            checkComponentConfig(component, jsonPath, schema, issues);
+            if (options.locations) {
+                checkLocations(component, jsonPath, options.locations, issues);
+            }
+            if (matchesType(component.when, 'object')) {
+                issues.push(...validateCondition(component.when, `${jsonPath}.when`));
+            }
+        });
+        checkGrid(layout, issues);
+
+        const ids = layout.components.map(component => component && component.id).filter(id => id !== undefined);
+        ids.filter((id, index) => ids.indexOf(id) !== index)
+            .forEach(id => issues.push({ path: '$.components', message: `duplicate component id ${JSON.stringify(id)}` }));
+    }
+
+    return issues.map(issue => ({ file, ...issue }));
+}
+
+/**
+ * Read, resolve and validate one layout file. Issues in inherited or included
+ * components name the layout or partial they came from.
+ */
+function validateLayoutFile(filePath, options = {}) {
+    const file = path.relative(process.cwd(), filePath) || filePath;
+    let layout;
+    try {
+        layout = loadLayoutFile(filePath);
+    } catch (error) {
+        if (error instanceof LayoutLoadError) {
+            const source = error.file && path.resolve(error.file) !== path.resolve(filePath)
+                ? ` (in ${path.relative(process.cwd(), error.file)})`
+                : '';
+            return [{ file, path: error.path, message: `${error.reason}${source}` }];
+        }
+        throw error;
+    }
+
+    const composed = layout._meta.chain.length > 1 || layout.components.some(c => c._origin && c._origin.partial);
+    return validateLayout(layout, { ...options, file }).map(issue => {
+        const match = composed && issue.path.match(/^\$\.components\[(\d+)\]/);
+        const component = match && layout.components[Number(match[1])];
+        if (!component) return issue;
+        const label = component.id !== undefined ? `component "${component.id}" from ` : 'from ';
+        return { ...issue, message: `${issue.message} (${label}${describeOrigin(component)})` };
+    });
+}
+
+/**
+ * Validate every layout in a directory. Returns { layouts, issues }.
+ */
+function validateLayoutsDir(dir = DEFAULT_LAYOUTS_DIR, options = {}) {
+    const layouts = fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort();
+    const issues = [];
+    for (const name of layouts) {
+        issues.push(...validateLayoutFile(path.join(dir, name), options));
+    }
+    return { layouts: layouts.map(name => name.replace(/\.json$/, '')), issues };
+}
+
+module.exports = {
+    DEFAULT_LAYOUTS_DIR,
+    LayoutValidationError,
+    SCHEMA_FILE,
+    formatIssue,
+    loadSchema,
+    validateLayout,
+    validateLayoutFile,
+    validateLayoutsDir
+};
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the layout validator
+ * Run with: node server/layout-validator.test.js
+ */
+
+const { validateLayout, validateLayoutsDir, validateLayoutFile, formatIssue } = require('./layout-validator');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+function baseLayout(components, extra = {}) {
+    return {
+        name: 'Test',
+        grid: { rows: 4, cols: 4, margin: 10, gap: 5 },
+        components,
+        ...extra
+    };
+}
+
+function findIssue(issues, issuePath) {
+    return issues.find(issue => issue.path === issuePath);
+}
+
+function runTests() {
+    console.log('\n🧪 Running Layout Validator Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Shipped layouts are valid
+    console.log('Test 1: Shipped Layouts');
+    const { layouts, issues } = validateLayoutsDir();
+    assert(layouts.length > 0, `Found ${layouts.length} layouts`);
+    issues.forEach(issue => console.error(`    ${formatIssue(issue)}`));
+    assertEquals(issues.length, 0, 'All shipped layouts pass validation');
+    console.log();
+
+    // Test 2: Valid layout has no issues
+    console.log('Test 2: Valid Layout');
+    const valid = validateLayout(baseLayout([
+        { type: 'clock', position: { row: 0, col: 0, colSpan: 4 }, config: { fontSize: 48, format: 'HH:mm' } },
+        { type: 'date', position: { row: 1, col: 0, colSpan: 4 } }
+    ], { separators: [{ row: 1, color: '#CCCCCC', width: 1 }] }));
+    assertEquals(valid.length, 0, 'No issues reported');
+    console.log();
+
+    // Test 3: Unknown component type
+    console.log('Test 3: Unknown Component Type');
+    const unknownType = validateLayout(baseLayout([
+        { type: 'clok', position: { row: 0, col: 0 } }
+    ]), { file: 'test.json' });
+    const typeIssue = findIssue(unknownType, '$.components[0].type');
+    assert(typeIssue !== undefined, 'Issue reported at $.components[0].type');
+    assert(typeIssue && typeIssue.message.includes('"clok"'), 'Message names the unknown type');
+    assertEquals(typeIssue && typeIssue.file, 'test.json', 'Issue names the file');
+    console.log();
+
+    // Test 4: Unknown config key
+    console.log('Test 4: Unknown Config Key');
+    const unknownKey = validateLayout(baseLayout([
+        { type: 'weather', position: { row: 0, col: 0 }, config: { showWnd: true, showWind: true } }
+    ]));
+    const keyIssue = findIssue(unknownKey, '$.components[0].config.showWnd');
+    assert(keyIssue !== undefined, 'Issue reported at $.components[0].config.showWnd');
+    assert(keyIssue && keyIssue.message.includes('"weather"'), 'Message names the component type');
+    assert(!findIssue(unknownKey, '$.components[0].config.showWind'), 'Known key is accepted');
+    console.log();
+
+    // Test 5: Config value types
+    console.log('Test 5: Config Value Types');
+    const badTypes = validateLayout(baseLayout([
+        { type: 'clock', position: { row: 0, col: 0 }, config: { fontSize: '48', textAlign: 'middle' } }
+    ]));
+    assert(findIssue(badTypes, '$.components[0].config.fontSize'), 'String fontSize rejected');
+    assert(findIssue(badTypes, '$.components[0].config.textAlign'), 'Invalid textAlign rejected');
+    console.log();
+
+    // Test 6: Spans beyond the grid
+    console.log('Test 6: Spans Beyond Grid');
+    const beyond = validateLayout(baseLayout([
+        { type: 'clock', position: { row: 3, col: 2, rowSpan: 2, colSpan: 3 } }
+    ]));
+    const spanIssues = beyond.filter(issue => issue.path === '$.components[0].position');
+    assertEquals(spanIssues.length, 2, 'Row and column overflow both reported');
+    assert(spanIssues.some(issue => issue.message.includes('grid.rows (4)')), 'Row overflow names grid.rows');
+    assert(spanIssues.some(issue => issue.message.includes('grid.cols (4)')), 'Column overflow names grid.cols');
+    console.log();
+
+    // Test 7: Overlapping cells
+    console.log('Test 7: Overlapping Cells');
+    const overlapping = validateLayout(baseLayout([
+        { type: 'pokemon-sprite', position: { row: 0, col: 2, rowSpan: 2, colSpan: 2 } },
+        { type: 'date', position: { row: 1, col: 0, colSpan: 3 } }
+    ]));
+    const overlapIssue = findIssue(overlapping, '$.components[1].position');
+    assert(overlapIssue !== undefined, 'Overlap reported on the later component');
+    assert(overlapIssue && overlapIssue.message.includes('components[0] (pokemon-sprite) at row 1, col 2'), 'Overlap names the other component and first shared cell');
+    const intended = validateLayout(baseLayout([
+        { type: 'pokemon-sprite', position: { row: 0, col: 2, rowSpan: 2, colSpan: 2 } },
+        { type: 'date', position: { row: 1, col: 0, colSpan: 3 }, allowOverlap: true }
+    ]));
+    assertEquals(findIssue(intended, '$.components[1].position'), undefined, 'allowOverlap accepts the shared cells');
+    console.log();
+
+    // Test 8: Structure errors
+    console.log('Test 8: Structure Errors');
+    const structure = validateLayout({
+        grid: { rows: 2, cols: 2, colums: 3 },
+        components: [{ type: 'clock', position: { row: 0 } }],
+        separators: [{ row: 5 }]
+    });
+    assert(structure.some(issue => issue.path === '$' && issue.message.includes('"name"')), 'Missing name reported');
+    assert(findIssue(structure, '$.grid.colums'), 'Unknown grid key reported');
+    assert(structure.some(issue => issue.path === '$.components[0].position' && issue.message.includes('"col"')), 'Missing col reported');
+    assert(findIssue(structure, '$.separators[0].row'), 'Separator outside grid reported');
+    console.log();
+
+    // Test 9: Unparseable file
+    console.log('Test 9: Unparseable File');
+    const tempFile = path.join(os.tmpdir(), `layout-validator-test-${process.pid}.json`);
+    fs.writeFileSync(tempFile, '{ "name": "Broken", }');
+    const parseIssues = validateLayoutFile(tempFile);
+    fs.unlinkSync(tempFile);
+    assertEquals(parseIssues.length, 1, 'One issue for unparseable file');
+    assert(parseIssues[0].message.startsWith('could not parse layout'), 'Parse error reported');
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
@@ -2,14 +2,70 @@
 
 const http = require('http');
 const { DashboardEngine } = require('./dashboard-engine');
-const WeatherService = require('./weather-service');
 const PokemonService = require('./pokemon-service');
+const DeviceRegistry = require('./device-registry');
 const CalendarService = require('./calendar-service');
+const { getConfig, initConfig, redactConfig, ConfigError } = require('./config');
 const { sendDiscordNotification } = require('./notify');
-const fs = require('fs');
+const { optimizeCanvas } = require('./eink-optimizer');
+const { validateLayoutsDir, LayoutValidationError } = require('./layout-validator');
+const { layoutExists, listLayouts, loadLayout } = require('./layout-loader');
+const LayoutScheduler = require('./layout-scheduler');
+const { buildConditionData, conditionDataRoots } = require('./conditions');
+const { renderErrorScreen, renderStaleImage } = require('./error-screen');
+const LastGoodStore = require('./last-good-store');
+const NotifiedAlertsStore = require('./notified-alerts-store');
+const { chooseRefreshMode, planRefresh, planRetry, refreshHeaders } = require('./refresh-planner');
+const { resolveUnits } = require('./weather-units');
+const { alertsToNotify } = require('./weather-alerts');
+const WeatherLocations = require('./weather-locations');
+const crypto = require('crypto');
+const os = require('os');
 const path = require('path');
 const { URL } = require('url');
-const { spawn } = require('child_process');
+
+// Discord embed colour per weather alert severity
+const ALERT_COLORS = {
+    extreme: 0xED4245, // red
+    severe: 0xE67E22, // orange
+    moderate: 0xFEE75C, // yellow
+    minor: 0x5865F2, // blurple
+    unknown: 0x99AAB5 // grey
+};
+
+/**
+ * Make free text safe for an HTTP header value (printable ASCII, bounded length)
+ */
+function toHeaderValue(text, maxLength = 200) {
+    const value = String(text).replace(/[^\x20-\x7E]/g, '?');
+    return value.length > maxLength ? `${value.slice(0, maxLength - 3)}...` : value;
+}
+
+/**
+ * Strong ETag for an image: a hash of its bytes
+ */
+function computeEtag(buffer) {
+    return `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`;
+}
+
+/**
+ * Does an If-None-Match header match the ETag? Handles lists, "*" and W/ prefixes.
+ */
+function etagMatches(ifNoneMatch, etag) {
+    if (!ifNoneMatch) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+    return ifNoneMatch.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .includes(etag);
+}
+
+/**
+ * Did the request come from this machine? Admin routes only answer these.
+ */
+function isLocalRequest(req) {
+    const address = req.socket.remoteAddress || '';
+    return address === '::1' || /^(::ffff:)?127\./.test(address);
+}
 
 /**
  * Local HTTP Server for Kindle Dashboard
@@ -19,28 +75,46 @@ const { spawn } = require('child_process');
 
 class LocalDashboardServer {
     constructor(options = {}) {
-        this.port = options.port || 3000;
-        this.host = options.host || 'localhost';
-        this.cacheEnabled = options.cache !== false;
-        this.cacheTimeout = options.cacheTimeout || 60000; // 1 minute default
-        this.layout = options.layout || 'wild-swiss';
+        this.config = getConfig();
+        const serverConfig = this.config.server;
+
+        this.port = options.port || serverConfig.port;
+        this.host = options.host || serverConfig.host;
+        this.cacheEnabled = options.cache !== undefined ? options.cache !== false : serverConfig.cache;
+        this.cacheTimeout = options.cacheTimeout || serverConfig.cacheTimeout;
+        this.layout = options.layout || serverConfig.layout;
 
         this.imageCache = new Map();
-        this.lastBatteryNotification = 0;
-        this.discordWebhookUrl = process.env.DISCORD_WEBHOOK_URL || null;
-        this.weatherService = new WeatherService({
-            latitude: 41.8781,
-            longitude: -87.6298,
-            timezone: 'America/Chicago',
+        this.discordWebhookUrl = this.config.notifications.discordWebhookUrl;
+
+        // Each Kindle gets its own layout, location, calendar and battery state
+        this.devices = new DeviceRegistry({
+            layout: this.layout,
+            devices: options.devices || this.config.devices,
             mockData: false
         });
+
+        // Weather alerts already sent survive restarts
+        this.notifiedAlerts = new NotifiedAlertsStore();
+        for (const device of this.devices.devices.values()) {
+            device.alerts.notified = this.notifiedAlerts.load(device.id);
+        }
+
+        // Time-of-day / day-of-week layout rules (devices may have their own)
+        this.scheduler = new LayoutScheduler(this.config.schedule || []);
+
+        // Last successful render per device + layout, served when regeneration fails
+        this.lastGood = this.config.lastGood.enabled
+            ? new LastGoodStore({ maxAge: this.config.lastGood.maxAge })
+            : null;
+
+        // Named weather locations layouts can show besides the device's own
+        this.locations = new WeatherLocations({ mockData: false });
+
+        // Pokemon selection is shared so every device shows the same daily Pokemon
         this.pokemonService = new PokemonService({
             mockData: false
         });
-        this.calendarService = new CalendarService({
-            timezone: 'America/Chicago',
-            mockData: false
-        });
     }
 
     log(message, level = 'INFO') {
@@ -48,33 +122,34 @@ class LocalDashboardServer {
         console.log(`[${timestamp}] [${level}] ${message}`);
     }
 
-    checkBatteryAndNotify(batteryLevel) {
+    checkBatteryAndNotify(device, batteryLevel) {
         if (!this.discordWebhookUrl) return;
         if (batteryLevel === null || batteryLevel === undefined) return;
 
         const level = parseInt(batteryLevel);
         if (isNaN(level) || level > 20) return;
 
-        // Rate limit: once per hour
+        // Rate limit: once per hour per device
         const now = Date.now();
-        if (now - this.lastBatteryNotification < 3600000) return;
+        if (now - device.battery.lastNotification < 3600000) return;
 
-        this.lastBatteryNotification = now;
+        device.battery.lastNotification = now;
 
         const critical = level <= 10;
         const severity = critical ? 'Critical' : 'Low';
         const color = critical ? 0xED4245 : 0xFEE75C; // red or yellow
 
-        this.log(`Battery ${severity.toLowerCase()}: ${level}% — sending Discord notification`, 'WARN');
+        this.log(`Battery ${severity.toLowerCase()} on ${device.id}: ${level}% — sending Discord notification`, 'WARN');
 
         sendDiscordNotification(this.discordWebhookUrl, {
-            title: `Kindle Battery ${severity}`,
+            title: `Kindle Battery ${severity} — ${device.name}`,
             description: `Battery at **${level}%**. ${critical ? 'Charge immediately!' : 'Time to charge soon.'}`,
             color,
             fields: [
+                { name: 'Device', value: device.name, inline: true },
                 { name: 'Battery', value: `${level}%`, inline: true },
                 { name: 'Severity', value: severity, inline: true },
-                { name: 'Time', value: new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' }), inline: true }
+                { name: 'Time', value: new Date().toLocaleString('en-US', { timeZone: device.timezone }), inline: true }
             ]
         }).then(() => {
             this.log('Discord notification sent');
@@ -83,9 +158,66 @@ class LocalDashboardServer {
         });
     }
 
-    getCacheKey(url) {
+    checkAlertsAndNotify(device, alerts) {
+        if (!this.discordWebhookUrl || !alerts || alerts.length === 0) return;
+
+        const minSeverity = this.config.weather.alerts.notifySeverity;
+        const { notified } = device.alerts;
+        const before = JSON.stringify([...notified]);
+        const toNotify = alertsToNotify(alerts, notified, minSeverity);
+        if (JSON.stringify([...notified]) !== before) {
+            this.notifiedAlerts.save(device.id, notified);
+        }
+
+        for (const alert of toNotify) {
+            const color = ALERT_COLORS[alert.severity];
+            const severity = alert.severity.charAt(0).toUpperCase() + alert.severity.slice(1);
+            const until = alert.expires
+                ? new Date(alert.expires).toLocaleString('en-US', { timeZone: device.timezone })
+                : 'Further notice';
+
+            this.log(`Weather alert for ${device.id}: ${alert.event} (${alert.severity}) — sending Discord notification`, 'WARN');
+
+            sendDiscordNotification(this.discordWebhookUrl, {
+                title: `${alert.event} — ${device.name}`,
+                description: alert.headline,
+                color,
+                fields: [
+                    { name: 'Severity', value: severity, inline: true },
+                    { name: 'Until', value: until, inline: true },
+                    ...(alert.area ? [{ name: 'Area', value: alert.area.slice(0, 1024) }] : [])
+                ]
+            }).then(() => {
+                this.log('Discord notification sent');
+            }).catch((err) => {
+                this.log(`Discord notification error: ${err.message}`, 'ERROR');
+            });
+        }
+    }
+
+    getCacheKey(url, device, layout) {
         const parsedUrl = new URL(url, `http://${this.host}:${this.port}`);
-        return `${parsedUrl.pathname}${parsedUrl.search}`;
+        // Keyed by the resolved device and layout, so unknown ids and layout
+        // names share the entries of what they fall back to
+        parsedUrl.searchParams.delete('device');
+        parsedUrl.searchParams.delete('layout');
+        return `${device.id}:${layout}:${parsedUrl.pathname}${parsedUrl.search}`;
+    }
+
+    /**
+     * Pick the layout for a request: ?layout= wins, then the schedule, then the device layout.
+     * ?layout= must name a layout in layouts/; anything else falls back to the schedule.
+     */
+    selectLayout(device, parsedUrl, date = new Date()) {
+        const scheduled = this.scheduler.resolve(device, date);
+        const requested = parsedUrl.searchParams.get('layout');
+        if (requested && layoutExists(requested)) {
+            return { ...scheduled, layout: requested, source: 'query', rule: null, ruleIndex: null };
+        }
+        if (requested) {
+            this.log(`Ignoring unknown layout ${JSON.stringify(requested)} for ${device.id}, using ${scheduled.layout}`, 'WARN');
+        }
+        return scheduled;
     }
 
     isCacheValid(cacheEntry) {
@@ -94,98 +226,60 @@ class LocalDashboardServer {
     }
 
     /**
-     * Optimize image for e-ink using Python script
+     * Optimize the rendered canvas for e-ink (grayscale, autocontrast,
+     * 16-level quantization and dithering) and encode it as PNG
      */
-    async optimizeForEink(imageBuffer) {
-        return new Promise((resolve, reject) => {
-            // Create temp files
-            const tempDir = path.join(__dirname, '..', 'temp');
-            if (!fs.existsSync(tempDir)) {
-                fs.mkdirSync(tempDir, { recursive: true });
-            }
-
-            const tempInput = path.join(tempDir, `dashboard_${Date.now()}.png`);
-            const tempOutput = path.join(tempDir, `dashboard_${Date.now()}_optimized.png`);
-
-            try {
-                // Write buffer to temp file
-                fs.writeFileSync(tempInput, imageBuffer);
-
-                // Run Python optimization script using virtual environment
-                const pythonScript = path.join(__dirname, 'optimize-for-eink.py');
-                const venvPython = path.join(__dirname, '..', 'test_env', 'bin', 'python3');
-
-                // Use venv python if available, fallback to system python3
-                const pythonBinary = fs.existsSync(venvPython) ? venvPython : 'python3';
-
-                const python = spawn(pythonBinary, [pythonScript, tempInput, '-o', tempOutput]);
-
-                let stderr = '';
-
-                python.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
-
-                python.on('close', (code) => {
-                    try {
-                        if (code === 0 && fs.existsSync(tempOutput)) {
-                            // Read optimized image
-                            const optimizedBuffer = fs.readFileSync(tempOutput);
-
-                            // Cleanup temp files
-                            fs.unlinkSync(tempInput);
-                            fs.unlinkSync(tempOutput);
-
-                            resolve(optimizedBuffer);
-                        } else {
-                            // Cleanup and return original if optimization fails
-                            fs.unlinkSync(tempInput);
-                            if (fs.existsSync(tempOutput)) {
-                                fs.unlinkSync(tempOutput);
-                            }
-
-                            this.log(`E-ink optimization failed (code ${code}), using original image`, 'WARN');
-                            this.log(`Python error: ${stderr}`, 'DEBUG');
-                            resolve(imageBuffer);
-                        }
-                    } catch (cleanupError) {
-                        this.log(`Cleanup error: ${cleanupError.message}`, 'ERROR');
-                        resolve(imageBuffer);
-                    }
-                });
-
-                python.on('error', (error) => {
-                    this.log(`Python spawn error: ${error.message}`, 'ERROR');
-                    // Cleanup and return original
-                    if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
-                    if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-                    resolve(imageBuffer);
-                });
-
-            } catch (error) {
-                this.log(`E-ink optimization error: ${error.message}`, 'ERROR');
-                // Cleanup on error
-                if (fs.existsSync(tempInput)) fs.unlinkSync(tempInput);
-                if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-                resolve(imageBuffer);
-            }
-        });
+    optimizeForEink(canvas) {
+        return optimizeCanvas(canvas, this.config.eink);
     }
 
     /**
      * Enrich layout configuration with data
      */
-    enrichLayoutWithData(layoutConfig, weatherData, pokemonData, timeData, calendarData, deviceStats) {
+    enrichLayoutWithData(layoutConfig, weatherData, pokemonData, timeData, calendarData, deviceStats, timezone, locationWeather = {}) {
         const enrichedConfig = JSON.parse(JSON.stringify(layoutConfig));
 
         enrichedConfig.components = enrichedConfig.components.map(component => {
+            // A weather component with a named location shows that location's weather
+            const componentWeather = component.config && component.config.location
+                ? locationWeather[component.config.location] || null
+                : weatherData;
+
             // Inject weather data into weather components
-            if ((component.type === 'weather' || component.type === 'hero-weather' || component.type === 'weather-illustration') && weatherData) {
+            if ((component.type === 'weather' || component.type === 'hero-weather' || component.type === 'hourly-chart' || component.type === 'astronomy' || component.type === 'air-quality' || component.type === 'weather-illustration') && componentWeather) {
+                return {
+                    ...component,
+                    config: {
+                        ...component.config,
+                        weatherData: componentWeather
+                    }
+                };
+            }
+
+            // Alert banner shows expiry times in the location's timezone
+            if (component.type === 'weather-alert' && componentWeather) {
                 return {
                     ...component,
                     config: {
+                        timezone: componentWeather.location ? componentWeather.location.timezone : timezone,
                         ...component.config,
-                        weatherData: weatherData
+                        weatherData: componentWeather
+                    }
+                };
+            }
+
+            // One row per named location
+            if (component.type === 'weather-multi') {
+                const names = (component.config && component.config.locations) || [];
+                return {
+                    ...component,
+                    config: {
+                        ...component.config,
+                        locationWeather: names.map(name => ({
+                            id: name,
+                            name: this.locations.label(name),
+                            weather: locationWeather[name] || null
+                        }))
                     }
                 };
             }
@@ -201,13 +295,19 @@ class LocalDashboardServer {
                 };
             }
 
-            // Inject device stats into status-bar components
-            if (component.type === 'status-bar') {
-                return component; // No device stats in local server currently
+            // Clocks, dates and the status bar show the device's local time
+            if (['status-bar', 'clock', 'analog-clock', 'date'].includes(component.type)) {
+                return {
+                    ...component,
+                    config: {
+                        timezone,
+                        ...component.config
+                    }
+                };
             }
 
             // Inject calendar data into calendar components
-            if (component.type === 'calendar' && calendarData) {
+            if (CalendarService.COMPONENT_TYPES.includes(component.type) && calendarData) {
                 return {
                     ...component,
                     config: {
@@ -222,6 +322,7 @@ class LocalDashboardServer {
                 return {
                     ...component,
                     config: {
+                        timezone,
                         ...component.config,
                         weatherData: weatherData,
                         calendarData: calendarData,
@@ -240,34 +341,45 @@ class LocalDashboardServer {
     /**
      * Generate dashboard image buffer using DashboardEngine
      */
-    async generateDashboardBuffer(layout = 'weather', deviceStats = null) {
+    async generateDashboardBuffer(layout = 'weather', deviceStats = null, device = this.devices.getDefault()) {
         try {
-            this.log(`Generating dashboard with layout: ${layout}`);
+            this.log(`Generating dashboard for ${device.id} with layout: ${layout}`);
 
-            // Load layout configuration
-            const layoutPath = path.join(__dirname, 'layouts', `${layout}.json`);
+            // Load layout configuration (extends/include resolved)
             let layoutConfig;
 
             try {
-                const layoutData = fs.readFileSync(layoutPath, 'utf8');
-                layoutConfig = JSON.parse(layoutData);
+                layoutConfig = loadLayout(layout);
             } catch (error) {
-                this.log(`Layout ${layout} not found, using weather layout`, 'WARN');
-                const weatherLayoutPath = path.join(__dirname, 'layouts', 'weather.json');
-                const weatherLayoutData = fs.readFileSync(weatherLayoutPath, 'utf8');
-                layoutConfig = JSON.parse(weatherLayoutData);
+                this.log(`Layout ${layout} could not be loaded (${error.message}), using weather layout`, 'WARN');
+                layoutConfig = loadLayout('weather');
             }
 
-            // Get weather data
-            const weather = await this.weatherService.getFormattedWeather();
+            // Get weather data, in the layout's units if it sets any
+            const units = resolveUnits(device.weatherService.units, layoutConfig.units);
+            const weather = await device.weatherService.getFormattedWeather(units);
+            weather.location = { id: WeatherLocations.HOME, name: this.locations.label(WeatherLocations.HOME), timezone: device.timezone };
+            this.checkAlertsAndNotify(device, weather.alerts);
+
+            // Weather for other named locations the layout shows, with alerts
+            // and air quality only where a component shows them
+            const { components } = layoutConfig;
+            const locationWeather = {
+                [WeatherLocations.HOME]: weather,
+                ...await this.locations.getFormattedWeather(WeatherLocations.layoutLocations(components), units, WeatherLocations.layoutFeeds(components))
+            };
+
+            // Data that only a `when` rule needs still has to be fetched
+            const conditionRoots = conditionDataRoots(layoutConfig.components);
 
             // Get calendar data if layout has calendar component
             let calendarData = null;
             const fullCanvasTypes = ['watch-face', 'brutalist', 'swiss-poster'];
-            const hasCalendarComponent = layoutConfig.components.some(comp => comp.type === 'calendar' || fullCanvasTypes.includes(comp.type));
+            const hasCalendarComponent = conditionRoots.has('calendar') ||
+                layoutConfig.components.some(comp => CalendarService.COMPONENT_TYPES.includes(comp.type) || fullCanvasTypes.includes(comp.type));
             if (hasCalendarComponent) {
                 try {
-                    calendarData = await this.calendarService.getFormattedCalendar();
+                    calendarData = await device.calendarService.getFormattedCalendar(CalendarService.layoutWindow(layoutConfig.components));
                     this.log(`Calendar: ${calendarData.today.length} today, ${calendarData.tomorrow.length} tomorrow (${calendarData.source})`);
                 } catch (error) {
                     this.log(`Failed to get calendar data: ${error.message}`, 'WARN');
@@ -277,7 +389,8 @@ class LocalDashboardServer {
             // Get Pokemon data if layout has pokemon-sprite component
             // Pass weather + calendar context for contextual selection
             let pokemonData = null;
-            const hasPokemonComponent = layoutConfig.components.some(comp => comp.type === 'pokemon-sprite' || fullCanvasTypes.includes(comp.type));
+            const hasPokemonComponent = conditionRoots.has('pokemon') ||
+                layoutConfig.components.some(comp => comp.type === 'pokemon-sprite' || fullCanvasTypes.includes(comp.type));
             if (hasPokemonComponent) {
                 try {
                     pokemonData = await this.pokemonService.getFormattedPokemon({
@@ -297,13 +410,13 @@ class LocalDashboardServer {
                     hour: 'numeric',
                     minute: '2-digit',
                     hour12: true,
-                    timeZone: 'America/Chicago'
+                    timeZone: device.timezone
                 }),
                 date: now.toLocaleDateString('en-US', {
                     weekday: 'long',
                     month: 'long',
                     day: 'numeric',
-                    timeZone: 'America/Chicago'
+                    timeZone: device.timezone
                 }),
                 timestamp: now.toISOString()
             };
@@ -314,31 +427,55 @@ class LocalDashboardServer {
             const engine = new DashboardEngine({
                 width: layoutWidth,
                 height: layoutHeight,
-                backgroundColor: '#FFFFFF'
+                backgroundColor: '#FFFFFF',
+                componentTimeout: this.config.render.componentTimeout
             });
 
             // Enrich layout with data
-            const enrichedConfig = this.enrichLayoutWithData(layoutConfig, weather, pokemonData, timeData, calendarData, deviceStats);
+            const enrichedConfig = this.enrichLayoutWithData(layoutConfig, weather, pokemonData, timeData, calendarData, deviceStats, device.timezone, locationWeather);
 
             // Load layout and render
             engine.loadLayout(enrichedConfig);
             const canvas = await engine.render({
-                showGrid: false
+                showGrid: false,
+                data: buildConditionData({
+                    weather,
+                    calendar: calendarData,
+                    pokemon: pokemonData,
+                    deviceStats,
+                    timezone: device.timezone,
+                    date: now
+                })
             });
-
-            // Convert to buffer
-            const imageBuffer = canvas.toBuffer('image/png', {
-                compressionLevel: 9,
-                filters: canvas.PNG_FILTER_NONE
+            if (engine.hiddenComponents.length > 0) {
+                this.log(`Hidden by when rules: ${engine.hiddenComponents.map(c => c.id || c.type).join(', ')}`);
+            }
+            const report = engine.renderReport;
+            for (const failure of report.failures) {
+                this.log(`Component ${failure.component} (${failure.type}) failed after ${failure.durationMs}ms: ${failure.message}`, 'WARN');
+            }
+            this.log(`Rendered ${report.rendered} components in ${report.durationMs}ms` +
+                (report.failures.length > 0 ? `, ${report.failures.length} failed` : ''));
+
+            // Apply e-ink optimization and encode
+            const startTime = Date.now();
+            const optimizedBuffer = this.optimizeForEink(canvas);
+
+            this.log(`E-ink optimization complete: ${optimizedBuffer.length} bytes in ${Date.now() - startTime}ms (${this.config.eink.dither} dither)`);
+
+            // When the image next changes in a way worth showing
+            const refresh = planRefresh({
+                now,
+                timezone: device.timezone,
+                components: layoutConfig.components,
+                refreshInterval: device.refreshInterval,
+                calendarData,
+                weatherExpiresAt: device.weatherService.getCacheExpiry(units),
+                scheduleChangesAt: this.scheduler.nextChange(device, now)
             });
+            this.log(`Next refresh for ${device.id} at ${refresh.next.toISOString()} (${refresh.reason})`);
 
-            this.log(`Dashboard generated: ${imageBuffer.length} bytes, applying e-ink optimization...`);
-
-            // Apply e-ink optimization using Python script
-            const optimizedBuffer = await this.optimizeForEink(imageBuffer);
-
-            this.log(`E-ink optimization complete: ${optimizedBuffer.length} bytes`);
-            return optimizedBuffer;
+            return { buffer: optimizedBuffer, report, refresh };
 
         } catch (error) {
             this.log(`Error generating dashboard: ${error.message}`, 'ERROR');
@@ -348,14 +485,28 @@ class LocalDashboardServer {
     }
 
     async handleDashboardRequest(req, res, parsedUrl) {
+        let device = null;
+        let layout = null;
         try {
-            const cacheKey = this.getCacheKey(req.url);
+            const deviceId = DeviceRegistry.getRequestDeviceId(req, parsedUrl);
+            if (!DeviceRegistry.isValidId(deviceId)) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end(`Invalid device id: ${deviceId}`);
+                this.log(`Rejected invalid device id: ${deviceId}`, 'WARN');
+                return;
+            }
+
+            device = this.devices.resolve(deviceId);
+            const selection = this.selectLayout(device, parsedUrl);
+            layout = selection.layout;
+            const cacheKey = this.getCacheKey(req.url, device, layout);
             const cached = this.imageCache.get(cacheKey);
 
             // Check battery level from Kindle
             const batteryLevel = parsedUrl.searchParams.get('battery');
+            this.devices.touch(device, { batteryLevel });
             if (batteryLevel) {
-                this.checkBatteryAndNotify(batteryLevel);
+                this.checkBatteryAndNotify(device, batteryLevel);
             }
 
             // Construct deviceStats from query params
@@ -364,44 +515,204 @@ class LocalDashboardServer {
             } : null;
 
             let imageBuffer;
+            let renderReport;
+            let etag;
+            let refresh;
 
             // Check cache first
             if (this.isCacheValid(cached)) {
                 this.log(`Serving cached dashboard for ${cacheKey}`);
                 imageBuffer = cached.buffer;
+                renderReport = cached.report;
+                etag = cached.etag;
+                refresh = cached.refresh;
             } else {
-                // Get layout from query params or use default
-                const queryParams = parsedUrl.searchParams;
-                const layout = queryParams.get('layout') || this.layout;
+                if (selection.rule) {
+                    this.log(`Schedule rule ${selection.rule.name || `#${selection.ruleIndex}`} (${selection.scope}) selected ${layout} for ${device.id} at ${selection.localTime}`);
+                }
 
                 // Generate new image
-                imageBuffer = await this.generateDashboardBuffer(layout, deviceStats);
+                ({ buffer: imageBuffer, report: renderReport, refresh } = await this.generateDashboardBuffer(layout, deviceStats, device));
+                etag = computeEtag(imageBuffer);
+                device.lastRender = new Date();
+                if (this.lastGood && renderReport.failures.length === 0) {
+                    this.lastGood.save(device.id, layout, imageBuffer, device.lastRender);
+                }
 
                 // Cache the result
                 if (this.cacheEnabled) {
                     this.imageCache.set(cacheKey, {
                         buffer: imageBuffer,
+                        report: renderReport,
+                        etag,
+                        refresh,
                         timestamp: Date.now()
                     });
                     this.log(`Cached dashboard for ${cacheKey}`);
                 }
             }
 
+            const now = new Date();
+            const refreshMode = chooseRefreshMode({ previous: device.refresh, layout, now });
+            const headers = {
+                'ETag': etag,
+                'Cache-Control': `public, max-age=${Math.floor(this.cacheTimeout / 1000)}`,
+                'X-Generated-By': 'Kindle Dashboard Server (Local)',
+                'X-Optimized-For': 'E-ink Display',
+                'X-Device-Id': device.id,
+                'X-Refresh-Interval': device.refreshInterval,
+                'X-Layout': layout,
+                'X-Layout-Source': selection.rule ? `schedule:${selection.rule.name || selection.ruleIndex}` : selection.source,
+                ...this.renderReportHeaders(renderReport),
+                ...refreshHeaders(refresh, refreshMode, now)
+            };
+
+            // The Kindle already shows this image: skip the download and the screen refresh
+            const notModified = etagMatches(req.headers['if-none-match'], etag);
+            device.refresh = {
+                ...refresh,
+                layout,
+                mode: refreshMode,
+                // A 304 redraws nothing, so it never counts as a full refresh
+                lastFullAt: refreshMode === 'full' && !notModified ? now : device.refresh && device.refresh.lastFullAt
+            };
+            if (notModified) {
+                res.writeHead(304, headers);
+                res.end();
+                this.log(`Dashboard for ${device.id} not modified (${etag})`);
+                return;
+            }
+
             // Set headers for PNG image
             res.writeHead(200, {
                 'Content-Type': 'image/png',
                 'Content-Length': imageBuffer.length,
-                'Cache-Control': `public, max-age=${Math.floor(this.cacheTimeout / 1000)}`,
-                'X-Generated-By': 'Kindle Dashboard Server (Local)',
-                'X-Optimized-For': 'E-ink Display'
+                ...headers
             });
 
             res.end(imageBuffer);
-            this.log(`Served dashboard image: ${imageBuffer.length} bytes`);
+            this.log(`Served dashboard image to ${device.id}: ${imageBuffer.length} bytes (${refreshMode} refresh)`);
 
         } catch (error) {
+            if (device && await this.serveLastGood(res, error, device, layout)) return;
+            this.handleDashboardError(res, error, device);
+        }
+    }
+
+    /**
+     * Serve the stored last good render, marked stale, after a failed
+     * regeneration. Returns false when there is none or it is too old.
+     */
+    async serveLastGood(res, error, device, layout) {
+        if (!this.lastGood || !layout || res.headersSent) return false;
+
+        const lastGood = this.lastGood.load(device.id, layout);
+        if (!lastGood) return false;
+        if (lastGood.expired) {
+            this.log(`Last good ${layout} for ${device.id} is ${lastGood.age}s old (limit ${this.lastGood.maxAge}s), not serving it`, 'WARN');
+            return false;
+        }
+
+        let imageBuffer;
+        try {
+            const canvas = await renderStaleImage({
+                buffer: lastGood.buffer,
+                renderedAt: lastGood.renderedAt,
+                timezone: device.timezone
+            });
+            // The stored image is already optimized; only re-encode the badge
+            imageBuffer = optimizeCanvas(canvas, { ...this.config.eink, autocontrastCutoff: null, dither: 'none' });
+        } catch (markError) {
+            this.log(`Stale marker could not be drawn: ${markError.message}`, 'WARN');
+            imageBuffer = lastGood.buffer;
+        }
+
+        this.log(`Error: Failed to generate dashboard - ${error.message} (serving last good ${layout} from ${lastGood.renderedAt.toISOString()})`, 'ERROR');
+        res.writeHead(200, {
+            'Content-Type': 'image/png',
+            'Content-Length': imageBuffer.length,
+            'Cache-Control': 'no-store',
+            'X-Generated-By': 'Kindle Dashboard Server (Local)',
+            'X-Optimized-For': 'E-ink Display',
+            'X-Device-Id': device.id,
+            'X-Refresh-Interval': device.refreshInterval,
+            'X-Layout': layout,
+            'X-Dashboard-Stale': lastGood.renderedAt.toISOString(),
+            'X-Dashboard-Stale-Age': lastGood.age,
+            'X-Dashboard-Error': toHeaderValue(error.message),
+            ...refreshHeaders(planRetry(new Date(), device.refreshInterval), 'full')
+        });
+        res.end(imageBuffer);
+        return true;
+    }
+
+    /**
+     * When a device last rendered without error. After a restart that comes
+     * from the newest render in the last good store.
+     */
+    lastSuccess(device) {
+        if (!device.lastRender && this.lastGood) {
+            device.lastRender = this.lastGood.lastRenderedAt(device.id, listLayouts());
+        }
+        return device.lastRender;
+    }
+
+    /**
+     * Answer a failed /dashboard request with an e-ink error screen. The status
+     * stays 500 and X-Dashboard-Error carries the reason, so scripts can still
+     * tell the request failed. Falls back to JSON if the screen cannot be drawn.
+     */
+    handleDashboardError(res, error, device) {
+        if (res.headersSent) return;
+
+        let imageBuffer;
+        try {
+            const canvas = renderErrorScreen({
+                error,
+                lastSuccess: device ? this.lastSuccess(device) : null,
+                host: `${os.hostname()}:${this.port}`,
+                timezone: device ? device.timezone : this.config.location.timezone
+            });
+            imageBuffer = this.optimizeForEink(canvas);
+        } catch (screenError) {
+            this.log(`Error screen could not be rendered: ${screenError.message}`, 'WARN');
             this.handleError(res, error, 'Failed to generate dashboard');
+            return;
         }
+
+        this.log(`Error: Failed to generate dashboard - ${error.message} (serving error screen)`, 'ERROR');
+        const headers = {
+            'Content-Type': 'image/png',
+            'Content-Length': imageBuffer.length,
+            'Cache-Control': 'no-store',
+            'X-Generated-By': 'Kindle Dashboard Server (Local)',
+            'X-Optimized-For': 'E-ink Display',
+            'X-Dashboard-Error': toHeaderValue(error.message)
+        };
+        if (device) {
+            headers['X-Device-Id'] = device.id;
+            headers['X-Refresh-Interval'] = device.refreshInterval;
+            Object.assign(headers, refreshHeaders(planRetry(new Date(), device.refreshInterval), 'full'));
+        }
+        res.writeHead(500, headers);
+        res.end(imageBuffer);
+    }
+
+    /**
+     * Response headers summarizing a render report: X-Render-Status is "ok" or
+     * "degraded", X-Render-Failures lists "component:reason" for each failure
+     */
+    renderReportHeaders(report) {
+        const headers = {
+            'X-Render-Status': report.failures.length > 0 ? 'degraded' : 'ok',
+            'X-Render-Time': report.durationMs
+        };
+        if (report.failures.length > 0) {
+            headers['X-Render-Failures'] = toHeaderValue(report.failures
+                .map(failure => `${failure.component}:${failure.reason}`)
+                .join(', '), 500);
+        }
+        return headers;
     }
 
     handleHealthCheck(req, res) {
@@ -415,7 +726,8 @@ class LocalDashboardServer {
                 enabled: this.cacheEnabled,
                 entries: this.imageCache.size,
                 timeout: this.cacheTimeout
-            }
+            },
+            devices: this.devices.list()
         };
 
         res.writeHead(200, {
@@ -427,7 +739,39 @@ class LocalDashboardServer {
         this.log('Health check requested');
     }
 
-    handleApiInfo(req, res) {
+    handleAdminConfig(req, res) {
+        // The redacted config still names calendars, devices and locations
+        if (!isLocalRequest(req)) {
+            res.writeHead(403, {
+                'Content-Type': 'text/plain',
+                'X-Generated-By': 'Kindle Dashboard Server'
+            });
+            res.end('Forbidden: /admin/config is only available from the server itself');
+            this.log(`Rejected /admin/config from ${req.socket.remoteAddress}`, 'WARN');
+            return;
+        }
+
+        const body = {
+            file: this.config._meta.file,
+            envOverrides: this.config._meta.envOverrides,
+            config: redactConfig(this.config)
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'X-Generated-By': 'Kindle Dashboard Server'
+        });
+
+        res.end(JSON.stringify(body, null, 2));
+        this.log('Effective config requested');
+    }
+
+    handleApiInfo(req, res, parsedUrl) {
+        const deviceId = DeviceRegistry.getRequestDeviceId(req, parsedUrl);
+        const device = DeviceRegistry.isValidId(deviceId) && this.devices.get(deviceId) || this.devices.getDefault();
+        const { rules, scope } = this.scheduler.rulesFor(device);
+        const selection = this.selectLayout(device, parsedUrl);
+
         const info = {
             title: 'Kindle Dashboard Local Server',
             description: 'HTTP server for generating e-ink optimized dashboard images with weather and flexible layouts',
@@ -437,24 +781,63 @@ class LocalDashboardServer {
                     method: 'GET',
                     description: 'Generate and serve dashboard PNG image',
                     parameters: {
-                        layout: 'string - Layout name (weather, compact, minimal, device)'
+                        device: 'string - Device ID (or X-Device-Id header); unknown IDs use default settings',
+                        layout: 'string - Layout name (weather, compact, minimal, device); overrides the schedule and device layout',
+                        battery: 'number - Battery level reported by the Kindle'
                     },
-                    example: '/dashboard?layout=weather'
+                    example: '/dashboard?device=kitchen&battery=80',
+                    response_headers: {
+                        'ETag': 'Hash of the image; send it back as If-None-Match to get 304 Not Modified when unchanged',
+                        'X-Next-Refresh': 'Unix time (seconds) when the image next changes in a way worth showing; sleep until then (plus a few seconds)',
+                        'X-Next-Refresh-Reason': 'What changes then: clock, calendar, weather, schedule, day, interval (nothing sooner than X-Refresh-Interval) or retry (after a failure)',
+                        'X-Refresh-Mode': 'full or partial - how to draw this image; partial only for clock ticks on an unchanged layout',
+                        'X-Refresh-Interval': 'Device refresh interval in seconds; X-Next-Refresh is never later than this',
+                        'X-Layout': 'Layout that was rendered',
+                        'X-Layout-Source': 'Why that layout: query, device or schedule:<rule>',
+                        'X-Render-Status': 'ok, or degraded when a component failed (see X-Render-Failures)',
+                        'X-Dashboard-Stale': 'Set when the last good image was served because rendering failed',
+                        'X-Dashboard-Error': 'Why rendering failed (error screen or stale image)'
+                    }
                 },
                 '/health': {
                     method: 'GET',
-                    description: 'Server health check and status'
+                    description: 'Server health check and status, including every known device and its last-seen time'
                 },
                 '/api': {
                     method: 'GET',
-                    description: 'API information and documentation'
+                    description: 'API information and documentation',
+                    parameters: {
+                        device: 'string - Show the layout schedule for this device (default: default)'
+                    }
+                },
+                '/admin/config': {
+                    method: 'GET',
+                    description: 'Effective configuration (config file + env overrides) with secrets redacted; localhost only'
                 }
             },
             cache: {
                 enabled: this.cacheEnabled,
                 timeout_seconds: Math.floor(this.cacheTimeout / 1000)
             },
-            default_layout: this.layout
+            default_layout: this.layout,
+            devices: Array.from(this.devices.devices.keys()),
+            schedule: {
+                device: device.id,
+                timezone: device.timezone,
+                local_time: selection.localTime,
+                scope,
+                layout: selection.layout,
+                source: selection.source,
+                matched_rule: selection.rule ? { index: selection.ruleIndex, ...selection.rule } : null,
+                rules
+            },
+            refresh: device.refresh ? {
+                device: device.id,
+                next: device.refresh.next.toISOString(),
+                reason: device.refresh.reason,
+                last_mode: device.refresh.mode,
+                last_full_refresh: device.refresh.lastFullAt ? device.refresh.lastFullAt.toISOString() : null
+            } : null
         };
 
         res.writeHead(200, {
@@ -521,10 +904,19 @@ class LocalDashboardServer {
                     }
                     break;
 
+                case '/admin/config':
+                    if (req.method === 'GET') {
+                        this.handleAdminConfig(req, res);
+                    } else {
+                        res.writeHead(405, { 'Allow': 'GET' });
+                        res.end('Method Not Allowed');
+                    }
+                    break;
+
                 case '/api':
                 case '/':
                     if (req.method === 'GET') {
-                        this.handleApiInfo(req, res);
+                        this.handleApiInfo(req, res, parsedUrl);
                     } else {
                         res.writeHead(405, { 'Allow': 'GET' });
                         res.end('Method Not Allowed');
@@ -549,6 +941,37 @@ class LocalDashboardServer {
         }
     }
 
+    /**
+     * Check every layout file against the schema and make sure every layout
+     * named by a device or schedule exists. Throws LayoutValidationError.
+     */
+    validateLayouts() {
+        const { layouts, issues } = validateLayoutsDir(path.join(__dirname, 'layouts'), { locations: this.locations.names() });
+
+        const checkLayout = (layout, issuePath) => {
+            if (!layouts.includes(layout)) {
+                issues.push({
+                    file: this.config._meta.file,
+                    path: issuePath,
+                    message: `layout "${layout}" not found in layouts/`
+                });
+            }
+        };
+
+        LayoutScheduler.referencedLayouts(this.scheduler.rules)
+            .forEach((layout, index) => checkLayout(layout, `schedule[${index}].layout`));
+        for (const device of this.devices.devices.values()) {
+            checkLayout(device.layout, `devices.${device.id}.layout`);
+            LayoutScheduler.referencedLayouts(device.schedule)
+                .forEach((layout, index) => checkLayout(layout, `devices.${device.id}.schedule[${index}].layout`));
+        }
+
+        if (issues.length > 0) {
+            throw new LayoutValidationError(issues);
+        }
+        this.log(`📐 ${layouts.length} layouts validated`);
+    }
+
     start() {
         const server = http.createServer((req, res) => {
             this.handleRequest(req, res).catch(error => {
@@ -566,12 +989,26 @@ class LocalDashboardServer {
             this.log(`📊 Dashboard endpoint: http://${this.host}:${this.port}/dashboard`);
             this.log(`💚 Health check: http://${this.host}:${this.port}/health`);
             this.log(`📋 API info: http://${this.host}:${this.port}/api`);
+            this.log(`⚙️  Config: ${this.config._meta.file}${this.config._meta.envOverrides.length ? ` (env: ${this.config._meta.envOverrides.join(', ')})` : ''}`);
             this.log(`🎨 Default layout: ${this.layout}`);
+            if (this.scheduler.rules.length > 0) {
+                this.log(`🗓️  Layout schedule: ${this.scheduler.rules.map(rule => `${rule.name || rule.layout} → ${rule.layout}`).join(', ')}`);
+            }
+            this.log(`📟 Devices: ${this.devices.list().map(d => `${d.id} (${d.layout})`).join(', ')}`);
+            const calendarSources = this.devices.getDefault().calendarService.sources;
+            this.log(`📅 Calendar sources: ${calendarSources.map(source => `${source.id} (${source.type})`).join(', ')}`);
             this.log(`🗄️  Cache: ${this.cacheEnabled} (${this.cacheTimeout}ms TTL)`);
             if (this.discordWebhookUrl) {
                 this.log(`🔋 Battery notifications enabled via Discord webhook`);
             } else {
-                this.log(`🔋 Battery notifications disabled (set DISCORD_WEBHOOK_URL env var to enable)`);
+                this.log(`🔋 Battery notifications disabled (set notifications.discordWebhookUrl or DISCORD_WEBHOOK_URL to enable)`);
+            }
+            const alertsConfig = this.config.weather.alerts;
+            if (alertsConfig.enabled) {
+                const notify = this.discordWebhookUrl && alertsConfig.notifySeverity !== 'none'
+                    ? `notify at ${alertsConfig.notifySeverity} and above`
+                    : 'no notifications';
+                this.log(`⚠️  Weather alerts: ${alertsConfig.source} (${notify})`);
             }
         });
 
@@ -600,13 +1037,20 @@ Usage:
   node local-dashboard-server.js [options]
 
 Options:
-  --port <number>       Server port (default: 3000)
-  --host <string>       Server host (default: localhost)
-  --layout <string>     Default layout (default: weather)
+  --config <file>       Config file (default: server/config.json, or DASHBOARD_CONFIG)
+  --port <number>       Server port (default: server.port)
+  --host <string>       Server host (default: server.host)
+  --layout <string>     Default layout (default: server.layout)
+  --devices <file>      JSON file with per-device settings (default: config devices)
   --no-cache            Disable image caching
-  --cache-timeout <ms>  Cache timeout in milliseconds (default: 60000)
+  --cache-timeout <ms>  Cache timeout in milliseconds (default: server.cacheTimeout)
   --help, -h            Show this help
 
+Environment overrides:
+  DASHBOARD_PORT, DASHBOARD_HOST, DASHBOARD_LAYOUT, DASHBOARD_LATITUDE,
+  DASHBOARD_LONGITUDE, DASHBOARD_TIMEZONE, DASHBOARD_CALENDAR_URL,
+  DISCORD_WEBHOOK_URL
+
 Layouts:
   weather    Weather-focused dashboard (default)
   compact    Compact layout with less spacing
@@ -617,12 +1061,15 @@ Examples:
   node local-dashboard-server.js --host 0.0.0.0 --port 3000
   node local-dashboard-server.js --layout weather --no-cache
   node local-dashboard-server.js --cache-timeout 30000
+  node local-dashboard-server.js --devices devices.json
 
 Endpoints:
   GET /dashboard                    # Generate dashboard with default layout
   GET /dashboard?layout=weather     # Generate with specific layout
+  GET /dashboard?device=kitchen     # Generate for a registered device
   GET /health                       # Health check
   GET /api                          # API documentation
+  GET /admin/config                 # Effective config (secrets redacted, localhost only)
         `);
         return;
     }
@@ -633,29 +1080,61 @@ Endpoints:
     for (let i = 0; i < args.length; i++) {
         switch (args[i]) {
             case '--port':
-                options.port = parseInt(args[++i]) || 3000;
+                options.port = parseInt(args[++i]) || undefined; // falls back to config
                 break;
             case '--host':
-                options.host = args[++i] || 'localhost';
+                options.host = args[++i];
                 break;
             case '--layout':
-                options.layout = args[++i] || 'weather';
+                options.layout = args[++i];
                 break;
             case '--no-cache':
                 options.cache = false;
                 break;
             case '--cache-timeout':
-                options.cacheTimeout = parseInt(args[++i]) || 60000;
+                options.cacheTimeout = parseInt(args[++i]) || undefined;
+                break;
+            case '--devices':
+                options.devicesFile = args[++i];
+                break;
+            case '--config':
+                options.configFile = args[++i];
                 break;
         }
     }
 
-    // Start server
+    // Fail fast on an invalid config or device file before anything else starts
+    try {
+        initConfig({ file: options.configFile });
+        if (options.devicesFile) {
+            options.devices = DeviceRegistry.loadDefinitions(options.devicesFile);
+        }
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
+    }
+
+    // Start server, refusing to run with broken layouts
     const server = new LocalDashboardServer(options);
+    try {
+        server.validateLayouts();
+    } catch (error) {
+        if (error instanceof LayoutValidationError) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
+    }
     server.start();
 }
 
 // Export for use as module
+LocalDashboardServer.computeEtag = computeEtag;
+LocalDashboardServer.etagMatches = etagMatches;
+LocalDashboardServer.isLocalRequest = isLocalRequest;
 module.exports = LocalDashboardServer;
 
 // Run if called directly
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for conditional /dashboard requests: ETag matching, 304 versus 200,
+ * and the refresh plan recorded for the device either way; and for the
+ * localhost-only /admin/config. Rendering is stubbed, so no network is needed.
+ * Run with: node server/local-dashboard-server.test.js
+ */
+
+const LocalDashboardServer = require('./local-dashboard-server');
+const http = require('http');
+
+const { computeEtag, etagMatches, isLocalRequest } = LocalDashboardServer;
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+/**
+ * GET a path from the server under test
+ */
+function request(server, pathname, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const { port } = server.address();
+        http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        }).on('error', reject);
+    });
+}
+
+/**
+ * A dashboard server whose renders return `image` with a new refresh plan
+ * each time (clock ticks 15, 30, 45... minutes ahead), on a free port
+ */
+async function startServer(options = {}) {
+    const dashboard = new LocalDashboardServer({ port: 0, cache: false, ...options });
+    dashboard.log = () => {};
+    dashboard.lastGood = null;
+    dashboard.image = Buffer.from('png-1');
+    dashboard.renders = 0;
+    dashboard.generateDashboardBuffer = async () => {
+        dashboard.renders++;
+        return {
+            buffer: dashboard.image,
+            report: { layout: 'weather', rendered: 1, failures: [], durationMs: 5 },
+            refresh: { next: new Date(Date.now() + dashboard.renders * 15 * 60000), reason: 'clock' }
+        };
+    };
+    const server = http.createServer((req, res) => dashboard.handleRequest(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { dashboard, server };
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Dashboard Server Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: ETags and If-None-Match
+    console.log('Test 1: ETag Matching');
+    const etag = computeEtag(Buffer.from('png-1'));
+    assert(/^"[0-9a-f]{40}"$/.test(etag), `Quoted hash of the image (${etag})`);
+    assertEquals(computeEtag(Buffer.from('png-1')), etag, 'Same image, same ETag');
+    assert(computeEtag(Buffer.from('png-2')) !== etag, 'Different image, different ETag');
+    assert(etagMatches(etag, etag), 'Exact match');
+    assert(etagMatches(`W/${etag}`, etag), 'Weak tag matches');
+    assert(etagMatches(`"abc", ${etag}`, etag), 'Match anywhere in a list');
+    assert(etagMatches(`"abc",W/${etag}`, etag), 'Weak tag in a list without spaces');
+    assert(etagMatches('*', etag), '* matches any image');
+    assert(etagMatches(' * ', etag), '* with spaces');
+    assert(!etagMatches('"abc", "def"', etag), 'No match in a list');
+    assert(!etagMatches(etag.slice(1, -1), etag), 'Unquoted tag does not match');
+    assert(!etagMatches(undefined, etag) && !etagMatches('', etag), 'No header, no match');
+    console.log();
+
+    const { dashboard, server } = await startServer();
+    try {
+        // Test 2: 304 versus 200
+        console.log('Test 2: Conditional Requests');
+        const first = await request(server, '/dashboard?device=default');
+        assertEquals(first.status, 200, 'First request gets the image');
+        assertEquals(first.headers.etag, etag, 'ETag header');
+        assertEquals(first.body.toString(), 'png-1', 'Image body');
+
+        const unchanged = await request(server, '/dashboard', { 'If-None-Match': etag });
+        assertEquals(unchanged.status, 304, 'Unchanged image is not modified');
+        assertEquals(unchanged.body.length, 0, 'No body');
+        assertEquals(unchanged.headers.etag, etag, 'ETag repeated');
+        assert(unchanged.headers['x-next-refresh'] !== undefined, 'Refresh headers still sent');
+        assertEquals((await request(server, '/dashboard', { 'If-None-Match': `W/${etag}` })).status, 304, 'Weak tag gives 304');
+        assertEquals((await request(server, '/dashboard', { 'If-None-Match': '*' })).status, 304, '* gives 304');
+
+        dashboard.image = Buffer.from('png-2');
+        const changed = await request(server, '/dashboard', { 'If-None-Match': etag });
+        assertEquals(changed.status, 200, 'Changed image is sent in full');
+        assertEquals(changed.body.toString(), 'png-2', 'New image body');
+        assertEquals(changed.headers.etag, computeEtag(Buffer.from('png-2')), 'New ETag');
+        console.log();
+
+        // Test 3: Refresh plan after a 304
+        console.log('Test 3: Refresh State');
+        const device = dashboard.devices.getDefault();
+        const lastFullAt = device.refresh.lastFullAt;
+        const before = device.refresh.next.getTime();
+        const notModified = await request(server, '/dashboard', { 'If-None-Match': changed.headers.etag });
+        assertEquals(notModified.status, 304, 'Not modified');
+        assert(device.refresh.next.getTime() > before, 'Next refresh moves on after a 304');
+        assertEquals(Number(notModified.headers['x-next-refresh']), Math.floor(device.refresh.next.getTime() / 1000), 'Recorded plan matches the headers');
+        assertEquals(device.refresh.lastFullAt, lastFullAt, 'A 304 is not a full refresh');
+        assertEquals(device.refresh.layout, notModified.headers['x-layout'], 'Layout recorded');
+        console.log();
+
+        // Test 4: Admin config
+        console.log('Test 4: Admin Config');
+        const from = remoteAddress => ({ socket: { remoteAddress } });
+        assert(isLocalRequest(from('127.0.0.1')), 'IPv4 loopback is local');
+        assert(isLocalRequest(from('::1')), 'IPv6 loopback is local');
+        assert(isLocalRequest(from('::ffff:127.0.0.1')), 'IPv4-mapped loopback is local');
+        assert(!isLocalRequest(from('192.168.1.20')), 'LAN address is not local');
+        assert(!isLocalRequest(from('::ffff:192.168.1.20')), 'IPv4-mapped LAN address is not local');
+        assert(!isLocalRequest(from(undefined)), 'Unknown address is not local');
+
+        const local = await request(server, '/admin/config');
+        assertEquals(local.status, 200, 'Served on localhost');
+        assert(JSON.parse(local.body.toString('utf8')).config.server !== undefined, 'Config returned');
+
+        let status;
+        let body = '';
+        dashboard.handleAdminConfig(from('192.168.1.20'), {
+            writeHead: code => { status = code; },
+            end: text => { body = text; }
+        });
+        assertEquals(status, 403, 'Refused from the network');
+        assert(!body.includes('{'), 'No config in the refusal');
+        console.log();
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
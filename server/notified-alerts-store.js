@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Notified Alerts Store
+ * Remembers which weather alerts each device has already been notified
+ * about (alert id → expires), so a restart doesn't send them all again.
+ * Alerts drop out once their expiry time has passed.
+ */
+
+class NotifiedAlertsStore {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '..', 'cache');
+
+        // Ensure store directory exists
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    getFilePath(deviceId) {
+        return path.join(this.dir, `alerts_notified_${deviceId}.json`);
+    }
+
+    /**
+     * The notified alerts of a device as a Map, without expired ones. An
+     * empty Map when nothing is stored or the file can't be read.
+     */
+    load(deviceId, now = new Date()) {
+        let entries;
+        try {
+            entries = JSON.parse(fs.readFileSync(this.getFilePath(deviceId), 'utf8'));
+        } catch (error) {
+            return new Map();
+        }
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) return new Map();
+
+        return new Map(Object.entries(entries)
+            .filter(([, expires]) => !expires || new Date(expires) > now));
+    }
+
+    /**
+     * Store a device's notified alerts. Written to a temp file first so a
+     * crash never leaves a truncated file behind.
+     */
+    save(deviceId, notified) {
+        const file = this.getFilePath(deviceId);
+        const tempFile = `${file}.tmp`;
+
+        try {
+            fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(notified), null, 2));
+            fs.renameSync(tempFile, file);
+            return true;
+        } catch (error) {
+            console.warn('Failed to save notified weather alerts:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = NotifiedAlertsStore;
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the store of weather alerts already notified per device
+ * Run with: node server/notified-alerts-store.test.js
+ */
+
+const NotifiedAlertsStore = require('./notified-alerts-store');
+const { alertsToNotify } = require('./weather-alerts');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+function alert(id, severity, expires, replaces = []) {
+    return { id, event: `${severity} storm`, headline: id, severity, expires, replaces };
+}
+
+const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notified-alerts-test-')), 'store');
+
+function runTests() {
+    console.log('\n🧪 Running Notified Alerts Store Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const store = new NotifiedAlertsStore({ dir });
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    // Test 1: Round trip
+    console.log('Test 1: Save and Load');
+    assert(fs.existsSync(dir), 'Store directory created');
+    assertEquals(store.load('kitchen', now).size, 0, 'Nothing stored yet');
+    const notified = new Map([['storm-1', '2026-10-19T18:00:00Z'], ['heat-1', null]]);
+    assert(store.save('kitchen', notified), 'Save succeeds');
+    const loaded = store.load('kitchen', now);
+    assertEquals([...loaded.keys()].join(','), 'storm-1,heat-1', 'Ids round trip');
+    assertEquals(loaded.get('storm-1'), '2026-10-19T18:00:00Z', 'Expiry kept');
+    assertEquals(loaded.get('heat-1'), null, 'Alerts without expiry kept');
+    assertEquals(store.load('office', now).size, 0, 'Each device separate');
+    assert(!fs.existsSync(`${store.getFilePath('kitchen')}.tmp`), 'No temp file left behind');
+    console.log();
+
+    // Test 2: Expiry
+    console.log('Test 2: Expiry');
+    const later = store.load('kitchen', new Date('2026-10-19T18:00:00Z'));
+    assertEquals([...later.keys()].join(','), 'heat-1', 'Expired alerts dropped on load');
+    fs.writeFileSync(store.getFilePath('hall'), '{ "storm');
+    assertEquals(store.load('hall', now).size, 0, 'Unreadable file loads empty');
+    fs.writeFileSync(store.getFilePath('hall'), '["storm-1"]');
+    assertEquals(store.load('hall', now).size, 0, 'Wrong shape loads empty');
+    console.log();
+
+    // Test 3: Across a restart
+    console.log('Test 3: Restart');
+    const alerts = [alert('wind-1', 'severe', '2026-10-19T20:00:00Z')];
+    const first = store.load('office', now);
+    assertEquals(alertsToNotify(alerts, first, 'moderate', now).length, 1, 'New alert notified');
+    store.save('office', first);
+    const restarted = new NotifiedAlertsStore({ dir }).load('office', now);
+    assertEquals(alertsToNotify(alerts, restarted, 'moderate', now).length, 0, 'Not sent again after a restart');
+    const update = [alert('wind-2', 'severe', '2026-10-19T22:00:00Z', ['wind-1'])];
+    assertEquals(alertsToNotify(update, restarted, 'moderate', now).length, 0, 'Updates of a sent alert not sent');
+    const afterExpiry = new NotifiedAlertsStore({ dir }).load('office', new Date('2026-10-19T20:30:00Z'));
+    assertEquals(afterExpiry.has('wind-1'), false, 'Forgotten once expired');
+    console.log();
+
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
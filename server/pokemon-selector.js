@@ -12,12 +12,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
+const { convertTemperature } = require('./weather-units');
 
 class PokemonSelector {
     constructor(options = {}) {
         this.dataFile = options.dataFile || path.join(__dirname, 'pokemon-data.json');
         this.historyFile = options.historyFile || path.join(__dirname, '..', 'cache', 'pokemon-history.json');
-        this.timezone = options.timezone || 'America/Chicago';
+        this.timezone = options.timezone || getConfig().location.timezone;
 
         // Load Pokemon database
         this.pokemonDb = this._loadDatabase();
@@ -257,14 +259,19 @@ class PokemonSelector {
     }
 
     /**
-     * Get temperature-based type preferences
+     * Get temperature-based type preferences. Thresholds are in °F; a
+     * temperature such as "4°C" is converted first.
      */
     getTemperatureTypes(weatherData) {
         if (!weatherData || !weatherData.current) return [];
 
-        const tempStr = weatherData.current.temperature;
-        const temp = parseInt(tempStr);
-        if (isNaN(temp)) return [];
+        const tempStr = String(weatherData.current.temperature);
+        const value = parseFloat(tempStr);
+        if (isNaN(value)) return [];
+        const unit = /°C$/.test(tempStr) || (weatherData.units && weatherData.units.temperature === 'celsius')
+            ? 'celsius'
+            : 'fahrenheit';
+        const temp = convertTemperature(value, unit, 'fahrenheit');
 
         if (temp <= 20) return ['ice', 'steel'];
         if (temp <= 35) return ['ice', 'water'];
@@ -8,6 +8,7 @@ const util = require('util');
 
 const execPromise = util.promisify(exec);
 const PokemonSelector = require('./pokemon-selector');
+const { getConfig } = require('./config');
 
 /**
  * Pokemon Sprite Service Module
@@ -32,7 +33,7 @@ class PokemonService {
         this.selector = new PokemonSelector({
             dataFile: options.dataFile || path.join(__dirname, 'pokemon-data.json'),
             historyFile: options.historyFile || path.join(__dirname, '..', 'cache', 'pokemon-history.json'),
-            timezone: options.timezone || 'America/Chicago'
+            timezone: options.timezone || getConfig().location.timezone
         });
 
         // Ensure cache directory exists
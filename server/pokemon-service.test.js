@@ -100,6 +100,13 @@ async function runTests() {
     const snowyWeather = { current: { icon: 'snow', temperature: '25°F' } };
     const snowTypes = selector.getWeatherTypes(snowyWeather);
     assert(snowTypes.includes('ice'), 'Snow maps to ice type');
+
+    assertEquals(selector.getTemperatureTypes(snowyWeather).join(','), 'ice,water', '25°F is cold');
+    assertEquals(selector.getTemperatureTypes({ current: { temperature: '-4°C' } }).join(','), 'ice,water', '-4°C is cold');
+    assertEquals(selector.getTemperatureTypes({ current: { temperature: '32°C' } }).join(','), 'fire,grass', '32°C is hot');
+    assertEquals(selector.getTemperatureTypes({ current: { temperature: '32°F' } }).join(','), 'ice,water', '32°F is not hot');
+    assertEquals(selector.getTemperatureTypes({ current: { temperature: '20°' }, units: { temperature: 'celsius' } }).join(','), '', 'Unit taken from formatted units');
+    assertEquals(selector.getTemperatureTypes({ current: { temperature: 'N/A' } }).length, 0, 'Unknown temperature');
     console.log();
 
     // Test 8: PokemonSelector - Holiday detection
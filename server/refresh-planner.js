@@ -0,0 +1,139 @@
+const LayoutScheduler = require('./layout-scheduler');
+const { conditionDataRoots } = require('./conditions');
+
+/**
+ * Refresh Planner
+ * Works out when a dashboard image will next change in a way worth showing,
+ * so the Kindle can sleep until then instead of polling on a fixed interval:
+ *
+ *   clock    - next clock boundary (clocks are rounded down to 15 minutes)
+ *   calendar - next event start or end
+ *   weather  - weather cache expiry
+ *   schedule - next layout schedule boundary
+ *   day      - local midnight (date, daily Pokemon)
+ *   interval - nothing sooner; the device's refresh interval
+ *
+ * It also picks full or partial e-ink refresh for each image served.
+ */
+
+// Matches roundTimeToNearest(…, 15) in dashboard-engine.js
+const CLOCK_INTERVAL_MINUTES = 15;
+
+const MIN_DELAY = 60;                 // seconds; never ask for a refetch sooner
+const RETRY_DELAY = 5 * 60;           // seconds; after a failed render
+const FULL_REFRESH_EVERY = 60 * 60;   // seconds; clear e-ink ghosting at least this often
+
+// Component types whose content depends on each source
+const FULL_CANVAS_TYPES = ['watch-face', 'brutalist', 'swiss-poster'];
+const CLOCK_TYPES = ['clock', 'analog-clock', 'status-bar', ...FULL_CANVAS_TYPES];
+const CALENDAR_TYPES = ['calendar', 'calendar-month', 'calendar-week', ...FULL_CANVAS_TYPES];
+const WEATHER_TYPES = ['weather', 'hero-weather', 'hourly-chart', 'weather-alert', 'air-quality', 'weather-illustration', 'weather-multi', ...FULL_CANVAS_TYPES];
+const DAILY_TYPES = ['date', 'pokemon-sprite', 'quote', 'countdown', ...FULL_CANVAS_TYPES];
+
+function usesAny(components, types) {
+    return components.some(component => types.includes(component.type));
+}
+
+// weather-multi shows each location's local time unless told not to
+function showsLocalTime(components) {
+    return components.some(component => component.type === 'weather-multi' &&
+        (component.config || {}).showLocalTime !== false);
+}
+
+function nextClockBoundary(now) {
+    const ms = CLOCK_INTERVAL_MINUTES * 60 * 1000;
+    return new Date((Math.floor(now.getTime() / ms) + 1) * ms);
+}
+
+function nextLocalMidnight(now, timezone) {
+    const local = LayoutScheduler.getLocalTime(now, timezone);
+    const startOfMinute = Math.floor(now.getTime() / 60000) * 60000;
+    return new Date(startOfMinute + (24 * 60 - local.minutes) * 60000);
+}
+
+/**
+ * Plan the next refresh for a freshly rendered image.
+ *
+ * options: { now, timezone, components, refreshInterval (seconds),
+ *            calendarData, weatherExpiresAt, scheduleChangesAt }
+ * Returns { next (Date), reason }.
+ */
+function planRefresh(options) {
+    const now = options.now || new Date();
+    const components = options.components || [];
+    const conditionRoots = conditionDataRoots(components);
+    const candidates = [];
+
+    if (usesAny(components, CLOCK_TYPES) || showsLocalTime(components) || conditionRoots.has('time')) {
+        candidates.push({ at: nextClockBoundary(now), reason: 'clock' });
+    }
+    const calendarChange = options.calendarData && options.calendarData.nextChange;
+    if (calendarChange && (usesAny(components, CALENDAR_TYPES) || conditionRoots.has('calendar'))) {
+        candidates.push({ at: new Date(calendarChange), reason: 'calendar' });
+    }
+    if (options.weatherExpiresAt && (usesAny(components, WEATHER_TYPES) || conditionRoots.has('weather'))) {
+        candidates.push({ at: options.weatherExpiresAt, reason: 'weather' });
+    }
+    if (options.scheduleChangesAt) {
+        candidates.push({ at: options.scheduleChangesAt, reason: 'schedule' });
+    }
+    if (usesAny(components, DAILY_TYPES) || usesAny(components, CALENDAR_TYPES)) {
+        candidates.push({ at: nextLocalMidnight(now, options.timezone), reason: 'day' });
+    }
+
+    const earliest = now.getTime() + MIN_DELAY * 1000;
+    const latest = now.getTime() + options.refreshInterval * 1000;
+    let plan = { next: new Date(latest), reason: 'interval' };
+
+    for (const candidate of candidates) {
+        if (candidate.at <= now) continue; // e.g. weather cache already expired
+        const at = Math.max(candidate.at.getTime(), earliest);
+        if (at < plan.next.getTime()) {
+            plan = { next: new Date(at), reason: candidate.reason };
+        }
+    }
+    return plan;
+}
+
+/**
+ * Plan for a failed render: try again soon, within the refresh interval
+ */
+function planRetry(now, refreshInterval) {
+    return { next: new Date(now.getTime() + Math.min(RETRY_DELAY, refreshInterval) * 1000), reason: 'retry' };
+}
+
+/**
+ * Full or partial refresh for the image being served. `previous` is what was
+ * recorded for the device's last image ({ layout, reason, lastFullAt }).
+ * Only a clock tick on the same layout is drawn with a partial refresh, and
+ * never for longer than FULL_REFRESH_EVERY.
+ */
+function chooseRefreshMode({ previous, layout, now = new Date() }) {
+    if (!previous || previous.layout !== layout || previous.reason !== 'clock') return 'full';
+    if (!previous.lastFullAt || now - previous.lastFullAt >= FULL_REFRESH_EVERY * 1000) return 'full';
+    return 'partial';
+}
+
+/**
+ * X-Next-Refresh (Unix seconds), its reason and X-Refresh-Mode. A plan
+ * served from cache may already be due; it is pushed to MIN_DELAY from now.
+ */
+function refreshHeaders(plan, mode, now = new Date()) {
+    const next = Math.max(plan.next.getTime(), now.getTime() + MIN_DELAY * 1000);
+    return {
+        'X-Next-Refresh': Math.floor(next / 1000),
+        'X-Next-Refresh-Reason': plan.reason,
+        'X-Refresh-Mode': mode
+    };
+}
+
+module.exports = {
+    CLOCK_INTERVAL_MINUTES,
+    FULL_REFRESH_EVERY,
+    MIN_DELAY,
+    RETRY_DELAY,
+    chooseRefreshMode,
+    planRefresh,
+    planRetry,
+    refreshHeaders
+};
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for next-refresh planning and full/partial refresh selection
+ * Run with: node server/refresh-planner.test.js
+ */
+
+const { chooseRefreshMode, planRefresh, planRetry, refreshHeaders, FULL_REFRESH_EVERY } = require('./refresh-planner');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+// 15:07:20 in Chicago (CDT)
+const now = new Date('2026-06-10T20:07:20Z');
+const base = { now, timezone: 'America/Chicago', refreshInterval: 3600 };
+
+function plan(options) {
+    const result = planRefresh({ ...base, ...options });
+    return `${result.next.toISOString()} ${result.reason}`;
+}
+
+function runTests() {
+    console.log('\n🧪 Running Refresh Planner Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Sources
+    console.log('Test 1: Change Sources');
+    assertEquals(plan({ components: [{ type: 'clock' }] }), '2026-06-10T20:15:00.000Z clock', 'Clock: next 15-minute boundary');
+    assertEquals(plan({ components: [{ type: 'title' }] }), '2026-06-10T21:07:20.000Z interval', 'Static layout: refresh interval');
+    assertEquals(plan({ components: [{ type: 'weather-multi', config: { locations: ['home'] } }] }), '2026-06-10T20:15:00.000Z clock', 'Location local times follow the clock');
+    assertEquals(plan({ components: [{ type: 'weather-multi', config: { showLocalTime: false } }] }), '2026-06-10T21:07:20.000Z interval', 'Without local times: refresh interval');
+    assertEquals(plan({
+        components: [{ type: 'calendar' }],
+        calendarData: { nextChange: '2026-06-10T20:30:00.000Z' }
+    }), '2026-06-10T20:30:00.000Z calendar', 'Calendar: next event edge');
+    assertEquals(plan({
+        components: [{ type: 'calendar-week' }],
+        calendarData: { nextChange: '2026-06-10T20:30:00.000Z' }
+    }), '2026-06-10T20:30:00.000Z calendar', 'Week grid: next event edge');
+    assertEquals(plan({ components: [{ type: 'calendar-month' }], refreshInterval: 86400 }), '2026-06-11T05:00:00.000Z day', 'Month grid: local midnight');
+    assertEquals(plan({ components: [{ type: 'countdown' }], refreshInterval: 86400 }), '2026-06-11T05:00:00.000Z day', 'Countdown: local midnight');
+    assertEquals(plan({
+        components: [{ type: 'weather' }],
+        weatherExpiresAt: new Date('2026-06-10T20:40:00Z')
+    }), '2026-06-10T20:40:00.000Z weather', 'Weather: cache expiry');
+    assertEquals(plan({
+        components: [{ type: 'title' }],
+        scheduleChangesAt: new Date('2026-06-10T20:50:00Z')
+    }), '2026-06-10T20:50:00.000Z schedule', 'Schedule boundary');
+    assertEquals(plan({ components: [{ type: 'date' }], refreshInterval: 86400 }), '2026-06-11T05:00:00.000Z day', 'Date: local midnight');
+    console.log();
+
+    // Test 2: Relevance and limits
+    console.log('Test 2: Relevance and Limits');
+    assertEquals(plan({
+        components: [{ type: 'title' }],
+        weatherExpiresAt: new Date('2026-06-10T20:40:00Z')
+    }), '2026-06-10T21:07:20.000Z interval', 'Weather expiry ignored without weather components');
+    assertEquals(plan({
+        components: [{ type: 'title', when: { path: 'weather.current.precipitation', gt: 0 } }],
+        weatherExpiresAt: new Date('2026-06-10T20:40:00Z')
+    }), '2026-06-10T20:40:00.000Z weather', 'A when rule makes weather relevant');
+    assertEquals(plan({
+        components: [{ type: 'weather' }],
+        weatherExpiresAt: new Date('2026-06-10T20:00:00Z')
+    }), '2026-06-10T21:07:20.000Z interval', 'Expired weather cache does not cause a refetch storm');
+    assertEquals(plan({
+        components: [{ type: 'calendar' }],
+        calendarData: { nextChange: '2026-06-10T20:07:40.000Z' }
+    }), '2026-06-10T20:08:20.000Z calendar', 'Never sooner than one minute');
+    assertEquals(plan({ components: [{ type: 'clock' }], refreshInterval: 300 }), '2026-06-10T20:12:20.000Z interval', 'Never later than the refresh interval');
+    console.log();
+
+    // Test 3: Full or partial
+    console.log('Test 3: Refresh Mode');
+    const previous = { layout: 'minimal', reason: 'clock', lastFullAt: new Date(now.getTime() - 20 * 60000) };
+    assertEquals(chooseRefreshMode({ previous: null, layout: 'minimal', now }), 'full', 'First image is full');
+    assertEquals(chooseRefreshMode({ previous, layout: 'minimal', now }), 'partial', 'Clock tick is partial');
+    assertEquals(chooseRefreshMode({ previous, layout: 'wild-swiss', now }), 'full', 'Layout change is full');
+    assertEquals(chooseRefreshMode({ previous: { ...previous, reason: 'calendar' }, layout: 'minimal', now }), 'full', 'Data change is full');
+    const longAgo = new Date(now.getTime() - FULL_REFRESH_EVERY * 1000);
+    assertEquals(chooseRefreshMode({ previous: { ...previous, lastFullAt: longAgo }, layout: 'minimal', now }), 'full', 'Periodic full refresh clears ghosting');
+    console.log();
+
+    // Test 4: Headers
+    console.log('Test 4: Headers');
+    const headers = refreshHeaders(planRefresh({ ...base, components: [{ type: 'clock' }] }), 'partial', now);
+    assertEquals(headers['X-Next-Refresh'], Date.parse('2026-06-10T20:15:00Z') / 1000, 'X-Next-Refresh in Unix seconds');
+    assertEquals(headers['X-Next-Refresh-Reason'], 'clock', 'Reason header');
+    assertEquals(headers['X-Refresh-Mode'], 'partial', 'Mode header');
+    const later = new Date('2026-06-10T20:16:00Z');
+    assertEquals(refreshHeaders({ next: new Date('2026-06-10T20:15:00Z'), reason: 'clock' }, 'full', later)['X-Next-Refresh'],
+        Date.parse('2026-06-10T20:17:00Z') / 1000, 'Cached plan already due is pushed out');
+    assertEquals(planRetry(now, 3600).reason, 'retry', 'Retry plan after failure');
+    assertEquals(planRetry(now, 120).next.toISOString(), '2026-06-10T20:09:20.000Z', 'Retry within refresh interval');
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,173 @@
+const { getJson, getText } = require('./weather-providers');
+
+/**
+ * Weather Alerts
+ * Active severe weather alerts from the NWS alerts API (US) or a MeteoAlarm
+ * country feed (Europe), normalized to:
+ *
+ *   { id, event, headline, severity, onset, expires, area, replaces[] }
+ *
+ * severity is one of SEVERITIES; onset and expires are ISO strings or null.
+ * `replaces` lists the ids of earlier alerts this one updates.
+ */
+
+// Lowest to highest (CAP severity levels)
+const SEVERITIES = ['unknown', 'minor', 'moderate', 'severe', 'extreme'];
+
+const ALERT_SOURCES = ['nws', 'meteoalarm'];
+
+function severityRank(severity) {
+    return SEVERITIES.indexOf(severity);
+}
+
+function normalizeSeverity(value) {
+    const severity = String(value || '').toLowerCase();
+    return SEVERITIES.includes(severity) ? severity : 'unknown';
+}
+
+function isoOrNull(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Drop expired alerts and sort the rest, most severe first, then by onset
+ */
+function activeAlerts(alerts, now = new Date()) {
+    return alerts
+        .filter(alert => !alert.expires || new Date(alert.expires) > now)
+        .sort((a, b) => severityRank(b.severity) - severityRank(a.severity) ||
+            String(a.onset || '').localeCompare(String(b.onset || '')));
+}
+
+/**
+ * NWS: https://api.weather.gov/alerts/active?point=lat,lon (GeoJSON)
+ */
+async function fetchNwsAlerts(location, { getJson: get }) {
+    const latitude = Math.round(location.latitude * 10000) / 10000;
+    const longitude = Math.round(location.longitude * 10000) / 10000;
+    const data = await get(`https://api.weather.gov/alerts/active?point=${latitude},${longitude}`);
+    if (!Array.isArray(data.features)) {
+        throw new Error('Unexpected NWS alerts response: no features');
+    }
+
+    return data.features
+        .map(feature => feature.properties)
+        .filter(alert => alert.status === 'Actual' && alert.messageType !== 'Cancel')
+        .map(alert => ({
+            id: alert.id,
+            event: alert.event,
+            headline: (alert.parameters && alert.parameters.NWSheadline && alert.parameters.NWSheadline[0]) ||
+                alert.headline || alert.event,
+            severity: normalizeSeverity(alert.severity),
+            onset: isoOrNull(alert.onset || alert.effective),
+            expires: isoOrNull(alert.ends || alert.expires),
+            area: alert.areaDesc || null,
+            replaces: (alert.references || []).map(reference => reference.identifier)
+        }));
+}
+
+/**
+ * Text of the first <tag> in an XML fragment, entities decoded
+ */
+function xmlText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    if (!match) return null;
+    return match[1]
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * MeteoAlarm: the legacy Atom feed for a country, e.g.
+ * https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-austria
+ * Entries are kept when their area contains `region` (case-insensitive).
+ */
+async function fetchMeteoalarmAlerts(location, { getText: get, meteoalarm }) {
+    if (!meteoalarm || !meteoalarm.country) {
+        throw new Error('MeteoAlarm alerts need alerts.meteoalarm.country');
+    }
+    const feed = await get(`https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-${meteoalarm.country}`);
+    if (!/<feed[\s>]/.test(feed)) {
+        throw new Error('Unexpected MeteoAlarm response: not an Atom feed');
+    }
+
+    const region = meteoalarm.region ? meteoalarm.region.toLowerCase() : null;
+    const entries = feed.match(/<entry>[\s\S]*?<\/entry>/g) || [];
+
+    return entries
+        .map(entry => ({
+            id: xmlText(entry, 'cap:identifier') || xmlText(entry, 'id'),
+            event: xmlText(entry, 'cap:event'),
+            headline: xmlText(entry, 'title') || xmlText(entry, 'cap:event'),
+            severity: normalizeSeverity(xmlText(entry, 'cap:severity')),
+            onset: isoOrNull(xmlText(entry, 'cap:onset') || xmlText(entry, 'cap:effective')),
+            expires: isoOrNull(xmlText(entry, 'cap:expires')),
+            area: xmlText(entry, 'cap:areaDesc'),
+            replaces: [],
+            messageType: xmlText(entry, 'cap:message_type')
+        }))
+        .filter(alert => alert.messageType !== 'Cancel')
+        .filter(alert => !region || (alert.area || '').toLowerCase().includes(region))
+        .map(({ messageType, ...alert }) => alert);
+}
+
+const SOURCES = {
+    nws: fetchNwsAlerts,
+    meteoalarm: fetchMeteoalarmAlerts
+};
+
+/**
+ * Fetch active alerts for a location, most severe first.
+ *
+ * options: { meteoalarm: { country, region }, userAgent, now,
+ *            getJson / getText (for tests) }
+ */
+async function fetchAlerts(source, location, options = {}) {
+    const fetchSource = SOURCES[source];
+    if (!fetchSource) {
+        throw new Error(`Unknown alert source: ${source}`);
+    }
+    const alerts = await fetchSource(location, {
+        getJson: options.getJson || (url => getJson(url, options)),
+        getText: options.getText || (url => getText(url, { ...options, accept: 'application/atom+xml' })),
+        meteoalarm: options.meteoalarm
+    });
+    return activeAlerts(alerts, options.now);
+}
+
+/**
+ * Alerts that deserve a notification: at least `minSeverity` ('none' turns
+ * notifications off), not sent before and not an update of one already sent.
+ * `notified` (id → expires) is updated in place and pruned of expired ids.
+ */
+function alertsToNotify(alerts, notified, minSeverity, now = new Date()) {
+    for (const [id, expires] of notified) {
+        if (expires && new Date(expires) <= now) notified.delete(id);
+    }
+    if (!SEVERITIES.includes(minSeverity)) return [];
+
+    const fresh = [];
+    for (const alert of alerts) {
+        if (notified.has(alert.id) || severityRank(alert.severity) < severityRank(minSeverity)) continue;
+        const isUpdate = alert.replaces.some(id => notified.has(id));
+        notified.set(alert.id, alert.expires);
+        if (!isUpdate) fresh.push(alert);
+    }
+    return fresh;
+}
+
+module.exports = {
+    ALERT_SOURCES,
+    SEVERITIES,
+    activeAlerts,
+    alertsToNotify,
+    fetchAlerts,
+    severityRank
+};
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for weather alert ingestion and notification de-duplication, run
+ * offline against recorded responses in fixtures/weather/
+ * Run with: node server/weather-alerts.test.js
+ */
+
+const { activeAlerts, alertsToNotify, fetchAlerts, severityRank } = require('./weather-alerts');
+const WeatherService = require('./weather-service');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'weather');
+const chicago = { latitude: 41.87812345, longitude: -87.62979876 };
+const vienna = { latitude: 48.2082, longitude: 16.3738 };
+const now = new Date('2026-10-19T15:30:00Z');
+
+function alert(id, severity, extra = {}) {
+    return { id, event: `${severity} event`, headline: null, severity, onset: null, expires: null, area: null, replaces: [], ...extra };
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Weather Alert Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: NWS alerts
+    console.log('Test 1: NWS Alerts');
+    const requests = [];
+    const nws = await fetchAlerts('nws', chicago, {
+        now,
+        getJson: async (url) => {
+            requests.push(url);
+            return JSON.parse(fs.readFileSync(path.join(FIXTURES, 'nws-alerts.json'), 'utf8'));
+        }
+    });
+    assertEquals(requests[0], 'https://api.weather.gov/alerts/active?point=41.8781,-87.6298', 'Point rounded to 4 decimals');
+    assertEquals(nws.length, 2, 'Expired and test messages dropped');
+    assertEquals(nws[0].event, 'High Wind Warning', 'Most severe first');
+    assertEquals(nws[0].severity, 'severe', 'Severity lower-cased');
+    assertEquals(nws[0].headline, 'HIGH WIND WARNING REMAINS IN EFFECT UNTIL 6 AM CDT TUESDAY', 'NWS headline preferred');
+    assertEquals(nws[0].onset, '2026-10-19T17:00:00.000Z', 'Onset as UTC ISO');
+    assertEquals(nws[0].expires, '2026-10-20T11:00:00.000Z', 'Event end preferred over message expiry');
+    assertEquals(nws[0].replaces[0], 'urn:oid:2.49.0.1.840.0.5b0a61e3.001.1', 'References kept');
+    assertEquals(nws[1].expires, '2026-10-19T21:00:00.000Z', 'Message expiry when no end');
+    assertEquals(nws[1].area, 'Cook; DuPage', 'Area');
+    console.log();
+
+    // Test 2: MeteoAlarm alerts
+    console.log('Test 2: MeteoAlarm Alerts');
+    const feed = fs.readFileSync(path.join(FIXTURES, 'meteoalarm.xml'), 'utf8');
+    const urls = [];
+    const getText = async (url) => {
+        urls.push(url);
+        return feed;
+    };
+    const wien = await fetchAlerts('meteoalarm', vienna, { now, getText, meteoalarm: { country: 'austria', region: 'wien' } });
+    assertEquals(urls[0], 'https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-austria', 'Country feed');
+    assertEquals(wien.length, 2, 'Other regions and cancellations dropped');
+    assertEquals(wien[0].event, 'Orange Wind Warning', 'Most severe first');
+    assertEquals(wien[0].id, '2.49.0.0.40.0.AT.261019093000.aa11', 'CAP identifier as id');
+    assertEquals(wien[1].headline, 'Yellow Rain Warning issued for Austria - Wien & Umgebung', 'Entities decoded');
+    const austria = await fetchAlerts('meteoalarm', vienna, { now, getText, meteoalarm: { country: 'austria' } });
+    assertEquals(austria.length, 3, 'Whole country without a region');
+    let error = null;
+    try {
+        await fetchAlerts('meteoalarm', vienna, { now, getText: async () => '<html>Not found</html>', meteoalarm: { country: 'atlantis' } });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('not an Atom feed'), 'Non-feed response rejected');
+    console.log();
+
+    // Test 3: Ordering and expiry
+    console.log('Test 3: Active Alerts');
+    const sorted = activeAlerts([
+        alert('a', 'minor'),
+        alert('b', 'extreme', { onset: '2026-10-19T18:00:00.000Z' }),
+        alert('c', 'extreme', { onset: '2026-10-19T12:00:00.000Z' }),
+        alert('d', 'severe', { expires: '2026-10-19T15:00:00.000Z' })
+    ], now);
+    assertEquals(sorted.map(a => a.id).join(','), 'c,b,a', 'By severity then onset, expired dropped');
+    assert(severityRank('extreme') > severityRank('severe') && severityRank('minor') > severityRank('unknown'), 'Severity ranks');
+    console.log();
+
+    // Test 4: Notifications
+    console.log('Test 4: Notifications');
+    const notified = new Map();
+    const first = alertsToNotify([
+        alert('wind', 'severe', { expires: '2026-10-20T00:00:00.000Z' }),
+        alert('flood', 'moderate')
+    ], notified, 'severe', now);
+    assertEquals(first.map(a => a.id).join(','), 'wind', 'Only alerts at the configured severity');
+    assertEquals(alertsToNotify([alert('wind', 'severe')], notified, 'severe', now).length, 0, 'Same alert not sent twice');
+    const update = alertsToNotify([alert('wind-2', 'severe', { replaces: ['wind'] })], notified, 'severe', now);
+    assertEquals(update.length, 0, 'Updates of a sent alert are not sent');
+    assert(notified.has('wind-2'), 'Update remembered');
+    const upgrade = alertsToNotify([alert('flood-2', 'extreme', { replaces: ['flood'] })], notified, 'severe', now);
+    assertEquals(upgrade.length, 1, 'Upgrade of an alert below the threshold is sent');
+    alertsToNotify([], notified, 'severe', new Date('2026-10-20T01:00:00Z'));
+    assert(!notified.has('wind') && notified.has('flood-2'), 'Expired ids forgotten');
+    assertEquals(alertsToNotify([alert('x', 'extreme')], new Map(), 'none', now).length, 0, '"none" turns notifications off');
+    console.log();
+
+    // Test 5: Weather service
+    console.log('Test 5: Weather Service');
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-alerts-test-'));
+    const mock = await new WeatherService({ cacheDir, mockData: true }).getFormattedWeather();
+    assert(Array.isArray(mock.alerts) && mock.alerts.length === 0, 'Mock weather has no alerts');
+
+    const service = new WeatherService({ cacheDir, cacheKey: 'kitchen', alerts: { enabled: true, source: 'nws', maxAge: 600 } });
+    assertEquals(path.basename(service.getFeedCacheFilePath('weather_alerts')), 'weather_alerts_kitchen.json', 'Alerts cache per device');
+    const future = new Date(Date.now() + 3600000).toISOString();
+    fs.writeFileSync(service.getFeedCacheFilePath('weather_alerts'), JSON.stringify({
+        timestamp: Date.now(),
+        data: [alert('old', 'minor', { expires: '2020-01-01T00:00:00.000Z' }), alert('storm', 'severe', { expires: future })]
+    }));
+    const cached = await service.getAlerts();
+    assertEquals(cached.map(a => a.id).join(','), 'storm', 'Fresh cache served without expired alerts');
+    const disabled = new WeatherService({ cacheDir, cacheKey: 'kitchen', alerts: { enabled: false } });
+    assertEquals((await disabled.getAlerts()).length, 0, 'Disabled alerts are empty');
+    let fetches = 0;
+    const failingFeed = () => {
+        fetches++;
+        return Promise.reject(new Error('No NWS alerts outside the US'));
+    };
+    assertEquals(await service.getCachedFeed('weather_alerts_abroad', 600000, failingFeed), null, 'Failed fetch without a cache is null');
+    await service.getCachedFeed('weather_alerts_abroad', 600000, failingFeed);
+    assertEquals(fetches, 1, 'A failed feed is not fetched again within maxAge');
+    await service.getCachedFeed('weather_alerts_abroad', 0, failingFeed);
+    assertEquals(fetches, 2, 'Fetched again once maxAge has passed');
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,123 @@
+const { getConfig } = require('./config');
+const WeatherService = require('./weather-service');
+
+/**
+ * Named Weather Locations
+ * Layouts can show weather for places other than the device's own location,
+ * named in the `locations` section of config.json:
+ *
+ *   "config": { "location": "office" }                   (weather components)
+ *   "config": { "locations": ["home", "office", "lisbon"] } (weather-multi)
+ *
+ * "home" is always the device's own location. Every other name gets one
+ * WeatherService, shared by all devices, with its own cache files.
+ */
+
+const HOME = 'home';
+
+/**
+ * Location names a layout refers to, "home" included
+ */
+function layoutLocations(components) {
+    const names = new Set();
+    for (const component of components) {
+        const config = component.config || {};
+        if (typeof config.location === 'string') names.add(config.location);
+        if (Array.isArray(config.locations)) config.locations.forEach(name => names.add(name));
+    }
+    return names;
+}
+
+/**
+ * Names of the locations whose alerts or air quality a layout shows:
+ * { alerts, airQuality } sets. Other locations only fetch their forecast.
+ */
+function layoutFeeds(components) {
+    const feeds = { alerts: new Set(), airQuality: new Set() };
+    for (const component of components) {
+        const config = component.config || {};
+        if (typeof config.location !== 'string') continue;
+        if (component.type === 'weather-alert') feeds.alerts.add(config.location);
+        if (component.type === 'air-quality' || (component.type === 'weather' && (config.showAqi || config.showUv))) {
+            feeds.airQuality.add(config.location);
+        }
+    }
+    return feeds;
+}
+
+class WeatherLocations {
+    constructor(options = {}) {
+        const config = getConfig();
+        this.definitions = options.locations || config.locations || {};
+        this.defaultTimezone = config.location.timezone;
+        this.mockData = options.mockData || false;
+        this.cacheDir = options.cacheDir; // WeatherService default unless set
+        this.services = new Map();
+    }
+
+    names() {
+        return [HOME, ...Object.keys(this.definitions)];
+    }
+
+    /**
+     * Display name of a location ("Home" unless configured otherwise)
+     */
+    label(name) {
+        if (name === HOME) return 'Home';
+        const definition = this.definitions[name];
+        return (definition && definition.name) || name;
+    }
+
+    /**
+     * The WeatherService for a named location, created on first use
+     */
+    get(name) {
+        const definition = this.definitions[name];
+        if (!definition) {
+            throw new Error(`Unknown weather location "${name}" (add it to locations in config.json)`);
+        }
+
+        if (!this.services.has(name)) {
+            this.services.set(name, new WeatherService({
+                latitude: definition.latitude,
+                longitude: definition.longitude,
+                timezone: definition.timezone || this.defaultTimezone,
+                cacheKey: `location-${name}`,
+                cacheDir: this.cacheDir,
+                mockData: this.mockData
+            }));
+        }
+        return this.services.get(name);
+    }
+
+    /**
+     * Formatted weather for each named location, keyed by name. "home" is
+     * skipped (the caller has the device's own weather); a location that
+     * can't be loaded maps to null and is logged. Alerts and air quality are
+     * only fetched for the names in `feeds` (see layoutFeeds).
+     */
+    async getFormattedWeather(names, units, feeds = {}) {
+        const results = {};
+        await Promise.all([...names].filter(name => name !== HOME).map(async (name) => {
+            try {
+                const service = this.get(name);
+                const weather = await service.getFormattedWeather(units, {
+                    alerts: Boolean(feeds.alerts && feeds.alerts.has(name)),
+                    airQuality: Boolean(feeds.airQuality && feeds.airQuality.has(name))
+                });
+                weather.location = { id: name, name: this.label(name), timezone: service.timezone };
+                results[name] = weather;
+            } catch (error) {
+                console.warn(`Weather for location ${name} unavailable: ${error.message}`);
+                results[name] = null;
+            }
+        }));
+        return results;
+    }
+}
+
+WeatherLocations.HOME = HOME;
+WeatherLocations.layoutLocations = layoutLocations;
+WeatherLocations.layoutFeeds = layoutFeeds;
+
+module.exports = WeatherLocations;
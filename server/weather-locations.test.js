@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for named weather locations: lookup, per-location caches, layout
+ * references and config validation. Runs offline with mock weather.
+ * Run with: node server/weather-locations.test.js
+ */
+
+const WeatherLocations = require('./weather-locations');
+const { validateLayout } = require('./layout-validator');
+const { getConfig, validateConfig } = require('./config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const definitions = {
+    office: { name: 'Office', latitude: 40.7128, longitude: -74.006, timezone: 'America/New_York' },
+    lisbon: { latitude: 38.7223, longitude: -9.1393, timezone: 'Europe/Lisbon' }
+};
+
+function locationErrors(locations) {
+    return validateConfig({ ...getConfig(), locations }).filter(error => error.startsWith('locations'));
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Weather Location Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-locations-test-'));
+    const locations = new WeatherLocations({ locations: definitions, cacheDir, mockData: true });
+
+    // Test 1: Names and labels
+    console.log('Test 1: Names and Labels');
+    assertEquals(locations.names().join(','), 'home,office,lisbon', 'home comes first');
+    assertEquals(locations.label('home'), 'Home', 'home label');
+    assertEquals(locations.label('office'), 'Office', 'Configured name');
+    assertEquals(locations.label('lisbon'), 'lisbon', 'Falls back to the location id');
+    console.log();
+
+    // Test 2: One service per location, each with its own cache
+    console.log('Test 2: Services and Caches');
+    const office = locations.get('office');
+    assert(locations.get('office') === office, 'Service is reused');
+    assertEquals(office.timezone, 'America/New_York', 'Location timezone');
+    assert(path.basename(office.getCacheFilePath()).startsWith('weather_cache_location-office_'), 'Cache file named after the location');
+    assert(office.getCacheFilePath() !== locations.get('lisbon').getCacheFilePath(), 'Locations do not share a cache file');
+    const noTimezone = new WeatherLocations({ locations: { cabin: { latitude: 45, longitude: -93 } }, cacheDir });
+    assertEquals(noTimezone.get('cabin').timezone, getConfig().location.timezone, 'Timezone defaults to the configured location');
+    let error = null;
+    try {
+        locations.get('paris');
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('Unknown weather location "paris"'), 'Unknown location throws');
+    console.log();
+
+    // Test 3: Locations referenced by a layout
+    console.log('Test 3: Layout Locations');
+    const referenced = WeatherLocations.layoutLocations([
+        { type: 'weather', config: { location: 'office' } },
+        { type: 'weather-multi', config: { locations: ['home', 'lisbon', 'office'] } },
+        { type: 'clock' }
+    ]);
+    assertEquals([...referenced].sort().join(','), 'home,lisbon,office', 'Collects location and locations');
+    assertEquals(WeatherLocations.layoutLocations([{ type: 'weather' }]).size, 0, 'None when no component names one');
+    const feeds = WeatherLocations.layoutFeeds([
+        { type: 'weather', config: { location: 'office' } },
+        { type: 'weather', config: { location: 'lisbon', showUv: true } },
+        { type: 'weather-alert', config: { location: 'office' } },
+        { type: 'air-quality', config: { location: 'paris' } },
+        { type: 'weather-multi', config: { locations: ['berlin'] } }
+    ]);
+    assertEquals([...feeds.alerts].join(','), 'office', 'Alerts only where an alert banner shows them');
+    assertEquals([...feeds.airQuality].sort().join(','), 'lisbon,paris', 'Air quality only where it is shown');
+    console.log();
+
+    // Test 4: Formatted weather per location
+    console.log('Test 4: Formatted Weather');
+    const weather = await locations.getFormattedWeather(['home', 'office', 'lisbon']);
+    assert(!('home' in weather), 'home is left to the caller');
+    assert(weather.office && weather.office.current, 'Office weather loaded');
+    assertEquals(weather.office.location.name, 'Office', 'Weather carries the location name');
+    assertEquals(weather.lisbon.location.timezone, 'Europe/Lisbon', 'Weather carries the location timezone');
+    const failing = await locations.getFormattedWeather(['paris']);
+    assertEquals(failing.paris, null, 'Unknown location maps to null');
+    const fetched = [];
+    for (const name of ['office', 'lisbon']) {
+        const service = locations.get(name);
+        service.getAlerts = async () => {
+            fetched.push(`${name}:alerts`);
+            return [];
+        };
+        service.getAirQuality = async () => {
+            fetched.push(`${name}:air`);
+            return null;
+        };
+    }
+    await locations.getFormattedWeather(['office', 'lisbon']);
+    assertEquals(fetched.length, 0, 'Only the forecast is fetched by default');
+    const withFeeds = await locations.getFormattedWeather(['office', 'lisbon'], undefined, {
+        alerts: new Set(['office']),
+        airQuality: new Set(['lisbon'])
+    });
+    assertEquals(fetched.sort().join(','), 'lisbon:air,office:alerts', 'Alerts and air quality where the layout shows them');
+    assertEquals(`${withFeeds.lisbon.alerts.length} ${withFeeds.office.airQuality}`, '0 null', 'Skipped feeds are empty');
+    console.log();
+
+    // Test 5: Layout references are checked against the configured names
+    console.log('Test 5: Layout Validation');
+    const layout = {
+        name: 'Test',
+        grid: { rows: 2, cols: 2 },
+        components: [
+            { type: 'weather', position: { row: 0, col: 0 }, config: { location: 'office' } },
+            { type: 'weather-multi', position: { row: 1, col: 0 }, config: { locations: ['home', 'paris'] } }
+        ]
+    };
+    const issues = validateLayout(layout, { locations: locations.names() });
+    assertEquals(issues.length, 1, 'One unknown location');
+    assertEquals(issues[0].path, '$.components[1].config.locations[1]', 'Issue points at the unknown name');
+    assertEquals(validateLayout(layout).length, 0, 'Names are not checked without a location list');
+    console.log();
+
+    // Test 6: Config validation
+    console.log('Test 6: Config Validation');
+    assertEquals(locationErrors(definitions).length, 0, 'Valid locations');
+    assertEquals(locationErrors({}).length, 0, 'Empty locations');
+    assert(locationErrors({ home: { latitude: 1, longitude: 2 } })[0].includes('"home"'), 'home is reserved');
+    assert(locationErrors({ 'my office': { latitude: 1, longitude: 2 } })[0].includes('letters, digits'), 'Invalid name rejected');
+    assertEquals(locationErrors({ office: { name: 'Office' } }).length, 2, 'latitude and longitude are required');
+    assert(locationErrors({ office: { latitude: 95, longitude: 2 } })[0].startsWith('locations.office.latitude'), 'Latitude range checked');
+    assert(locationErrors({ office: { latitude: 1, longitude: 2, timezone: 'Mars/Base' } })[0].startsWith('locations.office.timezone'), 'Timezone checked');
+    assert(locationErrors({ office: { latitude: 1, longitude: 2, units: 'metric' } })[0].includes('unknown location setting'), 'Unknown setting rejected');
+    assertEquals(locationErrors([]).length, 1, 'Must be an object');
+    console.log();
+
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,422 @@
+const https = require('https');
+const { DEFAULT_UNITS, convertTemperature, convertWeatherUnits } = require('./weather-units');
+
+/**
+ * Weather Providers
+ * Each provider fetches a forecast from one API and normalizes it into the
+ * Open-Meteo shape WeatherService.formatWeatherForDashboard expects:
+ *
+ *   current: { time, temperature_2m, relative_humidity_2m (%),
+ *              weather_code (WMO), wind_speed_10m, precipitation }
+ *   daily:   { time[] (local YYYY-MM-DD), weather_code[],
+ *              temperature_2m_max[], temperature_2m_min[] }
+ *   hourly:  { time[] (UTC ISO), temperature_2m[], precipitation_probability[] (%),
+ *              weather_code[] } for the next HOURLY_HOURS hours
+ *
+ * Providers also return the units their numbers are in (see weather-units.js).
+ * fetchWeather() tries providers in the configured order, returns the first
+ * that succeeds and converts it to the requested units.
+ */
+
+const DEFAULT_USER_AGENT = 'kindle-dashboard-generator/1.0';
+const DEFAULT_TIMEOUT = 10000; // ms per request
+const FORECAST_DAYS = 5;
+const HOURLY_HOURS = 24;
+
+// MET Norway weather symbols (without _day/_night/_polartwilight) → WMO codes.
+// Symbols containing "thunder" map to 95.
+const MET_SYMBOL_CODES = {
+    clearsky: 0,
+    fair: 1,
+    partlycloudy: 2,
+    cloudy: 3,
+    fog: 45,
+    lightrain: 61,
+    rain: 63,
+    heavyrain: 65,
+    lightrainshowers: 80,
+    rainshowers: 81,
+    heavyrainshowers: 82,
+    lightsleet: 66,
+    sleet: 66,
+    heavysleet: 67,
+    lightsleetshowers: 66,
+    sleetshowers: 66,
+    heavysleetshowers: 67,
+    lightsnow: 71,
+    snow: 73,
+    heavysnow: 75,
+    lightsnowshowers: 85,
+    snowshowers: 85,
+    heavysnowshowers: 86
+};
+
+// NWS forecast text → WMO code, first match wins
+const NWS_TEXT_CODES = [
+    { pattern: /thunder|t-storm/, code: 95 },
+    { pattern: /freezing drizzle/, code: 56 },
+    { pattern: /heavy freezing rain/, code: 67 },
+    { pattern: /freezing rain|sleet|ice pellets|wintry mix/, code: 66 },
+    { pattern: /heavy snow showers/, code: 86 },
+    { pattern: /snow showers/, code: 85 },
+    { pattern: /heavy snow|blizzard/, code: 75 },
+    { pattern: /light snow|flurries/, code: 71 },
+    { pattern: /snow/, code: 73 },
+    { pattern: /drizzle/, code: 51 },
+    { pattern: /heavy (rain )?showers/, code: 82 },
+    { pattern: /showers/, code: 80 },
+    { pattern: /heavy rain/, code: 65 },
+    { pattern: /light rain/, code: 61 },
+    { pattern: /rain/, code: 63 },
+    { pattern: /fog|haze|smoke/, code: 45 },
+    { pattern: /mostly sunny|mostly clear/, code: 1 },
+    { pattern: /partly/, code: 2 },
+    { pattern: /cloudy|overcast/, code: 3 },
+    { pattern: /sunny|clear|fair/, code: 0 }
+];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const METRIC_UNITS = { temperature: 'celsius', windSpeed: 'ms', precipitation: 'mm' };
+const NWS_UNITS = { temperature: 'fahrenheit', windSpeed: 'mph', precipitation: 'inch' };
+
+// MET Norway and NWS reject coordinates with more than four decimals
+const coordinate = value => round(value, 4);
+
+function emptyHourly() {
+    return { time: [], temperature_2m: [], precipitation_probability: [], weather_code: [] };
+}
+
+/**
+ * GET a URL and resolve with the body as text. Rejects on non-200 responses
+ * and timeouts.
+ */
+function getText(url, options = {}) {
+    const host = new URL(url).host;
+    return new Promise((resolve, reject) => {
+        const request = https.get(url, {
+            headers: {
+                'User-Agent': options.userAgent || DEFAULT_USER_AGENT,
+                'Accept': options.accept || 'application/geo+json, application/json'
+            },
+            timeout: options.timeout || DEFAULT_TIMEOUT
+        }, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    reject(new Error(`HTTP ${res.statusCode} from ${host}`));
+                    return;
+                }
+                resolve(data);
+            });
+        });
+
+        request.on('timeout', () => {
+            request.destroy(new Error(`Request to ${host} timed out`));
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * GET a URL and parse the JSON body
+ */
+async function getJson(url, options = {}) {
+    const data = await getText(url, options);
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        throw new Error(`Failed to parse response from ${new URL(url).host}: ${error.message}`);
+    }
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) and hour of a timestamp in a timezone
+ */
+function localDateHour(time, timezone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+        timeZone: timezone
+    }).formatToParts(new Date(time));
+    const get = type => parts.find(part => part.type === type).value;
+    return { date: `${get('year')}-${get('month')}-${get('day')}`, hour: Number(get('hour')) };
+}
+
+function metSymbolToWmo(symbol) {
+    if (!symbol) return null;
+    const base = symbol.replace(/_(day|night|polartwilight)$/, '');
+    if (base.includes('thunder')) return 95;
+    return base in MET_SYMBOL_CODES ? MET_SYMBOL_CODES[base] : null;
+}
+
+/**
+ * WMO code for NWS forecast text such as "Chance Rain Showers then Mostly Sunny".
+ * Only the part before "then" is used.
+ */
+function nwsTextToWmo(text) {
+    if (!text) return null;
+    const primary = text.toLowerCase().split(/\bthen\b/)[0];
+    const entry = NWS_TEXT_CODES.find(candidate => candidate.pattern.test(primary));
+    return entry ? entry.code : null;
+}
+
+/**
+ * Parse an NWS wind speed such as "10 mph" or "5 to 15 mph" (the average of a range)
+ */
+function parseNwsWindSpeed(text) {
+    const numbers = String(text || '').match(/\d+(\.\d+)?/g);
+    if (!numbers) return null;
+    const mph = numbers.map(Number).reduce((sum, n) => sum + n, 0) / numbers.length;
+    return /km\/h/.test(text) ? round(mph / 1.609344) : mph;
+}
+
+function nwsTemperature(period) {
+    return period.temperatureUnit === 'C'
+        ? convertTemperature(period.temperature, 'celsius', 'fahrenheit')
+        : period.temperature;
+}
+
+const openMeteo = {
+    name: 'open-meteo',
+
+    async fetch(location, { getJson: get, units }) {
+        const url = `https://api.open-meteo.com/v1/forecast?` +
+            `latitude=${location.latitude}&` +
+            `longitude=${location.longitude}&` +
+            `current=temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m,precipitation&` +
+            `daily=weather_code,temperature_2m_max,temperature_2m_min&` +
+            `hourly=temperature_2m,precipitation_probability,weather_code&` +
+            `timezone=${encodeURIComponent(location.timezone)}&` +
+            `temperature_unit=${units.temperature}&` +
+            `wind_speed_unit=${units.windSpeed}&` +
+            `precipitation_unit=${units.precipitation}&` +
+            `forecast_days=${FORECAST_DAYS}&` +
+            `forecast_hours=${HOURLY_HOURS}`;
+
+        const data = await get(url);
+        if (!data.current || !data.daily) {
+            throw new Error('Unexpected Open-Meteo response: missing current or daily data');
+        }
+
+        // Hourly times are local ("2026-10-19T07:00"); convert with the response's UTC offset
+        const hourly = emptyHourly();
+        if (data.hourly && Array.isArray(data.hourly.time)) {
+            const offset = (data.utc_offset_seconds || 0) * 1000;
+            hourly.time = data.hourly.time.map(local => new Date(Date.parse(`${local}:00Z`) - offset).toISOString());
+            hourly.temperature_2m = data.hourly.temperature_2m;
+            hourly.precipitation_probability = data.hourly.precipitation_probability;
+            hourly.weather_code = data.hourly.weather_code;
+        }
+        return { current: data.current, daily: data.daily, hourly, units };
+    }
+};
+
+const metNorway = {
+    name: 'met-norway',
+
+    async fetch(location, { getJson: get }) {
+        // "complete" adds precipitation probability to the compact forecast
+        const url = `https://api.met.no/weatherapi/locationforecast/2.0/complete?` +
+            `lat=${coordinate(location.latitude)}&lon=${coordinate(location.longitude)}`;
+
+        const data = await get(url);
+        const timeseries = data.properties && data.properties.timeseries;
+        if (!Array.isArray(timeseries) || timeseries.length === 0) {
+            throw new Error('Unexpected MET Norway response: no timeseries');
+        }
+
+        const first = timeseries[0];
+        const instant = first.data.instant.details;
+        const nextHour = first.data.next_1_hours || first.data.next_6_hours || {};
+        const current = {
+            time: first.time,
+            temperature_2m: instant.air_temperature,
+            relative_humidity_2m: Math.round(instant.relative_humidity),
+            weather_code: metSymbolToWmo(nextHour.summary && nextHour.summary.symbol_code),
+            wind_speed_10m: instant.wind_speed,
+            precipitation: nextHour.details && typeof nextHour.details.precipitation_amount === 'number'
+                ? nextHour.details.precipitation_amount
+                : 0
+        };
+
+        // Daily highs and lows from every instant on each local date; the
+        // symbol is the 6-hour summary starting closest to local noon
+        const days = new Map();
+        for (const entry of timeseries) {
+            const { date, hour } = localDateHour(entry.time, location.timezone);
+            if (!days.has(date)) {
+                if (days.size >= FORECAST_DAYS) break;
+                days.set(date, { max: -Infinity, min: Infinity, symbol: null, symbolDistance: Infinity });
+            }
+            const day = days.get(date);
+            const temperature = entry.data.instant.details.air_temperature;
+            day.max = Math.max(day.max, temperature);
+            day.min = Math.min(day.min, temperature);
+
+            const summary = entry.data.next_6_hours && entry.data.next_6_hours.summary;
+            if (summary && Math.abs(hour - 12) < day.symbolDistance) {
+                day.symbol = summary.symbol_code;
+                day.symbolDistance = Math.abs(hour - 12);
+            }
+        }
+
+        const daily = { time: [], weather_code: [], temperature_2m_max: [], temperature_2m_min: [] };
+        for (const [date, day] of days) {
+            daily.time.push(date);
+            daily.weather_code.push(metSymbolToWmo(day.symbol));
+            daily.temperature_2m_max.push(day.max);
+            daily.temperature_2m_min.push(day.min);
+        }
+
+        // Hourly steps come first, then 6-hourly ones without next_1_hours
+        const hourly = emptyHourly();
+        for (const entry of timeseries) {
+            const nextHourEntry = entry.data.next_1_hours;
+            if (!nextHourEntry || hourly.time.length >= HOURLY_HOURS) break;
+            hourly.time.push(new Date(entry.time).toISOString());
+            hourly.temperature_2m.push(entry.data.instant.details.air_temperature);
+            hourly.precipitation_probability.push(
+                typeof nextHourEntry.details.probability_of_precipitation === 'number'
+                    ? Math.round(nextHourEntry.details.probability_of_precipitation)
+                    : null
+            );
+            hourly.weather_code.push(metSymbolToWmo(nextHourEntry.summary.symbol_code));
+        }
+
+        return { current, daily, hourly, units: METRIC_UNITS };
+    }
+};
+
+const nws = {
+    name: 'nws',
+
+    async fetch(location, { getJson: get }) {
+        // US locations only; api.weather.gov answers 404 elsewhere
+        const points = await get(`https://api.weather.gov/points/` +
+            `${coordinate(location.latitude)},${coordinate(location.longitude)}`);
+        const { forecast, forecastHourly } = points.properties || {};
+        if (!forecast || !forecastHourly) {
+            throw new Error('Unexpected NWS points response: no forecast URLs');
+        }
+
+        const hourlyPeriods = (await get(forecastHourly)).properties.periods;
+        const periods = (await get(forecast)).properties.periods;
+        if (!hourlyPeriods || hourlyPeriods.length === 0 || !periods || periods.length === 0) {
+            throw new Error('Unexpected NWS forecast response: no periods');
+        }
+
+        // The first hourly period stands in for current conditions. NWS
+        // forecasts give a chance of precipitation, not an amount.
+        const now = hourlyPeriods[0];
+        const current = {
+            time: now.startTime,
+            temperature_2m: nwsTemperature(now),
+            relative_humidity_2m: now.relativeHumidity ? now.relativeHumidity.value : null,
+            weather_code: nwsTextToWmo(now.shortForecast),
+            wind_speed_10m: parseNwsWindSpeed(now.windSpeed),
+            precipitation: null
+        };
+
+        // Day periods give each date's high and conditions. The low is the
+        // night that ends on that morning, or the same evening's when the
+        // forecast doesn't reach back that far. startTime carries the local offset.
+        const nightsByStart = new Map();
+        for (const period of periods) {
+            if (!period.isDaytime) nightsByStart.set(period.startTime.slice(0, 10), period);
+        }
+        const previousDate = date => {
+            const d = new Date(`${date}T12:00:00Z`);
+            d.setUTCDate(d.getUTCDate() - 1);
+            return d.toISOString().slice(0, 10);
+        };
+
+        const daily = { time: [], weather_code: [], temperature_2m_max: [], temperature_2m_min: [] };
+        for (const period of periods) {
+            if (!period.isDaytime || daily.time.length >= FORECAST_DAYS) continue;
+            const date = period.startTime.slice(0, 10);
+            const night = nightsByStart.get(previousDate(date)) || nightsByStart.get(date);
+            daily.time.push(date);
+            daily.weather_code.push(nwsTextToWmo(period.shortForecast));
+            daily.temperature_2m_max.push(nwsTemperature(period));
+            daily.temperature_2m_min.push(night ? nwsTemperature(night) : null);
+        }
+
+        const hourly = emptyHourly();
+        for (const period of hourlyPeriods.slice(0, HOURLY_HOURS)) {
+            hourly.time.push(new Date(period.startTime).toISOString());
+            hourly.temperature_2m.push(nwsTemperature(period));
+            hourly.precipitation_probability.push(
+                period.probabilityOfPrecipitation ? period.probabilityOfPrecipitation.value : null
+            );
+            hourly.weather_code.push(nwsTextToWmo(period.shortForecast));
+        }
+
+        return { current, daily, hourly, units: NWS_UNITS };
+    }
+};
+
+const PROVIDERS = {
+    [openMeteo.name]: openMeteo,
+    [metNorway.name]: metNorway,
+    [nws.name]: nws
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+const DEFAULT_PROVIDERS = ['open-meteo', 'met-norway', 'nws'];
+
+/**
+ * Fetch normalized weather from the first provider in `order` that succeeds.
+ * Returns the data in `options.units` with `_provider` and `_units` set;
+ * rejects with every provider's error when all fail.
+ *
+ * location: { latitude, longitude, timezone }
+ * options: { units, userAgent, timeout, getJson (for tests) }
+ */
+async function fetchWeather(order, location, options = {}) {
+    const get = options.getJson || (url => getJson(url, options));
+    const units = options.units || DEFAULT_UNITS;
+    const failures = [];
+
+    for (const name of order) {
+        const provider = PROVIDERS[name];
+        if (!provider) {
+            failures.push(`${name}: unknown provider`);
+            continue;
+        }
+        try {
+            const { units: providerUnits, ...weatherData } = await provider.fetch(location, { getJson: get, units });
+            convertWeatherUnits(weatherData, providerUnits, units);
+            weatherData._provider = name;
+            weatherData._units = units;
+            return weatherData;
+        } catch (error) {
+            console.warn(`Weather provider ${name} failed: ${error.message}`);
+            failures.push(`${name}: ${error.message}`);
+        }
+    }
+
+    throw new Error(`All weather providers failed (${failures.join('; ')})`);
+}
+
+module.exports = {
+    DEFAULT_PROVIDERS,
+    DEFAULT_USER_AGENT,
+    HOURLY_HOURS,
+    PROVIDERS,
+    PROVIDER_NAMES,
+    fetchWeather,
+    getJson,
+    getText,
+    metSymbolToWmo,
+    nwsTextToWmo,
+    parseNwsWindSpeed
+};
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the weather providers, run offline against recorded responses
+ * in fixtures/weather/
+ * Run with: node server/weather-providers.test.js
+ */
+
+const {
+    PROVIDER_NAMES,
+    fetchWeather,
+    metSymbolToWmo,
+    nwsTextToWmo,
+    parseNwsWindSpeed
+} = require('./weather-providers');
+const WeatherService = require('./weather-service');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+function fixture(name) {
+    return require(path.join(__dirname, 'fixtures', 'weather', `${name}.json`));
+}
+
+// Answers requests from fixtures by URL prefix and records what was asked for
+function fixtureServer(routes) {
+    const requests = [];
+    const getJson = async (url) => {
+        requests.push(url);
+        const route = routes.find(([prefix]) => url.startsWith(prefix));
+        if (!route) throw new Error(`HTTP 404 from ${new URL(url).host}`);
+        if (route[1] instanceof Error) throw route[1];
+        return JSON.parse(JSON.stringify(fixture(route[1])));
+    };
+    return { getJson, requests };
+}
+
+const ROUTES = [
+    ['https://api.open-meteo.com/v1/forecast', 'open-meteo'],
+    ['https://api.met.no/weatherapi/locationforecast/2.0/complete', 'met-norway'],
+    ['https://api.weather.gov/points/', 'nws-points'],
+    ['https://api.weather.gov/gridpoints/LOT/76,73/forecast/hourly', 'nws-forecast-hourly'],
+    ['https://api.weather.gov/gridpoints/LOT/76,73/forecast', 'nws-forecast']
+];
+
+const chicago = { latitude: 41.87812345, longitude: -87.62979876, timezone: 'America/Chicago' };
+
+function isNormalized(data) {
+    const { current, daily } = data;
+    return ['temperature_2m', 'relative_humidity_2m', 'weather_code', 'wind_speed_10m']
+        .every(key => typeof current[key] === 'number') &&
+        ['weather_code', 'temperature_2m_max', 'temperature_2m_min']
+            .every(key => Array.isArray(daily[key]) && daily[key].length === daily.time.length) &&
+        daily.time.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)) &&
+        ['temperature_2m', 'precipitation_probability', 'weather_code']
+            .every(key => data.hourly[key].length === data.hourly.time.length) &&
+        data.hourly.time.every(time => time.endsWith('Z'));
+}
+
+async function runTests() {
+    console.log('\n🧪 Running Weather Provider Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Open-Meteo
+    console.log('Test 1: Open-Meteo');
+    let server = fixtureServer(ROUTES);
+    let data = await fetchWeather(['open-meteo'], chicago, { getJson: server.getJson });
+    assertEquals(server.requests.length, 1, 'One request');
+    assert(server.requests[0].includes('temperature_unit=fahrenheit'), 'Asks for Fahrenheit');
+    assert(server.requests[0].includes('timezone=America%2FChicago'), 'Asks for local dates');
+    assertEquals(data._provider, 'open-meteo', 'Provider recorded');
+    assertEquals(data.current.temperature_2m, 48.6, 'Current temperature');
+    assertEquals(data.current.precipitation, 0.02, 'Current precipitation');
+    assertEquals(data.daily.time.length, 5, 'Five days');
+    assert(server.requests[0].includes('forecast_hours=24'), 'Asks for 24 hours');
+    assertEquals(data.hourly.time[0], '2026-10-19T12:00:00.000Z', 'Local hourly time converted to UTC');
+    assertEquals(data.hourly.precipitation_probability[0], 85, 'Hourly precipitation probability');
+    assert(isNormalized(data), 'Normalized shape');
+    console.log();
+
+    // Test 2: MET Norway
+    console.log('Test 2: MET Norway');
+    server = fixtureServer(ROUTES);
+    data = await fetchWeather(['met-norway'], chicago, { getJson: server.getJson });
+    assert(server.requests[0].endsWith('lat=41.8781&lon=-87.6298'), 'Coordinates rounded to four decimals');
+    assertEquals(data._provider, 'met-norway', 'Provider recorded');
+    assertEquals(data.current.time, '2026-10-19T12:00:00Z', 'Current time from first step');
+    assertEquals(data.current.temperature_2m, 48.6, '9.2°C converted to °F');
+    assertEquals(data.current.wind_speed_10m, 11.2, '5 m/s converted to mph');
+    assertEquals(data.current.relative_humidity_2m, 88, 'Humidity');
+    assertEquals(data.current.precipitation, 0.024, '0.6 mm converted to inches');
+    assertEquals(data.current.weather_code, 61, 'Light rain symbol mapped to WMO 61');
+    assertEquals(data.daily.time.join(','), '2026-10-19,2026-10-20,2026-10-21,2026-10-22,2026-10-23', 'Local dates, five days');
+    assertEquals(data.daily.temperature_2m_max[1], 56.5, 'Daily high from local day');
+    assertEquals(data.daily.temperature_2m_min[1], 44.1, 'Daily low from local day');
+    assertEquals(data.daily.weather_code.join(','), '2,3,2,81,0', 'Daily symbol nearest local noon');
+    assertEquals(data.hourly.time.length, 24, 'Hourly steps only');
+    assertEquals(data.hourly.time[1], '2026-10-19T13:00:00.000Z', 'Hourly time');
+    assertEquals(data.hourly.temperature_2m[1], 49.6, 'Hourly temperature converted');
+    assertEquals(data.hourly.precipitation_probability[0], 80, 'Hourly precipitation probability');
+    assert(isNormalized(data), 'Normalized shape');
+    console.log();
+
+    // Test 3: NWS
+    console.log('Test 3: NWS');
+    server = fixtureServer(ROUTES);
+    data = await fetchWeather(['nws'], chicago, { getJson: server.getJson });
+    assertEquals(server.requests[0], 'https://api.weather.gov/points/41.8781,-87.6298', 'Points lookup first');
+    assertEquals(server.requests.length, 3, 'Points, hourly and daily forecasts');
+    assertEquals(data._provider, 'nws', 'Provider recorded');
+    assertEquals(data.current.temperature_2m, 49, 'Current temperature from first hour');
+    assertEquals(data.current.relative_humidity_2m, 86, 'Humidity');
+    assertEquals(data.current.wind_speed_10m, 12, 'Wind speed parsed');
+    assertEquals(data.current.weather_code, 61, 'Light rain text mapped to WMO 61');
+    assertEquals(data.current.precipitation, null, 'No precipitation amount from NWS');
+    assertEquals(data.daily.time.join(','), '2026-10-19,2026-10-20,2026-10-21,2026-10-22,2026-10-23', 'Daytime periods, five days');
+    assertEquals(data.daily.temperature_2m_max.join(','), '55,58,63,58,60', 'Highs from day periods');
+    assertEquals(data.daily.temperature_2m_min.join(','), '45,45,48,50,44', 'Lows from the preceding night');
+    assertEquals(data.daily.weather_code.join(','), '61,3,2,95,0', 'Conditions from day periods');
+    assertEquals(data.hourly.time.length, 24, '24 hourly periods');
+    assertEquals(data.hourly.time[0], '2026-10-19T12:00:00.000Z', 'Offset time converted to UTC');
+    assertEquals(data.hourly.precipitation_probability[2], 40, 'Hourly precipitation probability');
+    assertEquals(data.hourly.weather_code[2], 61, 'Hourly condition');
+    assert(isNormalized(data), 'Normalized shape');
+    console.log();
+
+    // Test 4: Fallback order
+    console.log('Test 4: Fallback Order');
+    server = fixtureServer([[ROUTES[0][0], new Error('HTTP 503 from api.open-meteo.com')], ...ROUTES.slice(1)]);
+    data = await fetchWeather(['open-meteo', 'nws', 'met-norway'], chicago, { getJson: server.getJson });
+    assertEquals(data._provider, 'nws', 'Falls back to the next provider in order');
+    assert(!server.requests.some(url => url.includes('met.no')), 'Stops at the first success');
+
+    server = fixtureServer([
+        ['https://api.weather.gov/points/', new Error('HTTP 404 from api.weather.gov')],
+        ['https://api.met.no/', 'nws-points'] // a response of the wrong shape
+    ]);
+    let failure = null;
+    try {
+        await fetchWeather(['nws', 'met-norway'], chicago, { getJson: server.getJson });
+    } catch (error) {
+        failure = error;
+    }
+    assert(failure !== null, 'Rejects when every provider fails');
+    assert(failure && failure.message.includes('nws: HTTP 404'), 'Error names each provider');
+    assert(failure && failure.message.includes('met-norway: Unexpected MET Norway response'), 'Bad response shape is a failure');
+    console.log();
+
+    // Test 5: Code mapping
+    console.log('Test 5: Condition Codes');
+    assertEquals(metSymbolToWmo('partlycloudy_night'), 2, 'MET suffix ignored');
+    assertEquals(metSymbolToWmo('heavyrainshowersandthunder_day'), 95, 'MET thunder');
+    assertEquals(metSymbolToWmo('lightssleetshowersandthunder_day'), 95, 'MET misspelled thunder symbol');
+    assertEquals(metSymbolToWmo('unknownsymbol'), null, 'Unknown MET symbol');
+    assertEquals(nwsTextToWmo('Chance Rain Showers then Mostly Sunny'), 80, 'NWS text before "then"');
+    assertEquals(nwsTextToWmo('Mostly Sunny'), 1, 'NWS mostly sunny');
+    assertEquals(nwsTextToWmo('Partly Cloudy'), 2, 'NWS partly cloudy');
+    assertEquals(nwsTextToWmo('Snow Showers Likely'), 85, 'NWS snow showers');
+    assertEquals(nwsTextToWmo('Patchy Fog'), 45, 'NWS fog');
+    assertEquals(parseNwsWindSpeed('5 to 15 mph'), 10, 'Wind range averaged');
+    assertEquals(parseNwsWindSpeed(''), null, 'Missing wind speed');
+    console.log();
+
+    // Test 6: Dashboard formatting
+    console.log('Test 6: Formatting Normalized Data');
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-providers-test-'));
+    const service = new WeatherService({ cacheDir });
+    for (const name of PROVIDER_NAMES) {
+        const weatherData = await fetchWeather([name], chicago, { getJson: fixtureServer(ROUTES).getJson });
+        const formatted = service.formatWeatherForDashboard(weatherData);
+        assert(/^\d+°F$/.test(formatted.current.temperature), `${name}: temperature formatted`);
+        assert(formatted.current.condition !== 'Unknown', `${name}: condition recognized`);
+        assertEquals(formatted.provider, name, `${name}: provider passed through`);
+    }
+    console.log();
+
+    // Test 7: Hourly formatting
+    console.log('Test 7: Hourly Forecast');
+    const hourlyData = await fetchWeather(['open-meteo'], chicago, { getJson: fixtureServer(ROUTES).getJson });
+    let hourly = service.formatWeatherForDashboard(hourlyData, new Date('2026-10-19T14:20:00Z')).hourly;
+    assertEquals(hourly.length, 22, 'Ended hours dropped');
+    assertEquals(hourly[0].time, '2026-10-19T14:00:00.000Z', 'Starts at the current hour');
+    assertEquals(hourly[0].hour, 9, 'Local hour');
+    assertEquals(hourly[0].temperature, 50.6, 'Temperature kept numeric');
+    assertEquals(hourly[0].precipitationProbability, 45, 'Precipitation probability');
+    assertEquals(hourly[0].icon, 'cloudy', 'Condition icon');
+    hourlyData.hourly.precipitation_probability = hourlyData.hourly.precipitation_probability.map(() => null);
+    hourly = service.formatWeatherForDashboard(hourlyData, new Date('2026-10-19T14:20:00Z')).hourly;
+    assertEquals(hourly[0].precipitationProbability, null, 'Missing probability is null');
+    delete hourlyData.hourly;
+    hourly = service.formatWeatherForDashboard(hourlyData).hourly;
+    assertEquals(hourly.length, 0, 'Cached data without hourly');
+    console.log();
+
+    // Test 8: Units
+    console.log('Test 8: Requested Units');
+    const metric = { temperature: 'celsius', windSpeed: 'kmh', precipitation: 'mm' };
+    server = fixtureServer(ROUTES);
+    data = await fetchWeather(['open-meteo'], chicago, { getJson: server.getJson, units: metric });
+    assert(server.requests[0].includes('temperature_unit=celsius&wind_speed_unit=kmh&precipitation_unit=mm'), 'Open-Meteo asked for the units');
+    assertEquals(data._units, metric, 'Units recorded');
+    data = await fetchWeather(['met-norway'], chicago, { getJson: fixtureServer(ROUTES).getJson, units: metric });
+    assertEquals(data.current.temperature_2m, 9.2, 'MET Norway temperature left in °C');
+    assertEquals(data.current.wind_speed_10m, 18, 'MET Norway 5 m/s in km/h');
+    assertEquals(data.current.precipitation, 0.6, 'MET Norway precipitation left in mm');
+    assertEquals(data.hourly.temperature_2m[1], 9.8, 'MET Norway hourly in °C');
+    data = await fetchWeather(['nws'], chicago, { getJson: fixtureServer(ROUTES).getJson, units: metric });
+    assertEquals(data.current.temperature_2m, 9.4, 'NWS 49°F in °C');
+    assertEquals(data.current.wind_speed_10m, 19.3, 'NWS 12 mph in km/h');
+    assertEquals(data.daily.temperature_2m_max[0], 12.8, 'NWS daily high in °C');
+    const formattedMetric = service.formatWeatherForDashboard(data);
+    assertEquals(formattedMetric.current.temperature, '9°C', 'Formatted in °C');
+    assertEquals(formattedMetric.current.windSpeed, '19 km/h', 'Formatted in km/h');
+    assertEquals(formattedMetric.units.temperature, 'celsius', 'Formatted data names its units');
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
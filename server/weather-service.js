@@ -1,27 +1,43 @@
 #!/usr/bin/env node
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./config');
+const { fetchWeather, HOURLY_HOURS } = require('./weather-providers');
+const { activeAlerts, fetchAlerts } = require('./weather-alerts');
+const { getAstronomy } = require('./astronomy');
+const { fetchAirQuality } = require('./air-quality');
+const LayoutScheduler = require('./layout-scheduler');
+const { DEFAULT_UNITS, UNIT_LABELS, convertWeatherUnits, resolveUnits, unitsKey } = require('./weather-units');
 
 /**
- * Weather Service Module using Open-Meteo API
- * Fetches weather data with caching and error handling
+ * Weather Service Module
+ * Fetches weather data from the configured providers (Open-Meteo, MET Norway,
+ * NWS) with caching and error handling
  */
 
 class WeatherService {
     constructor(options = {}) {
-        this.latitude = options.latitude || 41.8781; // Default: Chicago
-        this.longitude = options.longitude || -87.6298;
-        this.timezone = options.timezone || 'America/Chicago';
+        const { location, weather } = getConfig();
+        this.latitude = options.latitude ?? location.latitude;
+        this.longitude = options.longitude ?? location.longitude;
+        this.timezone = options.timezone || location.timezone;
+        this.providers = options.providers || weather.providers; // Tried in order
+        this.userAgent = options.userAgent || weather.userAgent;
+        this.units = resolveUnits(weather.units, options.units); // Default; layouts may ask for others
+        this.alerts = { ...weather.alerts, ...options.alerts }; // { enabled, source, maxAge, meteoalarm }
+        this.airQuality = { ...weather.airQuality, ...options.airQuality }; // { enabled, scale, maxAge }
         this.cacheDir = options.cacheDir || path.join(__dirname, '..', 'cache');
         this.cacheTimeout = options.cacheTimeout || 30 * 60 * 1000; // 30 minutes
+        this.cacheKey = options.cacheKey || null; // Separates cache files per device
         this.mockData = options.mockData || false;
+        this.feedFailures = new Map(); // feed -> when its last fetch failed
 
         // Ensure cache directory exists
         if (!fs.existsSync(this.cacheDir)) {
             fs.mkdirSync(this.cacheDir, { recursive: true });
         }
+        this.removeLegacyCache();
 
         // WMO Weather interpretation codes
         this.weatherCodes = {
@@ -67,17 +83,33 @@ class WeatherService {
     }
 
     /**
-     * Get cache file path for weather data
+     * Get cache file path for weather data. Each set of units has its own
+     * file so switching units never serves numbers in the wrong ones.
      */
-    getCacheFilePath() {
-        return path.join(this.cacheDir, 'weather_cache.json');
+    getCacheFilePath(units = this.units) {
+        const prefix = this.cacheKey ? `weather_cache_${this.cacheKey}` : 'weather_cache';
+        return path.join(this.cacheDir, `${prefix}_${unitsKey(units)}.json`);
+    }
+
+    /**
+     * Delete the cache file from before per-units caching
+     * (`weather_cache[_<key>].json`). Its units and fields don't match what
+     * is read now, so the next request fetches fresh data instead.
+     */
+    removeLegacyCache() {
+        const legacyFile = path.join(this.cacheDir, this.cacheKey ? `weather_cache_${this.cacheKey}.json` : 'weather_cache.json');
+        try {
+            fs.unlinkSync(legacyFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn('Failed to remove old weather cache:', error.message);
+        }
     }
 
     /**
      * Check if cached data is still valid
      */
-    isCacheValid() {
-        const cacheFile = this.getCacheFilePath();
+    isCacheValid(units = this.units) {
+        const cacheFile = this.getCacheFilePath(units);
 
         if (!fs.existsSync(cacheFile)) {
             return false;
@@ -92,11 +124,24 @@ class WeatherService {
         }
     }
 
+    /**
+     * When the cached weather data expires and the next request refetches it
+     * (null when nothing is cached)
+     */
+    getCacheExpiry(units = this.units) {
+        try {
+            const stats = fs.statSync(this.getCacheFilePath(units));
+            return new Date(stats.mtime.getTime() + this.cacheTimeout);
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Load cached weather data
      */
-    loadCachedData() {
-        const cacheFile = this.getCacheFilePath();
+    loadCachedData(units = this.units) {
+        const cacheFile = this.getCacheFilePath(units);
 
         try {
             const data = fs.readFileSync(cacheFile, 'utf8');
@@ -109,8 +154,8 @@ class WeatherService {
     /**
      * Save weather data to cache
      */
-    saveCachedData(data) {
-        const cacheFile = this.getCacheFilePath();
+    saveCachedData(data, units = this.units) {
+        const cacheFile = this.getCacheFilePath(units);
 
         try {
             fs.writeFileSync(cacheFile, JSON.stringify(data, null, 2));
@@ -124,14 +169,17 @@ class WeatherService {
     /**
      * Generate mock weather data for testing
      */
-    getMockWeatherData() {
+    getMockWeatherData(units = this.units) {
+        const hourStart = Math.floor(Date.now() / 3600000) * 3600000;
+        const hours = Array.from({ length: HOURLY_HOURS }, (_, i) => i);
         const mockData = {
             current: {
                 time: new Date().toISOString(),
                 temperature_2m: 72.5,
                 relative_humidity_2m: 65,
                 weather_code: 2,
-                wind_speed_10m: 8.5
+                wind_speed_10m: 8.5,
+                precipitation: 0
             },
             daily: {
                 time: [
@@ -143,63 +191,48 @@ class WeatherService {
                 temperature_2m_max: [77.2, 67.6, 79.3],
                 temperature_2m_min: [65.1, 61.2, 67.5]
             },
+            hourly: {
+                time: hours.map(i => new Date(hourStart + i * 3600000).toISOString()),
+                temperature_2m: hours.map(i => Math.round((70 + 6 * Math.sin((i - 3) / 24 * 2 * Math.PI)) * 10) / 10),
+                precipitation_probability: hours.map(i => (i >= 8 && i < 14 ? 60 : 10)),
+                weather_code: hours.map(i => (i >= 8 && i < 14 ? 61 : 2))
+            },
             _source: 'mock',
             _timestamp: Date.now()
         };
 
+        convertWeatherUnits(mockData, DEFAULT_UNITS, units);
+        mockData._units = units;
         return Promise.resolve(mockData);
     }
 
     /**
-     * Fetch weather data from Open-Meteo API
+     * Fetch weather data from the first provider that answers
      */
-    fetchWeatherData() {
-        return new Promise((resolve, reject) => {
-            const url = `https://api.open-meteo.com/v1/forecast?` +
-                `latitude=${this.latitude}&` +
-                `longitude=${this.longitude}&` +
-                `current=temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m&` +
-                `daily=weather_code,temperature_2m_max,temperature_2m_min&` +
-                `timezone=${encodeURIComponent(this.timezone)}&` +
-                `temperature_unit=fahrenheit&` +
-                `wind_speed_unit=mph&` +
-                `forecast_days=5`;
-
-            https.get(url, (res) => {
-                let data = '';
-
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-
-                res.on('end', () => {
-                    try {
-                        const weatherData = JSON.parse(data);
-                        weatherData._source = 'api';
-                        weatherData._timestamp = Date.now();
-                        resolve(weatherData);
-                    } catch (error) {
-                        reject(new Error(`Failed to parse weather data: ${error.message}`));
-                    }
-                });
-            }).on('error', (error) => {
-                reject(new Error(`Failed to fetch weather data: ${error.message}`));
-            });
-        });
+    async fetchWeatherData(units = this.units) {
+        const weatherData = await fetchWeather(this.providers, {
+            latitude: this.latitude,
+            longitude: this.longitude,
+            timezone: this.timezone
+        }, { units, userAgent: this.userAgent });
+
+        weatherData._source = 'api';
+        weatherData._timestamp = Date.now();
+        return weatherData;
     }
 
     /**
-     * Get weather data with caching
+     * Get weather data with caching, in the given units
      */
-    async getWeatherData() {
+    async getWeatherData(units = this.units) {
         // Use mock data if enabled
         if (this.mockData) {
-            return this.getMockWeatherData();
+            return this.getMockWeatherData(units);
         }
 
         // Check cache first
-        if (this.isCacheValid()) {
-            const cachedData = this.loadCachedData();
+        if (this.isCacheValid(units)) {
+            const cachedData = this.loadCachedData(units);
             if (cachedData) {
                 cachedData._source = 'cache';
                 return cachedData;
@@ -208,24 +241,24 @@ class WeatherService {
 
         try {
             // Fetch fresh data
-            const weatherData = await this.fetchWeatherData();
+            const weatherData = await this.fetchWeatherData(units);
 
             // Save to cache
-            this.saveCachedData(weatherData);
+            this.saveCachedData(weatherData, units);
 
             return weatherData;
         } catch (error) {
             console.warn(`Weather API error: ${error.message}`);
 
             // Try to return cached data even if expired
-            const cachedData = this.loadCachedData();
+            const cachedData = this.loadCachedData(units);
             if (cachedData) {
                 cachedData._source = 'cache_expired';
                 return cachedData;
             }
 
             // Last resort: return mock data
-            const mockData = await this.getMockWeatherData();
+            const mockData = await this.getMockWeatherData(units);
             mockData._source = 'mock_fallback';
             mockData._error = error.message;
             return mockData;
@@ -233,9 +266,113 @@ class WeatherService {
     }
 
     /**
-     * Format weather data for dashboard display
+     * Cache file for one of the smaller feeds (alerts, air quality), which
+     * don't depend on units
      */
-    formatWeatherForDashboard(weatherData) {
+    getFeedCacheFilePath(feed) {
+        const name = this.cacheKey ? `${feed}_${this.cacheKey}.json` : `${feed}.json`;
+        return path.join(this.cacheDir, name);
+    }
+
+    /**
+     * Serve a feed from its cache while younger than maxAge (ms), otherwise
+     * fetch and cache it. On errors the cached value is used however old it
+     * is, or null when there is none, and the feed isn't fetched again for
+     * another maxAge.
+     */
+    async getCachedFeed(feed, maxAge, fetchFeed) {
+        const cacheFile = this.getFeedCacheFilePath(feed);
+        let cached = null;
+        try {
+            cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        } catch (error) {
+            cached = null;
+        }
+
+        if (cached && Date.now() - cached.timestamp < maxAge) {
+            return cached.data;
+        }
+        if (Date.now() - (this.feedFailures.get(feed) || 0) < maxAge) {
+            return cached ? cached.data : null;
+        }
+
+        try {
+            const data = await fetchFeed();
+            this.feedFailures.delete(feed);
+            try {
+                fs.writeFileSync(cacheFile, JSON.stringify({ timestamp: Date.now(), data }, null, 2));
+            } catch (error) {
+                console.warn(`Failed to save ${feed} cache:`, error.message);
+            }
+            return data;
+        } catch (error) {
+            console.warn(`${feed} error: ${error.message}`);
+            this.feedFailures.set(feed, Date.now());
+            return cached ? cached.data : null;
+        }
+    }
+
+    /**
+     * Active weather alerts, most severe first. Cached for alerts.maxAge
+     * seconds; on errors the last fetched alerts that haven't expired are used.
+     */
+    async getAlerts() {
+        if (!this.alerts.enabled || this.mockData) {
+            return [];
+        }
+
+        const alerts = await this.getCachedFeed('weather_alerts', this.alerts.maxAge * 1000, () => fetchAlerts(this.alerts.source, {
+            latitude: this.latitude,
+            longitude: this.longitude
+        }, { meteoalarm: this.alerts.meteoalarm, userAgent: this.userAgent }));
+        return alerts ? activeAlerts(alerts) : [];
+    }
+
+    /**
+     * Air quality, pollen and UV index (see air-quality.js), cached for
+     * airQuality.maxAge seconds. Null when disabled or unavailable.
+     */
+    async getAirQuality() {
+        if (!this.airQuality.enabled) {
+            return null;
+        }
+        if (this.mockData) {
+            return this.getMockAirQuality();
+        }
+
+        return this.getCachedFeed('air_quality', this.airQuality.maxAge * 1000, () => fetchAirQuality({
+            latitude: this.latitude,
+            longitude: this.longitude,
+            timezone: this.timezone
+        }, { scale: this.airQuality.scale, userAgent: this.userAgent }));
+    }
+
+    /**
+     * Mock air quality for testing
+     */
+    getMockAirQuality() {
+        const european = this.airQuality.scale === 'european';
+        return {
+            scale: european ? 'european' : 'us',
+            aqi: european ? 28 : 42,
+            category: european ? 'Fair' : 'Good',
+            level: european ? 1 : 0,
+            pm2_5: 8.2,
+            pm10: 14.1,
+            ozone: 64,
+            uvIndex: 3.1,
+            uvMax: 4.6,
+            uvCategory: 'Moderate',
+            pollen: [{ type: 'grass', value: 34, level: 'Moderate' }]
+        };
+    }
+
+    /**
+     * Format weather data for dashboard display, labelled with the units it
+     * was fetched in. `hourly` starts at the current hour and keeps numbers
+     * for charts.
+     */
+    formatWeatherForDashboard(weatherData, now = new Date()) {
         if (!weatherData || !weatherData.current) {
             return {
                 current: {
@@ -243,26 +380,35 @@ class WeatherService {
                     condition: 'Unknown',
                     humidity: 'N/A',
                     windSpeed: 'N/A',
+                    precipitation: null,
                     icon: 'unknown'
                 },
                 forecast: [],
+                hourly: [],
+                alerts: [],
                 source: 'error'
             };
         }
 
         const current = weatherData.current;
         const currentWeatherInfo = this.getWeatherInfo(current.weather_code);
+        const units = weatherData._units || DEFAULT_UNITS;
 
         const formatted = {
             current: {
-                temperature: `${Math.round(current.temperature_2m)}°F`,
+                temperature: `${Math.round(current.temperature_2m)}${UNIT_LABELS[units.temperature]}`,
                 condition: currentWeatherInfo.description,
                 humidity: `${current.relative_humidity_2m}%`,
-                windSpeed: `${Math.round(current.wind_speed_10m)} mph`,
+                windSpeed: `${Math.round(current.wind_speed_10m)} ${UNIT_LABELS[units.windSpeed]}`,
+                precipitation: typeof current.precipitation === 'number' ? current.precipitation : 0, // numeric for show-if rules
                 icon: currentWeatherInfo.icon
             },
             forecast: [],
+            hourly: [],
+            alerts: [],
+            units,
             source: weatherData._source || 'unknown',
+            provider: weatherData._provider || null,
             lastUpdate: new Date(weatherData._timestamp || Date.now()).toLocaleTimeString()
         };
 
@@ -289,15 +435,59 @@ class WeatherService {
             }
         }
 
+        // Hourly forecast, skipping hours that have already ended
+        if (weatherData.hourly && Array.isArray(weatherData.hourly.time)) {
+            const hourly = weatherData.hourly;
+            for (let i = 0; i < hourly.time.length; i++) {
+                const time = new Date(hourly.time[i]);
+                if (time.getTime() + 3600000 <= now.getTime()) continue;
+                if (formatted.hourly.length >= HOURLY_HOURS) break;
+
+                const hourWeatherInfo = this.getWeatherInfo(hourly.weather_code[i]);
+                const probability = hourly.precipitation_probability && hourly.precipitation_probability[i];
+
+                formatted.hourly.push({
+                    time: time.toISOString(),
+                    hour: Math.floor(LayoutScheduler.getLocalTime(time, this.timezone).minutes / 60),
+                    temperature: hourly.temperature_2m[i],
+                    precipitationProbability: typeof probability === 'number' ? probability : null,
+                    condition: hourWeatherInfo.description,
+                    icon: hourWeatherInfo.icon
+                });
+            }
+        }
+
         return formatted;
     }
 
     /**
-     * Get formatted weather data for dashboard
+     * Sunrise, sunset, day length and moon phase for this location, computed
+     * locally (see astronomy.js)
+     */
+    getAstronomy(now = new Date()) {
+        return getAstronomy({
+            latitude: this.latitude,
+            longitude: this.longitude,
+            timezone: this.timezone
+        }, now);
+    }
+
+    /**
+     * Get formatted weather data for dashboard, with active alerts, air
+     * quality and astronomy. `feeds` can turn alerts or air quality off:
+     * { alerts: false } leaves alerts empty without fetching them.
      */
-    async getFormattedWeather() {
-        const weatherData = await this.getWeatherData();
-        return this.formatWeatherForDashboard(weatherData);
+    async getFormattedWeather(units = this.units, feeds = {}) {
+        const [weatherData, alerts, airQuality] = await Promise.all([
+            this.getWeatherData(units),
+            feeds.alerts === false ? [] : this.getAlerts(),
+            feeds.airQuality === false ? null : this.getAirQuality()
+        ]);
+        const formatted = this.formatWeatherForDashboard(weatherData);
+        formatted.alerts = alerts;
+        formatted.airQuality = airQuality;
+        formatted.astronomy = this.getAstronomy();
+        return formatted;
     }
 }
 
@@ -0,0 +1,126 @@
+/**
+ * Weather Units
+ * Unit names follow Open-Meteo's query parameters. Weather data is fetched and
+ * cached in one set of units ({ temperature, windSpeed, precipitation }); this
+ * module converts between sets and labels them for display.
+ */
+
+const UNIT_OPTIONS = {
+    temperature: ['fahrenheit', 'celsius'],
+    windSpeed: ['mph', 'kmh', 'ms', 'kn'],
+    precipitation: ['inch', 'mm']
+};
+
+const DEFAULT_UNITS = { temperature: 'fahrenheit', windSpeed: 'mph', precipitation: 'inch' };
+
+const UNIT_LABELS = {
+    fahrenheit: '°F',
+    celsius: '°C',
+    mph: 'mph',
+    kmh: 'km/h',
+    ms: 'm/s',
+    kn: 'kn',
+    inch: 'in',
+    mm: 'mm'
+};
+
+// Metres per second in one unit of each wind speed
+const WIND_SPEED_IN_MS = { ms: 1, kmh: 1 / 3.6, mph: 0.44704, kn: 0.514444 };
+const MM_PER_INCH = 25.4;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function convertTemperature(value, from, to) {
+    if (typeof value !== 'number' || from === to) return value;
+    return round(to === 'celsius' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32, 1);
+}
+
+function convertWindSpeed(value, from, to) {
+    if (typeof value !== 'number' || from === to) return value;
+    return round(value * WIND_SPEED_IN_MS[from] / WIND_SPEED_IN_MS[to], 1);
+}
+
+function convertPrecipitation(value, from, to) {
+    if (typeof value !== 'number' || from === to) return value;
+    return to === 'mm' ? round(value * MM_PER_INCH, 1) : round(value / MM_PER_INCH, 3);
+}
+
+/**
+ * Global units with any number of partial overrides applied in order
+ * (later wins); unknown keys and null overrides are ignored
+ */
+function resolveUnits(...overrides) {
+    const units = { ...DEFAULT_UNITS };
+    for (const override of overrides) {
+        if (!override) continue;
+        for (const key of Object.keys(UNIT_OPTIONS)) {
+            if (override[key] !== undefined) units[key] = override[key];
+        }
+    }
+    return units;
+}
+
+/**
+ * Short stable key for cache file names: "fahrenheit-mph-inch"
+ */
+function unitsKey(units) {
+    return `${units.temperature}-${units.windSpeed}-${units.precipitation}`;
+}
+
+/**
+ * Problems with a units object, as "path: reason" strings. With `partial`
+ * (layout overrides) keys may be left out.
+ */
+function validateUnits(units, prefix = 'units', { partial = false } = {}) {
+    if (!units || typeof units !== 'object' || Array.isArray(units)) {
+        return [`${prefix}: must be an object`];
+    }
+    const errors = [];
+    for (const [key, allowed] of Object.entries(UNIT_OPTIONS)) {
+        if (units[key] === undefined) {
+            if (!partial) errors.push(`${prefix}.${key}: is required`);
+        } else if (!allowed.includes(units[key])) {
+            errors.push(`${prefix}.${key}: must be one of ${allowed.map(a => JSON.stringify(a)).join(', ')}`);
+        }
+    }
+    for (const key of Object.keys(units)) {
+        if (!UNIT_OPTIONS[key]) errors.push(`${prefix}.${key}: unknown unit setting`);
+    }
+    return errors;
+}
+
+/**
+ * Convert normalized weather data (current, daily, hourly) between unit sets
+ * in place
+ */
+function convertWeatherUnits(weatherData, from, to) {
+    const temperature = value => convertTemperature(value, from.temperature, to.temperature);
+    const { current, daily, hourly } = weatherData;
+
+    if (current) {
+        current.temperature_2m = temperature(current.temperature_2m);
+        current.wind_speed_10m = convertWindSpeed(current.wind_speed_10m, from.windSpeed, to.windSpeed);
+        current.precipitation = convertPrecipitation(current.precipitation, from.precipitation, to.precipitation);
+    }
+    if (daily) {
+        daily.temperature_2m_max = (daily.temperature_2m_max || []).map(temperature);
+        daily.temperature_2m_min = (daily.temperature_2m_min || []).map(temperature);
+    }
+    if (hourly) {
+        hourly.temperature_2m = (hourly.temperature_2m || []).map(temperature);
+    }
+    return weatherData;
+}
+
+module.exports = {
+    DEFAULT_UNITS,
+    UNIT_LABELS,
+    UNIT_OPTIONS,
+    convertPrecipitation,
+    convertTemperature,
+    convertWeatherUnits,
+    convertWindSpeed,
+    resolveUnits,
+    unitsKey,
+    validateUnits
+};
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for weather unit conversion and unit-keyed weather caching
+ * Run with: node server/weather-units.test.js
+ */
+
+const {
+    DEFAULT_UNITS,
+    convertPrecipitation,
+    convertTemperature,
+    convertWeatherUnits,
+    convertWindSpeed,
+    resolveUnits,
+    unitsKey,
+    validateUnits
+} = require('./weather-units');
+const WeatherService = require('./weather-service');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✓ ${message}`);
+        testsPassed++;
+    } else {
+        console.error(`  ✗ ${message}`);
+        testsFailed++;
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    assert(actual === expected, `${message} (expected: ${expected}, got: ${actual})`);
+}
+
+const metric = { temperature: 'celsius', windSpeed: 'kmh', precipitation: 'mm' };
+
+async function runTests() {
+    console.log('\n🧪 Running Weather Units Tests\n');
+    console.log('═══════════════════════════════════════════\n');
+
+    // Test 1: Conversions
+    console.log('Test 1: Conversions');
+    assertEquals(convertTemperature(212, 'fahrenheit', 'celsius'), 100, '212°F is 100°C');
+    assertEquals(convertTemperature(-40, 'celsius', 'fahrenheit'), -40, '-40°C is -40°F');
+    assertEquals(convertTemperature(72.5, 'fahrenheit', 'fahrenheit'), 72.5, 'Same unit unchanged');
+    assertEquals(convertWindSpeed(10, 'ms', 'kmh'), 36, '10 m/s is 36 km/h');
+    assertEquals(convertWindSpeed(10, 'mph', 'kn'), 8.7, '10 mph in knots');
+    assertEquals(convertWindSpeed(36, 'kmh', 'mph'), 22.4, '36 km/h in mph');
+    assertEquals(convertPrecipitation(1, 'inch', 'mm'), 25.4, '1 inch is 25.4 mm');
+    assertEquals(convertPrecipitation(0.6, 'mm', 'inch'), 0.024, '0.6 mm in inches');
+    assertEquals(convertTemperature(null, 'celsius', 'fahrenheit'), null, 'Missing value passed through');
+    console.log();
+
+    // Test 2: Whole data sets
+    console.log('Test 2: Converting Weather Data');
+    const data = convertWeatherUnits({
+        current: { temperature_2m: 50, wind_speed_10m: 10, precipitation: 0.1, relative_humidity_2m: 80 },
+        daily: { time: ['2026-10-19'], weather_code: [3], temperature_2m_max: [59], temperature_2m_min: [41] },
+        hourly: { time: ['2026-10-19T12:00:00.000Z'], temperature_2m: [32], precipitation_probability: [40], weather_code: [3] }
+    }, DEFAULT_UNITS, metric);
+    assertEquals(data.current.temperature_2m, 10, 'Current temperature');
+    assertEquals(data.current.wind_speed_10m, 16.1, 'Current wind speed');
+    assertEquals(data.current.precipitation, 2.5, 'Current precipitation');
+    assertEquals(data.current.relative_humidity_2m, 80, 'Humidity untouched');
+    assertEquals(data.daily.temperature_2m_max[0], 15, 'Daily high');
+    assertEquals(data.daily.temperature_2m_min[0], 5, 'Daily low');
+    assertEquals(data.hourly.temperature_2m[0], 0, 'Hourly temperature');
+    assertEquals(data.hourly.precipitation_probability[0], 40, 'Probability untouched');
+    console.log();
+
+    // Test 3: Resolving and validating
+    console.log('Test 3: Resolving Units');
+    assertEquals(unitsKey(resolveUnits()), 'fahrenheit-mph-inch', 'Defaults');
+    assertEquals(unitsKey(resolveUnits(DEFAULT_UNITS, { temperature: 'celsius' })), 'celsius-mph-inch', 'Layout overrides one unit');
+    assertEquals(unitsKey(resolveUnits(metric, undefined, { windSpeed: 'ms' })), 'celsius-ms-mm', 'Later overrides win, missing ones skipped');
+    assertEquals(validateUnits(metric).length, 0, 'Complete units valid');
+    assertEquals(validateUnits({ temperature: 'celsius' }).length, 2, 'Missing units reported');
+    assertEquals(validateUnits({ temperature: 'celsius' }, 'units', { partial: true }).length, 0, 'Partial units allowed for overrides');
+    assertEquals(validateUnits({ ...metric, windSpeed: 'knots' }, 'weather.units')[0],
+        'weather.units.windSpeed: must be one of "mph", "kmh", "ms", "kn"', 'Bad unit named');
+    assertEquals(validateUnits({ ...metric, pressure: 'hPa' })[0], 'units.pressure: unknown unit setting', 'Unknown key named');
+    assertEquals(validateUnits('metric')[0], 'units: must be an object', 'Non-object rejected');
+    console.log();
+
+    // Test 4: Cache keyed by units
+    console.log('Test 4: Unit-Keyed Cache');
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-units-test-'));
+    const service = new WeatherService({ cacheDir, cacheKey: 'kitchen', units: DEFAULT_UNITS });
+    assertEquals(path.basename(service.getCacheFilePath()), 'weather_cache_kitchen_fahrenheit-mph-inch.json', 'Default units in file name');
+    assertEquals(path.basename(service.getCacheFilePath(metric)), 'weather_cache_kitchen_celsius-kmh-mm.json', 'Other units, other file');
+    service.saveCachedData({ current: { temperature_2m: 50 }, _units: DEFAULT_UNITS });
+    assert(service.isCacheValid(), 'Cached in default units');
+    assert(!service.isCacheValid(metric), 'Not served for other units');
+    assertEquals(service.getCacheExpiry(metric), null, 'No expiry for units never cached');
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+
+    const mockService = new WeatherService({ cacheDir, mockData: true, units: metric });
+    const formatted = await mockService.getFormattedWeather();
+    assertEquals(formatted.current.temperature, '23°C', 'Mock data converted to the service units');
+    assertEquals(formatted.current.windSpeed, '14 km/h', 'Mock wind speed converted');
+    const imperial = await mockService.getFormattedWeather(DEFAULT_UNITS);
+    assertEquals(imperial.current.temperature, '73°F', 'Units per request');
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    console.log();
+
+    // Test 5: Cache files from before per-units caching
+    console.log('Test 5: Legacy Cache');
+    fs.mkdirSync(cacheDir);
+    fs.writeFileSync(path.join(cacheDir, 'weather_cache.json'), JSON.stringify({ current: { temperature_2m: 41 } }));
+    fs.writeFileSync(path.join(cacheDir, 'weather_cache_kitchen.json'), '{}');
+    fs.writeFileSync(path.join(cacheDir, 'weather_cache_kitchen_fahrenheit-mph-inch.json'), JSON.stringify({ current: { temperature_2m: 50 } }));
+    const upgraded = new WeatherService({ cacheDir });
+    assertEquals(upgraded.loadCachedData(), null, 'Old cache not served');
+    assert(!upgraded.isCacheValid(), 'Old cache not valid for the default units');
+    new WeatherService({ cacheDir, cacheKey: 'kitchen' });
+    assertEquals(fs.readdirSync(cacheDir).join(','), 'weather_cache_kitchen_fahrenheit-mph-inch.json', 'Old files deleted');
+    assertEquals(new WeatherService({ cacheDir, cacheKey: 'kitchen' }).loadCachedData().current.temperature_2m, 50, 'Per-units cache kept');
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    console.log();
+
+    // Summary
+    console.log('═══════════════════════════════════════════\n');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+    console.log(`Total: ${testsPassed + testsFailed}\n`);
+
+    if (testsFailed === 0) {
+        console.log('✅ All tests passed!\n');
+        process.exit(0);
+    } else {
+        console.error('❌ Some tests failed!\n');
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(error);
+    process.exit(1);
+});